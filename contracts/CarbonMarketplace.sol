@@ -0,0 +1,422 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./EIP712.sol";
+
+/**
+ * CarbonMarketplace.sol
+ * ---------------------
+ * Simple peer-to-peer marketplace for BaseCarbon (BC) tokens.
+ *
+ * Features:
+ *  - Producers list BC tokens for sale (and can cancel the listing)
+ *  - Buyers can Buy Now at list price, for the whole lot or part of it
+ *  - Buyers can submit offers (volume discounts / negotiation), escrowing ETH
+ *  - Sellers can accept offers on-chain; buyers can withdraw open offers
+ *  - Offers left open when a listing closes stay in escrow until their
+ *    buyer withdraws them (no per-listing loop, so no cap on open offers)
+ *  - 95% BC to buyer, 5% BC to treasury (protocol fee)
+ *  - Listings are priced in ETH or an ERC-20 payment token (e.g. a USD
+ *    stablecoin); payments are credited to the seller, who withdraws them
+ *  - Sellers without ETH sign EIP-712 intents (list, cancel, accept offer)
+ *    that anyone (our relayer) submits with the *BySig functions
+ *
+ * Designed for:
+ *  - ESG buyers (airlines, exporters, corporates)
+ *  - Farmers / solar producers / off-grid assets
+ *  - Buyers using any currency (fiat or crypto) via CDP swap before purchase
+ */
+
+interface IBaseCarbonToken {
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+    function decimals() external view returns (uint8);
+}
+
+interface IERC20Payment {
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+    function transfer(address to, uint256 amount) external returns (bool);
+    function balanceOf(address account) external view returns (uint256);
+}
+
+contract CarbonMarketplace is EIP712 {
+    // ------------------------------------------------------------
+    // Storage
+    // ------------------------------------------------------------
+
+    IBaseCarbonToken public immutable bcToken;
+    address public immutable treasury;
+
+    uint256 public listingCounter;
+    uint256 public offerCounter;
+
+    /// @notice paymentToken value for listings priced in ETH
+    address public constant ETH = address(0);
+
+    struct Listing {
+        uint256 id;
+        address seller;
+        address paymentToken; // ETH (address(0)) or an ERC-20
+        uint256 amountBC;     // BC still for sale (decreases with partial fills)
+        uint256 price;        // price for the remaining amount, in paymentToken units
+        bool active;
+    }
+
+    struct Offer {
+        uint256 id;
+        uint256 listingId;
+        address buyer;
+        uint256 amountBC;
+        uint256 price;        // buyer’s offer (total, in the listing's paymentToken, held in escrow)
+        bool active;
+    }
+
+    mapping(uint256 => Listing) public listings;
+    mapping(uint256 => Offer)   public offers;
+
+    /// @notice listingId => offers on it not yet accepted or withdrawn
+    mapping(uint256 => uint256) public openOfferCount;
+
+    /// @notice account => paymentToken => sale proceeds it can withdraw
+    mapping(address => mapping(address => uint256)) public withdrawable;
+
+    bytes32 public constant CREATE_LISTING_TYPEHASH = keccak256(
+        "CreateListing(address seller,address paymentToken,uint256 amountBC,uint256 price,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant CANCEL_LISTING_TYPEHASH =
+        keccak256("CancelListing(address seller,uint256 listingId,uint256 nonce,uint256 deadline)");
+    bytes32 public constant ACCEPT_OFFER_TYPEHASH =
+        keccak256("AcceptOffer(address seller,uint256 offerId,uint256 nonce,uint256 deadline)");
+
+    /// @notice Next intent nonce per seller: intents are used in order, once
+    mapping(address => uint256) public nonces;
+
+    bool private locked;
+
+    // ------------------------------------------------------------
+    // Events
+    // ------------------------------------------------------------
+
+    event ListingCreated(uint256 listingId, address seller, address paymentToken, uint256 amountBC, uint256 price);
+    /// @dev amountBC / price are what this purchase bought and paid
+    event ListingPurchased(uint256 listingId, address buyer, uint256 amountBC, uint256 price);
+    event ListingCancelled(uint256 listingId, address seller);
+
+    event OfferMade(uint256 offerId, uint256 listingId, address buyer, uint256 amountBC, uint256 price);
+    event OfferAccepted(uint256 offerId, uint256 listingId, address seller, address buyer);
+    event OfferWithdrawn(uint256 offerId, uint256 listingId, address buyer, uint256 refund);
+
+    event Withdrawn(address account, address paymentToken, uint256 amount);
+
+    // ------------------------------------------------------------
+    // Constructor
+    // ------------------------------------------------------------
+
+    constructor(address tokenAddress, address treasuryAddress) EIP712("CarbonMarketplace", "1") {
+        require(tokenAddress != address(0), "Zero token");
+        require(treasuryAddress != address(0), "Zero treasury");
+
+        bcToken = IBaseCarbonToken(tokenAddress);
+        treasury = treasuryAddress;
+    }
+
+    modifier nonReentrant() {
+        require(!locked, "Reentrant call");
+        locked = true;
+        _;
+        locked = false;
+    }
+
+    // ------------------------------------------------------------
+    // Listing: Seller posts BC for sale
+    // ------------------------------------------------------------
+
+    /**
+     * @notice List `amountBC` for `price` (whole lot) in `paymentToken` units
+     * (wei when paymentToken is ETH).
+     */
+    function createListing(uint256 amountBC, address paymentToken, uint256 price)
+        external
+        returns (uint256 listingId)
+    {
+        return _createListing(msg.sender, amountBC, paymentToken, price);
+    }
+
+    /**
+     * @notice Seller takes the rest of a listing off the market.
+     * Open offers on it stay withdrawable by their buyers.
+     */
+    function cancelListing(uint256 listingId) external nonReentrant {
+        _cancelListing(msg.sender, listingId);
+    }
+
+    // ------------------------------------------------------------
+    // SIGNED INTENTS (gasless for the seller; anyone may submit)
+    // ------------------------------------------------------------
+
+    /// @notice createListing signed by `seller` (CreateListing typed data)
+    function createListingBySig(
+        address seller,
+        uint256 amountBC,
+        address paymentToken,
+        uint256 price,
+        uint256 deadline,
+        bytes calldata signature
+    ) external returns (uint256 listingId) {
+        bytes32 structHash = keccak256(
+            abi.encode(CREATE_LISTING_TYPEHASH, seller, paymentToken, amountBC, price, nonces[seller]++, deadline)
+        );
+        _checkIntent(seller, structHash, deadline, signature);
+        return _createListing(seller, amountBC, paymentToken, price);
+    }
+
+    /// @notice cancelListing signed by `seller` (CancelListing typed data)
+    function cancelListingBySig(address seller, uint256 listingId, uint256 deadline, bytes calldata signature)
+        external
+        nonReentrant
+    {
+        bytes32 structHash = keccak256(
+            abi.encode(CANCEL_LISTING_TYPEHASH, seller, listingId, nonces[seller]++, deadline)
+        );
+        _checkIntent(seller, structHash, deadline, signature);
+        _cancelListing(seller, listingId);
+    }
+
+    /// @notice acceptOffer signed by `seller` (AcceptOffer typed data)
+    function acceptOfferBySig(address seller, uint256 offerId, uint256 deadline, bytes calldata signature)
+        external
+        nonReentrant
+    {
+        bytes32 structHash = keccak256(
+            abi.encode(ACCEPT_OFFER_TYPEHASH, seller, offerId, nonces[seller]++, deadline)
+        );
+        _checkIntent(seller, structHash, deadline, signature);
+        _acceptOffer(seller, offerId);
+    }
+
+    // ------------------------------------------------------------
+    // BUY NOW (whole lot or part of it, at the list rate)
+    // ------------------------------------------------------------
+
+    /**
+     * @notice Cost of `amountBC` from a listing in its paymentToken, pro-rata
+     * to the list price (rounded up, so partial buys never pay below the list rate).
+     */
+    function quote(uint256 listingId, uint256 amountBC) public view returns (uint256) {
+        Listing memory lst = listings[listingId];
+        require(amountBC > 0 && amountBC <= lst.amountBC, "Invalid amount");
+        return (lst.price * amountBC + lst.amountBC - 1) / lst.amountBC;
+    }
+
+    function buyNow(uint256 listingId) external payable {
+        buyBC(listingId, listings[listingId].amountBC);
+    }
+
+    function buyBC(uint256 listingId, uint256 amountBC) public payable nonReentrant {
+        Listing storage lst = listings[listingId];
+        require(lst.active, "Listing inactive");
+
+        uint256 cost = quote(listingId, amountBC);
+        _collectPayment(lst.paymentToken, cost);
+
+        _fill(lst, amountBC, cost);
+        _transferBC(lst.seller, msg.sender, amountBC);
+
+        // Payment → seller's withdrawable balance (full amount)
+        withdrawable[lst.seller][lst.paymentToken] += cost;
+
+        emit ListingPurchased(listingId, msg.sender, amountBC, cost);
+    }
+
+    // ------------------------------------------------------------
+    // OFFERS: Buyer wants a discount or better rate
+    // ------------------------------------------------------------
+
+    /**
+     * @notice Offer `price` (total, in the listing's paymentToken) for
+     * `amountBC`. The payment is held in escrow until accepted / withdrawn.
+     */
+    function makeOffer(uint256 listingId, uint256 amountBC, uint256 price)
+        external
+        payable
+        nonReentrant
+        returns (uint256 offerId)
+    {
+        Listing memory lst = listings[listingId];
+        require(lst.active, "Listing inactive");
+        require(amountBC > 0, "Zero BC");
+        require(amountBC <= lst.amountBC, "Exceeds listing");
+        require(price > 0, "Zero offer");
+
+        _collectPayment(lst.paymentToken, price);
+
+        offerCounter++;
+        offerId = offerCounter;
+
+        offers[offerId] = Offer({
+            id: offerId,
+            listingId: listingId,
+            buyer: msg.sender,
+            amountBC: amountBC,
+            price: price,
+            active: true
+        });
+        openOfferCount[listingId]++;
+
+        emit OfferMade(offerId, listingId, msg.sender, amountBC, price);
+    }
+
+    /**
+     * @notice Buyer takes back an open offer and its escrowed payment, on an
+     * active listing or one that closed (sold out / cancelled) meanwhile.
+     */
+    function withdrawOffer(uint256 offerId) external nonReentrant {
+        Offer storage off = offers[offerId];
+        require(off.active, "Offer inactive");
+        require(off.buyer == msg.sender, "Not buyer");
+
+        off.active = false;
+        openOfferCount[off.listingId]--;
+
+        _pay(listings[off.listingId].paymentToken, msg.sender, off.price);
+
+        emit OfferWithdrawn(offerId, off.listingId, msg.sender, off.price);
+    }
+
+    /**
+     * @notice Pull sale proceeds credited in `paymentToken`.
+     */
+    function withdraw(address paymentToken) external nonReentrant {
+        uint256 amount = withdrawable[msg.sender][paymentToken];
+        require(amount > 0, "Nothing to withdraw");
+
+        withdrawable[msg.sender][paymentToken] = 0;
+        _pay(paymentToken, msg.sender, amount);
+
+        emit Withdrawn(msg.sender, paymentToken, amount);
+    }
+
+    // ------------------------------------------------------------
+    // ACCEPT OFFER (Seller decides to take it)
+    // ------------------------------------------------------------
+
+    function acceptOffer(uint256 offerId) external nonReentrant {
+        _acceptOffer(msg.sender, offerId);
+    }
+
+    // ------------------------------------------------------------
+    // Internal
+    // ------------------------------------------------------------
+
+    function _createListing(address seller, uint256 amountBC, address paymentToken, uint256 price)
+        private
+        returns (uint256 listingId)
+    {
+        require(amountBC > 0, "Zero amount");
+        require(price > 0, "Zero price");
+        require(paymentToken == ETH || paymentToken.code.length > 0, "Bad payment token");
+
+        listingCounter++;
+        listingId = listingCounter;
+
+        listings[listingId] = Listing({
+            id: listingId,
+            seller: seller,
+            paymentToken: paymentToken,
+            amountBC: amountBC,
+            price: price,
+            active: true
+        });
+
+        emit ListingCreated(listingId, seller, paymentToken, amountBC, price);
+    }
+
+    function _cancelListing(address seller, uint256 listingId) private {
+        Listing storage lst = listings[listingId];
+        require(lst.active, "Listing inactive");
+        require(lst.seller == seller, "Not seller");
+
+        lst.active = false;
+        emit ListingCancelled(listingId, seller);
+    }
+
+    function _acceptOffer(address seller, uint256 offerId) private {
+        Offer storage off = offers[offerId];
+        require(off.active, "Offer inactive");
+
+        Listing storage lst = listings[off.listingId];
+        require(lst.active, "Listing inactive");
+        require(lst.seller == seller, "Not seller");
+        require(off.amountBC <= lst.amountBC, "Exceeds listing");
+
+        off.active = false;
+        openOfferCount[off.listingId]--;
+
+        // The listing shrinks by the offer's share of the list price
+        _fill(lst, off.amountBC, quote(off.listingId, off.amountBC));
+
+        // Escrowed payment → seller's withdrawable balance (agreement price)
+        withdrawable[lst.seller][lst.paymentToken] += off.price;
+
+        _transferBC(lst.seller, off.buyer, off.amountBC);
+
+        emit OfferAccepted(offerId, lst.id, lst.seller, off.buyer);
+    }
+
+    /// @dev The nonce is already consumed by the caller's struct hash
+    function _checkIntent(address seller, bytes32 structHash, uint256 deadline, bytes calldata signature)
+        private
+        view
+    {
+        require(block.timestamp <= deadline, "Intent expired");
+        require(_recover(_hashTypedData(structHash), signature) == seller, "Invalid signature");
+    }
+
+    /**
+     * @dev Take `amountBC` (worth `listValue` at the list rate) off a listing,
+     * closing it when nothing is left. A fill must not leave BC priced at 0.
+     */
+    function _fill(Listing storage lst, uint256 amountBC, uint256 listValue) private {
+        require(amountBC == lst.amountBC || listValue < lst.price, "Remainder too small");
+
+        lst.amountBC -= amountBC;
+        lst.price -= listValue;
+        if (lst.amountBC == 0) {
+            lst.active = false;
+        }
+    }
+
+    /// @dev 95% BC to buyer, 5% to treasury
+    function _transferBC(address seller, address buyer, uint256 amountBC) private {
+        uint256 buyerBC = (amountBC * 95) / 100;
+        uint256 feeBC   = amountBC - buyerBC;
+
+        require(bcToken.transferFrom(seller, buyer, buyerBC), "Transfer fail");
+        require(bcToken.transferFrom(seller, treasury, feeBC), "Fee fail");
+    }
+
+    /**
+     * @dev Take `amount` from msg.sender: msg.value for ETH, transferFrom for
+     * ERC-20s (fee-on-transfer tokens are rejected so escrow always adds up).
+     */
+    function _collectPayment(address paymentToken, uint256 amount) private {
+        if (paymentToken == ETH) {
+            require(msg.value == amount, "Incorrect ETH");
+            return;
+        }
+        require(msg.value == 0, "ETH not accepted");
+
+        IERC20Payment token = IERC20Payment(paymentToken);
+        uint256 before = token.balanceOf(address(this));
+        require(token.transferFrom(msg.sender, address(this), amount), "Payment failed");
+        require(token.balanceOf(address(this)) - before == amount, "Unsupported payment token");
+    }
+
+    function _pay(address paymentToken, address to, uint256 amount) private {
+        if (paymentToken == ETH) {
+            (bool ok, ) = payable(to).call{value: amount}("");
+            require(ok, "ETH transfer failed");
+        } else {
+            require(IERC20Payment(paymentToken).transfer(to, amount), "Payment failed");
+        }
+    }
+}
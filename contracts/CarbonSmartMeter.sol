@@ -10,18 +10,28 @@ import "./OracleConsumer.sol";
  *
  * Responsibilities:
  *  - Receives verified energy readings (in milli-kWh) from backend (ESP32 → Cloud → LLM → Backend)
- *  - Applies CO₂ impact calculation using global GRID_DENSITY_MICRO_KG_PER_KWH
- *  - Tracks device + wallet totals
+ *  - Applies CO₂ impact calculation using the device's regional grid intensity
+ *    (owner-managed table, falls back to GRID_DENSITY_MICRO_KG_PER_KWH)
+ *  - Tracks device + wallet totals, and which devices each wallet holds
+ *  - Device lifecycle: register, deactivate / reactivate, transfer to a new
+ *    wallet (e.g. the farm is sold) and unbind (wallet asks, owner approves);
+ *    the deviceId, its totals and its period guard survive transfers
+ *  - Accepts readings one by one or as batched per-device aggregates, each
+ *    aggregate anchored to its raw signed readings by a Merkle root
+ *  - Every reading covers a [periodStart, periodEnd) interval; periods of a device
+ *    must be strictly sequential, so the same generation can't be counted twice
  *  - Converts 2.5 kWh → 1 BC token
  *  - Mints BaseCarbon (BC) tokens via ERC-20 contract
- *  - Optionally retrieves USD valuation for reporting (via on-chain oracle stub)
+ *  - Optionally values a wallet's offsets in USD for reporting, from an
+ *    owner-configured AggregatorV3-compatible BC/USD feed (OracleConsumer)
  *
  * Notes:
- *  - MRV happens off-chain (signature verification, daily caps, regional grid intensity, anomaly detection)
+ *  - MRV happens off-chain (signature verification, daily caps, anomaly detection)
+ *  - Regional grid factors are sourced off-chain (docs/Grid_Sources.md) and written
+ *    on-chain with a source citation via setGridIntensity()
  *  - On-chain contract only handles VERIFIED inputs from trusted backend
- *  - For the hackathon, OracleConsumer.getLatestPrice() returns a fixed price
- *    (e.g. 100.00000000 USD with 8 decimals). Swapping to a live Chainlink
- *    feed later is a one-file change in OracleConsumer.
+ *  - Valuations revert while no feed is set, or its price is stale (older
+ *    than maxPriceAge) or <= 0; the owner swaps feeds with setPriceFeed()
  */
 
 interface IBaseCarbonToken {
@@ -34,6 +44,7 @@ contract CarbonSmartMeter is OracleConsumer {
     // Constants
     // ------------------------------------------------------------------------
 
+    /// @dev Global conservative fallback, used for devices without a region (location privacy)
     uint256 public constant GRID_DENSITY_MICRO_KG_PER_KWH = 400_000; // 0.40 kg CO₂/kWh → 400,000 µg
     uint256 public constant MILLI_PER_KWH = 1_000;                   // 1 kWh = 1,000 milli-kWh
 
@@ -52,6 +63,14 @@ contract CarbonSmartMeter is OracleConsumer {
         uint256 totalKwhMilli;
         uint256 totalCo2MicroKg;
         bool active;
+        bytes32 region;           // e.g. "NZ" as bytes32, 0 = privacy fallback
+    }
+
+    struct GridIntensity {
+        uint256 microKgPerKwh;    // µg CO₂ per kWh (0.110 kg/kWh → 110,000)
+        uint64 effectiveFrom;     // unix time the factor applies from
+        uint64 updatedAt;
+        string source;            // citation, e.g. "MBIE NZ 2024"
     }
 
     // ------------------------------------------------------------------------
@@ -65,6 +84,19 @@ contract CarbonSmartMeter is OracleConsumer {
     mapping(address => uint256) public totalKwhMilliByWallet;
     mapping(address => uint256) public totalCo2MicroKgByWallet;
 
+    /// @dev End of the last period recorded per device; new periods must start at or after it
+    mapping(bytes32 => uint64) public lastPeriodEnd;
+
+    /// @dev Devices bound to each wallet; deviceSlot is index + 1 in that list (0 = none)
+    mapping(address => bytes32[]) private walletDevices;
+    mapping(bytes32 => uint256) private deviceSlot;
+
+    /// @dev Set by the device's wallet, cleared by approveUnbind / cancelUnbind / transfer
+    mapping(bytes32 => bool) public unbindRequested;
+
+    mapping(bytes32 => GridIntensity) public gridIntensities;
+    bytes32[] private regionCodes;
+
     IBaseCarbonToken public immutable baseCarbonToken;
 
     // ------------------------------------------------------------------------
@@ -73,15 +105,45 @@ contract CarbonSmartMeter is OracleConsumer {
 
     event DeviceRegistered(bytes32 indexed deviceId, address indexed wallet);
     event DeviceDeactivated(bytes32 indexed deviceId);
+    event DeviceReactivated(bytes32 indexed deviceId);
+    event DeviceTransferred(bytes32 indexed deviceId, address indexed from, address indexed to);
+    event DeviceUnbindRequested(bytes32 indexed deviceId, address indexed wallet);
+    event DeviceUnbindCancelled(bytes32 indexed deviceId, address indexed wallet);
+    event DeviceUnbound(bytes32 indexed deviceId, address indexed wallet);
+
+    event DeviceRegionUpdated(bytes32 indexed deviceId, bytes32 indexed region);
+
+    event GridIntensityUpdated(
+        bytes32 indexed region,
+        uint256 microKgPerKwh,
+        uint64 effectiveFrom,
+        string source
+    );
 
     event EnergyRecorded(
         bytes32 indexed deviceId,
         address indexed wallet,
         uint256 kwhMilli,
-        uint256 co2MicroKg
+        uint256 co2MicroKg,
+        bytes32 region,
+        uint256 gridMicroKgPerKwh,
+        uint64 periodStart,
+        uint64 periodEnd
+    );
+
+    /// @dev Emitted per batch item, next to its EnergyRecorded / TokensMinted
+    event ReadingsAggregated(
+        bytes32 indexed deviceId,
+        uint64 periodStart,
+        uint64 periodEnd,
+        uint256 kwhMilli,
+        bytes32 readingsRoot
     );
 
     event TokensMinted(address indexed wallet, uint256 amount);
+
+    /// @dev A wallet's sub-BC remainder paid out as fractional BC (device transfer / unbind)
+    event PendingSettled(address indexed wallet, uint256 kwhMilli, uint256 amount);
     event OwnerUpdated(address indexed oldOwner, address indexed newOwner);
 
     // ------------------------------------------------------------------------
@@ -114,12 +176,64 @@ contract CarbonSmartMeter is OracleConsumer {
         owner = newOwner;
     }
 
+    /**
+     * @notice Point valuations at a BC/USD feed (AggregatorV3-compatible).
+     * @param maxAge Seconds a round may be old before prices count as stale
+     *        (at least the feed's heartbeat)
+     */
+    function setPriceFeed(address feed, uint256 maxAge) external onlyOwner {
+        _setPriceFeed(feed, maxAge);
+    }
+
     function registerDevice(bytes32 deviceId, address wallet) external onlyOwner {
-        require(wallet != address(0), "Zero wallet");
-        require(devices[deviceId].deviceId == 0, "Device already registered");
+        _registerDevice(deviceId, wallet, 0);
+    }
 
-        devices[deviceId] = Device(deviceId, wallet, 0, 0, true);
-        emit DeviceRegistered(deviceId, wallet);
+    function registerDeviceInRegion(bytes32 deviceId, address wallet, bytes32 region)
+        external
+        onlyOwner
+    {
+        _registerDevice(deviceId, wallet, region);
+    }
+
+    function setDeviceRegion(bytes32 deviceId, bytes32 region) external onlyOwner {
+        Device storage d = devices[deviceId];
+        require(d.deviceId != 0, "Not registered");
+        _requireKnownRegion(region);
+
+        d.region = region;
+        emit DeviceRegionUpdated(deviceId, region);
+    }
+
+    /**
+     * @notice Add or update a region's grid intensity factor.
+     *
+     * Factors come from public datasets (IEA, EEA, EIA, ...), see
+     * docs/Grid_Sources.md. The citation is stored on-chain so every
+     * EnergyRecorded entry can be traced back to its source.
+     */
+    function setGridIntensity(
+        bytes32 region,
+        uint256 microKgPerKwh,
+        string calldata source,
+        uint64 effectiveFrom
+    ) external onlyOwner {
+        require(region != 0, "Zero region");
+        require(microKgPerKwh > 0, "Zero intensity");
+        require(bytes(source).length > 0, "Missing source");
+        require(effectiveFrom <= block.timestamp, "Not yet effective");
+
+        GridIntensity storage g = gridIntensities[region];
+        if (g.updatedAt == 0) {
+            regionCodes.push(region);
+        }
+
+        g.microKgPerKwh = microKgPerKwh;
+        g.effectiveFrom = effectiveFrom;
+        g.updatedAt = uint64(block.timestamp);
+        g.source = source;
+
+        emit GridIntensityUpdated(region, microKgPerKwh, effectiveFrom, source);
     }
 
     function deactivateDevice(bytes32 deviceId) external onlyOwner {
@@ -130,19 +244,152 @@ contract CarbonSmartMeter is OracleConsumer {
         emit DeviceDeactivated(deviceId);
     }
 
+    /// @notice Bring a deactivated device back, e.g. after a maintenance hold
+    function reactivateDevice(bytes32 deviceId) external onlyOwner {
+        Device storage d = devices[deviceId];
+        require(d.deviceId != 0, "Not registered");
+        require(!d.active, "Active");
+        d.active = true;
+        emit DeviceReactivated(deviceId);
+    }
+
+    /**
+     * @notice Move a device to a new wallet, keeping its id, totals and period guard.
+     *
+     * The old wallet's pendingKwhMilli (energy not yet worth a whole BC) was
+     * generated while it held the device, so it is settled to the old wallet
+     * as fractional BC first; the new wallet only earns from later readings.
+     * Pending energy is pooled per wallet, not per device: the whole pool is
+     * settled, including energy of the wallet's other devices. That energy
+     * is minted to the same wallet at the same rate, just as fractional BC
+     * now instead of whole BC later.
+     */
+    function transferDevice(bytes32 deviceId, address newWallet) external onlyOwner {
+        Device storage d = devices[deviceId];
+        require(d.deviceId != 0, "Not registered");
+        require(newWallet != address(0), "Zero wallet");
+        address oldWallet = d.wallet;
+        require(newWallet != oldWallet, "Same wallet");
+
+        _settlePending(oldWallet);
+        _removeWalletDevice(oldWallet, deviceId);
+        _addWalletDevice(newWallet, deviceId);
+        d.wallet = newWallet;
+        delete unbindRequested[deviceId];
+
+        emit DeviceTransferred(deviceId, oldWallet, newWallet);
+    }
+
+    /// @notice Device wallet asks for the device to be unbound (needs approveUnbind)
+    function requestUnbind(bytes32 deviceId) external {
+        Device storage d = devices[deviceId];
+        require(d.deviceId != 0, "Not registered");
+        require(msg.sender == d.wallet, "Not device wallet");
+        require(!unbindRequested[deviceId], "Already requested");
+        unbindRequested[deviceId] = true;
+        emit DeviceUnbindRequested(deviceId, msg.sender);
+    }
+
+    function cancelUnbind(bytes32 deviceId) external {
+        require(unbindRequested[deviceId], "No unbind request");
+        require(msg.sender == devices[deviceId].wallet, "Not device wallet");
+        delete unbindRequested[deviceId];
+        emit DeviceUnbindCancelled(deviceId, msg.sender);
+    }
+
+    /**
+     * @notice Approve a wallet's unbind request: the device record is removed
+     * (the wallet's pending energy settled to it, other devices' included, as
+     * in transferDevice), so the deviceId can be registered again. lastPeriodEnd is kept, so re-registering can't
+     * re-count periods already recorded.
+     */
+    function approveUnbind(bytes32 deviceId) external onlyOwner {
+        require(unbindRequested[deviceId], "No unbind request");
+        address wallet = devices[deviceId].wallet;
+
+        _settlePending(wallet);
+        _removeWalletDevice(wallet, deviceId);
+        delete devices[deviceId];
+        delete unbindRequested[deviceId];
+
+        emit DeviceUnbound(deviceId, wallet);
+    }
+
     // ------------------------------------------------------------------------
     // Core: Verified Reading → CO₂ impact → BC Minting
     // ------------------------------------------------------------------------
 
-    function recordVerifiedReading(bytes32 deviceId, uint256 kwhMilli)
-        external
-        onlyOwner
-    {
+    /**
+     * @notice Record energy generated by a device between periodStart and periodEnd
+     * (unix seconds). Reverts if the period overlaps or precedes one already recorded.
+     */
+    function recordVerifiedReading(
+        bytes32 deviceId,
+        uint256 kwhMilli,
+        uint64 periodStart,
+        uint64 periodEnd
+    ) external onlyOwner {
+        _recordEnergy(deviceId, kwhMilli, periodStart, periodEnd);
+    }
+
+    /**
+     * @notice Record several per-device aggregates in one transaction.
+     *
+     * Each item is accounted and minted exactly like a separate
+     * recordVerifiedReading() call (same pendingKwhMilli carry-over, same
+     * EnergyRecorded / TokensMinted events), plus a ReadingsAggregated event
+     * with the covered period and the Merkle root of the raw signed readings.
+     */
+    function recordVerifiedBatch(
+        bytes32[] calldata deviceIds,
+        uint256[] calldata kwhMilli,
+        uint64[] calldata periodStarts,
+        uint64[] calldata periodEnds,
+        bytes32[] calldata readingsRoots
+    ) external onlyOwner {
+        uint256 count = deviceIds.length;
+        require(count > 0, "Empty batch");
+        require(
+            kwhMilli.length == count &&
+                periodStarts.length == count &&
+                periodEnds.length == count &&
+                readingsRoots.length == count,
+            "Length mismatch"
+        );
+
+        for (uint256 i = 0; i < count; i++) {
+            require(readingsRoots[i] != 0, "Missing readings root");
+
+            _recordEnergy(deviceIds[i], kwhMilli[i], periodStarts[i], periodEnds[i]);
+            emit ReadingsAggregated(
+                deviceIds[i],
+                periodStarts[i],
+                periodEnds[i],
+                kwhMilli[i],
+                readingsRoots[i]
+            );
+        }
+    }
+
+    // ------------------------------------------------------------------------
+    // Internal
+    // ------------------------------------------------------------------------
+
+    function _recordEnergy(
+        bytes32 deviceId,
+        uint256 kwhMilli,
+        uint64 periodStart,
+        uint64 periodEnd
+    ) internal {
         require(kwhMilli > 0, "Zero reading");
+        require(periodStart < periodEnd, "Invalid period");
 
         Device storage d = devices[deviceId];
         require(d.deviceId != 0, "Device not registered");
         require(d.active, "Inactive");
+        require(periodStart >= lastPeriodEnd[deviceId], "Overlapping period");
+
+        lastPeriodEnd[deviceId] = periodEnd;
 
         address wallet = d.wallet;
 
@@ -150,14 +397,23 @@ contract CarbonSmartMeter is OracleConsumer {
         d.totalKwhMilli += kwhMilli;
         totalKwhMilliByWallet[wallet] += kwhMilli;
 
-        // CO₂ impact (micro-kg)
-        uint256 co2Delta =
-            (kwhMilli * GRID_DENSITY_MICRO_KG_PER_KWH) / MILLI_PER_KWH;
+        // CO₂ impact (micro-kg) using the device's regional factor
+        uint256 intensity = gridIntensityFor(d.region);
+        uint256 co2Delta = (kwhMilli * intensity) / MILLI_PER_KWH;
 
         d.totalCo2MicroKg += co2Delta;
         totalCo2MicroKgByWallet[wallet] += co2Delta;
 
-        emit EnergyRecorded(deviceId, wallet, kwhMilli, co2Delta);
+        emit EnergyRecorded(
+            deviceId,
+            wallet,
+            kwhMilli,
+            co2Delta,
+            d.region,
+            intensity,
+            periodStart,
+            periodEnd
+        );
 
         // Minting logic
         uint256 pending = pendingKwhMilli[wallet] + kwhMilli;
@@ -175,10 +431,71 @@ contract CarbonSmartMeter is OracleConsumer {
         pendingKwhMilli[wallet] = remainder;
     }
 
+    function _registerDevice(bytes32 deviceId, address wallet, bytes32 region) internal {
+        require(wallet != address(0), "Zero wallet");
+        require(devices[deviceId].deviceId == 0, "Device already registered");
+        _requireKnownRegion(region);
+
+        devices[deviceId] = Device(deviceId, wallet, 0, 0, true, region);
+        _addWalletDevice(wallet, deviceId);
+        emit DeviceRegistered(deviceId, wallet);
+
+        if (region != 0) {
+            emit DeviceRegionUpdated(deviceId, region);
+        }
+    }
+
+    function _addWalletDevice(address wallet, bytes32 deviceId) internal {
+        walletDevices[wallet].push(deviceId);
+        deviceSlot[deviceId] = walletDevices[wallet].length;
+    }
+
+    /// @dev Swap-and-pop: O(1), the wallet's device order is not preserved
+    function _removeWalletDevice(address wallet, bytes32 deviceId) internal {
+        bytes32[] storage list = walletDevices[wallet];
+        uint256 index = deviceSlot[deviceId] - 1;
+        bytes32 last = list[list.length - 1];
+
+        list[index] = last;
+        deviceSlot[last] = index + 1;
+        list.pop();
+        delete deviceSlot[deviceId];
+    }
+
+    /// @dev Mint a wallet's pendingKwhMilli as fractional BC (same 2.5 kWh = 1 BC rate)
+    function _settlePending(address wallet) internal {
+        uint256 pending = pendingKwhMilli[wallet];
+        uint256 scale = 10 ** uint256(TOKEN_DECIMALS);
+        uint256 amount = (pending * scale) / KWH_PER_TOKEN_MILLI;
+        if (amount == 0) return;
+
+        // Exact for 18 decimals; any unmintable dust stays pending
+        uint256 settled = (amount * KWH_PER_TOKEN_MILLI) / scale;
+        pendingKwhMilli[wallet] = pending - settled;
+
+        baseCarbonToken.mint(wallet, amount);
+        emit TokensMinted(wallet, amount);
+        emit PendingSettled(wallet, settled, amount);
+    }
+
+    function _requireKnownRegion(bytes32 region) internal view {
+        require(region == 0 || gridIntensities[region].updatedAt != 0, "Unknown region");
+    }
+
     // ------------------------------------------------------------------------
     // Views
     // ------------------------------------------------------------------------
 
+    /// @notice µg CO₂/kWh applied to a region (global fallback for region 0 / unknown)
+    function gridIntensityFor(bytes32 region) public view returns (uint256) {
+        uint256 intensity = gridIntensities[region].microKgPerKwh;
+        return intensity > 0 ? intensity : GRID_DENSITY_MICRO_KG_PER_KWH;
+    }
+
+    function getRegionCodes() external view returns (bytes32[] memory) {
+        return regionCodes;
+    }
+
     function getDevice(bytes32 deviceId)
         external
         view
@@ -188,6 +505,15 @@ contract CarbonSmartMeter is OracleConsumer {
         return devices[deviceId];
     }
 
+    /// @notice Devices currently bound to `wallet` (active or not)
+    function getWalletDevices(address wallet) external view returns (bytes32[] memory) {
+        return walletDevices[wallet];
+    }
+
+    function getWalletDeviceCount(address wallet) external view returns (uint256) {
+        return walletDevices[wallet].length;
+    }
+
     function getWalletTotals(address wallet)
         external
         view
@@ -207,44 +533,47 @@ contract CarbonSmartMeter is OracleConsumer {
     /**
      * @notice USD valuation helper (non-critical).
      *
-     * For hackathon deployment, this uses the stubbed on-chain oracle
-     * via OracleConsumer.getLatestPrice(), which returns a fixed price
-     * (e.g. 100.00000000 USD with 8 decimals).
+     * Values the BC a wallet earned from verified energy at the feed's
+     * latest price, and reports the feed + round it used. Reverts if no feed
+     * is set or the price is stale / <= 0 (see OracleConsumer).
      *
      * Formula:
      *   - Compute BC units from total verified kWh
      *   - Convert BC units → ERC20 token units
      *   - Multiply by oracle price
      *   - Normalize using oracle decimals
+     *
+     * @return usdValue  USD value with the token's decimals (18)
+     * @return price     feed answer used (feed decimals)
+     * @return feed      feed address
+     * @return roundId   feed round the price came from
+     * @return updatedAt when that round was updated (unix seconds)
      */
     function getWalletOffsetValueUSD(address wallet)
         external
         view
-        returns (uint256 usdValue)
+        returns (
+            uint256 usdValue,
+            int256 price,
+            address feed,
+            uint80 roundId,
+            uint256 updatedAt
+        )
     {
-        // 1) Total verified energy for this wallet
-        uint256 kwhMilli = totalKwhMilliByWallet[wallet];
-
-        // Convert to BaseCarbon token units (1 BC per 2.5 kWh)
-        uint256 bcUnits = kwhMilli / KWH_PER_TOKEN_MILLI;
-
-        if (bcUnits == 0) {
-            return 0;
-        }
+        // 1) Validated feed price
+        (roundId, price, , updatedAt, ) = getLatestRoundData();
+        feed = address(priceFeed);
+        uint8 priceDecimals = priceFeed.decimals();
 
-        // 2) Convert BC “units” to ERC-20 decimals
-        uint256 scaleFactor = 10 ** uint256(TOKEN_DECIMALS);
-        uint256 bcBalance   = bcUnits * scaleFactor;
+        // 2) Total verified energy for this wallet → BaseCarbon token units
+        //    (1 BC per 2.5 kWh)
+        uint256 bcUnits = totalKwhMilliByWallet[wallet] / KWH_PER_TOKEN_MILLI;
 
-        // 3) Fetch stub oracle price
-        (int256 price, uint8 priceDecimals) = getLatestPrice();
-
-        if (price <= 0) {
-            return 0;
-        }
+        // 3) Convert BC “units” to ERC-20 decimals
+        uint256 bcBalance = bcUnits * (10 ** uint256(TOKEN_DECIMALS));
 
         // 4) USD value = (bcBalance * price) / 10^priceDecimals
         usdValue = (bcBalance * uint256(price)) /
                    (10 ** uint256(priceDecimals));
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./CarbonSmartMeter.sol";
+
+/**
+ * CarbonSmartMeterTestable.sol
+ * ----------------------------
+ * CarbonSmartMeter with its price feed wired in at deployment (tests / local
+ * demos with MockV3Aggregator). Production deployments call setPriceFeed().
+ */
+contract CarbonSmartMeterTestable is CarbonSmartMeter {
+    uint256 public constant DEFAULT_MAX_PRICE_AGE = 1 hours;
+
+    constructor(address token, address feed) CarbonSmartMeter(token) {
+        _setPriceFeed(feed, DEFAULT_MAX_PRICE_AGE);
+    }
+}
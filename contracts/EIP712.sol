@@ -0,0 +1,62 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * EIP712.sol
+ * ----------
+ * Typed structured data signing (EIP-712) shared by BaseCarbonToken
+ * (EIP-2612 permit) and CarbonMarketplace (signed listing / offer intents),
+ * so wallets without ETH can sign and a relayer pays the gas.
+ *
+ * The domain separator is cached for the deployment chain and rebuilt if the
+ * chain id ever changes (fork), so a signature never replays across chains.
+ * Signers are EOAs (CDP embedded wallets, browser wallets).
+ */
+abstract contract EIP712 {
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+
+    /// @dev secp256k1n / 2: larger s values are the malleable twin of a valid signature
+    uint256 private constant MAX_S = 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0;
+
+    bytes32 private immutable hashedName;
+    bytes32 private immutable hashedVersion;
+    uint256 private immutable cachedChainId;
+    bytes32 private immutable cachedDomainSeparator;
+
+    constructor(string memory domainName, string memory domainVersion) {
+        hashedName = keccak256(bytes(domainName));
+        hashedVersion = keccak256(bytes(domainVersion));
+        cachedChainId = block.chainid;
+        cachedDomainSeparator = _buildDomainSeparator();
+    }
+
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return block.chainid == cachedChainId ? cachedDomainSeparator : _buildDomainSeparator();
+    }
+
+    function _buildDomainSeparator() private view returns (bytes32) {
+        return keccak256(abi.encode(DOMAIN_TYPEHASH, hashedName, hashedVersion, block.chainid, address(this)));
+    }
+
+    /// @dev Digest the signer signed for a struct of this domain
+    function _hashTypedData(bytes32 structHash) internal view returns (bytes32) {
+        return keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+    }
+
+    /// @dev Signer of `digest`; reverts on malformed / malleable signatures
+    function _recover(bytes32 digest, uint8 v, bytes32 r, bytes32 s) internal pure returns (address signer) {
+        require(uint256(s) <= MAX_S && (v == 27 || v == 28), "Invalid signature");
+        signer = ecrecover(digest, v, r, s);
+        require(signer != address(0), "Invalid signature");
+    }
+
+    /// @dev _recover for a 65-byte r ‖ s ‖ v signature
+    function _recover(bytes32 digest, bytes calldata signature) internal pure returns (address) {
+        require(signature.length == 65, "Invalid signature");
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+        return _recover(digest, v, r, s);
+    }
+}
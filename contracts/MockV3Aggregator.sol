@@ -4,18 +4,35 @@ pragma solidity ^0.8.24;
 contract MockV3Aggregator {
     uint8 public decimals_;
     int256 public latestAnswer;
+    uint80 public latestRound;
+    uint256 public latestTimestamp;
+    uint256 public latestStartedAt;
 
     constructor(uint8 _decimals, int256 _initialAnswer) {
         decimals_ = _decimals;
-        latestAnswer = _initialAnswer;
+        updateAnswer(_initialAnswer);
     }
 
     function decimals() external view returns (uint8) {
         return decimals_;
     }
 
-    function updateAnswer(int256 _answer) external {
+    /// @dev New round with the current block time
+    function updateAnswer(int256 _answer) public {
+        updateRoundData(latestRound + 1, _answer, block.timestamp, block.timestamp);
+    }
+
+    /// @dev Full control for tests (e.g. a stale updatedAt)
+    function updateRoundData(
+        uint80 _roundId,
+        int256 _answer,
+        uint256 _timestamp,
+        uint256 _startedAt
+    ) public {
+        latestRound = _roundId;
         latestAnswer = _answer;
+        latestTimestamp = _timestamp;
+        latestStartedAt = _startedAt;
     }
 
     function latestRoundData()
@@ -29,6 +46,6 @@ contract MockV3Aggregator {
             uint80 answeredInRound
         )
     {
-        return (0, latestAnswer, 0, block.timestamp, 0);
+        return (latestRound, latestAnswer, latestStartedAt, latestTimestamp, latestRound);
     }
-}
\ No newline at end of file
+}
@@ -1,14 +1,55 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
+/// @dev Chainlink AggregatorV3 surface used here (any compatible feed works)
+interface AggregatorV3Interface {
+    function decimals() external view returns (uint8);
+
+    function latestRoundData()
+        external
+        view
+        returns (
+            uint80 roundId,
+            int256 answer,
+            uint256 startedAt,
+            uint256 updatedAt,
+            uint80 answeredInRound
+        );
+}
+
+/**
+ * OracleConsumer.sol
+ * ------------------
+ * Reads the BC/USD price from a configurable AggregatorV3-compatible feed.
+ *
+ * A price is only used if it is > 0 and its round was updated within
+ * `maxPriceAge` seconds; anything else reverts instead of valuing offsets
+ * at a wrong price. The inheriting contract decides who may swap the feed
+ * (CarbonSmartMeter: owner only, via setPriceFeed()).
+ */
 contract OracleConsumer {
-    function getLatestPrice() public pure returns (int256 price, uint8 decimals) {
-        return (100e8, 8); // 100.00000000 USD
+    AggregatorV3Interface public priceFeed;
+    uint256 public maxPriceAge;
+
+    event PriceFeedUpdated(address indexed feed, uint256 maxPriceAge);
+
+    function _setPriceFeed(address feed, uint256 maxAge) internal {
+        require(feed != address(0), "Zero feed address");
+        require(maxAge > 0, "Zero max age");
+        // Reverts for anything that isn't a feed
+        AggregatorV3Interface(feed).decimals();
+
+        priceFeed = AggregatorV3Interface(feed);
+        maxPriceAge = maxAge;
+        emit PriceFeedUpdated(feed, maxAge);
     }
 
+    /**
+     * @notice Latest round of the feed, validated (positive, not stale).
+     */
     function getLatestRoundData()
-        external
-        pure
+        public
+        view
         returns (
             uint80 roundId,
             int256 answer,
@@ -17,6 +58,16 @@ contract OracleConsumer {
             uint80 answeredInRound
         )
     {
-        return (0, 100e8, 0, 0, 0);
+        require(address(priceFeed) != address(0), "No price feed");
+
+        (roundId, answer, startedAt, updatedAt, answeredInRound) = priceFeed.latestRoundData();
+        require(answer > 0, "Invalid price");
+        require(updatedAt != 0 && updatedAt <= block.timestamp, "Incomplete round");
+        require(block.timestamp - updatedAt <= maxPriceAge, "Stale price");
+    }
+
+    function getLatestPrice() public view returns (int256 price, uint8 decimals) {
+        (, price, , , ) = getLatestRoundData();
+        decimals = priceFeed.decimals();
     }
-}
\ No newline at end of file
+}
@@ -1,6 +1,8 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
+import "./EIP712.sol";
+
 /**
  * Token.sol is our ERC-20 BaseCarbon (BC) contract.
  *
@@ -13,9 +15,13 @@ pragma solidity ^0.8.24;
  * - Minting restricted to our authorized system (CarbonSmartMeter)
  * - Deployed on Base
  * - Acts as the on-chain representation of verified carbon offsets
+ * - Holders retire (burn) BC to claim the offset for a beneficiary, so a
+ *   claimed tonne can never be resold
+ * - EIP-2612 permit: holders approve by signature, so wallets without ETH
+ *   (CDP embedded wallets) can list BC through a relayer
  */
 
-contract BaseCarbonToken {
+contract BaseCarbonToken is EIP712 {
     // ------------------------------------------------------------------------
     // ERC-20 metadata
     // ------------------------------------------------------------------------
@@ -39,6 +45,30 @@ contract BaseCarbonToken {
     /// @notice The authorized minter (must be the CarbonSmartMeter contract)
     address public minter;
 
+    /// @notice A retirement: BC burned to claim the offset for a beneficiary
+    struct Retirement {
+        address account;          // who burned the BC
+        address beneficiary;      // on whose behalf the offset is claimed
+        uint256 amount;
+        string beneficiaryName;   // e.g. legal entity name on the claim
+        string reason;            // claim text, e.g. "CBAM 2025 Q1, import #123"
+        uint64 periodStart;       // period the claim covers (unix seconds)
+        uint64 periodEnd;
+        uint64 retiredAt;
+    }
+
+    uint256 public constant MAX_RETIREMENT_TEXT = 512;
+
+    uint256 public totalRetired;
+    uint256 public retirementCounter;
+    mapping(uint256 => Retirement) public retirements;
+
+    bytes32 public constant PERMIT_TYPEHASH =
+        keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+
+    /// @notice Next permit nonce per holder (EIP-2612)
+    mapping(address => uint256) public nonces;
+
     // ------------------------------------------------------------------------
     // Events
     // ------------------------------------------------------------------------
@@ -47,6 +77,16 @@ contract BaseCarbonToken {
     event Approval(address indexed owner, address indexed spender, uint256 value);
     event MinterUpdated(address indexed oldMinter, address indexed newMinter);
     event OwnerUpdated(address indexed oldOwner, address indexed newOwner);
+    event Retired(
+        uint256 indexed retirementId,
+        address indexed account,
+        address indexed beneficiary,
+        uint256 amount,
+        string beneficiaryName,
+        string reason,
+        uint64 periodStart,
+        uint64 periodEnd
+    );
 
     // ------------------------------------------------------------------------
     // Modifiers
@@ -66,7 +106,7 @@ contract BaseCarbonToken {
     // Constructor
     // ------------------------------------------------------------------------
 
-    constructor() {
+    constructor() EIP712("BaseCarbon", "1") {
         owner = msg.sender;
     }
 
@@ -126,6 +166,30 @@ contract BaseCarbonToken {
         return true;
     }
 
+    /**
+     * @notice EIP-2612: set `spender`'s allowance from `_owner`'s signature.
+     * Anyone may submit it (that's the point: the holder pays no gas).
+     */
+    function permit(
+        address _owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        require(block.timestamp <= deadline, "Permit expired");
+
+        bytes32 structHash = keccak256(
+            abi.encode(PERMIT_TYPEHASH, _owner, spender, value, nonces[_owner]++, deadline)
+        );
+        require(_recover(_hashTypedData(structHash), v, r, s) == _owner, "Invalid signature");
+
+        allowances[_owner][spender] = value;
+        emit Approval(_owner, spender, value);
+    }
+
     // ------------------------------------------------------------------------
     // Minting logic (our core feature)
     // ------------------------------------------------------------------------
@@ -147,6 +211,55 @@ contract BaseCarbonToken {
         emit Transfer(address(0), to, amount);
     }
 
+    // ------------------------------------------------------------------------
+    // Retirement
+    // ------------------------------------------------------------------------
+
+    /**
+     * @notice Retire (burn) BC from the caller's balance and record the claim.
+     *
+     * Retired BC leaves totalSupply for good: this is the step that turns
+     * held tokens into a claimed offset (CBAM, aviation, voluntary reports).
+     * The Retired event is what retirement certificates point to.
+     */
+    function retire(
+        uint256 amount,
+        address beneficiary,
+        string calldata beneficiaryName,
+        string calldata reason,
+        uint64 periodStart,
+        uint64 periodEnd
+    ) external returns (uint256 retirementId) {
+        require(amount > 0, "Zero retirement");
+        require(beneficiary != address(0), "Zero address");
+        require(periodStart < periodEnd, "Invalid period");
+        require(
+            bytes(beneficiaryName).length <= MAX_RETIREMENT_TEXT &&
+                bytes(reason).length <= MAX_RETIREMENT_TEXT,
+            "Text too long"
+        );
+        require(balances[msg.sender] >= amount, "Insufficient balance");
+
+        balances[msg.sender] -= amount;
+        totalSupply -= amount;
+        totalRetired += amount;
+
+        retirementId = ++retirementCounter;
+        retirements[retirementId] = Retirement({
+            account: msg.sender,
+            beneficiary: beneficiary,
+            amount: amount,
+            beneficiaryName: beneficiaryName,
+            reason: reason,
+            periodStart: periodStart,
+            periodEnd: periodEnd,
+            retiredAt: uint64(block.timestamp)
+        });
+
+        emit Transfer(msg.sender, address(0), amount);
+        emit Retired(retirementId, msg.sender, beneficiary, amount, beneficiaryName, reason, periodStart, periodEnd);
+    }
+
     // ------------------------------------------------------------------------
     // Internal
     // ------------------------------------------------------------------------
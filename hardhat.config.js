@@ -1,5 +1,7 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+require("./tasks/devices");
+require("./tasks/bcm");
 
 const { BASE_RPC, PRIVATE_KEY } = process.env;
 
@@ -11,6 +13,7 @@ const { BASE_RPC, PRIVATE_KEY } = process.env;
  * - Default 'hardhat' local network
  * - 'base' network for Base / Base Sepolia using env vars
  * - Explicit paths so we use ./contracts and ./scripts
+ * - Operator tasks from ./tasks (npx hardhat devices --help, npx hardhat bcm --help)
  */
 module.exports = {
   solidity: "0.8.24",
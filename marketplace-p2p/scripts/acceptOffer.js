@@ -1,5 +1,6 @@
 // marketplace-p2p/scripts/acceptOffer.js
 const hre = require("hardhat");
+const { requireAddresses, paymentTokenInfo } = require("./config");
 
 /**
  * acceptOffer.js
@@ -16,7 +17,7 @@ const hre = require("hardhat");
 async function main() {
   const [seller] = await hre.ethers.getSigners();
 
-  const MARKETPLACE_ADDRESS = process.env.MARKETPLACE_ADDRESS || "0xYOUR_MARKETPLACE";
+  const { MARKETPLACE_ADDRESS } = await requireAddresses("MARKETPLACE_ADDRESS");
 
   const offerIdArg = process.argv[2];
   if (!offerIdArg) {
@@ -31,17 +32,30 @@ async function main() {
 
   const Marketplace = await hre.ethers.getContractAt("CarbonMarketplace", MARKETPLACE_ADDRESS, seller);
 
+  const offer = await Marketplace.offers(offerId);
+  if (!offer.active) {
+    console.log(`\n❌ Offer ${offerId} is not open.\n`);
+    process.exit(1);
+  }
+
+  const listing = await Marketplace.listings(offer.listingId);
+  const payment = await paymentTokenInfo(listing.paymentToken, seller);
+
+  console.log(`\n📝 Offer #${offerId} on listing #${offer.listingId}:`);
+  console.log(`  Buyer:  ${offer.buyer}`);
+  console.log(`  Amount: ${hre.ethers.formatUnits(offer.amountBC, 18)} BC`);
+  console.log(`  Price:  ${hre.ethers.formatUnits(offer.price, payment.decimals)} ${payment.symbol} total`);
+
   console.log(`\n⏳ Sending acceptOffer(${offerId}) transaction...`);
 
-  // We can't see internal Offer details (mapping is private),
-  // but the contract will enforce:
-  //  - msg.sender == listing.seller
-  //  - listing & offer are active.
+  // The contract enforces msg.sender == listing.seller, that listing & offer
+  // are active and that the offer fits in what is left of the listing.
   const tx = await Marketplace.acceptOffer(offerId);
   const receipt = await tx.wait();
 
   console.log("\n✅ Offer accepted!");
   console.log("  Offer ID:", offerId);
+  console.log("  Payment credited to you, collect it with withdrawProceeds.js");
   console.log("  Tx hash:", receipt.hash, "\n");
 }
 
@@ -1,23 +1,29 @@
 // marketplace-p2p/scripts/buyOffsets.js
 const hre = require("hardhat");
+const { requireAddresses, paymentTokenInfo, preparePayment } = require("./config");
 
 /**
- * Buy a full listing via buyNow(listingId)
+ * Buy a listing via buyNow(listingId), or part of it via
+ * buyBC(listingId, amountBC) at the pro-rata list price. Listings priced in
+ * an ERC-20 are paid with transferFrom (we approve the marketplace first).
  *
  * Usage:
- *   npx hardhat run marketplace-p2p/scripts/buyOffsets.js --network base <listingId>
+ *   npx hardhat run marketplace-p2p/scripts/buyOffsets.js --network base <listingId> [amountBC]
+ *
+ * Example:
+ *   npx hardhat run ... 1 40   # 40 BC out of listing #1
  */
 
 async function main() {
   const [buyer] = await hre.ethers.getSigners();
 
-  const MARKETPLACE_ADDRESS = process.env.MARKETPLACE_ADDRESS || "0xMARKETPLACE";
-  const TOKEN_ADDRESS = process.env.TOKEN_ADDRESS || "0x_BC_TOKEN";
+  const { MARKETPLACE_ADDRESS, TOKEN_ADDRESS } = await requireAddresses("MARKETPLACE_ADDRESS", "TOKEN_ADDRESS");
 
   const listingIdArg = process.argv[2];
+  const amountBCArg = process.argv[3];
   if (!listingIdArg) {
     console.log("\nUsage:");
-    console.log("  npx hardhat run marketplace-p2p/scripts/buyOffsets.js --network base <listingId>\n");
+    console.log("  npx hardhat run marketplace-p2p/scripts/buyOffsets.js --network base <listingId> [amountBC]\n");
     process.exit(1);
   }
 
@@ -37,21 +43,27 @@ async function main() {
   }
 
   const seller     = listing.seller;
-  const amountBC   = listing.amountBC;
-  const priceEth   = listing.priceEth;
+  const amountBC   = amountBCArg ? hre.ethers.parseUnits(amountBCArg, decimals) : listing.amountBC;
+  const price      = await Marketplace.quote(listingId, amountBC);
+  const payment    = await paymentTokenInfo(listing.paymentToken, buyer);
 
   const amountHuman = Number(amountBC) / 10 ** decimals;
-  const priceHuman  = Number(priceEth) / 10 ** 18;
+  const priceHuman  = hre.ethers.formatUnits(price, payment.decimals);
 
   console.log(`\n🛒 Buying listing ${listingId}:`);
   console.log(`  Seller:  ${seller}`);
   console.log(`  Amount:  ${amountHuman} BC`);
-  console.log(`  Price:   ${priceHuman} ETH`);
+  console.log(`  Price:   ${priceHuman} ${payment.symbol}`);
+  console.log(`  Listed:  ${Number(listing.amountBC) / 10 ** decimals} BC left`);
+
+  const overrides = await preparePayment(listing.paymentToken, buyer, MARKETPLACE_ADDRESS, price);
 
   // Confirm purchase (optional – for hackathon UX just proceed)
-  console.log("\n⏳ Sending buyNow transaction...");
+  console.log("\n⏳ Sending purchase transaction...");
 
-  const tx = await Marketplace.buyNow(listingId, { value: priceEth });
+  const tx = amountBC === listing.amountBC
+    ? await Marketplace.buyNow(listingId, overrides)
+    : await Marketplace.buyBC(listingId, amountBC, overrides);
   const receipt = await tx.wait();
 
   console.log("\n✅ Purchase complete!");
@@ -0,0 +1,58 @@
+// marketplace-p2p/scripts/cancelListing.js
+const hre = require("hardhat");
+const { requireAddresses } = require("./config");
+
+/**
+ * cancelListing.js
+ *
+ * Seller takes what is left of a listing off the market. Open offers on it
+ * get their escrowed payment credited back (buyers pull it with withdraw).
+ *
+ * Usage:
+ *   npx hardhat run marketplace-p2p/scripts/cancelListing.js --network base <listingId>
+ */
+
+async function main() {
+  const [seller] = await hre.ethers.getSigners();
+
+  const { MARKETPLACE_ADDRESS } = await requireAddresses("MARKETPLACE_ADDRESS");
+
+  const listingIdArg = process.argv[2];
+  if (!listingIdArg) {
+    console.log("\nUsage:");
+    console.log("  npx hardhat run marketplace-p2p/scripts/cancelListing.js --network base <listingId>\n");
+    process.exit(1);
+  }
+
+  const listingId = Number(listingIdArg);
+
+  console.log("\n👤 Seller:", seller.address);
+
+  const Marketplace = await hre.ethers.getContractAt("CarbonMarketplace", MARKETPLACE_ADDRESS, seller);
+
+  const listing = await Marketplace.listings(listingId);
+  if (!listing.active) {
+    console.log(`\n❌ Listing ${listingId} is not active.\n`);
+    process.exit(1);
+  }
+  if (listing.seller !== seller.address) {
+    console.log(`\n❌ Listing ${listingId} belongs to ${listing.seller}.\n`);
+    process.exit(1);
+  }
+
+  console.log(`\n⏳ Cancelling listing #${listingId} (${hre.ethers.formatUnits(listing.amountBC, 18)} BC left)...`);
+
+  const tx = await Marketplace.cancelListing(listingId);
+  const receipt = await tx.wait();
+
+  const openOffers = await Marketplace.openOfferCount(listingId);
+
+  console.log("\n✅ Listing cancelled!");
+  console.log("  Open offers left for their buyers to withdraw:", openOffers.toString());
+  console.log("  Tx hash:", receipt.hash, "\n");
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,59 @@
+// marketplace-p2p/scripts/config.js
+// Shared bits of the marketplace scripts.
+
+const hre = require("hardhat");
+const { isEth, erc20, paymentTokenInfo } = require("../../server/erc20");
+const { ENV_NAMES, requireDeployed } = require("../../server/deployment");
+
+/**
+ * Contract addresses by their env names (MARKETPLACE_ADDRESS, ...), from
+ * deployments/<network>.json or, without one, from env. No placeholder
+ * fallbacks: a missing address should stop the script, not send a tx to
+ * "0xMARKETPLACE".
+ */
+async function requireAddresses(...names) {
+  const keys = names.map((name) => Object.keys(ENV_NAMES).find((key) => ENV_NAMES[key] === name));
+  const addresses = await requireDeployed(hre, ...keys);
+  return Object.fromEntries(names.map((name, i) => [name, addresses[keys[i]]]));
+}
+
+/**
+ * Read an argument of `eventName` emitted by `contract` in this receipt,
+ * e.g. the listingId of ListingCreated. Counters like listingCounter can
+ * already include someone else's listing by the time we read them.
+ */
+function eventArg(contract, receipt, eventName, argName) {
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== String(contract.target).toLowerCase()) continue;
+    const parsed = contract.interface.parseLog(log);
+    if (parsed && parsed.name === eventName) {
+      return parsed.args[argName];
+    }
+  }
+  throw new Error(`${eventName} not found in tx ${receipt.hash}`);
+}
+
+/**
+ * Overrides for paying `amount` of a listing's payment token: msg.value for
+ * ETH, otherwise approve the marketplace (if needed) and send no ETH.
+ */
+async function preparePayment(paymentToken, payer, marketplaceAddress, amount) {
+  if (isEth(paymentToken)) {
+    return { value: amount };
+  }
+  const token = erc20(paymentToken, payer);
+  const allowance = await token.allowance(payer.address, marketplaceAddress);
+  if (allowance < amount) {
+    console.log("\n⏳ Approving marketplace to spend the payment token...");
+    await (await token.approve(marketplaceAddress, amount)).wait();
+    console.log("✅ Approved.");
+  }
+  return {};
+}
+
+module.exports = {
+  requireAddresses,
+  eventArg,
+  paymentTokenInfo,
+  preparePayment,
+};
@@ -1,5 +1,6 @@
 // marketplace-p2p/scripts/getListings.js
 const hre = require("hardhat");
+const { requireAddresses, paymentTokenInfo } = require("./config");
 
 /**
  * Get active listings from CarbonMarketplace
@@ -9,8 +10,7 @@ const hre = require("hardhat");
  */
 
 async function main() {
-  const MARKETPLACE_ADDRESS = process.env.MARKETPLACE_ADDRESS || "0xMARKETPLACE";
-  const TOKEN_ADDRESS = process.env.TOKEN_ADDRESS || "0x_BC_TOKEN";
+  const { MARKETPLACE_ADDRESS, TOKEN_ADDRESS } = await requireAddresses("MARKETPLACE_ADDRESS", "TOKEN_ADDRESS");
 
   const Marketplace = await hre.ethers.getContractAt("CarbonMarketplace", MARKETPLACE_ADDRESS);
   const Token = await hre.ethers.getContractAt("BaseCarbonToken", TOKEN_ADDRESS);
@@ -37,16 +37,16 @@ async function main() {
 
     const seller = listing.seller;
     const amountBC = listing.amountBC;
-    const priceEthWei = listing.priceEth;
+    const payment = await paymentTokenInfo(listing.paymentToken, hre.ethers.provider);
 
     const amountHuman = Number(amountBC) / 10 ** decimals;
-    const priceEthHuman = Number(priceEthWei) / 10 ** 18;
+    const priceHuman = hre.ethers.formatUnits(listing.price, payment.decimals);
 
     console.log("--------------------------------------------------");
     console.log(`Listing ID:  ${id}`);
     console.log(`Seller:      ${seller}`);
     console.log(`Amount:      ${amountHuman} BC`);
-    console.log(`Lot price:   ${priceEthHuman} ETH`);
+    console.log(`Lot price:   ${priceHuman} ${payment.symbol}`);
   }
 
   console.log("\n✅ Done.\n");
@@ -1,27 +1,30 @@
 // marketplace-p2p/scripts/listOffsets.js
 const hre = require("hardhat");
+const { requireAddresses, eventArg, paymentTokenInfo } = require("./config");
 
 /**
- * List BC tokens for sale on CarbonMarketplace
+ * List BC tokens for sale on CarbonMarketplace, priced in ETH or in an
+ * ERC-20 payment token (e.g. a USD stablecoin).
  *
  * Usage:
- *   npx hardhat run marketplace-p2p/scripts/listOffsets.js --network base 10 0.1
+ *   npx hardhat run marketplace-p2p/scripts/listOffsets.js --network base <amountBC> <lotPrice> [paymentToken]
  *
- *   -> lists 10 BC for 0.1 ETH total
+ *   10 0.1            -> lists 10 BC for 0.1 ETH total
+ *   10 250 0xUSDC...  -> lists 10 BC for 250 USDC total
  */
 
 async function main() {
   const [seller] = await hre.ethers.getSigners();
 
-  const MARKETPLACE_ADDRESS = process.env.MARKETPLACE_ADDRESS || "0xYOUR_MARKETPLACE";
-  const TOKEN_ADDRESS = process.env.TOKEN_ADDRESS || "0xYOUR_BC_TOKEN";
+  const { MARKETPLACE_ADDRESS, TOKEN_ADDRESS } = await requireAddresses("MARKETPLACE_ADDRESS", "TOKEN_ADDRESS");
 
   const amountArg = process.argv[2];
-  const priceEthArg = process.argv[3];
+  const priceArg = process.argv[3];
+  const paymentTokenArg = process.argv[4] || hre.ethers.ZeroAddress;
 
-  if (!amountArg || !priceEthArg) {
+  if (!amountArg || !priceArg) {
     console.log("\nUsage:");
-    console.log("  npx hardhat run marketplace-p2p/scripts/listOffsets.js --network base <amountBC> <lotPriceEth>");
+    console.log("  npx hardhat run marketplace-p2p/scripts/listOffsets.js --network base <amountBC> <lotPrice> [paymentToken]");
     console.log("Example:");
     console.log("  npx hardhat run ... 10 0.1  # 10 BC for 0.1 ETH\n");
     process.exit(1);
@@ -33,31 +36,34 @@ async function main() {
   const Marketplace = await hre.ethers.getContractAt("CarbonMarketplace", MARKETPLACE_ADDRESS, seller);
 
   const decimals = Number(await Token.decimals());
+  const payment = await paymentTokenInfo(paymentTokenArg, seller);
 
-  const amountBC = hre.ethers.parseUnits(amountArg, decimals);   // BC amount (with decimals)
-  const lotPriceWei = hre.ethers.parseEther(priceEthArg);        // total price in ETH (wei)
+  const amountBC = hre.ethers.parseUnits(amountArg, decimals);          // BC amount (with decimals)
+  const lotPrice = hre.ethers.parseUnits(priceArg, payment.decimals);   // total price in payment token units
 
   console.log(`\n📝 Creating listing:`);
   console.log(`  Amount:      ${amountArg} BC`);
-  console.log(`  Total price: ${priceEthArg} ETH`);
+  console.log(`  Total price: ${priceArg} ${payment.symbol}`);
   console.log(`  Marketplace: ${MARKETPLACE_ADDRESS}`);
   console.log(`  Token:       ${TOKEN_ADDRESS}`);
 
-  // 1) Approve marketplace to pull BC from seller
-  const approveTx = await Token.approve(MARKETPLACE_ADDRESS, amountBC);
+  // 1) Approve marketplace to pull BC from seller. Listings share one
+  //    allowance, so add to what earlier listings still rely on.
+  const allowance = await Token.allowance(seller.address, MARKETPLACE_ADDRESS);
+  const approveTx = await Token.approve(MARKETPLACE_ADDRESS, allowance + amountBC);
   console.log("\n⏳ Approving marketplace to spend BC...");
   await approveTx.wait();
   console.log("✅ Approved.");
 
   // 2) Create listing
-  const tx = await Marketplace.createListing(amountBC, lotPriceWei);
+  const tx = await Marketplace.createListing(amountBC, payment.address, lotPrice);
   console.log("\n⏳ Creating listing on-chain...");
   const receipt = await tx.wait();
 
-  // Read the new listing id from event or listingCounter
-  const listingCounter = await Marketplace.listingCounter();
+  // The new id comes from our own ListingCreated event
+  const listingId = eventArg(Marketplace, receipt, "ListingCreated", "listingId");
   console.log("\n✅ Listing created!");
-  console.log("  Listing ID:", listingCounter.toString());
+  console.log("  Listing ID:", listingId.toString());
   console.log("  Tx hash:   ", receipt.hash, "\n");
 }
 
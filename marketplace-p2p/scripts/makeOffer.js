@@ -1,5 +1,6 @@
 // marketplace-p2p/scripts/makeOffer.js
 const hre = require("hardhat");
+const { requireAddresses, eventArg, paymentTokenInfo, preparePayment } = require("./config");
 
 /**
  * makeOffer.js
@@ -7,31 +8,33 @@ const hre = require("hardhat");
  * Buyer submits an offer for a listing:
  *   - listingId: which listing to target
  *   - amountBC: how many BC they want to buy (human units)
- *   - offerEth: total ETH they're offering (human units)
+ *   - price: total they're offering, in the listing's payment token (human units)
+ *
+ * The offer is escrowed by the marketplace (ETH sent along, or an ERC-20
+ * pulled after an approve) until accepted or withdrawn.
  *
  * Usage:
- *   npx hardhat run marketplace-p2p/scripts/makeOffer.js --network base <listingId> <amountBC> <offerEth>
+ *   npx hardhat run marketplace-p2p/scripts/makeOffer.js --network base <listingId> <amountBC> <price>
  *
  * Example:
  *   npx hardhat run marketplace-p2p/scripts/makeOffer.js --network base 1 10 0.08
- *   -> Offer 0.08 ETH to buy 10 BC on listing #1
+ *   -> Offer 0.08 ETH (or 0.08 USDC on a USDC listing) to buy 10 BC on listing #1
  */
 
 async function main() {
   const [buyer] = await hre.ethers.getSigners();
 
-  const MARKETPLACE_ADDRESS = process.env.MARKETPLACE_ADDRESS || "0xMARKETPLACE";
-  const TOKEN_ADDRESS = process.env.TOKEN_ADDRESS || "0x_BC_TOKEN";
+  const { MARKETPLACE_ADDRESS, TOKEN_ADDRESS } = await requireAddresses("MARKETPLACE_ADDRESS", "TOKEN_ADDRESS");
 
   const listingIdArg = process.argv[2];
   const amountBCArg = process.argv[3];
-  const offerEthArg = process.argv[4];
+  const priceArg = process.argv[4];
 
-  if (!listingIdArg || !amountBCArg || !offerEthArg) {
+  if (!listingIdArg || !amountBCArg || !priceArg) {
     console.log("\nUsage:");
-    console.log("  npx hardhat run marketplace-p2p/scripts/makeOffer.js --network base <listingId> <amountBC> <offerEth>");
+    console.log("  npx hardhat run marketplace-p2p/scripts/makeOffer.js --network base <listingId> <amountBC> <price>");
     console.log("\nExample:");
-    console.log("  npx hardhat run ... 1 10 0.08   # offer 0.08 ETH for 10 BC on listing #1\n");
+    console.log("  npx hardhat run ... 1 10 0.08   # offer 0.08 (ETH / listing's token) for 10 BC on listing #1\n");
     process.exit(1);
   }
 
@@ -44,42 +47,42 @@ async function main() {
 
   const decimals = Number(await Token.decimals());
 
-  const amountBC = hre.ethers.parseUnits(amountBCArg, decimals);   // amount of BC with decimals
-  const offerWei = hre.ethers.parseEther(offerEthArg);             // ETH offer (wei)
-
   // Show listing info
   const listing = await Marketplace.listings(listingId);
   if (!listing.active) {
     console.log(`\n❌ Listing ${listingId} is not active.\n`);
     process.exit(1);
   }
+  const payment = await paymentTokenInfo(listing.paymentToken, buyer);
+
+  const amountBC = hre.ethers.parseUnits(amountBCArg, decimals);          // amount of BC with decimals
+  const price = hre.ethers.parseUnits(priceArg, payment.decimals);        // offer in payment token units
 
   const listAmountHuman = Number(listing.amountBC) / 10 ** decimals;
-  const listPriceHuman = Number(listing.priceEth) / 10 ** 18;
+  const listPriceHuman = hre.ethers.formatUnits(listing.price, payment.decimals);
 
   console.log(`\n📋 Listing #${listingId} snapshot:`);
   console.log(`  Seller:         ${listing.seller}`);
   console.log(`  Listed amount:  ${listAmountHuman} BC`);
-  console.log(`  Listed price:   ${listPriceHuman} ETH (for full lot)`);
+  console.log(`  Listed price:   ${listPriceHuman} ${payment.symbol} (for full lot)`);
 
   console.log(`\n📝 Making offer:`);
   console.log(`  Target listing: ${listingId}`);
   console.log(`  Offer amount:   ${amountBCArg} BC`);
-  console.log(`  Offer price:    ${offerEthArg} ETH total`);
+  console.log(`  Offer price:    ${priceArg} ${payment.symbol} total`);
+
+  const overrides = await preparePayment(listing.paymentToken, buyer, MARKETPLACE_ADDRESS, price);
 
   console.log("\n⏳ Sending makeOffer transaction...");
 
-  const tx = await Marketplace.makeOffer(listingId, amountBC, offerWei, {
-    value: offerWei,
-  });
+  const tx = await Marketplace.makeOffer(listingId, amountBC, price, overrides);
   const receipt = await tx.wait();
 
-  // We cannot show offer details (private), but we can show the latest offer ID because
-  // offerCounter is public.
-  const offerCounter = await Marketplace.offerCounter();
+  // The new id comes from our own OfferMade event
+  const offerId = eventArg(Marketplace, receipt, "OfferMade", "offerId");
 
   console.log("\n✅ Offer submitted!");
-  console.log("  Offer ID (latest):", offerCounter.toString());
+  console.log("  Offer ID:", offerId.toString());
   console.log("  Tx hash:", receipt.hash, "\n");
 }
 
@@ -0,0 +1,231 @@
+// marketplace-p2p/scripts/sellerAgent.js
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { requireAddresses, paymentTokenInfo } = require("./config");
+const {
+  loadRules,
+  inScope,
+  utcDay,
+  evaluateOffer,
+  checkDeliverable,
+  decisionChanged,
+} = require("./sellerRules");
+const { decodeEventLog } = require("../../server/event-log");
+const { DATA_DIR, createStore } = require("../../server/store");
+
+/**
+ * sellerAgent.js
+ *
+ * Automated selling agent: a long-running process that watches OfferMade
+ * events on the seller's listings and, per the rules file (sellerRules.js),
+ * accepts offers on-chain, records a counter-offer, rejects or defers them.
+ * Every decision is printed and appended to
+ *   $DATA_DIR/seller-agent-<seller>-decisions.jsonl
+ * Progress (last block, decided offers, BC sold per UTC day, counter-offers)
+ * lives in $DATA_DIR/seller-agent-<seller>.json, so a restart picks up where
+ * it stopped. The rules file is re-read every poll.
+ *
+ * Usage (the signer is the seller, i.e. PRIVATE_KEY):
+ *   SELLER_RULES=marketplace-p2p/seller-rules.json \
+ *     npx hardhat run marketplace-p2p/scripts/sellerAgent.js --network base
+ *
+ *   SELLER_AGENT_POLL_MS=15000         (poll interval)
+ *   SELLER_AGENT_FROM_BLOCK=<n>        (first run only, default: current block)
+ *   SELLER_AGENT_MAX_BLOCK_RANGE=2000  (blocks per getLogs call)
+ *   MARKETPLACE_ADDRESS / TOKEN_ADDRESS
+ */
+
+const {
+  SELLER_RULES = path.join("marketplace-p2p", "seller-rules.json"),
+  SELLER_AGENT_POLL_MS = "15000",
+  SELLER_AGENT_FROM_BLOCK,
+  SELLER_AGENT_MAX_BLOCK_RANGE = "2000",
+} = process.env;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let stopping = false;
+
+async function main() {
+  const [seller] = await hre.ethers.getSigners();
+  const { MARKETPLACE_ADDRESS, TOKEN_ADDRESS } = await requireAddresses("MARKETPLACE_ADDRESS", "TOKEN_ADDRESS");
+
+  const Marketplace = await hre.ethers.getContractAt("CarbonMarketplace", MARKETPLACE_ADDRESS, seller);
+  const Token = await hre.ethers.getContractAt("BaseCarbonToken", TOKEN_ADDRESS, seller);
+  const offerMadeTopic = Marketplace.interface.getEvent("OfferMade").topicHash;
+
+  const me = seller.address.toLowerCase();
+  const store = createStore(`seller-agent-${me}`, {
+    lastBlock: null,
+    offers: {},
+    deferred: [],
+    soldBC: {},
+    counters: [],
+  });
+  const logFile = path.join(DATA_DIR, `seller-agent-${me}-decisions.jsonl`);
+
+  let rules = loadRules(SELLER_RULES);
+
+  if (store.read().lastBlock === null) {
+    const start = SELLER_AGENT_FROM_BLOCK !== undefined
+      ? Number(SELLER_AGENT_FROM_BLOCK) - 1
+      : await hre.ethers.provider.getBlockNumber();
+    store.update((state) => {
+      state.lastBlock = start;
+    });
+  }
+
+  console.log("\n🤖 Seller agent");
+  console.log("  Seller:     ", seller.address);
+  console.log("  Marketplace:", MARKETPLACE_ADDRESS);
+  console.log("  Rules:      ", SELLER_RULES);
+  console.log("  From block: ", store.read().lastBlock + 1);
+  console.log("  Decisions:  ", logFile, "\n");
+
+  function record(decision) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.appendFileSync(logFile, JSON.stringify(decision) + "\n");
+    const price = decision.counterPrice ? `, counter ${decision.counterPrice}` : "";
+    console.log(
+      `[${decision.at}] offer #${decision.offerId} (listing #${decision.listingId}, ` +
+        `${decision.amountBC} BC for ${decision.price} ${decision.currency}): ` +
+        `${decision.action.toUpperCase()} - ${decision.reason}${price}`
+    );
+  }
+
+  /**
+   * Decide one offer. Offers we don't sell (other sellers, listings outside
+   * rules.listings) are left alone without a log line.
+   */
+  async function handleOffer(offerId) {
+    const offer = await Marketplace.offers(offerId);
+    const listing = await Marketplace.listings(offer.listingId);
+    if (listing.seller.toLowerCase() !== me || !inScope(rules, offer.listingId)) {
+      return;
+    }
+
+    const payment = await paymentTokenInfo(listing.paymentToken, seller);
+    const day = utcDay();
+    const soldTodayBC = BigInt(store.read().soldBC[day] || "0");
+
+    const result = evaluateOffer({ rules, offer, listing, decimals: payment.decimals, soldTodayBC });
+    const format = (value) => hre.ethers.formatUnits(value, payment.decimals);
+
+    if (result.action === "accept") {
+      const [balance, allowance] = await Promise.all([
+        Token.balanceOf(seller.address),
+        Token.allowance(seller.address, MARKETPLACE_ADDRESS),
+      ]);
+      const shortfall = checkDeliverable({ amountBC: offer.amountBC, balance, allowance });
+      if (shortfall) {
+        Object.assign(result, shortfall);
+      } else {
+        try {
+          const receipt = await (await Marketplace.acceptOffer(offerId)).wait();
+          result.txHash = receipt.hash;
+        } catch (err) {
+          Object.assign(result, { action: "defer", reason: `acceptOffer failed: ${err.shortMessage || err.message}` });
+        }
+      }
+    }
+
+    const decision = {
+      at: new Date().toISOString(),
+      offerId: offerId.toString(),
+      listingId: offer.listingId.toString(),
+      buyer: offer.buyer.toLowerCase(),
+      amountBC: hre.ethers.formatUnits(offer.amountBC, 18),
+      price: format(offer.price),
+      currency: payment.symbol,
+      action: result.action,
+      reason: result.reason,
+    };
+    if (result.floorPerBC !== undefined) {
+      decision.offeredPerBC = format(result.offeredPerBC);
+      decision.floorPerBC = format(result.floorPerBC);
+      decision.discountPct = Number(result.discountBps) / 100;
+    }
+    if (result.counterPrice !== undefined) decision.counterPrice = format(result.counterPrice);
+    if (result.txHash) decision.txHash = result.txHash;
+
+    const changed = decisionChanged(store.read().offers[decision.offerId], decision);
+
+    store.update((state) => {
+      state.offers[decision.offerId] = { action: decision.action, reason: decision.reason, at: decision.at };
+      state.deferred = state.deferred.filter((id) => id !== decision.offerId);
+      if (decision.action === "defer") {
+        state.deferred.push(decision.offerId);
+      }
+      if (decision.action === "accept") {
+        state.soldBC[day] = (BigInt(state.soldBC[day] || "0") + offer.amountBC).toString();
+      }
+      if (decision.action === "counter") {
+        state.counters.push({
+          offerId: decision.offerId,
+          listingId: decision.listingId,
+          buyer: decision.buyer,
+          amountBC: decision.amountBC,
+          counterPrice: decision.counterPrice,
+          currency: decision.currency,
+          at: decision.at,
+        });
+      }
+    });
+
+    if (changed) record(decision);
+  }
+
+  async function tick() {
+    try {
+      rules = loadRules(SELLER_RULES);
+    } catch (err) {
+      console.error("⚠️  Keeping previous rules, could not load", SELLER_RULES, "-", err.message);
+    }
+
+    for (const offerId of store.read().deferred) {
+      await handleOffer(BigInt(offerId));
+    }
+
+    const head = await hre.ethers.provider.getBlockNumber();
+    let { lastBlock } = store.read();
+    while (lastBlock < head && !stopping) {
+      const toBlock = Math.min(lastBlock + Number(SELLER_AGENT_MAX_BLOCK_RANGE), head);
+      const logs = await hre.ethers.provider.getLogs({
+        address: MARKETPLACE_ADDRESS,
+        topics: [offerMadeTopic],
+        fromBlock: lastBlock + 1,
+        toBlock,
+      });
+      for (const log of logs) {
+        const event = decodeEventLog("marketplace", Marketplace, ["OfferMade"], log);
+        if (event && !store.read().offers[event.args.offerId]) {
+          await handleOffer(BigInt(event.args.offerId));
+        }
+      }
+      store.update((state) => {
+        state.lastBlock = toBlock;
+      });
+      lastBlock = toBlock;
+    }
+  }
+
+  process.on("SIGINT", () => {
+    console.log("\n👋 Stopping after this poll...");
+    stopping = true;
+  });
+
+  while (!stopping) {
+    try {
+      await tick();
+    } catch (err) {
+      console.error("seller agent poll error:", err);
+    }
+    if (!stopping) await sleep(Number(SELLER_AGENT_POLL_MS));
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
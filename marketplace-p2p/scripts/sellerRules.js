@@ -0,0 +1,191 @@
+// marketplace-p2p/scripts/sellerRules.js
+// Rules of the automated selling agent (sellerAgent.js): which offers on the
+// seller's listings to accept, counter or reject. Pure functions, no RPC, so
+// the decision for an offer only depends on the rules file and the numbers
+// passed in.
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+const BC = 10n ** 18n;
+
+/**
+ * Rules file (amounts in whole BC, prices in the payment token's units):
+ *
+ * {
+ *   "listings": [],                         // only these listing ids (empty / missing: all)
+ *   "prices": {
+ *     "ETH": {
+ *       "minPricePerBC": "0.01",
+ *       "volumeTiers": [{ "minBC": "100", "discountPct": 5 }, { "minBC": "500", "discountPct": 10 }]
+ *     },
+ *     "0x<stablecoin>": { "minPricePerBC": "25" }
+ *   },
+ *   "allowBuyers": [],                      // empty / missing: anyone not denied
+ *   "denyBuyers": [],
+ *   "dailySellLimitBC": "1000",             // per UTC day, missing: no limit
+ *   "counterBelowFloor": true               // false: reject low offers instead
+ * }
+ */
+function loadRules(file) {
+  return parseRules(JSON.parse(fs.readFileSync(file, "utf8")));
+}
+
+function parseAddressList(list, field) {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) {
+    throw new Error(`${field} must be an array of addresses`);
+  }
+  return list.map((address) => {
+    if (!ethers.isAddress(address)) {
+      throw new Error(`${field}: invalid address ${address}`);
+    }
+    return address.toLowerCase();
+  });
+}
+
+function parseRules(raw) {
+  if (!raw.prices || typeof raw.prices !== "object" || !Object.keys(raw.prices).length) {
+    throw new Error("rules.prices must price at least one payment token");
+  }
+
+  const prices = {};
+  for (const [token, rule] of Object.entries(raw.prices)) {
+    const key = token === "ETH" ? ethers.ZeroAddress : token;
+    if (!ethers.isAddress(key)) {
+      throw new Error(`rules.prices: invalid payment token ${token}`);
+    }
+    if (!rule.minPricePerBC) {
+      throw new Error(`rules.prices.${token}.minPricePerBC is required`);
+    }
+    const volumeTiers = (rule.volumeTiers || []).map((tier) => {
+      if (!(tier.discountPct >= 0 && tier.discountPct < 100)) {
+        throw new Error(`rules.prices.${token}: discountPct must be in [0, 100)`);
+      }
+      return {
+        minBC: ethers.parseUnits(String(tier.minBC), 18),
+        discountBps: BigInt(Math.round(tier.discountPct * 100)),
+      };
+    });
+    prices[key.toLowerCase()] = {
+      minPricePerBC: String(rule.minPricePerBC),
+      // Biggest tier first: an offer gets the largest discount it qualifies for
+      volumeTiers: volumeTiers.sort((a, b) => (a.minBC < b.minBC ? 1 : -1)),
+    };
+  }
+
+  return {
+    listings: (raw.listings || []).map(String),
+    prices,
+    allowBuyers: parseAddressList(raw.allowBuyers, "rules.allowBuyers"),
+    denyBuyers: parseAddressList(raw.denyBuyers, "rules.denyBuyers"),
+    dailySellLimitBC:
+      raw.dailySellLimitBC === undefined ? null : ethers.parseUnits(String(raw.dailySellLimitBC), 18),
+    counterBelowFloor: raw.counterBelowFloor !== false,
+  };
+}
+
+function inScope(rules, listingId) {
+  return !rules.listings.length || rules.listings.includes(String(listingId));
+}
+
+/**
+ * Lowest acceptable price per whole BC (payment token base units) for an
+ * offer of amountBC, after its volume discount.
+ */
+function floorPerBC(rule, decimals, amountBC) {
+  const base = ethers.parseUnits(rule.minPricePerBC, decimals);
+  const tier = rule.volumeTiers.find((t) => amountBC >= t.minBC);
+  const discountBps = tier ? tier.discountBps : 0n;
+  return { floorPerBC: (base * (10000n - discountBps)) / 10000n, discountBps };
+}
+
+/**
+ * UTC day key ("2025-01-31") for the daily sell limit.
+ */
+function utcDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * evaluateOffer({ rules, offer, listing, decimals, soldTodayBC })
+ *
+ * offer / listing as read from the contract (amounts and prices as bigint).
+ * Returns { action, reason, ... } where action is one of:
+ *  - "accept"
+ *  - "counter"  (with counterPrice: total price we would take for amountBC)
+ *  - "reject"   (final: buyer not allowed, or too low without countering)
+ *  - "defer"    (not now, evaluate again later: daily limit)
+ *  - "skip"     (offer / listing no longer open, no price rule)
+ */
+function evaluateOffer({ rules, offer, listing, decimals, soldTodayBC = 0n }) {
+  if (!offer.active) {
+    return { action: "skip", reason: "offer no longer open" };
+  }
+  if (!listing.active || offer.amountBC > listing.amountBC) {
+    return { action: "skip", reason: "offer does not fit the listing anymore" };
+  }
+
+  const buyer = offer.buyer.toLowerCase();
+  if (rules.denyBuyers.includes(buyer)) {
+    return { action: "reject", reason: "buyer is on the deny list" };
+  }
+  if (rules.allowBuyers.length && !rules.allowBuyers.includes(buyer)) {
+    return { action: "reject", reason: "buyer is not on the allow list" };
+  }
+
+  const rule = rules.prices[listing.paymentToken.toLowerCase()];
+  if (!rule) {
+    return { action: "skip", reason: "no price rule for the listing's payment token" };
+  }
+
+  const offeredPerBC = (offer.price * BC) / offer.amountBC;
+  const { floorPerBC: floor, discountBps } = floorPerBC(rule, decimals, offer.amountBC);
+  const priced = { offeredPerBC, floorPerBC: floor, discountBps };
+
+  if (offeredPerBC < floor) {
+    if (!rules.counterBelowFloor) {
+      return { action: "reject", reason: "price below floor", ...priced };
+    }
+    // Round up so the counter never lands below the floor
+    const counterPrice = (floor * offer.amountBC + BC - 1n) / BC;
+    return { action: "counter", reason: "price below floor", counterPrice, ...priced };
+  }
+
+  if (rules.dailySellLimitBC !== null && soldTodayBC + offer.amountBC > rules.dailySellLimitBC) {
+    return { action: "defer", reason: "daily sell limit reached", ...priced };
+  }
+
+  return { action: "accept", reason: "price at or above floor", ...priced };
+}
+
+/**
+ * An offer the rules accept still needs the BC on hand: the seller's balance
+ * and marketplace allowance must both cover amountBC. Returns null when they
+ * do, otherwise a "defer" result to try again next poll.
+ */
+function checkDeliverable({ amountBC, balance, allowance }) {
+  if (balance < amountBC || allowance < amountBC) {
+    return { action: "defer", reason: "BC balance or marketplace allowance too low" };
+  }
+  return null;
+}
+
+/**
+ * Deferred offers are re-evaluated every poll: a decision is only worth a log
+ * line when the offer is new or its action / reason changed.
+ */
+function decisionChanged(previous, decision) {
+  return !previous || previous.action !== decision.action || previous.reason !== decision.reason;
+}
+
+module.exports = {
+  loadRules,
+  parseRules,
+  inScope,
+  floorPerBC,
+  utcDay,
+  evaluateOffer,
+  checkDeliverable,
+  decisionChanged,
+};
@@ -0,0 +1,58 @@
+// marketplace-p2p/scripts/withdrawOffer.js
+const hre = require("hardhat");
+const { requireAddresses, paymentTokenInfo } = require("./config");
+
+/**
+ * withdrawOffer.js
+ *
+ * Buyer withdraws an open offer and gets the escrowed payment back.
+ *
+ * Usage:
+ *   npx hardhat run marketplace-p2p/scripts/withdrawOffer.js --network base <offerId>
+ */
+
+async function main() {
+  const [buyer] = await hre.ethers.getSigners();
+
+  const { MARKETPLACE_ADDRESS } = await requireAddresses("MARKETPLACE_ADDRESS");
+
+  const offerIdArg = process.argv[2];
+  if (!offerIdArg) {
+    console.log("\nUsage:");
+    console.log("  npx hardhat run marketplace-p2p/scripts/withdrawOffer.js --network base <offerId>\n");
+    process.exit(1);
+  }
+
+  const offerId = Number(offerIdArg);
+
+  console.log("\n👤 Buyer:", buyer.address);
+
+  const Marketplace = await hre.ethers.getContractAt("CarbonMarketplace", MARKETPLACE_ADDRESS, buyer);
+
+  const offer = await Marketplace.offers(offerId);
+  if (!offer.active) {
+    console.log(`\n❌ Offer ${offerId} is not open (accepted or withdrawn).\n`);
+    process.exit(1);
+  }
+  if (offer.buyer !== buyer.address) {
+    console.log(`\n❌ Offer ${offerId} was made by ${offer.buyer}.\n`);
+    process.exit(1);
+  }
+
+  const listing = await Marketplace.listings(offer.listingId);
+  const payment = await paymentTokenInfo(listing.paymentToken, buyer);
+  const escrowed = hre.ethers.formatUnits(offer.price, payment.decimals);
+
+  console.log(`\n⏳ Withdrawing offer #${offerId} (${escrowed} ${payment.symbol} escrowed)...`);
+
+  const tx = await Marketplace.withdrawOffer(offerId);
+  const receipt = await tx.wait();
+
+  console.log("\n✅ Offer withdrawn, payment refunded!");
+  console.log("  Tx hash:", receipt.hash, "\n");
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,48 @@
+// marketplace-p2p/scripts/withdrawProceeds.js
+const hre = require("hardhat");
+const { requireAddresses, paymentTokenInfo } = require("./config");
+
+/**
+ * withdrawProceeds.js
+ *
+ * Sales and accepted offers credit the seller inside the marketplace. This
+ * pulls the credited balance of one payment token to the caller's wallet
+ * (buyers get open offers back with withdrawOffer.js).
+ *
+ * Usage:
+ *   npx hardhat run marketplace-p2p/scripts/withdrawProceeds.js --network base [paymentToken]
+ *
+ *   (no paymentToken -> ETH)
+ */
+
+async function main() {
+  const [account] = await hre.ethers.getSigners();
+
+  const { MARKETPLACE_ADDRESS } = await requireAddresses("MARKETPLACE_ADDRESS");
+
+  const paymentTokenArg = process.argv[2] || hre.ethers.ZeroAddress;
+
+  console.log("\n👤 Account:", account.address);
+
+  const Marketplace = await hre.ethers.getContractAt("CarbonMarketplace", MARKETPLACE_ADDRESS, account);
+  const payment = await paymentTokenInfo(paymentTokenArg, account);
+
+  const amount = await Marketplace.withdrawable(account.address, payment.address);
+  if (amount === 0n) {
+    console.log(`\nNothing to withdraw in ${payment.symbol}.\n`);
+    return;
+  }
+
+  console.log(`\n⏳ Withdrawing ${hre.ethers.formatUnits(amount, payment.decimals)} ${payment.symbol}...`);
+
+  const tx = await Marketplace.withdraw(payment.address);
+  const receipt = await tx.wait();
+
+  console.log("\n✅ Withdrawn!");
+  console.log("  Tx hash:", receipt.hash, "\n");
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
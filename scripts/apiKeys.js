@@ -0,0 +1,89 @@
+// scripts/apiKeys.js
+require("dotenv").config();
+const { parseArgs } = require("util");
+const { KEY_ROLES, createApiKey, listApiKeys, revokeApiKey } = require("../server/api-keys");
+
+/**
+ * apiKeys.js
+ *
+ * Admin CLI for backend API keys (device gateways + operators). Keys live in
+ * the "api-keys" store under DATA_DIR; run this on the backend host (same
+ * DATA_DIR as the server). The running server picks changes up right away.
+ *
+ * Usage (plain node, not hardhat: it needs CLI args and no chain):
+ *   npm run keys -- create --role gateway --name "farm-1 gateway" [--devices 0x..,0x..]
+ *   npm run keys -- create --role operator --name "ops: alice"
+ *   npm run keys -- list [--all]
+ *   npm run keys -- revoke <keyId> [--reason "laptop lost"]
+ *
+ * The key itself is printed once, on create. Lost keys are revoked and
+ * replaced, never recovered (only a hash is stored).
+ */
+
+const USAGE = `Usage:
+  apiKeys.js create --role <${KEY_ROLES.join("|")}> --name <label> [--devices <deviceId,...>]
+  apiKeys.js list [--all]
+  apiKeys.js revoke <keyId> [--reason <text>]`;
+
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      role: { type: "string" },
+      name: { type: "string" },
+      devices: { type: "string" },
+      reason: { type: "string" },
+      all: { type: "boolean", default: false },
+    },
+  });
+  const [command, keyId] = positionals;
+
+  if (command === "create") {
+    const devices = values.devices ? values.devices.split(",").map((d) => d.trim()).filter(Boolean) : [];
+    const { key, record } = createApiKey({ role: values.role, name: values.name, devices });
+    console.log(`Created ${record.role} key ${record.id} (${record.name})`);
+    if (record.devices.length > 0) {
+      console.log(`Limited to devices: ${record.devices.join(", ")}`);
+    }
+    console.log("\nAPI key (shown once, send as 'Authorization: Bearer <key>'):");
+    console.log(key);
+    return;
+  }
+
+  if (command === "list") {
+    const keys = listApiKeys({ includeRevoked: values.all });
+    if (keys.length === 0) {
+      console.log("No API keys");
+      return;
+    }
+    console.table(
+      keys.map((k) => ({
+        id: k.id,
+        role: k.role,
+        name: k.name,
+        devices: k.devices.length > 0 ? k.devices.length : "any",
+        createdAt: k.createdAt,
+        lastUsedAt: k.lastUsedAt || "-",
+        revokedAt: k.revokedAt || "-",
+      }))
+    );
+    return;
+  }
+
+  if (command === "revoke") {
+    if (!keyId) throw new Error("revoke needs a key id (see list)");
+    const record = revokeApiKey(keyId, { reason: values.reason });
+    console.log(`Revoked ${record.role} key ${record.id} (${record.name}) at ${record.revokedAt}`);
+    return;
+  }
+
+  console.error(USAGE);
+  process.exitCode = 1;
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+}
@@ -1,5 +1,6 @@
 // scripts/deploy.js
 const hre = require("hardhat");
+const { abiHash, readManifest, writeManifest } = require("../server/deployment");
 
 /**
  * deploy.js
@@ -8,13 +9,40 @@ const hre = require("hardhat");
  * - deploy our BaseCarbonToken (BC)
  * - deploy our CarbonSmartMeter logic contract
  * - set CarbonSmartMeter as the ONLY authorized minter for BC
+ * - deploy the CarbonMarketplace (P2P BC trading, 5% fee to TREASURY_ADDRESS,
+ *   defaults to the deployer)
+ * - on local networks, deploy a mock USD stablecoin (6 decimals) to list
+ *   BC against
+ * - point CarbonSmartMeter's USD valuations at a BC/USD price feed
+ *   (AggregatorV3-compatible): PRICE_FEED_ADDRESS, or on local networks a
+ *   MockV3Aggregator at PRICE_FEED_MOCK_USD (default 12.50). Prices older
+ *   than PRICE_FEED_MAX_AGE seconds (default 3600) are rejected. Without a
+ *   feed, valuations revert until the owner calls setPriceFeed().
+ * - write deployments/<network>.json (addresses, chain id, deploy block,
+ *   treasury, ABI hashes): every script, `npx hardhat bcm ...` and the
+ *   backend resolve addresses from it. Not written for the throwaway
+ *   in-process "hardhat" network.
  *
- * We run this once per network (e.g. Base Sepolia) and then
- * paste the addresses into our other scripts for testing.
+ * We run this once per network (e.g. Base Sepolia); re-running replaces the
+ * network's manifest.
  */
 
-// Chainlink ETH/USD feed on Base Sepolia (used by OracleConsumer)
-const ETH_USD_FEED_BASE_SEPOLIA = "0x201eac7f50f3d21d9a3165b1af6b6dc31c2b1992";
+const PRICE_FEED_MAX_AGE = Number(process.env.PRICE_FEED_MAX_AGE || 3600);
+
+/**
+ * Manifest entry of a contract deployed in this run.
+ */
+async function deployed(name, contract) {
+  const receipt = await contract.deploymentTransaction().wait();
+  const artifact = await hre.artifacts.readArtifact(name);
+  return {
+    name,
+    address: await contract.getAddress(),
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    abiHash: abiHash(artifact.abi),
+  };
+}
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
@@ -24,7 +52,6 @@ async function main() {
     "   Balance:",
     (await deployer.provider.getBalance(deployer.address)).toString()
   );
-  console.log("   Using ETH/USD feed (Base Sepolia):", ETH_USD_FEED_BASE_SEPOLIA);
 
   // 1) Deploy BaseCarbonToken
   const Token = await hre.ethers.getContractFactory("BaseCarbonToken");
@@ -35,7 +62,6 @@ async function main() {
   console.log("\n✅ BaseCarbonToken deployed at:", tokenAddress);
 
   // 2) Deploy CarbonSmartMeter (token wired in)
-  // NOTE: current CarbonSmartMeter constructor only takes `token` address.
   const CarbonSmartMeter = await hre.ethers.getContractFactory("CarbonSmartMeter");
   const meter = await CarbonSmartMeter.deploy(tokenAddress);
   await meter.waitForDeployment();
@@ -50,10 +76,81 @@ async function main() {
   console.log("\n✅ Minter for BaseCarbonToken set to CarbonSmartMeter");
   console.log("   Minter address:", meterAddress);
 
-  console.log("\n📝 Paste these into scripts/mint.js and scripts/updateFromOracle.js:");
+  // 4) Deploy CarbonMarketplace
+  const treasury = process.env.TREASURY_ADDRESS || deployer.address;
+  const CarbonMarketplace = await hre.ethers.getContractFactory("CarbonMarketplace");
+  const marketplace = await CarbonMarketplace.deploy(tokenAddress, treasury);
+  await marketplace.waitForDeployment();
+  const marketplaceAddress = await marketplace.getAddress();
+
+  console.log("\n✅ CarbonMarketplace deployed at:", marketplaceAddress);
+  console.log("   Treasury:", treasury);
+
+  const contracts = {
+    token: await deployed("BaseCarbonToken", token),
+    meter: await deployed("CarbonSmartMeter", meter),
+    marketplace: await deployed("CarbonMarketplace", marketplace),
+  };
+
+  // 5) Local only: a stablecoin stand-in for ERC-20 priced listings
+  if (["hardhat", "localhost"].includes(hre.network.name)) {
+    const MockERC20 = await hre.ethers.getContractFactory("MockERC20");
+    const usd = await MockERC20.deploy("Mock USD", "mUSD", 6);
+    await usd.waitForDeployment();
+    contracts.paymentToken = await deployed("MockERC20", usd);
+
+    console.log("\n✅ MockERC20 (mUSD) deployed at:", contracts.paymentToken.address);
+  }
+
+  // 6) BC/USD price feed for getWalletOffsetValueUSD
+  if (process.env.PRICE_FEED_ADDRESS) {
+    contracts.oracle = { name: "AggregatorV3Interface", address: process.env.PRICE_FEED_ADDRESS, txHash: null, blockNumber: null, abiHash: null };
+  } else if (["hardhat", "localhost"].includes(hre.network.name)) {
+    const MockV3Aggregator = await hre.ethers.getContractFactory("MockV3Aggregator");
+    const feed = await MockV3Aggregator.deploy(8, hre.ethers.parseUnits(process.env.PRICE_FEED_MOCK_USD || "12.5", 8));
+    await feed.waitForDeployment();
+    contracts.oracle = await deployed("MockV3Aggregator", feed);
+
+    console.log("\n✅ MockV3Aggregator (BC/USD) deployed at:", contracts.oracle.address);
+  }
+  if (contracts.oracle) {
+    await (await meter.setPriceFeed(contracts.oracle.address, PRICE_FEED_MAX_AGE)).wait();
+    contracts.oracle.maxPriceAge = PRICE_FEED_MAX_AGE;
+    console.log("\n✅ Price feed set:", contracts.oracle.address, `(max age ${PRICE_FEED_MAX_AGE}s)`);
+  } else {
+    console.log("\n⚠️  No PRICE_FEED_ADDRESS: USD valuations revert until setPriceFeed() is called");
+  }
+
+  // 7) Manifest
+  if (hre.network.name === "hardhat") {
+    console.log("\n(in-process hardhat network: no deployments/ manifest written)");
+  } else {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const previous = readManifest(hre.network.name);
+    if (previous) {
+      console.log(`\n⚠️  Replacing the ${hre.network.name} manifest (meter was ${previous.contracts.meter.address})`);
+    }
+    const file = writeManifest(hre.network.name, {
+      network: hre.network.name,
+      chainId: Number(chainId),
+      deployer: deployer.address,
+      deployedAt: new Date().toISOString(),
+      deployBlock: contracts.token.blockNumber,
+      treasury,
+      contracts,
+    });
+    console.log("\n📝 Manifest written:", file);
+  }
+
   console.log("   TOKEN_ADDRESS =", tokenAddress);
   console.log("   METER_ADDRESS =", meterAddress);
-  console.log("   ETH_USD_FEED  =", ETH_USD_FEED_BASE_SEPOLIA);
+  console.log("   MARKETPLACE_ADDRESS =", marketplaceAddress);
+  if (contracts.paymentToken) {
+    console.log("   PAYMENT_TOKEN_ADDRESS =", contracts.paymentToken.address);
+  }
+  if (contracts.oracle) {
+    console.log("   PRICE_FEED_ADDRESS =", contracts.oracle.address);
+  }
   console.log("\n---- DEPLOY DONE ----\n");
 }
 
@@ -1,5 +1,6 @@
 // scripts/mint.js
 const hre = require("hardhat");
+const { requireDeployed } = require("../server/deployment");
 
 /**
  * mint.js
@@ -9,7 +10,7 @@ const hre = require("hardhat");
  * - register a demo device
  * - send a fake verified energy reading (milli-kWh)
  * - let the smart meter mint BaseCarbon (BC) based on 2.5 kWh = 1 BC
- * - read back our BC balance and approximate USD value using Chainlink
+ * - read back our BC balance and its USD value from the meter's BC/USD feed
  *
  * This is our main "demo script" to prove that all pieces work together.
  */
@@ -17,23 +18,23 @@ const hre = require("hardhat");
 async function main() {
   const [signer] = await hre.ethers.getSigners();
 
-  // Paste from deploy.js output
-  const TOKEN_ADDRESS = "0x4fd9783B591573225fD3E3779eE12AC52A6d2119";
-  const METER_ADDRESS = "0x0b1d636E1DdED352e850F8763786aBa87f6ed5e4";
+  // From deployments/<network>.json (written by deploy.js)
+  const { token, meter } = await requireDeployed(hre, "token", "meter");
 
-  const Token = await hre.ethers.getContractAt("BaseCarbonToken", TOKEN_ADDRESS);
-  const Meter = await hre.ethers.getContractAt("CarbonSmartMeter", METER_ADDRESS);
+  const Token = await hre.ethers.getContractAt("BaseCarbonToken", token);
+  const Meter = await hre.ethers.getContractAt("CarbonSmartMeter", meter);
 
   console.log("\n👤 Using wallet:", signer.address);
 
-  // 1) Check Chainlink price first (via inherited OracleConsumer)
+  // 1) Check the BC/USD feed price first (via inherited OracleConsumer)
   const [price, decimals] = await Meter.getLatestPrice();
-  const uniPrice = Number(price) / 10 ** decimals;
+  const [, , , updatedAt] = await Meter.getLatestRoundData();
 
-  console.log("\n✅ Chainlink UNI/USD price (via OracleConsumer):");
+  console.log("\n✅ BC/USD price (feed:", await Meter.priceFeed(), ")");
   console.log("   Raw:", price.toString());
   console.log("   Decimals:", decimals);
-  console.log("   Human:", uniPrice, "USD");
+  console.log("   Human:", hre.ethers.formatUnits(price, decimals), "USD");
+  console.log("   Updated:", new Date(Number(updatedAt) * 1000).toISOString());
 
   // 2) Register a demo device (one-time per device id)
   const deviceId = hre.ethers.keccak256(
@@ -47,8 +48,10 @@ async function main() {
 
   console.log("✅ Device registered and bound to our wallet");
 
-  // 3) Submit a fake verified reading (5 kWh = 5000 milli-kWh)
+  // 3) Submit a fake verified reading (5 kWh = 5000 milli-kWh over the last hour)
   const fakeReadingMilliKwh = 5000;
+  const periodEnd = Math.floor(Date.now() / 1000);
+  const periodStart = periodEnd - 3600;
 
   console.log(
     "\n⚡ Sending fake verified reading:",
@@ -58,7 +61,9 @@ async function main() {
 
   const readingTx = await Meter.recordVerifiedReading(
     deviceId,
-    fakeReadingMilliKwh
+    fakeReadingMilliKwh,
+    periodStart,
+    periodEnd
   );
   await readingTx.wait();
 
@@ -72,13 +77,12 @@ async function main() {
   console.log("   Raw:", balance.toString());
   console.log("   Human:", balanceBC, "BC");
 
-  // 5) Check estimated USD value of our offsets
-  const usdValue = await Meter.getWalletOffsetValueUSD(signer.address);
-  const usdHuman = Number(usdValue) / 10 ** decimals;
+  // 5) Check USD value of our offsets (value has the token's 18 decimals)
+  const { usdValue, roundId } = await Meter.getWalletOffsetValueUSD(signer.address);
 
-  console.log("\n💵 Estimated USD value of our BC (using UNI/USD as proxy):");
+  console.log("\n💵 USD value of our verified offsets (feed round", roundId.toString() + "):");
   console.log("   Raw:", usdValue.toString());
-  console.log("   Human (approx):", usdHuman, "USD");
+  console.log("   Human:", hre.ethers.formatUnits(usdValue, 18), "USD");
 
   console.log("\n---- MINT FLOW COMPLETE ----\n");
 }
@@ -0,0 +1,112 @@
+// scripts/mrvReport.js
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { hardhatDeployment, requireDeployed } = require("../server/deployment");
+const {
+  METER_EVENTS,
+  MARKETPLACE_EVENTS,
+  fetchEventLogs,
+} = require("../server/event-log");
+const {
+  parseReportTime,
+  buildMrvReport,
+  reportToCsv,
+  reportToHtml,
+} = require("../server/mrv-report");
+
+/**
+ * mrvReport.js
+ *
+ * In this script we generate an MRV report for a wallet or device straight
+ * from the chain (no backend needed): JSON, CSV and printable HTML files
+ * (open the HTML in a browser and print to PDF for filings).
+ *
+ * Usage (hardhat run doesn't forward CLI args, so we use env vars):
+ *   REPORT_WALLET=0x... REPORT_FROM=2025-01-01 REPORT_TO=2025-02-01 \
+ *     npx hardhat run scripts/mrvReport.js --network base
+ *
+ *   REPORT_DEVICE=0x<bytes32>  instead of REPORT_WALLET for a device report
+ *   REPORT_FORMAT=json|csv|html|all   (default: all)
+ *   REPORT_OUT=reports                (output directory)
+ *   REPORT_FROM_BLOCK=<n>             (first block to scan, default: the
+ *                                     manifest's deploy block, else 0)
+ *   Contracts come from deployments/<network>.json (marketplace optional).
+ */
+
+async function main() {
+  const {
+    REPORT_WALLET,
+    REPORT_DEVICE,
+    REPORT_FROM,
+    REPORT_TO,
+    REPORT_FORMAT = "all",
+    REPORT_OUT = "reports",
+    REPORT_FROM_BLOCK,
+  } = process.env;
+
+  if (!REPORT_WALLET === !REPORT_DEVICE) {
+    throw new Error("Set either REPORT_WALLET or REPORT_DEVICE");
+  }
+  if (!REPORT_FROM || !REPORT_TO) {
+    throw new Error("Set REPORT_FROM and REPORT_TO (ISO dates or unix seconds)");
+  }
+
+  const { meter, marketplace } = await requireDeployed(hre, "meter");
+  const { manifest } = await hardhatDeployment(hre);
+  const fromBlock = Number(REPORT_FROM_BLOCK ?? (manifest ? manifest.deployBlock : 0));
+
+  const Meter = await hre.ethers.getContractAt("CarbonSmartMeter", meter);
+  const sources = [{ name: "meter", contract: Meter, events: METER_EVENTS }];
+  if (marketplace) {
+    const Marketplace = await hre.ethers.getContractAt("CarbonMarketplace", marketplace);
+    sources.push({ name: "marketplace", contract: Marketplace, events: MARKETPLACE_EVENTS });
+  }
+
+  console.log("\n📡 Fetching events from block", fromBlock, "...");
+  const events = await fetchEventLogs(hre.ethers.provider, sources, { fromBlock });
+  console.log(`   ${events.length} events`);
+
+  const report = await buildMrvReport({
+    meter: Meter,
+    events,
+    wallet: REPORT_WALLET,
+    deviceId: REPORT_DEVICE,
+    from: parseReportTime(REPORT_FROM),
+    to: parseReportTime(REPORT_TO),
+    marketplaceAddress: marketplace,
+  });
+
+  const renderers = {
+    json: () => JSON.stringify(report, null, 2),
+    csv: () => reportToCsv(report),
+    html: () => reportToHtml(report),
+  };
+  const formats = REPORT_FORMAT === "all" ? Object.keys(renderers) : [REPORT_FORMAT];
+
+  fs.mkdirSync(REPORT_OUT, { recursive: true });
+  const subject = (REPORT_WALLET || REPORT_DEVICE).slice(0, 10);
+  const base = `mrv-${subject}-${REPORT_FROM}-${REPORT_TO}`.replace(/[^\w-]/g, "");
+
+  console.log("\n📄 MRV report:");
+  console.log("   Readings:", report.summary.readings);
+  console.log("   Energy:  ", report.summary.kWh, "kWh");
+  console.log("   CO₂:     ", report.summary.co2Kg, "kg avoided");
+  console.log("   Minted:  ", report.summary.bcMinted, "BC");
+  console.log("   Sold:    ", report.summary.bcTransferredOut, "BC");
+
+  for (const format of formats) {
+    if (!renderers[format]) {
+      throw new Error(`Unknown REPORT_FORMAT: ${format}`);
+    }
+    const file = path.join(REPORT_OUT, `${base}.${format}`);
+    fs.writeFileSync(file, renderers[format]());
+    console.log("   ✅ Wrote", file);
+  }
+  console.log();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,71 @@
+// scripts/setGridIntensity.js
+const hre = require("hardhat");
+const { requireDeployed } = require("../server/deployment");
+
+/**
+ * setGridIntensity.js
+ *
+ * In this script we write the regional grid intensity table from
+ * docs/Grid_Sources.md to CarbonSmartMeter (owner only).
+ *
+ * Every factor is stored with its source citation + effective date,
+ * and re-running the script only sends updates for changed rows.
+ *
+ * Usage:
+ *   npx hardhat run scripts/setGridIntensity.js --network base
+ *   (meter from deployments/base.json)
+ */
+
+// kg CO₂/kWh → µg per kWh is ×1,000,000 (0.110 kg → 110,000)
+const GRID_SOURCES = [
+  { region: "GLOBAL", kgPerKwh: "0.45",  source: "IEA Emissions Factors 2024", effective: "2024-01-01" },
+  { region: "EU",     kgPerKwh: "0.296", source: "EEA 2023",                   effective: "2023-01-01" },
+  { region: "US",     kgPerKwh: "0.385", source: "EIA 2024",                   effective: "2024-01-01" },
+  { region: "NZ",     kgPerKwh: "0.110", source: "MBIE NZ 2024",               effective: "2024-01-01" },
+  { region: "AU",     kgPerKwh: "0.680", source: "Clean Energy Regulator AU",  effective: "2024-01-01" },
+  { region: "SG",     kgPerKwh: "0.420", source: "EMA Singapore",              effective: "2024-01-01" },
+  { region: "CN",     kgPerKwh: "0.570", source: "IEA China 2024",             effective: "2024-01-01" },
+  { region: "LATAM",  kgPerKwh: "0.180", source: "OLADE 2023",                 effective: "2023-01-01" },
+  { region: "MENA",   kgPerKwh: "0.490", source: "World Bank / IEA",           effective: "2024-01-01" },
+  { region: "SSA",    kgPerKwh: "0.520", source: "IEA Africa 2024",            effective: "2024-01-01" },
+  { region: "WA",     kgPerKwh: "0.480", source: "ECOWAS / IEA",               effective: "2024-01-01" },
+  { region: "IN",     kgPerKwh: "0.710", source: "CEA India 2024",             effective: "2024-01-01" },
+];
+
+async function main() {
+  const [signer] = await hre.ethers.getSigners();
+
+  const { meter } = await requireDeployed(hre, "meter");
+
+  const Meter = await hre.ethers.getContractAt("CarbonSmartMeter", meter, signer);
+
+  console.log("\n👤 Owner:", signer.address);
+  console.log("   Meter:", meter);
+
+  for (const row of GRID_SOURCES) {
+    const region = hre.ethers.encodeBytes32String(row.region);
+    const microKgPerKwh = hre.ethers.parseUnits(row.kgPerKwh, 6);
+    const effectiveFrom = Math.floor(Date.parse(`${row.effective}T00:00:00Z`) / 1000);
+
+    const current = await Meter.gridIntensities(region);
+    if (
+      current.microKgPerKwh === microKgPerKwh &&
+      current.source === row.source &&
+      Number(current.effectiveFrom) === effectiveFrom
+    ) {
+      console.log(`   = ${row.region.padEnd(6)} ${row.kgPerKwh} kg/kWh (unchanged)`);
+      continue;
+    }
+
+    const tx = await Meter.setGridIntensity(region, microKgPerKwh, row.source, effectiveFrom);
+    await tx.wait();
+    console.log(`   ✅ ${row.region.padEnd(6)} ${row.kgPerKwh} kg/kWh  (${row.source})`);
+  }
+
+  console.log("\n---- GRID INTENSITY TABLE UPDATED ----\n");
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -1,12 +1,14 @@
 // scripts/updateFromOracle.js
 const hre = require("hardhat");
+const { requireDeployed } = require("../server/deployment");
 
 /**
  * updateFromOracle.js
  *
  * - attaches to deployed CarbonSmartMeter
- * - reads stub oracle price (100e8, 8)
- * - reads wallet USD valuation
+ * - reads the BC/USD feed it is configured with (address, max age, latest
+ *   round) — reverts if no feed is set or the price is stale / <= 0
+ * - reads wallet USD valuation + the feed round it used
  *
  * No state changes — pure read-only checks.
  */
@@ -14,39 +16,39 @@ const hre = require("hardhat");
 async function main() {
   const [signer] = await hre.ethers.getSigners();
 
-  // Paste the new deployed meter address here:
-  const METER_ADDRESS = "0x0b1d636E1DdED352e850F8763786aBa87f6ed5e4";
+  const { meter, oracle } = await requireDeployed(hre, "meter");
 
-  const Meter = await hre.ethers.getContractAt("CarbonSmartMeter", METER_ADDRESS);
+  const Meter = await hre.ethers.getContractAt("CarbonSmartMeter", meter);
 
   console.log("\n👤 Using wallet (read-only):", signer.address);
 
   // ------------------------------------------------------------------
-  // 1) Latest price (from stub oracle)
+  // 1) Latest price (from the configured feed)
   // ------------------------------------------------------------------
-  const result = await Meter.getLatestPrice(); 
-  const price = result[0];         // BigInt
-  const decimals = Number(result[1]); // Number
-
-  // Convert to JS number for display ONLY — safe because stub is small
-  const humanPrice = Number(price) / 10 ** decimals;
-
-  console.log("\n✅ Latest price from stub oracle:");
+  const [feed, maxAge] = await Promise.all([Meter.priceFeed(), Meter.maxPriceAge()]);
+  const [price, decimals] = await Meter.getLatestPrice();
+  const [roundId, , , updatedAt] = await Meter.getLatestRoundData();
+
+  console.log("\n✅ Latest BC/USD price:");
+  console.log("   Feed:", feed, `(max age ${maxAge}s)`);
+  if (oracle && oracle.toLowerCase() !== feed.toLowerCase()) {
+    console.log("   ⚠️  Manifest oracle is", oracle, "— run `npx hardhat bcm verify-wiring`");
+  }
+  console.log("   Round:", roundId.toString(), "updated", new Date(Number(updatedAt) * 1000).toISOString());
   console.log("   Raw:", price.toString());
   console.log("   Decimals:", decimals);
-  console.log("   Human:", humanPrice, "USD");
+  console.log("   Human:", hre.ethers.formatUnits(price, decimals), "USD");
 
   // ------------------------------------------------------------------
   // 2) USD valuation of wallet offsets
   // ------------------------------------------------------------------
-  const usdValue = await Meter.getWalletOffsetValueUSD(signer.address); // BigInt
-
-  // This is safe — value is <= 1e36 in worst case
-  const usdHuman = Number(usdValue) / 10 ** decimals;
+  const valuation = await Meter.getWalletOffsetValueUSD(signer.address);
 
+  // usdValue has the token's 18 decimals
   console.log("\n✅ Wallet offset valuation:");
-  console.log("   Raw:", usdValue.toString());
-  console.log("   Human:", usdHuman, "USD (approx)");
+  console.log("   Raw:", valuation.usdValue.toString());
+  console.log("   Human:", hre.ethers.formatUnits(valuation.usdValue, 18), "USD");
+  console.log("   Priced at round", valuation.roundId.toString(), "of", valuation.feed);
 
   console.log("\n---- ORACLE CHECK COMPLETE ----\n");
 }
@@ -54,4 +56,4 @@ async function main() {
 main().catch((error) => {
   console.error(error);
   process.exitCode = 1;
-});
\ No newline at end of file
+});
@@ -0,0 +1,79 @@
+// scripts/verifyCredential.js
+const fs = require("fs");
+const hre = require("hardhat");
+const { requireDeployed } = require("../server/deployment");
+const {
+  verifyCredentialSignature,
+  verifyCredentialOnChain,
+} = require("../server/verifiable-credential");
+
+/**
+ * verifyCredential.js
+ *
+ * In this script an auditor checks an energy credential (issued by
+ * GET /credentials/...) without trusting our backend or dashboard:
+ *  1. the signature recovers to the issuer named in the credential (and to
+ *     the issuer address we published, when EXPECTED_ISSUER is set)
+ *  2. the tx it points to, fetched from the auditor's own RPC, contains the
+ *     EnergyRecorded (+ TokensMinted) log with exactly the claimed values.
+ *
+ * Usage (hardhat run doesn't forward CLI args, so we use env vars):
+ *   CREDENTIAL_FILE=credential.json EXPECTED_ISSUER=0x... \
+ *     npx hardhat run scripts/verifyCredential.js --network base
+ *
+ *   The CarbonSmartMeter to trust (the credential's contract must match) is
+ *   the one in deployments/<network>.json, or METER_ADDRESS without one.
+ */
+
+async function main() {
+  const {
+    CREDENTIAL_FILE,
+    EXPECTED_ISSUER,
+  } = process.env;
+
+  if (!CREDENTIAL_FILE) {
+    throw new Error("Set CREDENTIAL_FILE to the credential JSON");
+  }
+  const json = JSON.parse(fs.readFileSync(CREDENTIAL_FILE, "utf8"));
+  const credential = json.credential || json;
+
+  const { meter } = await requireDeployed(hre, "meter");
+  const Meter = await hre.ethers.getContractAt("CarbonSmartMeter", meter);
+
+  console.log("\n🔎 Credential:", credential.id);
+  console.log("   Issuer:    ", credential.issuer);
+  if (!EXPECTED_ISSUER) {
+    console.log("   ⚠️  EXPECTED_ISSUER not set: only checking the credential signed itself consistently");
+  }
+
+  const signature = verifyCredentialSignature(credential, { expectedIssuer: EXPECTED_ISSUER });
+  console.log(signature.valid ? "\n✅ Signature valid" : "\n❌ Signature invalid");
+  console.log("   Signer:", signature.signer);
+  signature.errors.forEach((error) => console.log("   -", error));
+
+  const onChain = await verifyCredentialOnChain(credential, { provider: hre.ethers.provider, meter: Meter });
+  console.log(onChain.valid ? "\n✅ Matches on-chain logs" : "\n❌ Does not match on-chain logs");
+  onChain.errors.forEach((error) => console.log("   -", error));
+  for (const m of onChain.mismatches) {
+    console.log(`   - ${m.field}: chain ${JSON.stringify(m.onChain)}, credential ${JSON.stringify(m.credential)}`);
+  }
+
+  const subject = credential.credentialSubject || {};
+  if (signature.valid && onChain.valid) {
+    console.log("\n📄 Verified claim:");
+    console.log("   Device:  ", subject.deviceId);
+    console.log("   Period:  ", subject.periodStart, "–", subject.periodEnd);
+    console.log("   Energy:  ", subject.energy.kWh, "kWh");
+    console.log("   Grid:    ", subject.gridFactor.kgPerKwh, "kg CO₂/kWh", subject.region ? `(${subject.region})` : "(global fallback)");
+    console.log("   CO₂:     ", subject.co2Avoided.kg, "kg avoided");
+    if (subject.minted) console.log("   Minted:  ", subject.minted.bc, "BC");
+    console.log();
+  } else {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,94 @@
+// scripts/webhookReceiver.js
+const crypto = require("crypto");
+const http = require("http");
+const { parseArgs } = require("util");
+
+/**
+ * webhookReceiver.js
+ *
+ * Local test receiver for backend webhooks: verifies X-BCM-Signature and
+ * prints every delivery. Also a reference for integrators: the signature is
+ *   t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<raw body>")>
+ * and is checked on the raw body, in constant time, within a time tolerance.
+ *
+ * Usage (plain node, not hardhat):
+ *   node scripts/webhookReceiver.js --secret whsec_... [--port 4000] [--fail 2]
+ *
+ * Then register it as an operator:
+ *   POST /webhooks { "url": "http://localhost:4000/bcm" } (secret in the answer)
+ *
+ *   --fail <n>       answer 500 to the first n deliveries (to watch the retries)
+ *   --tolerance <s>  max age of a signature timestamp (default 300)
+ */
+
+const USAGE = "Usage: webhookReceiver.js --secret <whsec_...> [--port 4000] [--fail <n>] [--tolerance <seconds>]";
+
+/**
+ * true if `header` is a valid signature of `body` under `secret`.
+ */
+function verifySignature(header, body, secret, toleranceSeconds) {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.split("=", 2))
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest();
+  const given = Buffer.from(parts.v1, "hex");
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      secret: { type: "string" },
+      port: { type: "string", default: "4000" },
+      fail: { type: "string", default: "0" },
+      tolerance: { type: "string", default: "300" },
+    },
+  });
+  if (!values.secret) {
+    throw new Error(USAGE);
+  }
+
+  let toFail = Number(values.fail);
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const body = Buffer.concat(chunks).toString("utf8");
+      const delivery = req.headers["x-bcm-delivery"];
+
+      if (!verifySignature(req.headers["x-bcm-signature"], body, values.secret, Number(values.tolerance))) {
+        console.log(`❌ ${delivery}: bad signature`);
+        res.writeHead(401).end();
+        return;
+      }
+      if (toFail > 0) {
+        toFail--;
+        console.log(`↩️  ${delivery}: answering 500 (${toFail} more to fail)`);
+        res.writeHead(500).end();
+        return;
+      }
+
+      const event = JSON.parse(body);
+      console.log(`✅ ${req.headers["x-bcm-event"]} ${delivery}`);
+      console.log(JSON.stringify(event, null, 2));
+      res.writeHead(204).end();
+    });
+  });
+
+  server.listen(Number(values.port), () => {
+    console.log(`Webhook receiver on http://localhost:${values.port}/ (Ctrl+C to stop)`);
+  });
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,204 @@
+// access-control.js
+// Who is calling and what they may do.
+//
+// Callers authenticate with `Authorization: Bearer <token>`:
+//  - API key (bcm_..., see api-keys.js): role "operator" or "gateway"
+//  - session token (bcs_...) from Sign-In with Ethereum (POST /auth/siwe/verify):
+//    role "wallet", bound to the wallet that signed in
+//
+// Routes then declare who may call them:
+//  - requireRole("operator")          operator-only actions
+//  - requireRole("gateway", ...)      reading submission
+//  - requireOwner(req => ({ wallet | deviceId }))
+//                                     wallet / device data: operators, or the
+//                                     wallet itself / the wallet the device is
+//                                     bound to on CarbonSmartMeter
+// Routes without a check stay public (order book, retirements, faucet, ...).
+
+const crypto = require("crypto");
+const { getMeterContract } = require("./server-wallet");
+const { verifyApiKey } = require("./api-keys");
+const { createStore } = require("./store");
+const { issueToken, redeemToken } = require("./challenge-token");
+
+const ROLES = {
+  OPERATOR: "operator",
+  GATEWAY: "gateway",
+  WALLET: "wallet",
+};
+
+const SESSION_TTL_MS = Number(process.env.AUTH_SESSION_TTL_HOURS || 24) * 3_600_000;
+const NONCE_TTL_MS = Number(process.env.AUTH_NONCE_TTL_SECONDS || 600) * 1000;
+const SESSION_REGEX = /^bcs_[0-9a-f]{64}$/;
+
+const NONCE_PURPOSE = "siwe";
+
+const store = createStore("auth-sessions", {
+  sessions: {}, // sha256(token) → { wallet, createdAt, expiresAt }
+});
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+function dropExpired(entries, now) {
+  for (const [key, entry] of Object.entries(entries)) {
+    if (entry.expiresAt < now) delete entries[key];
+  }
+}
+
+/**
+ * Single-use nonce for a sign-in message. Nonces are signed tokens
+ * (challenge-token.js): issuing one to an anonymous caller stores nothing.
+ */
+function issueNonce() {
+  const { token, expiresAt } = issueToken(NONCE_PURPOSE, { ttlMs: NONCE_TTL_MS });
+  return { nonce: token, expiresAt };
+}
+
+/**
+ * true if the nonce was issued, unused and not expired (it is used up now).
+ */
+function consumeNonce(nonce) {
+  return redeemToken(NONCE_PURPOSE, nonce);
+}
+
+/**
+ * New session for a signed-in wallet; a message Expiration Time earlier than
+ * the session TTL wins.
+ */
+function createSession(wallet, { expirationTime } = {}) {
+  const token = `bcs_${crypto.randomBytes(32).toString("hex")}`;
+  const now = Date.now();
+  const expiresAt = Math.min(now + SESSION_TTL_MS, expirationTime ? Date.parse(expirationTime) : Infinity);
+  const session = { wallet: wallet.toLowerCase(), createdAt: now, expiresAt };
+  store.update((state) => {
+    dropExpired(state.sessions, now);
+    state.sessions[hashToken(token)] = session;
+  });
+  return { token, session };
+}
+
+function endSession(token) {
+  return store.update((state) => {
+    const key = hashToken(token);
+    const found = Boolean(state.sessions[key]);
+    delete state.sessions[key];
+    return found;
+  });
+}
+
+function bearerToken(req) {
+  const header = req.get("Authorization") || "";
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  return match ? match[1] : null;
+}
+
+/**
+ * App-level middleware: sets req.auth to
+ *   { role: "operator" | "gateway", keyId, name, devices }  (API key)
+ *   { role: "wallet", wallet }                               (SIWE session)
+ * or null when no credentials were sent. Credentials that were sent but
+ * don't check out answer 401 right away.
+ */
+function authenticate(req, res, next) {
+  req.auth = null;
+  const token = bearerToken(req);
+  if (!token) return next();
+
+  if (SESSION_REGEX.test(token)) {
+    const session = store.read().sessions[hashToken(token)];
+    if (session && session.expiresAt > Date.now()) {
+      req.auth = { role: ROLES.WALLET, wallet: session.wallet };
+      return next();
+    }
+  } else {
+    const key = verifyApiKey(token);
+    if (key) {
+      req.auth = { role: key.role, keyId: key.id, name: key.name, devices: key.devices };
+      return next();
+    }
+  }
+  return res.status(401).json({ error: "Invalid or expired credentials" });
+}
+
+function unauthenticated(res) {
+  res.set("WWW-Authenticate", 'Bearer realm="bcm"');
+  return res.status(401).json({
+    error: "Authentication required",
+    details: "Send Authorization: Bearer <API key | SIWE session token>",
+  });
+}
+
+/**
+ * requireRole("operator") / requireRole("gateway", "operator") ...
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.auth) return unauthenticated(res);
+    if (!roles.includes(req.auth.role)) {
+      return res.status(403).json({ error: `Requires role: ${roles.join(" or ")}` });
+    }
+    return next();
+  };
+}
+
+/**
+ * May `auth` see data of `wallet` / `deviceId`? Operators see everything, a
+ * wallet only itself and the devices bound to it.
+ */
+async function canAccess(auth, { wallet, deviceId }) {
+  if (!auth) return false;
+  if (auth.role === ROLES.OPERATOR) return true;
+  if (auth.role !== ROLES.WALLET) return false;
+
+  if (wallet) {
+    return String(wallet).toLowerCase() === auth.wallet;
+  }
+  if (deviceId) {
+    try {
+      const device = await getMeterContract().getDevice(deviceId);
+      return device.wallet.toLowerCase() === auth.wallet;
+    } catch (err) {
+      // Unregistered or malformed id: nothing of theirs
+      return false;
+    }
+  }
+  return false;
+}
+
+/**
+ * requireOwner((req) => ({ wallet: req.params.addr }))
+ * requireOwner((req) => ({ deviceId: req.params.id }))
+ */
+function requireOwner(pick) {
+  return async (req, res, next) => {
+    if (!req.auth) return unauthenticated(res);
+    if (!(await canAccess(req.auth, pick(req)))) {
+      return res.status(403).json({ error: "Not your wallet or device" });
+    }
+    return next();
+  };
+}
+
+/**
+ * Gateway keys can be limited to a list of devices.
+ */
+function canSubmitFor(auth, deviceId) {
+  if (!auth) return false;
+  if (auth.role === ROLES.OPERATOR) return true;
+  if (auth.role !== ROLES.GATEWAY) return false;
+  return auth.devices.length === 0 || auth.devices.includes(String(deviceId).toLowerCase());
+}
+
+module.exports = {
+  ROLES,
+  issueNonce,
+  consumeNonce,
+  createSession,
+  endSession,
+  bearerToken,
+  authenticate,
+  requireRole,
+  requireOwner,
+  canAccess,
+  canSubmitFor,
+};
@@ -0,0 +1,53 @@
+// aggregates.js
+// Read routes for per-device reading windows recorded via recordVerifiedBatch.
+
+const express = require("express");
+const { getAggregate, listAggregates, getReadingProof } = require("./reading-aggregator");
+const { ROLES, requireRole, requireOwner } = require("./access-control");
+
+const router = express.Router();
+
+// id = "<deviceId>:<windowStart>"
+const deviceOwner = requireOwner((req) => ({ deviceId: req.params.id.split(":")[0] }));
+
+/**
+ * GET /aggregates?deviceId=0x...&status=recorded (operator)
+ * Lists aggregates, newest window first (status defaults to all).
+ */
+router.get("/aggregates", requireRole(ROLES.OPERATOR), (req, res) => {
+  const { status, deviceId } = req.query;
+  const aggregates = listAggregates({
+    status: status ? String(status) : undefined,
+    deviceId: deviceId ? String(deviceId) : undefined,
+  });
+  return res.json({ ok: true, count: aggregates.length, aggregates });
+});
+
+/**
+ * GET /aggregates/:id
+ * id = "<deviceId>:<windowStart>"
+ */
+router.get("/aggregates/:id", deviceOwner, (req, res) => {
+  const aggregate = getAggregate(req.params.id);
+  if (!aggregate) {
+    return res.status(404).json({ error: "Aggregate not found" });
+  }
+  return res.json({ ok: true, aggregate });
+});
+
+/**
+ * GET /aggregates/:id/readings/:nonce/proof
+ *
+ * The raw signed reading and its Merkle proof against the readingsRoot
+ * emitted in ReadingsAggregated, so an auditor can check both the device
+ * signature and that the reading is part of the recorded amount.
+ */
+router.get("/aggregates/:id/readings/:nonce/proof", deviceOwner, (req, res) => {
+  const proof = getReadingProof(req.params.id, req.params.nonce);
+  if (!proof) {
+    return res.status(404).json({ error: "Reading not found in aggregate" });
+  }
+  return res.json({ ok: true, ...proof });
+});
+
+module.exports = router;
@@ -0,0 +1,119 @@
+// api-keys.js
+// API keys for machine / staff callers: device gateways (submit readings)
+// and operators (bind devices, review quarantine, ...).
+//
+// A key looks like bcm_<id>_<secret>. Only sha256(secret) is stored, so the
+// plaintext is shown once, when the key is created. Keys are managed with the
+// admin CLI (scripts/apiKeys.js) and never over HTTP; the store is shared so
+// the running server sees CLI changes without a restart.
+
+const crypto = require("crypto");
+const { createStore } = require("./store");
+
+const KEY_ROLES = ["operator", "gateway"];
+const KEY_REGEX = /^bcm_([0-9a-f]{16})_([0-9a-f]{64})$/;
+const DEVICE_ID_REGEX = /^0x[0-9a-fA-F]{64}$/;
+const LAST_USED_RESOLUTION_MS = 60_000;
+
+const store = createStore("api-keys", { keys: {} }, { shared: true });
+
+const hashSecret = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+function toKeyView(key) {
+  const { secretHash, ...view } = key;
+  return view;
+}
+
+/**
+ * Create a key. `devices` limits a gateway key to those device ids (empty:
+ * any device). Returns { key (plaintext, shown once), record }.
+ */
+function createApiKey({ role, name, devices = [] }) {
+  if (!KEY_ROLES.includes(role)) {
+    throw new Error(`role must be one of ${KEY_ROLES.join(", ")}`);
+  }
+  if (typeof name !== "string" || name.trim() === "") {
+    throw new Error("name is required (who / what uses the key)");
+  }
+  if (devices.length > 0 && role !== "gateway") {
+    throw new Error("Only gateway keys can be limited to devices");
+  }
+  for (const deviceId of devices) {
+    if (!DEVICE_ID_REGEX.test(deviceId)) {
+      throw new Error(`deviceId must be 32-byte hex string: ${deviceId}`);
+    }
+  }
+
+  const id = crypto.randomBytes(8).toString("hex");
+  const secret = crypto.randomBytes(32).toString("hex");
+  const record = {
+    id,
+    role,
+    name: name.trim(),
+    devices: devices.map((d) => d.toLowerCase()),
+    secretHash: hashSecret(secret),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null,
+    revokeReason: null,
+  };
+  store.update((state) => {
+    state.keys[id] = record;
+  });
+  return { key: `bcm_${id}_${secret}`, record: toKeyView(record) };
+}
+
+function listApiKeys({ includeRevoked = false } = {}) {
+  return Object.values(store.read().keys)
+    .filter((k) => includeRevoked || !k.revokedAt)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(toKeyView);
+}
+
+function revokeApiKey(id, { reason } = {}) {
+  return store.update((state) => {
+    const key = state.keys[id];
+    if (!key) {
+      throw new Error(`No API key ${id}`);
+    }
+    if (key.revokedAt) {
+      throw new Error(`API key ${id} is already revoked`);
+    }
+    key.revokedAt = new Date().toISOString();
+    key.revokeReason = reason || null;
+    return toKeyView(key);
+  });
+}
+
+/**
+ * The key record for a presented key, or null (unknown / wrong secret /
+ * revoked).
+ */
+function verifyApiKey(presented) {
+  const match = KEY_REGEX.exec(presented || "");
+  if (!match) return null;
+
+  const [, id, secret] = match;
+  const key = store.read().keys[id];
+  if (!key || key.revokedAt) return null;
+
+  const expected = Buffer.from(key.secretHash, "hex");
+  if (!crypto.timingSafeEqual(expected, Buffer.from(hashSecret(secret), "hex"))) return null;
+
+  // Coarse lastUsedAt: one store write per key per minute at most
+  const now = Date.now();
+  if (!key.lastUsedAt || now - Date.parse(key.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+    store.update((state) => {
+      state.keys[id].lastUsedAt = new Date(now).toISOString();
+    });
+  }
+  return toKeyView(key);
+}
+
+module.exports = {
+  KEY_ROLES,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  verifyApiKey,
+};
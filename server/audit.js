@@ -0,0 +1,56 @@
+// audit.js
+// Operator routes for the on-chain vs off-chain reconciliation (reconciler.js):
+// the latest discrepancy report, the run history, and a manual run.
+
+const express = require("express");
+const { runReconciliation, getLastReport, listRuns } = require("./reconciler");
+const { reportToText } = require("./reconciliation");
+const { ROLES, requireRole } = require("./access-control");
+const { logger } = require("./logger");
+
+const router = express.Router();
+
+const operatorOnly = requireRole(ROLES.OPERATOR);
+
+function sendReport(req, res, report) {
+  if (req.query.format === "text") {
+    return res.type("text/plain").send(reportToText(report));
+  }
+  return res.json({ ok: true, report });
+}
+
+/**
+ * GET /audit/reconciliation?format=json|text (operator)
+ * Latest scheduled (or manual) reconciliation report; report.ok is false
+ * when any invariant is broken.
+ */
+router.get("/audit/reconciliation", operatorOnly, (req, res) => {
+  const report = getLastReport();
+  if (!report) {
+    return res.status(404).json({ error: "No reconciliation has run yet" });
+  }
+  return sendReport(req, res, report);
+});
+
+/**
+ * GET /audit/reconciliation/runs (operator)
+ * Recent runs, newest first: { at, toBlock, ok, errors, warnings }
+ */
+router.get("/audit/reconciliation/runs", operatorOnly, (req, res) => {
+  return res.json({ ok: true, runs: listRuns() });
+});
+
+/**
+ * POST /audit/reconciliation/run?format=json|text (operator)
+ * Reconcile now, up to the last indexed block.
+ */
+router.post("/audit/reconciliation/run", operatorOnly, async (req, res) => {
+  try {
+    return sendReport(req, res, await runReconciliation());
+  } catch (err) {
+    logger.error("reconciliation error", { err });
+    return res.status(503).json({ error: "Reconciliation failed", details: err.message });
+  }
+});
+
+module.exports = router;
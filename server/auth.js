@@ -0,0 +1,100 @@
+// auth.js
+// Sign-In with Ethereum for wallet holders: nonce → signed EIP-4361 message
+// → session token (see access-control.js for how tokens are checked).
+// API keys for gateways / operators are issued with scripts/apiKeys.js.
+
+const express = require("express");
+const { provider } = require("./server-wallet");
+const { verifySiweMessage } = require("./siwe");
+const {
+  issueNonce,
+  consumeNonce,
+  createSession,
+  endSession,
+  bearerToken,
+  requireRole,
+  ROLES,
+} = require("./access-control");
+const { logger } = require("./logger");
+
+const router = express.Router();
+
+function siweDomain() {
+  return process.env.AUTH_SIWE_DOMAIN || `localhost:${process.env.PORT || 3001}`;
+}
+
+/**
+ * GET /auth/siwe/nonce
+ * → { nonce, domain, chainId, expiresAt }: what the sign-in message must carry.
+ */
+router.get("/auth/siwe/nonce", async (req, res) => {
+  try {
+    const { chainId } = await provider.getNetwork();
+    const { nonce, expiresAt } = issueNonce();
+    return res.json({
+      ok: true,
+      nonce,
+      domain: siweDomain(),
+      chainId: Number(chainId),
+      expiresAt: new Date(expiresAt).toISOString(),
+    });
+  } catch (err) {
+    logger.error("siwe nonce error", { err });
+    return res.status(500).json({ error: "Issuing nonce failed", details: err.message });
+  }
+});
+
+/**
+ * POST /auth/siwe/verify
+ * body: { message: string (EIP-4361), signature: string (hex) }
+ *
+ * The message must name our domain + chain and a nonce from
+ * GET /auth/siwe/nonce (single use). → { token, wallet, expiresAt }; send
+ * the token as `Authorization: Bearer <token>`.
+ */
+router.post("/auth/siwe/verify", async (req, res) => {
+  const { message, signature } = req.body || {};
+  if (typeof message !== "string" || typeof signature !== "string") {
+    return res.status(400).json({ error: "message and signature are required" });
+  }
+
+  let parsed;
+  try {
+    const { chainId } = await provider.getNetwork();
+    parsed = verifySiweMessage(message, signature, { domain: siweDomain(), chainId });
+  } catch (err) {
+    return res.status(401).json({ error: "Sign-in failed", details: err.message });
+  }
+  if (!consumeNonce(parsed.nonce)) {
+    return res.status(401).json({ error: "Sign-in failed", details: "Unknown, used or expired nonce" });
+  }
+
+  const { token, session } = createSession(parsed.address, { expirationTime: parsed.expirationTime });
+  return res.json({
+    ok: true,
+    token,
+    wallet: session.wallet,
+    expiresAt: new Date(session.expiresAt).toISOString(),
+  });
+});
+
+/**
+ * GET /auth/session
+ * Who the presented credentials belong to.
+ */
+router.get(
+  "/auth/session",
+  requireRole(ROLES.OPERATOR, ROLES.GATEWAY, ROLES.WALLET),
+  (req, res) => res.json({ ok: true, ...req.auth })
+);
+
+/**
+ * POST /auth/logout
+ * Ends the presented SIWE session (API keys are revoked with the CLI).
+ */
+router.post("/auth/logout", requireRole(ROLES.WALLET), (req, res) => {
+  endSession(bearerToken(req));
+  return res.json({ ok: true });
+});
+
+module.exports = router;
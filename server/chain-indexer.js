@@ -0,0 +1,345 @@
+// chain-indexer.js
+// Background indexer for CarbonSmartMeter, CarbonMarketplace and
+// BaseCarbonToken (retirement) events.
+//
+// Follows the chain from INDEXER_START_BLOCK (default: the manifest's deploy
+// block), decodes the events the
+// dashboard needs and keeps them in a local store, so history pages never
+// scan logs over RPC. Reorgs are handled by remembering the hash of recently
+// indexed blocks: if the chain no longer agrees with one, everything after the
+// last block we still agree on is dropped and re-indexed (onReorg() tells
+// consumers that keep their own cursor).
+//
+// Storage: events are appended to chain-events.jsonl (one JSON record per
+// line, in block order) and held in memory with a set of their ids
+// (txHash:logIndex) for dedupe; the "chain-index" store only keeps the
+// checkpoint (last block + recent block hashes). A tick appends just the new
+// events; only a reorg rewrites the log. Events appended before a crash are
+// fetched again and skipped by id.
+
+const fs = require("fs");
+const path = require("path");
+const {
+  provider,
+  deployment,
+  addresses,
+  getTokenContract,
+  getMeterContract,
+  getMarketplaceContract,
+} = require("./server-wallet");
+const { DATA_DIR, createStore } = require("./store");
+const { METER_EVENTS, MARKETPLACE_EVENTS, TOKEN_EVENTS, fetchEventLogs } = require("./event-log");
+const { logger } = require("./logger");
+
+const START_BLOCK = Number(
+  process.env.INDEXER_START_BLOCK || (deployment.manifest ? deployment.manifest.deployBlock : 0)
+);
+const POLL_MS = Number(process.env.INDEXER_POLL_MS || 5000);
+const MAX_BLOCK_RANGE = Number(process.env.INDEXER_MAX_BLOCK_RANGE || 2000);
+const REORG_DEPTH = Number(process.env.INDEXER_REORG_DEPTH || 64);
+
+const EVENTS_FILE = path.join(DATA_DIR, "chain-events.jsonl");
+
+const store = createStore("chain-index", {
+  lastBlock: null,
+  blockHashes: {},
+});
+
+let timer = null;
+let ticking = false;
+let events = null; // oldest first
+let eventIds = null;
+const reorgHandlers = [];
+
+// ------------------------------------------------------------------------
+// Event log
+// ------------------------------------------------------------------------
+
+function readEventLog() {
+  try {
+    return fs
+      .readFileSync(EVENTS_FILE, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    return [];
+  }
+}
+
+function writeEventLog(list) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const tmp = `${EVENTS_FILE}.tmp`;
+  fs.writeFileSync(tmp, list.map((e) => `${JSON.stringify(e)}\n`).join(""));
+  fs.renameSync(tmp, EVENTS_FILE);
+}
+
+/**
+ * In-memory events, loaded once. Indexes written before the event log
+ * existed kept their events inside chain-index.json: moved over here.
+ */
+function loadEvents() {
+  if (events) return events;
+
+  events = readEventLog();
+  const legacy = store.read().events;
+  if (legacy) {
+    const known = new Set(events.map((e) => e.id));
+    events = [...events, ...legacy.filter((e) => !known.has(e.id))].sort(
+      (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+    );
+    writeEventLog(events);
+    store.update((state) => {
+      delete state.events;
+    });
+  }
+  eventIds = new Set(events.map((e) => e.id));
+  return events;
+}
+
+function appendEvents(found) {
+  const fresh = found.filter((e) => !eventIds.has(e.id));
+  if (fresh.length === 0) return;
+
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.appendFileSync(EVENTS_FILE, fresh.map((e) => `${JSON.stringify(e)}\n`).join(""));
+  for (const event of fresh) {
+    events.push(event);
+    eventIds.add(event.id);
+  }
+}
+
+/**
+ * Contracts to follow: [{ name, contract, events }]. The marketplace and the
+ * token are optional (only indexed when their addresses are known).
+ */
+function sources() {
+  const list = [{ name: "meter", contract: getMeterContract(), events: METER_EVENTS }];
+  if (addresses.marketplace) {
+    list.push({ name: "marketplace", contract: getMarketplaceContract(), events: MARKETPLACE_EVENTS });
+  }
+  if (addresses.token) {
+    list.push({ name: "token", contract: getTokenContract(), events: TOKEN_EVENTS });
+  }
+  return list;
+}
+
+/**
+ * Walk back through remembered block hashes until the chain agrees with us.
+ * Returns the block to resume after, or null if nothing changed.
+ */
+async function findReorgAncestor(lastBlock) {
+  const { blockHashes } = store.read();
+  const remembered = Object.keys(blockHashes)
+    .map(Number)
+    .sort((a, b) => b - a);
+
+  for (const number of remembered) {
+    const block = await provider.getBlock(number);
+    if (block && block.hash === blockHashes[number]) {
+      return number === lastBlock ? null : number;
+    }
+  }
+  // Reorg deeper than what we remember: start over
+  return START_BLOCK - 1;
+}
+
+function rollbackTo(blockNumber) {
+  events = loadEvents().filter((e) => e.blockNumber <= blockNumber);
+  eventIds = new Set(events.map((e) => e.id));
+  writeEventLog(events);
+
+  store.update((state) => {
+    for (const number of Object.keys(state.blockHashes)) {
+      if (Number(number) > blockNumber) delete state.blockHashes[number];
+    }
+    state.lastBlock = blockNumber;
+  });
+}
+
+/**
+ * Index fromBlock..toBlock. false (nothing stored) if the chain moved while
+ * we read it: fromBlock no longer builds on the last block we indexed, or a
+ * fetched event's block (or toBlock) is not canonical anymore. The next tick
+ * rolls back / re-fetches first.
+ */
+async function indexRange(fromBlock, toBlock) {
+  const last = await provider.getBlock(toBlock);
+  const found = await fetchEventLogs(provider, sources(), { fromBlock, toBlock });
+
+  const parentHash = store.read().blockHashes[fromBlock - 1];
+  if (parentHash && (await provider.getBlock(fromBlock)).parentHash !== parentHash) {
+    return false;
+  }
+  const canonical = new Map();
+  for (const { blockNumber, blockHash } of [...found, { blockNumber: toBlock, blockHash: last.hash }]) {
+    if (!canonical.has(blockNumber)) {
+      const block = await provider.getBlock(blockNumber);
+      canonical.set(blockNumber, block && block.hash);
+    }
+    if (canonical.get(blockNumber) !== blockHash) return false;
+  }
+
+  // Ranges are indexed in order and found is sorted, so the log stays sorted
+  loadEvents();
+  appendEvents(found);
+
+  store.update((state) => {
+    for (const [number, hash] of canonical) {
+      state.blockHashes[number] = hash;
+    }
+
+    for (const number of Object.keys(state.blockHashes)) {
+      if (Number(number) < toBlock - REORG_DEPTH) delete state.blockHashes[number];
+    }
+    state.lastBlock = toBlock;
+  });
+  return true;
+}
+
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    let { lastBlock } = store.read();
+    if (lastBlock === null) {
+      lastBlock = START_BLOCK - 1;
+    } else {
+      const ancestor = await findReorgAncestor(lastBlock);
+      if (ancestor !== null) {
+        logger.warn("indexer reorg detected", { rollbackTo: ancestor });
+        rollbackTo(ancestor);
+        lastBlock = ancestor;
+        for (const handler of reorgHandlers) {
+          try {
+            handler(ancestor);
+          } catch (err) {
+            logger.error("indexer reorg handler error", { err });
+          }
+        }
+      }
+    }
+
+    const head = await provider.getBlockNumber();
+    while (lastBlock < head) {
+      const toBlock = Math.min(lastBlock + MAX_BLOCK_RANGE, head);
+      if (!(await indexRange(lastBlock + 1, toBlock))) {
+        logger.warn("indexer chain moved during tick, rechecking", { fromBlock: lastBlock + 1 });
+        break;
+      }
+      lastBlock = toBlock;
+    }
+  } catch (err) {
+    logger.error("indexer tick error", { err });
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start the indexer loop (called once from index.js).
+ */
+function startIndexer() {
+  if (timer) return;
+  timer = setInterval(tick, POLL_MS);
+  tick();
+}
+
+function stopIndexer() {
+  clearInterval(timer);
+  timer = null;
+}
+
+/**
+ * handler(blockNumber) after a reorg: events after blockNumber were dropped
+ * and are being re-indexed.
+ */
+function onReorg(handler) {
+  reorgHandlers.push(handler);
+}
+
+// ------------------------------------------------------------------------
+// Queries
+// ------------------------------------------------------------------------
+
+/**
+ * Indexed events, newest first.
+ *  - event:  name or list of names
+ *  - filter: every arg must match, e.g. { deviceId: "0x.." }
+ *  - anyOf:  at least one arg must match, e.g. { seller: addr, buyer: addr }
+ *  - from / to: unix seconds (block time), to is exclusive
+ * Arg values are compared lowercase.
+ */
+function queryEvents({ event, filter = {}, anyOf, from, to } = {}) {
+  const names = Array.isArray(event) ? event : event ? [event] : null;
+  const matches = (e, [key, value]) => e.args[key] === value.toLowerCase();
+  return loadEvents()
+    .filter((e) => !names || names.includes(e.event))
+    .filter((e) => Object.entries(filter).every((entry) => matches(e, entry)))
+    .filter((e) => !anyOf || Object.entries(anyOf).some((entry) => matches(e, entry)))
+    .filter((e) => (from === undefined || e.timestamp >= from) && (to === undefined || e.timestamp < to))
+    .reverse();
+}
+
+function bucketKey(timestamp, bucket) {
+  const iso = new Date(timestamp * 1000).toISOString();
+  return bucket === "month" ? iso.slice(0, 7) : iso.slice(0, 10);
+}
+
+/**
+ * Daily ("day") or monthly ("month") UTC totals of energy, CO₂ and minted BC
+ * for a device or wallet filter. Buckets use the block timestamp.
+ */
+function aggregateHistory({ filter, bucket = "day", from, to }) {
+  const buckets = {};
+  const entry = (key) =>
+    (buckets[key] = buckets[key] || { period: key, readings: 0, kwhMilli: 0n, co2MicroKg: 0n, minted: 0n });
+
+  for (const e of queryEvents({ event: ["EnergyRecorded", "TokensMinted"], filter, from, to })) {
+    const b = entry(bucketKey(e.timestamp, bucket));
+    if (e.event === "EnergyRecorded") {
+      b.readings += 1;
+      b.kwhMilli += BigInt(e.args.kwhMilli);
+      b.co2MicroKg += BigInt(e.args.co2MicroKg);
+    } else {
+      b.minted += BigInt(e.args.amount);
+    }
+  }
+
+  return Object.values(buckets)
+    .sort((a, b) => a.period.localeCompare(b.period))
+    .map((b) => ({
+      ...b,
+      kwhMilli: b.kwhMilli.toString(),
+      co2MicroKg: b.co2MicroKg.toString(),
+      minted: b.minted.toString(),
+    }));
+}
+
+/**
+ * Checkpoint, head and lag. `events` counts what the indexer holds in memory
+ * (null before its first tick), so a status call or metrics scrape never
+ * reads the whole log.
+ */
+async function getIndexerStatus() {
+  const { lastBlock } = store.read();
+  const head = await provider.getBlockNumber();
+  return {
+    startBlock: START_BLOCK,
+    lastBlock,
+    head,
+    lag: lastBlock === null ? null : head - lastBlock,
+    events: events === null ? null : events.length,
+  };
+}
+
+module.exports = {
+  startIndexer,
+  stopIndexer,
+  onReorg,
+  queryEvents,
+  aggregateHistory,
+  getIndexerStatus,
+};
@@ -0,0 +1,87 @@
+// challenge-token.js
+// Stateless single-use challenges for anonymous callers (faucet proof of
+// work, SIWE nonces). A token is plain hex:
+//   expiry (8, unix seconds) + random (16) + HMAC(purpose, subject, both) (32)
+// so handing one out writes nothing. Only redeemed tokens are stored, until
+// they expire, to keep each one single-use.
+//
+// CHALLENGE_SECRET (32 bytes hex) keeps outstanding tokens valid across
+// restarts; without it a random secret is drawn per process.
+
+const crypto = require("crypto");
+const { createStore } = require("./store");
+
+const SECRET_REGEX = /^(0x)?[0-9a-fA-F]{64}$/;
+const TOKEN_REGEX = /^[0-9a-f]{56}$/;
+
+const store = createStore("challenge-tokens", {
+  used: {}, // token → expiresAt (ms)
+});
+
+function loadSecret() {
+  const hex = process.env.CHALLENGE_SECRET;
+  if (!hex) return crypto.randomBytes(32);
+  if (!SECRET_REGEX.test(hex)) {
+    throw new Error("CHALLENGE_SECRET must be 32 bytes of hex (64 characters)");
+  }
+  return Buffer.from(hex.replace(/^0x/, ""), "hex");
+}
+
+const secret = loadSecret();
+
+function sign(purpose, subject, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${purpose}:${subject}:${body}`)
+    .digest("hex")
+    .slice(0, 32);
+}
+
+/**
+ * New token for `purpose`, bound to `subject` (e.g. a lowercase address).
+ * → { token, expiresAt (ms) }
+ */
+function issueToken(purpose, { subject = "", ttlMs }) {
+  const expiresAt = Math.floor((Date.now() + ttlMs) / 1000) * 1000;
+  const body = (expiresAt / 1000).toString(16).padStart(8, "0") + crypto.randomBytes(8).toString("hex");
+  return { token: body + sign(purpose, subject, body), expiresAt };
+}
+
+/**
+ * expiresAt (ms) if `token` was issued by us for this purpose + subject and
+ * has not expired, else null. Does not look at (or record) use.
+ */
+function verifyToken(purpose, token, { subject = "" } = {}) {
+  if (typeof token !== "string" || !TOKEN_REGEX.test(token)) return null;
+
+  const body = token.slice(0, 24);
+  const expected = Buffer.from(sign(purpose, subject, body), "hex");
+  if (!crypto.timingSafeEqual(expected, Buffer.from(token.slice(24), "hex"))) return null;
+
+  const expiresAt = parseInt(body.slice(0, 8), 16) * 1000;
+  return expiresAt >= Date.now() ? expiresAt : null;
+}
+
+/**
+ * true if the token is valid and unused (it is used up now).
+ */
+function redeemToken(purpose, token, options) {
+  const expiresAt = verifyToken(purpose, token, options);
+  if (expiresAt === null) return false;
+
+  return store.update((state) => {
+    const now = Date.now();
+    for (const [key, until] of Object.entries(state.used)) {
+      if (until < now) delete state.used[key];
+    }
+    if (state.used[token]) return false;
+    state.used[token] = expiresAt;
+    return true;
+  });
+}
+
+module.exports = {
+  issueToken,
+  verifyToken,
+  redeemToken,
+};
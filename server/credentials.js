@@ -0,0 +1,172 @@
+// credentials.js
+// Signed attestations of verified energy (see verifiable-credential.js):
+// issued from the event index with the CREDENTIAL_ISSUER_KEY, kept once
+// issued, and checked against the chain by POST /verify-credential.
+// Credentials go to operators and the wallet credited by the reading.
+
+const express = require("express");
+const { ethers } = require("ethers");
+const { provider, addresses, getMeterContract } = require("./server-wallet");
+const { queryEvents } = require("./chain-indexer");
+const { createStore } = require("./store");
+const { paginate } = require("./pagination");
+const { ROLES, requireRole, requireOwner, canAccess } = require("./access-control");
+const {
+  didPkh,
+  mintForReading,
+  readingForMint,
+  issueEnergyCredential,
+  verifyCredentialSignature,
+  verifyCredentialOnChain,
+} = require("./verifiable-credential");
+const { logger } = require("./logger");
+
+const router = express.Router();
+
+const store = createStore("credentials", { issued: {} });
+
+const deviceOwner = requireOwner((req) => ({ deviceId: req.params.id }));
+
+let issuerWallet = null;
+
+/**
+ * Issuer key: its own secp256k1 key, not the server wallet, so it can be
+ * rotated / kept offline independently of the key that sends txs.
+ */
+function getIssuer() {
+  if (!process.env.CREDENTIAL_ISSUER_KEY) return null;
+  if (!issuerWallet) issuerWallet = new ethers.Wallet(process.env.CREDENTIAL_ISSUER_KEY);
+  return issuerWallet;
+}
+
+function requireIssuer(res) {
+  const issuer = getIssuer();
+  if (!issuer) {
+    res.status(503).json({ error: "Credential issuing is not configured (CREDENTIAL_ISSUER_KEY)" });
+  }
+  return issuer;
+}
+
+/**
+ * Stored credential of an indexed EnergyRecorded event, issuing it first
+ * if needed.
+ */
+async function credentialFor(issuer, reading) {
+  const { chainId } = await provider.getNetwork();
+  const key = `${reading.txHash}:${reading.logIndex}`;
+  const existing = store.read().issued[key];
+  if (existing) return existing;
+
+  const txEvents = queryEvents({ event: ["EnergyRecorded", "TokensMinted"] }).filter(
+    (e) => e.txHash === reading.txHash
+  );
+  const credential = await issueEnergyCredential({
+    issuer,
+    reading,
+    mint: mintForReading(txEvents, reading),
+    chainId,
+    meterAddress: addresses.meter,
+  });
+  store.update((state) => {
+    state.issued[key] = credential;
+  });
+  return credential;
+}
+
+/**
+ * GET /credentials/issuer
+ * The DID / address credentials are signed with (publish it to auditors).
+ */
+router.get("/credentials/issuer", async (req, res) => {
+  const issuer = requireIssuer(res);
+  if (!issuer) return;
+  const { chainId } = await provider.getNetwork();
+  return res.json({ ok: true, issuer: didPkh(chainId, issuer.address), address: issuer.address.toLowerCase() });
+});
+
+/**
+ * GET /credentials/:txHash/:logIndex
+ * Credential of an EnergyRecorded log, or of the reading behind a
+ * TokensMinted log (same credential: it carries the mint too).
+ */
+router.get("/credentials/:txHash/:logIndex", requireRole(ROLES.OPERATOR, ROLES.WALLET), async (req, res) => {
+  const { txHash, logIndex } = req.params;
+  if (!/^0x[0-9a-fA-F]{64}$/.test(txHash) || !/^\d+$/.test(logIndex)) {
+    return res.status(400).json({ error: "txHash must be a 32-byte hex string and logIndex an integer" });
+  }
+  const issuer = requireIssuer(res);
+  if (!issuer) return;
+
+  const txEvents = queryEvents({ event: ["EnergyRecorded", "TokensMinted"] }).filter(
+    (e) => e.txHash === txHash.toLowerCase()
+  );
+  const event = txEvents.find((e) => e.logIndex === Number(logIndex));
+  const reading = event && event.event === "TokensMinted" ? readingForMint(txEvents, event) : event;
+  if (!reading) {
+    return res.status(404).json({ error: "No indexed EnergyRecorded / TokensMinted log there (or not indexed yet)" });
+  }
+  if (!(await canAccess(req.auth, { wallet: reading.args.wallet }))) {
+    return res.status(403).json({ error: "Not your wallet or device" });
+  }
+
+  try {
+    return res.json({ ok: true, credential: await credentialFor(issuer, reading) });
+  } catch (err) {
+    logger.error("credential issue error", { err });
+    return res.status(500).json({ error: "Issuing credential failed", details: err.message });
+  }
+});
+
+/**
+ * GET /devices/:id/credentials?limit=50&offset=0
+ * Credentials of a device's readings, newest first.
+ */
+router.get("/devices/:id/credentials", deviceOwner, async (req, res) => {
+  if (!/^0x[0-9a-fA-F]{64}$/.test(req.params.id)) {
+    return res.status(400).json({ error: "deviceId must be 32-byte hex string" });
+  }
+  const issuer = requireIssuer(res);
+  if (!issuer) return;
+
+  const page = paginate(queryEvents({ event: "EnergyRecorded", filter: { deviceId: req.params.id } }), req.query);
+  try {
+    const items = [];
+    for (const reading of page.items) {
+      items.push(await credentialFor(issuer, reading));
+    }
+    return res.json({ ...page, items });
+  } catch (err) {
+    logger.error("credential issue error", { err });
+    return res.status(500).json({ error: "Issuing credentials failed", details: err.message });
+  }
+});
+
+/**
+ * POST /verify-credential
+ * body: the credential (or { credential })
+ *
+ * Checks the signature (and that it is ours, when we issue credentials) and
+ * rebuilds the claims from the tx's logs on chain.
+ *   → { valid, signature: { valid, signer, errors }, onChain: { valid, errors, mismatches } }
+ */
+router.post("/verify-credential", async (req, res) => {
+  const body = req.body || {};
+  const credential = body.credential || body;
+  if (!credential.proof || !credential.credentialSubject) {
+    return res.status(400).json({ error: "Body must be a signed credential" });
+  }
+
+  try {
+    const issuer = getIssuer();
+    const signature = verifyCredentialSignature(credential, {
+      expectedIssuer: issuer ? issuer.address : undefined,
+    });
+    const onChain = await verifyCredentialOnChain(credential, { provider, meter: getMeterContract() });
+    return res.json({ ok: true, valid: signature.valid && onChain.valid, signature, onChain });
+  } catch (err) {
+    logger.error("verify credential error", { err });
+    return res.status(500).json({ error: "Verification failed", details: err.message });
+  }
+});
+
+module.exports = router;
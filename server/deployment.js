@@ -0,0 +1,125 @@
+// deployment.js
+// Per-network deployment manifests (deployments/<network>.json), written by
+// scripts/deploy.js and read by every script, Hardhat task and the backend,
+// so contract addresses are never copied between files by hand.
+//
+// Manifest:
+//   { network, chainId, deployer, deployedAt, deployBlock, treasury,
+//     contracts: { token, meter, marketplace, oracle, paymentToken? } }
+// with each contract as { name, address, txHash, blockNumber, abiHash }
+// (oracle also carries maxPriceAge; an external feed has no txHash / abiHash).
+//
+// A manifest is bound to its chain: resolving it against a provider on
+// another chainId throws. The old *_ADDRESS env vars still work where no
+// manifest exists; next to a manifest they must agree with it.
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+// Manifest contract key → legacy env var
+const ENV_NAMES = {
+  token: "TOKEN_ADDRESS",
+  meter: "METER_ADDRESS",
+  marketplace: "MARKETPLACE_ADDRESS",
+  oracle: "PRICE_FEED_ADDRESS",
+  paymentToken: "PAYMENT_TOKEN_ADDRESS",
+};
+
+function manifestPath(network) {
+  return path.join(DEPLOYMENTS_DIR, `${network}.json`);
+}
+
+function readManifest(network) {
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath(network), "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    return null;
+  }
+}
+
+function writeManifest(network, manifest) {
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  fs.writeFileSync(manifestPath(network), `${JSON.stringify(manifest, null, 2)}\n`);
+  return manifestPath(network);
+}
+
+/**
+ * keccak256 of the ABI JSON: tells whether an artifact still matches what
+ * was deployed.
+ */
+function abiHash(abi) {
+  return ethers.id(JSON.stringify(abi));
+}
+
+/**
+ * Addresses for `network`: { network, chainId, source: "manifest" | "env",
+ * manifest, addresses: { token, meter, marketplace, oracle, paymentToken,
+ * treasury } } (null for anything not deployed / not set).
+ *
+ * Pass the connected chainId to refuse a manifest of another chain.
+ */
+function resolveDeployment(network, { chainId, env = process.env } = {}) {
+  const manifest = readManifest(network);
+  const file = path.relative(process.cwd(), manifestPath(network));
+
+  if (!manifest) {
+    const addresses = Object.fromEntries(
+      Object.entries(ENV_NAMES).map(([key, name]) => [key, env[name] || null])
+    );
+    return { network, chainId: chainId ?? null, source: "env", manifest: null, addresses: { ...addresses, treasury: null } };
+  }
+
+  if (chainId !== undefined && Number(chainId) !== manifest.chainId) {
+    throw new Error(`${file} is for chain ${manifest.chainId}, but the provider is on chain ${chainId}`);
+  }
+
+  const addresses = { treasury: manifest.treasury || null };
+  for (const [key, name] of Object.entries(ENV_NAMES)) {
+    const deployed = manifest.contracts[key] ? manifest.contracts[key].address : null;
+    if (env[name] && (!deployed || env[name].toLowerCase() !== deployed.toLowerCase())) {
+      throw new Error(`${name}=${env[name]} disagrees with ${file} (${deployed || "not deployed"}); unset it`);
+    }
+    addresses[key] = deployed;
+  }
+  return { network, chainId: manifest.chainId, source: "manifest", manifest, addresses };
+}
+
+/**
+ * resolveDeployment for a Hardhat run / task, checked against hre's chain.
+ */
+async function hardhatDeployment(hre) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  return resolveDeployment(hre.network.name, { chainId });
+}
+
+/**
+ * The addresses `keys` (manifest keys, e.g. "meter") for a Hardhat run;
+ * throws naming the ones that are neither deployed nor set in env.
+ */
+async function requireDeployed(hre, ...keys) {
+  const { addresses } = await hardhatDeployment(hre);
+  const missing = keys.filter((key) => !addresses[key]);
+  if (missing.length) {
+    throw new Error(
+      `No ${missing.join(", ")} address for "${hre.network.name}": run scripts/deploy.js ` +
+        `or set ${missing.map((key) => ENV_NAMES[key] || key).join(", ")} in .env`
+    );
+  }
+  return addresses;
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  ENV_NAMES,
+  manifestPath,
+  readManifest,
+  writeManifest,
+  abiHash,
+  resolveDeployment,
+  hardhatDeployment,
+  requireDeployed,
+};
@@ -0,0 +1,162 @@
+// device-keys.js
+// Server-side registry of the Ed25519 public key each meter signs with.
+// Keyed by the same bytes32 deviceId used in CarbonSmartMeter.devices.
+//
+// A device has at most ONE active key. Re-flashing a board rotates the key
+// (old key -> "superseded"); a compromised board gets its key revoked
+// (-> "revoked") until a new key is rotated in. Every change is appended to
+// the device's audit history and is never rewritten.
+
+const { createStore } = require("./store");
+
+const store = createStore("device-keys", { devices: {} });
+
+// Raw 32-byte Ed25519 public key, hex encoded (0x prefix optional)
+const PUBLIC_KEY_REGEX = /^(0x)?[0-9a-fA-F]{64}$/;
+
+const KEY_STATUS = {
+  ACTIVE: "active",
+  SUPERSEDED: "superseded",
+  REVOKED: "revoked",
+};
+
+function normalizeDeviceId(deviceId) {
+  return deviceId.toLowerCase();
+}
+
+function normalizePublicKey(publicKey) {
+  if (typeof publicKey !== "string" || !PUBLIC_KEY_REGEX.test(publicKey)) {
+    throw new Error("publicKey must be a 32-byte hex Ed25519 key");
+  }
+  return publicKey.toLowerCase().replace(/^0x/, "");
+}
+
+function activeKeyOf(entry) {
+  return entry.keys.find((k) => k.status === KEY_STATUS.ACTIVE) || null;
+}
+
+function assertKeyUnused(entry, key) {
+  if (entry.keys.some((k) => k.publicKey === key)) {
+    throw new Error("publicKey was already used by this device");
+  }
+}
+
+/**
+ * Store the public key a device signs its readings with.
+ * Called once when the device is bound to a wallet.
+ */
+function registerDeviceKey(deviceId, publicKey, { reason = "bind-device" } = {}) {
+  const id = normalizeDeviceId(deviceId);
+  const key = normalizePublicKey(publicKey);
+
+  return store.update((state) => {
+    if (state.devices[id]) {
+      throw new Error("Device key already registered");
+    }
+
+    const now = Date.now();
+    const entry = {
+      keys: [{ publicKey: key, status: KEY_STATUS.ACTIVE, addedAt: now }],
+      history: [{ action: "register", publicKey: key, reason, at: now }],
+    };
+    state.devices[id] = entry;
+    return entry;
+  });
+}
+
+/**
+ * Replace the device's key (e.g. board re-flashed or replaced in the field).
+ * The previous active key becomes "superseded". Also used to bring a device
+ * back after its key was revoked.
+ */
+function rotateDeviceKey(deviceId, publicKey, { reason = "rotation" } = {}) {
+  const id = normalizeDeviceId(deviceId);
+  const key = normalizePublicKey(publicKey);
+
+  return store.update((state) => {
+    const entry = state.devices[id];
+    if (!entry) {
+      throw new Error("No key registered for device");
+    }
+    assertKeyUnused(entry, key);
+
+    const now = Date.now();
+    const previous = activeKeyOf(entry);
+    if (previous) {
+      previous.status = KEY_STATUS.SUPERSEDED;
+      previous.retiredAt = now;
+    }
+
+    entry.keys.push({ publicKey: key, status: KEY_STATUS.ACTIVE, addedAt: now });
+    entry.history.push({
+      action: "rotate",
+      publicKey: key,
+      previousKey: previous ? previous.publicKey : null,
+      reason,
+      at: now,
+    });
+    return entry;
+  });
+}
+
+/**
+ * Revoke the device's active key (e.g. meter compromised). The device
+ * cannot submit readings until a new key is rotated in.
+ */
+function revokeDeviceKey(deviceId, { reason = "revoked" } = {}) {
+  const id = normalizeDeviceId(deviceId);
+
+  return store.update((state) => {
+    const entry = state.devices[id];
+    const active = entry && activeKeyOf(entry);
+    if (!active) {
+      throw new Error("Device has no active key");
+    }
+
+    const now = Date.now();
+    active.status = KEY_STATUS.REVOKED;
+    active.retiredAt = now;
+    active.revokeReason = reason;
+
+    entry.history.push({ action: "revoke", publicKey: active.publicKey, reason, at: now });
+    return entry;
+  });
+}
+
+/**
+ * Returns the hex public key currently active for a device, or null.
+ */
+function getDeviceKey(deviceId) {
+  const entry = store.read().devices[normalizeDeviceId(deviceId)];
+  const active = entry && activeKeyOf(entry);
+  return active ? active.publicKey : null;
+}
+
+/**
+ * deviceIds (lowercase) that have EVER registered the given public key.
+ * More than one means the same meter signs for several devices/wallets.
+ */
+function findDevicesByKey(publicKey) {
+  const key = normalizePublicKey(publicKey);
+  return Object.entries(store.read().devices)
+    .filter(([, entry]) => entry.keys.some((k) => k.publicKey === key))
+    .map(([id]) => id);
+}
+
+/**
+ * Full key record for a device: { keys, history } or null.
+ */
+function getDeviceKeyRecord(deviceId) {
+  return store.read().devices[normalizeDeviceId(deviceId)] || null;
+}
+
+module.exports = {
+  KEY_STATUS,
+  normalizePublicKey,
+  registerDeviceKey,
+  rotateDeviceKey,
+  revokeDeviceKey,
+  getDeviceKey,
+  getDeviceKeyRecord,
+  findDevicesByKey,
+};
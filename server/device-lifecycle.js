@@ -0,0 +1,276 @@
+// device-lifecycle.js
+// Device lifecycle routes: list a wallet's devices, inspect a device, and
+// transfer / deactivate / reactivate / unbind it on CarbonSmartMeter.
+//
+// Operator actions are sent by the server wallet (contract owner) through
+// the tx outbox. Unbinding needs the device wallet's request (an unsigned tx
+// it signs itself) before an operator approves it. Off-chain records follow
+// the chain once a job confirms: a transferred device's profile is re-bound
+// to the new wallet, an unbound device's key is revoked.
+
+const express = require("express");
+const { ethers } = require("ethers");
+const { getMeterContract } = require("./server-wallet");
+const { STATUS, enqueueContractCall, onTxSettled } = require("./tx-outbox");
+const { queryEvents } = require("./chain-indexer");
+const { unsignedTx } = require("./unsigned-tx");
+const { decodeRegion } = require("./regions");
+const { paginate } = require("./pagination");
+const { getDeviceProfile, setDeviceProfile } = require("./device-profiles");
+const { getDeviceKey, revokeDeviceKey } = require("./device-keys");
+const { ROLES, requireRole, requireOwner } = require("./access-control");
+const { logger } = require("./logger");
+
+const router = express.Router();
+
+const DEVICE_ID_REGEX = /^0x[0-9a-fA-F]{64}$/;
+
+const operatorOnly = requireRole(ROLES.OPERATOR);
+const deviceOwner = requireOwner((req) => ({ deviceId: req.params.deviceId }));
+const ownWallet = requireOwner((req) => ({ wallet: req.query.wallet }));
+
+onTxSettled("device-transfer", (job) => {
+  if (job.status !== STATUS.CONFIRMED) return;
+
+  const { deviceId, wallet } = job.meta;
+  const profile = getDeviceProfile(deviceId);
+  if (profile) {
+    setDeviceProfile(deviceId, wallet, profile);
+  }
+});
+
+onTxSettled("device-unbind", (job) => {
+  if (job.status !== STATUS.CONFIRMED) return;
+
+  if (getDeviceKey(job.meta.deviceId)) {
+    revokeDeviceKey(job.meta.deviceId, { reason: "device unbound" });
+  }
+});
+
+function checkDeviceId(req, res) {
+  if (!DEVICE_ID_REGEX.test(req.params.deviceId)) {
+    res.status(400).json({ error: "deviceId must be 32-byte hex string" });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * On-chain device state (null if the id isn't bound to a wallet).
+ */
+async function readDevice(meter, deviceId) {
+  let device;
+  try {
+    device = await meter.getDevice(deviceId);
+  } catch (err) {
+    if (err.reason === "Not registered") return null;
+    throw err;
+  }
+
+  const [lastPeriodEnd, unbindRequested] = await Promise.all([
+    meter.lastPeriodEnd(deviceId),
+    meter.unbindRequested(deviceId),
+  ]);
+  return {
+    deviceId: device.deviceId.toLowerCase(),
+    wallet: device.wallet.toLowerCase(),
+    active: device.active,
+    region: decodeRegion(device.region),
+    totalKwhMilli: device.totalKwhMilli.toString(),
+    totalCo2MicroKg: device.totalCo2MicroKg.toString(),
+    lastPeriodEnd: Number(lastPeriodEnd),
+    unbindRequested,
+  };
+}
+
+/**
+ * Shared body of the operator actions: load the device, run `check` (returns
+ * an error message → 409), queue `method(deviceId, ...args)`.
+ */
+async function queueDeviceCall(req, res, { method, args = [], kind, meta = {}, check }) {
+  if (!checkDeviceId(req, res)) return;
+
+  try {
+    const meter = getMeterContract();
+    const device = await readDevice(meter, req.params.deviceId);
+    if (!device) {
+      return res.status(404).json({ error: "Device not registered" });
+    }
+    const conflict = check && check(device);
+    if (conflict) {
+      return res.status(409).json({ error: conflict });
+    }
+
+    const { job } = enqueueContractCall(meter, method, [req.params.deviceId, ...args], {
+      kind,
+      idempotencyKey: req.get("Idempotency-Key"),
+      meta: { deviceId: device.deviceId, ...meta },
+    });
+    return res.status(202).json({ ok: true, jobId: job.id, status: job.status, deviceId: device.deviceId, ...meta });
+  } catch (err) {
+    logger.error(`${kind} error`, { err });
+    return res.status(500).json({ error: `${kind} failed`, details: err.message });
+  }
+}
+
+/**
+ * GET /devices?wallet=0x...&limit=&offset=
+ *
+ * With wallet (operator or that wallet): the devices bound to it on chain
+ * (CarbonSmartMeter.getWalletDevices). Without (operator): every device
+ * registered according to the event index that is still bound.
+ */
+router.get(
+  "/devices",
+  (req, res, next) => (req.query.wallet === undefined ? operatorOnly : ownWallet)(req, res, next),
+  async (req, res) => {
+    const { wallet } = req.query;
+    if (wallet !== undefined && !ethers.isAddress(wallet)) {
+      return res.status(400).json({ error: "Invalid wallet address" });
+    }
+
+    try {
+      const meter = getMeterContract();
+      const ids = wallet
+        ? (await meter.getWalletDevices(wallet)).map((id) => id.toLowerCase())
+        : [...new Set(queryEvents({ event: "DeviceRegistered" }).map((e) => e.args.deviceId))];
+
+      const page = paginate(ids, req.query);
+      const items = [];
+      for (const deviceId of page.items) {
+        const device = await readDevice(meter, deviceId);
+        if (device) items.push(device);
+      }
+      return res.json({ ...page, items });
+    } catch (err) {
+      logger.error("device list error", { err });
+      return res.status(500).json({ error: "Listing devices failed", details: err.message });
+    }
+  }
+);
+
+/**
+ * GET /devices/:deviceId (operator or the device's wallet)
+ * On-chain state + the off-chain profile and active key.
+ */
+router.get("/devices/:deviceId", deviceOwner, async (req, res) => {
+  if (!checkDeviceId(req, res)) return;
+
+  try {
+    const device = await readDevice(getMeterContract(), req.params.deviceId);
+    if (!device) {
+      return res.status(404).json({ error: "Device not registered" });
+    }
+    return res.json({
+      ok: true,
+      device: {
+        ...device,
+        profile: getDeviceProfile(device.deviceId),
+        activeKey: getDeviceKey(device.deviceId),
+      },
+    });
+  } catch (err) {
+    logger.error("device read error", { err });
+    return res.status(500).json({ error: "Reading device failed", details: err.message });
+  }
+});
+
+/**
+ * POST /devices/:deviceId/transfer (operator)
+ * body: { wallet: string (new wallet address) }
+ *
+ * Queues transferDevice(deviceId, wallet) → 202 + jobId. The contract
+ * settles the old wallet's pending energy (sub-BC remainder) to it as
+ * fractional BC; the device keeps its id, totals and history.
+ */
+router.post("/devices/:deviceId/transfer", operatorOnly, async (req, res) => {
+  const { wallet } = req.body || {};
+  if (!wallet || !ethers.isAddress(wallet)) {
+    return res.status(400).json({ error: "wallet must be the new wallet address" });
+  }
+
+  const to = ethers.getAddress(wallet);
+  return queueDeviceCall(req, res, {
+    method: "transferDevice",
+    args: [to],
+    kind: "device-transfer",
+    meta: { wallet: to.toLowerCase() },
+    check: (device) => (device.wallet === to.toLowerCase() ? "Device is already bound to that wallet" : null),
+  });
+});
+
+/**
+ * POST /devices/:deviceId/deactivate (operator)
+ * Queues deactivateDevice(deviceId): the contract rejects its readings until
+ * it is reactivated.
+ */
+router.post("/devices/:deviceId/deactivate", operatorOnly, (req, res) =>
+  queueDeviceCall(req, res, {
+    method: "deactivateDevice",
+    kind: "device-deactivate",
+    check: (device) => (device.active ? null : "Device is already inactive"),
+  })
+);
+
+/**
+ * POST /devices/:deviceId/reactivate (operator)
+ * Queues reactivateDevice(deviceId), e.g. after a maintenance hold.
+ */
+router.post("/devices/:deviceId/reactivate", operatorOnly, (req, res) =>
+  queueDeviceCall(req, res, {
+    method: "reactivateDevice",
+    kind: "device-reactivate",
+    check: (device) => (device.active ? "Device is already active" : null),
+  })
+);
+
+/**
+ * POST /devices/:deviceId/unbind/approve (operator)
+ * Queues approveUnbind(deviceId) for a requested unbind → 202 + jobId. The
+ * device record is removed (pending energy settled to the wallet) and its
+ * key revoked; the id can be bound again later.
+ */
+router.post("/devices/:deviceId/unbind/approve", operatorOnly, (req, res) =>
+  queueDeviceCall(req, res, {
+    method: "approveUnbind",
+    kind: "device-unbind",
+    check: (device) => (device.unbindRequested ? null : "The device wallet has not requested unbinding"),
+  })
+);
+
+/**
+ * POST /devices/:deviceId/unbind/request (the device's wallet)
+ * POST /devices/:deviceId/unbind/cancel
+ *
+ * → { txs: [...] }: requestUnbind / cancelUnbind for the device wallet to
+ * sign + send. Nothing changes until an operator approves.
+ */
+router.post("/devices/:deviceId/unbind/:action", deviceOwner, async (req, res) => {
+  if (!checkDeviceId(req, res)) return;
+  const { action } = req.params;
+  if (action !== "request" && action !== "cancel") {
+    return res.status(404).json({ error: "Unknown unbind action (request | cancel)" });
+  }
+
+  try {
+    const meter = getMeterContract();
+    const device = await readDevice(meter, req.params.deviceId);
+    if (!device) {
+      return res.status(404).json({ error: "Device not registered" });
+    }
+    if (device.unbindRequested === (action === "request")) {
+      return res.status(409).json({ error: action === "request" ? "Unbind already requested" : "No unbind request" });
+    }
+
+    const tx = await unsignedTx(meter, action === "request" ? "requestUnbind" : "cancelUnbind", [device.deviceId], {
+      from: ethers.getAddress(device.wallet),
+      description: `${action === "request" ? "Request" : "Cancel"} unbinding of device ${device.deviceId}`,
+    });
+    return res.json({ ok: true, txs: [tx] });
+  } catch (err) {
+    logger.error("unbind tx error", { err });
+    return res.status(500).json({ error: "Building transaction failed", details: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+// device-profiles.js
+// Off-chain installation profile per device, recorded at bind time.
+// The MRV validator derives daily caps and plausibility checks from it.
+
+const { createStore } = require("./store");
+
+const store = createStore("device-profiles", { devices: {} });
+
+const SOURCE_TYPES = ["solar", "wind", "hydro", "other"];
+
+/**
+ * Validate + normalise profile input.
+ *  - capacityKw:        installed (nameplate) capacity in kW, required
+ *  - sourceType:        solar | wind | hydro | other (default solar)
+ *  - utcOffsetMinutes:  site's offset from UTC, used for day/night checks
+ */
+function normalizeDeviceProfile({ capacityKw, sourceType = "solar", utcOffsetMinutes = 0 } = {}) {
+  const capacity = Number(capacityKw);
+  if (!Number.isFinite(capacity) || capacity <= 0) {
+    throw new Error("capacityKw must be a positive number");
+  }
+  if (!SOURCE_TYPES.includes(sourceType)) {
+    throw new Error(`sourceType must be one of ${SOURCE_TYPES.join(", ")}`);
+  }
+  if (!Number.isInteger(utcOffsetMinutes) || utcOffsetMinutes < -720 || utcOffsetMinutes > 840) {
+    throw new Error("utcOffsetMinutes must be an integer between -720 and 840");
+  }
+  return { capacityKw: capacity, sourceType, utcOffsetMinutes };
+}
+
+/**
+ * Create or replace a device's profile. `wallet` is the wallet the device
+ * was bound to on-chain (used to spot a device reporting for another wallet).
+ */
+function setDeviceProfile(deviceId, wallet, profile) {
+  const id = deviceId.toLowerCase();
+  const normalized = normalizeDeviceProfile(profile);
+
+  return store.update((state) => {
+    state.devices[id] = {
+      ...normalized,
+      wallet: wallet.toLowerCase(),
+      updatedAt: Date.now(),
+    };
+    return state.devices[id];
+  });
+}
+
+function getDeviceProfile(deviceId) {
+  return store.read().devices[deviceId.toLowerCase()] || null;
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  normalizeDeviceProfile,
+  setDeviceProfile,
+  getDeviceProfile,
+};
@@ -0,0 +1,238 @@
+// devices.js
+// Device management routes (key registry: inspect, add, rotate, revoke; region;
+// installation profile used by the MRV checks). Lifecycle (list, transfer,
+// deactivate / reactivate, unbind) is in device-lifecycle.js.
+// Changes are operator-only; reads are for operators and the device's wallet.
+
+const express = require("express");
+const { getMeterContract } = require("./server-wallet");
+const { enqueueContractCall } = require("./tx-outbox");
+const { encodeRegion } = require("./regions");
+const { getDeviceProfile, setDeviceProfile } = require("./device-profiles");
+const {
+  normalizePublicKey,
+  getDeviceKey,
+  getDeviceKeyRecord,
+  registerDeviceKey,
+  rotateDeviceKey,
+  revokeDeviceKey,
+} = require("./device-keys");
+const { ROLES, requireRole, requireOwner } = require("./access-control");
+const { logger } = require("./logger");
+
+const router = express.Router();
+
+const operatorOnly = requireRole(ROLES.OPERATOR);
+const deviceOwner = requireOwner((req) => ({ deviceId: req.params.deviceId }));
+
+const DEVICE_ID_REGEX = /^0x[0-9a-fA-F]{64}$/;
+
+function checkDeviceId(req, res) {
+  if (!DEVICE_ID_REGEX.test(req.params.deviceId)) {
+    res.status(400).json({ error: "deviceId must be 32-byte hex string" });
+    return false;
+  }
+  return true;
+}
+
+function checkKeyRecord(req, res) {
+  if (!checkDeviceId(req, res)) return false;
+  if (!getDeviceKeyRecord(req.params.deviceId)) {
+    res.status(404).json({ error: "No key registered for device" });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * GET /devices/:deviceId/keys
+ * Returns every key the device has used (active / superseded / revoked)
+ * plus the append-only audit history of key changes.
+ */
+router.get("/devices/:deviceId/keys", deviceOwner, (req, res) => {
+  if (!checkKeyRecord(req, res)) return;
+
+  const { keys, history } = getDeviceKeyRecord(req.params.deviceId);
+
+  return res.json({
+    ok: true,
+    deviceId: req.params.deviceId,
+    activeKey: getDeviceKey(req.params.deviceId),
+    keys,
+    history,
+  });
+});
+
+/**
+ * POST /devices/:deviceId/keys
+ * body: { publicKey: string (hex32), reason?: string }
+ *
+ * First key of a device that was bound without one. The device must be
+ * registered on-chain; once it has a key, changes go through rotate.
+ */
+router.post("/devices/:deviceId/keys", operatorOnly, async (req, res) => {
+  if (!checkDeviceId(req, res)) return;
+
+  const { publicKey, reason = "add-key" } = req.body || {};
+  let key;
+  try {
+    key = normalizePublicKey(publicKey);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (getDeviceKeyRecord(req.params.deviceId)) {
+    return res.status(409).json({ error: "Device key already registered, use key rotation" });
+  }
+
+  try {
+    await getMeterContract().getDevice(req.params.deviceId);
+  } catch (err) {
+    if (err.reason === "Not registered") {
+      return res.status(404).json({ error: "Device not registered" });
+    }
+    logger.error("device-key error", { err });
+    return res.status(500).json({ error: "device-key failed", details: err.message });
+  }
+
+  try {
+    const entry = registerDeviceKey(req.params.deviceId, key, { reason });
+    return res.status(201).json({
+      ok: true,
+      deviceId: req.params.deviceId,
+      activeKey: getDeviceKey(req.params.deviceId),
+      history: entry.history,
+    });
+  } catch (err) {
+    // Lost a race with another request for the same device
+    return res.status(409).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /devices/:deviceId/keys/rotate
+ * body: { publicKey: string (hex32), reason?: string }
+ *
+ * Use when a meter is re-flashed or its ESP32 board is replaced.
+ * Readings signed with the old key are rejected from now on.
+ */
+router.post("/devices/:deviceId/keys/rotate", operatorOnly, (req, res) => {
+  if (!checkKeyRecord(req, res)) return;
+
+  try {
+    const { publicKey, reason } = req.body || {};
+    const entry = rotateDeviceKey(req.params.deviceId, publicKey, { reason });
+    return res.json({
+      ok: true,
+      deviceId: req.params.deviceId,
+      activeKey: getDeviceKey(req.params.deviceId),
+      history: entry.history,
+    });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /devices/:deviceId/keys/revoke
+ * body: { reason?: string }
+ *
+ * Use when a meter is compromised. The device stays registered on-chain but
+ * cannot submit readings until a new key is rotated in.
+ */
+router.post("/devices/:deviceId/keys/revoke", operatorOnly, (req, res) => {
+  if (!checkKeyRecord(req, res)) return;
+
+  try {
+    const { reason } = req.body || {};
+    const entry = revokeDeviceKey(req.params.deviceId, { reason });
+    return res.json({
+      ok: true,
+      deviceId: req.params.deviceId,
+      activeKey: null,
+      history: entry.history,
+    });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /devices/:deviceId/region
+ * body: { region?: string (e.g. "NZ", omit / null for the global fallback) }
+ *
+ * Backend (owner) queues setDeviceRegion(deviceId, region) → 202 + jobId.
+ * Later readings use that region's grid intensity for CO₂ accounting.
+ */
+router.post("/devices/:deviceId/region", operatorOnly, async (req, res) => {
+  if (!checkDeviceId(req, res)) return;
+
+  const { region } = req.body || {};
+  let regionCode;
+  try {
+    regionCode = encodeRegion(region);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const meter = getMeterContract();
+    const { job } = enqueueContractCall(meter, "setDeviceRegion", [req.params.deviceId, regionCode], {
+      kind: "device-region",
+      idempotencyKey: req.get("Idempotency-Key"),
+    });
+
+    return res.status(202).json({
+      ok: true,
+      jobId: job.id,
+      status: job.status,
+      deviceId: req.params.deviceId,
+      region: region ? region.toUpperCase() : null,
+    });
+  } catch (err) {
+    logger.error("device-region error", { err });
+    return res.status(500).json({ error: "device-region failed", details: err.message });
+  }
+});
+
+/**
+ * GET /devices/:deviceId/profile
+ */
+router.get("/devices/:deviceId/profile", deviceOwner, (req, res) => {
+  if (!checkDeviceId(req, res)) return;
+
+  const profile = getDeviceProfile(req.params.deviceId);
+  if (!profile) {
+    return res.status(404).json({ error: "No profile recorded for device" });
+  }
+  return res.json({ ok: true, deviceId: req.params.deviceId, profile });
+});
+
+/**
+ * POST /devices/:deviceId/profile
+ * body: { capacityKw: number, sourceType?: string, utcOffsetMinutes?: number }
+ *
+ * Record or correct the installation profile (e.g. after a panel upgrade).
+ * The bound wallet is read from CarbonSmartMeter.getDevice.
+ */
+router.post("/devices/:deviceId/profile", operatorOnly, async (req, res) => {
+  if (!checkDeviceId(req, res)) return;
+
+  try {
+    const meter = getMeterContract();
+    const device = await meter.getDevice(req.params.deviceId);
+
+    let profile;
+    try {
+      profile = setDeviceProfile(req.params.deviceId, device.wallet, req.body || {});
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    return res.json({ ok: true, deviceId: req.params.deviceId, profile });
+  } catch (err) {
+    logger.error("device-profile error", { err });
+    return res.status(500).json({ error: "device-profile failed", details: err.message });
+  }
+});
+
+module.exports = router;
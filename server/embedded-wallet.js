@@ -5,20 +5,57 @@
 const express = require("express");
 const { ethers } = require("ethers");
 const { getMeterContract } = require("./server-wallet");
+const { STATUS, enqueueContractCall, onTxSettled } = require("./tx-outbox");
+const {
+  normalizePublicKey,
+  registerDeviceKey,
+  getDeviceKeyRecord,
+} = require("./device-keys");
+const { encodeRegion } = require("./regions");
+const { normalizeDeviceProfile, setDeviceProfile } = require("./device-profiles");
+const { ROLES, requireRole, requireOwner } = require("./access-control");
+const { logger } = require("./logger");
 
 const router = express.Router();
 
+const ownWallet = requireOwner((req) => ({ wallet: req.params.wallet }));
+
+// Off-chain device records are only written once the on-chain binding is mined
+onTxSettled("bind-device", (job) => {
+  if (job.status !== STATUS.CONFIRMED) return;
+
+  const { deviceId, wallet, profile, publicKey } = job.meta;
+  setDeviceProfile(deviceId, wallet, profile);
+  if (publicKey && !getDeviceKeyRecord(deviceId)) {
+    registerDeviceKey(deviceId, publicKey);
+  }
+});
+
 /**
- * POST /embedded/bind-device
- * body: { deviceId: string (hex32), wallet: string (address) }
+ * POST /embedded/bind-device (operator)
+ * body: {
+ *   deviceId: string (hex32),
+ *   wallet: string (address),
+ *   publicKey?: string (hex32),
+ *   region?: string (e.g. "NZ", omit for location privacy → global fallback)
+ *   capacityKw: number (installed capacity, drives the daily MRV cap)
+ *   sourceType?: "solar" | "wind" | "hydro" | "other"
+ *   utcOffsetMinutes?: number (site timezone, for day/night checks)
+ * }
  *
  * For demo:
- *  - backend (owner) calls registerDevice(deviceId, wallet)
+ *  - backend (owner) queues registerDeviceInRegion(deviceId, wallet, region)
+ *    in the tx outbox and answers 202 + jobId (poll GET /tx/:jobId)
  *  - this assumes the server wallet is the CarbonSmartMeter owner
+ *  - publicKey is the meter's Ed25519 key, used to verify /record-reading
+ *    (added later with POST /devices/:deviceId/keys if omitted here; changes
+ *    go through /devices/:deviceId/keys/rotate | revoke)
+ *  - profile + key are stored once the registration is confirmed
  */
-router.post("/embedded/bind-device", async (req, res) => {
+router.post("/embedded/bind-device", requireRole(ROLES.OPERATOR), async (req, res) => {
   try {
-    const { deviceId, wallet } = req.body || {};
+    const { deviceId, wallet, publicKey, region, capacityKw, sourceType, utcOffsetMinutes } =
+      req.body || {};
 
     if (!deviceId || !wallet) {
       return res.status(400).json({ error: "deviceId and wallet are required" });
@@ -32,28 +69,60 @@ router.post("/embedded/bind-device", async (req, res) => {
       return res.status(400).json({ error: "deviceId must be 32-byte hex string" });
     }
 
+    let regionCode;
+    try {
+      regionCode = encodeRegion(region);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    let profile;
+    try {
+      profile = normalizeDeviceProfile({ capacityKw, sourceType, utcOffsetMinutes });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    let deviceKey = null;
+    if (publicKey !== undefined) {
+      try {
+        deviceKey = normalizePublicKey(publicKey);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      if (getDeviceKeyRecord(deviceId)) {
+        return res.status(409).json({ error: "Device key already registered, use key rotation" });
+      }
+    }
+
     const meter = getMeterContract();
-    const tx = await meter.registerDevice(deviceId, wallet);
-    const receipt = await tx.wait();
+    const { job } = enqueueContractCall(meter, "registerDeviceInRegion", [deviceId, wallet, regionCode], {
+      kind: "bind-device",
+      idempotencyKey: req.get("Idempotency-Key") || `bind-device:${deviceId.toLowerCase()}`,
+      meta: { deviceId, wallet, profile, publicKey: deviceKey },
+    });
 
-    return res.json({
+    return res.status(202).json({
       ok: true,
-      txHash: tx.hash,
-      blockNumber: receipt.blockNumber,
+      jobId: job.id,
+      status: job.status,
       deviceId,
       wallet,
+      region: region ? region.toUpperCase() : null,
+      publicKey: deviceKey,
+      profile,
     });
   } catch (err) {
-    console.error("bind-device error:", err);
+    logger.error("bind-device error", { err });
     return res.status(500).json({ error: "bind-device failed", details: err.message });
   }
 });
 
 /**
- * GET /embedded/wallet-totals/:wallet
+ * GET /embedded/wallet-totals/:wallet (operator or that wallet)
  * Returns kWh, CO2 and pending readings for a given wallet.
  */
-router.get("/embedded/wallet-totals/:wallet", async (req, res) => {
+router.get("/embedded/wallet-totals/:wallet", ownWallet, async (req, res) => {
   try {
     const wallet = req.params.wallet;
     if (!ethers.isAddress(wallet)) {
@@ -71,7 +140,7 @@ router.get("/embedded/wallet-totals/:wallet", async (req, res) => {
       pendingKwhMilli: pending.toString(),
     });
   } catch (err) {
-    console.error("wallet-totals error:", err);
+    logger.error("wallet-totals error", { err });
     return res.status(500).json({ error: "wallet-totals failed", details: err.message });
   }
 });
@@ -0,0 +1,124 @@
+// energy-stats.js
+// Anonymized renewable energy stats: Wh per region per UTC hour.
+//
+// Kept apart from the raw readings and never erased with them: a bucket holds
+// only totals. While an hour can still receive readings ("open", up to
+// PRIVACY_STATS_SEAL_HOURS after it ends) it also keeps salted device tags to
+// count distinct devices; sealing drops the tags and the salt, leaving just
+// { wh, readings, devices }. Buckets with fewer than PRIVACY_MIN_DEVICES
+// devices are withheld from the public view so no single site can be singled
+// out.
+
+const crypto = require("crypto");
+const { getMeterContract } = require("./server-wallet");
+const { decodeRegion } = require("./regions");
+const { createStore } = require("./store");
+const { logger } = require("./logger");
+
+const SEAL_AFTER_MS = Number(process.env.PRIVACY_STATS_SEAL_HOURS || 48) * 3_600_000;
+const MIN_DEVICES = Number(process.env.PRIVACY_MIN_DEVICES || 3);
+const REGION_CACHE_MS = 10 * 60_000;
+const GLOBAL_REGION = "GLOBAL";
+
+const store = createStore("energy-stats", {
+  buckets: {}, // "<region>|<hour ISO>" → { region, hour, wh, readings, devices, salt?, tags? }
+});
+
+// deviceId → { region, at }: one getDevice call per device per REGION_CACHE_MS
+const regionCache = new Map();
+
+async function deviceRegion(deviceId) {
+  const cached = regionCache.get(deviceId);
+  if (cached && Date.now() - cached.at < REGION_CACHE_MS) return cached.region;
+
+  const device = await getMeterContract().getDevice(deviceId);
+  const region = decodeRegion(device.region) || GLOBAL_REGION;
+  regionCache.set(deviceId, { region, at: Date.now() });
+  return region;
+}
+
+function hourOf(timestamp) {
+  return new Date(Math.floor(timestamp / 3600) * 3600 * 1000).toISOString();
+}
+
+function sealOldBuckets(buckets, now) {
+  for (const bucket of Object.values(buckets)) {
+    if (bucket.tags && Date.parse(bucket.hour) + 3_600_000 + SEAL_AFTER_MS < now) {
+      delete bucket.tags;
+      delete bucket.salt;
+    }
+  }
+}
+
+/**
+ * Count an accepted reading into its region/hour bucket. Never throws: the
+ * stats are best effort and must not hold up ingestion.
+ */
+async function recordRegionalEnergy({ deviceId, reading, wh }) {
+  try {
+    const region = await deviceRegion(deviceId.toLowerCase());
+    const hour = hourOf(reading.timestamp);
+
+    store.update((state) => {
+      const key = `${region}|${hour}`;
+      const bucket = (state.buckets[key] = state.buckets[key] || {
+        region,
+        hour,
+        wh: 0,
+        readings: 0,
+        devices: 0,
+        salt: crypto.randomBytes(16).toString("hex"),
+        tags: [],
+      });
+      bucket.wh += wh;
+      bucket.readings += 1;
+
+      if (bucket.tags) {
+        const tag = crypto.createHash("sha256").update(`${bucket.salt}:${deviceId.toLowerCase()}`).digest("hex");
+        if (!bucket.tags.includes(tag)) {
+          bucket.tags.push(tag);
+          bucket.devices += 1;
+        }
+      }
+      sealOldBuckets(state.buckets, Date.now());
+    });
+  } catch (err) {
+    logger.error("energy stats error", { err });
+  }
+}
+
+/**
+ * Buckets filtered by region and hour (from / to in ms, to is exclusive),
+ * oldest first. Buckets under MIN_DEVICES devices are counted in `withheld`
+ * instead of listed.
+ */
+function getRegionalStats({ region, from, to } = {}) {
+  const items = [];
+  let withheld = 0;
+
+  for (const bucket of Object.values(store.read().buckets)) {
+    if (region && bucket.region !== region.toUpperCase()) continue;
+    const at = Date.parse(bucket.hour);
+    if ((from !== undefined && at < from) || (to !== undefined && at >= to)) continue;
+
+    if (bucket.devices < MIN_DEVICES) {
+      withheld += 1;
+      continue;
+    }
+    items.push({
+      region: bucket.region,
+      hour: bucket.hour,
+      kwh: Number((bucket.wh / 1000).toFixed(3)),
+      readings: bucket.readings,
+      devices: bucket.devices,
+    });
+  }
+
+  items.sort((a, b) => a.hour.localeCompare(b.hour) || a.region.localeCompare(b.region));
+  return { minDevices: MIN_DEVICES, withheld, items };
+}
+
+module.exports = {
+  recordRegionalEnergy,
+  getRegionalStats,
+};
@@ -0,0 +1,51 @@
+// erc20.js
+// Marketplace payment tokens: ETH (address(0)) or any ERC-20.
+//
+// No env or signer needed, so Hardhat scripts can use it too.
+
+const { ethers } = require("ethers");
+
+const ETH = ethers.ZeroAddress;
+
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+const infoCache = new Map();
+
+function isEth(paymentToken) {
+  return !paymentToken || paymentToken.toLowerCase() === ETH;
+}
+
+function erc20(address, runner) {
+  return new ethers.Contract(address, ERC20_ABI, runner);
+}
+
+/**
+ * { address, symbol, decimals } of a payment token (ETH → 18 decimals).
+ * Token metadata never changes, so it is cached per address.
+ */
+async function paymentTokenInfo(paymentToken, runner) {
+  if (isEth(paymentToken)) {
+    return { address: ETH, symbol: "ETH", decimals: 18 };
+  }
+  const address = paymentToken.toLowerCase();
+  if (!infoCache.has(address)) {
+    const token = erc20(address, runner);
+    const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+    infoCache.set(address, { address, symbol, decimals: Number(decimals) });
+  }
+  return infoCache.get(address);
+}
+
+module.exports = {
+  ETH,
+  ERC20_ABI,
+  isEth,
+  erc20,
+  paymentTokenInfo,
+};
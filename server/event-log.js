@@ -0,0 +1,115 @@
+// event-log.js
+// Decodes contract logs into the plain event records kept by the indexer
+// and consumed by reports:
+//   { id, contract, event, blockNumber, blockHash, txHash, logIndex, timestamp?, args }
+// Args are JSON-safe: uint → decimal string, address / bytes32 → lowercase hex,
+// strings (e.g. a retirement's claim text) as emitted.
+//
+// No env or signer needed, so Hardhat scripts can use it too.
+
+// Events the indexer and reports follow
+const METER_EVENTS = [
+  "DeviceRegistered",
+  "DeviceDeactivated",
+  "DeviceReactivated",
+  "DeviceTransferred",
+  "DeviceUnbindRequested",
+  "DeviceUnbindCancelled",
+  "DeviceUnbound",
+  "EnergyRecorded",
+  "TokensMinted",
+  "PendingSettled",
+];
+const MARKETPLACE_EVENTS = [
+  "ListingCreated",
+  "ListingPurchased",
+  "ListingCancelled",
+  "OfferMade",
+  "OfferAccepted",
+  "OfferWithdrawn",
+  "Withdrawn",
+];
+const TOKEN_EVENTS = ["Retired"];
+
+function normalizeArg(type, value) {
+  if (typeof value === "bigint") return value.toString();
+  if (type === "address" || type.startsWith("bytes")) return value.toLowerCase();
+  return value;
+}
+
+/**
+ * Decode a raw log of `contract` (ethers Contract / Interface owner).
+ * Returns null for logs that aren't one of `names`.
+ */
+function decodeEventLog(name, contract, names, log) {
+  let parsed;
+  try {
+    parsed = contract.interface.parseLog(log);
+  } catch (err) {
+    return null;
+  }
+  if (!parsed || !names.includes(parsed.name)) {
+    return null;
+  }
+
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    args[input.name] = normalizeArg(input.type, parsed.args[i]);
+  });
+
+  return {
+    id: `${log.transactionHash}:${log.index}`,
+    contract: name,
+    event: parsed.name,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    txHash: log.transactionHash,
+    logIndex: log.index,
+    args,
+  };
+}
+
+/**
+ * Decode the `names` events a transaction receipt emitted from `contract`
+ * (e.g. the ListingCreated of a createListing tx, to learn the new id).
+ */
+function decodeReceiptEvents(name, contract, names, receipt) {
+  return receipt.logs
+    .filter((log) => log.address.toLowerCase() === String(contract.target).toLowerCase())
+    .map((log) => decodeEventLog(name, contract, names, log))
+    .filter(Boolean);
+}
+
+/**
+ * Fetch + decode logs of several contracts straight from RPC, with block
+ * timestamps. sources: [{ name, contract, events }]
+ */
+async function fetchEventLogs(provider, sources, { fromBlock = 0, toBlock = "latest" } = {}) {
+  const found = [];
+  for (const source of sources) {
+    const logs = await provider.getLogs({ address: source.contract.target, fromBlock, toBlock });
+    for (const log of logs) {
+      const event = decodeEventLog(source.name, source.contract, source.events, log);
+      if (event) found.push(event);
+    }
+  }
+
+  const timestamps = {};
+  for (const number of new Set(found.map((e) => e.blockNumber))) {
+    timestamps[number] = (await provider.getBlock(number)).timestamp;
+  }
+  for (const event of found) {
+    event.timestamp = timestamps[event.blockNumber];
+  }
+
+  return found.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+module.exports = {
+  METER_EVENTS,
+  MARKETPLACE_EVENTS,
+  TOKEN_EVENTS,
+  decodeEventLog,
+  decodeReceiptEvents,
+  fetchEventLogs,
+};
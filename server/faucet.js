@@ -1,52 +1,325 @@
 // faucet.js
-// Simple testnet faucet for Base Sepolia – DO NOT use in production as-is.
+// Testnet gas faucet for meter owners (Base Sepolia).
+//
+// A drip is only sent when every check passes:
+//  - proof of work: GET /faucet/challenge hands out a single-use challenge
+//    bound to the address; the client finds a nonce such that
+//    sha256("<challenge>:<address lowercase>:<nonce>") starts with
+//    `difficulty` zero bits (a CAPTCHA replacement that costs bots CPU).
+//    Challenges are signed tokens (challenge-token.js), so handing them out
+//    to anonymous callers stores nothing
+//  - eligibility: the address is the wallet of an active device registered
+//    on CarbonSmartMeter
+//  - cooldowns per address and per IP, and a daily (UTC) total budget,
+//    persisted in the "faucet" store so restarts don't reset them.
+// Failed drips give their budget and cooldowns back.
 
+const crypto = require("crypto");
 const express = require("express");
 const { ethers } = require("ethers");
-const { serverWallet } = require("./server-wallet");
+const { serverWallet, getMeterContract } = require("./server-wallet");
+const { enqueueTx, onTxSettled, STATUS } = require("./tx-outbox");
+const { createStore } = require("./store");
+const { issueToken, verifyToken, redeemToken } = require("./challenge-token");
+const { gauge, collect } = require("./metrics");
+const { logger } = require("./logger");
+
+const DRIP_AMOUNT = ethers.parseEther(process.env.FAUCET_DRIP_ETH || "0.01");
+const DAILY_BUDGET = ethers.parseEther(process.env.FAUCET_DAILY_BUDGET_ETH || "0.5");
+const ADDRESS_COOLDOWN_MS = Number(process.env.FAUCET_ADDRESS_COOLDOWN_HOURS || 24) * 3_600_000;
+const IP_COOLDOWN_MS = Number(process.env.FAUCET_IP_COOLDOWN_HOURS || 1) * 3_600_000;
+const POW_DIFFICULTY = Number(process.env.FAUCET_POW_DIFFICULTY || 20); // leading zero bits
+const CHALLENGE_TTL_MS = Number(process.env.FAUCET_CHALLENGE_TTL_SECONDS || 600) * 1000;
 
 const router = express.Router();
 
-// Amount to send per request (0.01 ETH on Base Sepolia)
-const DRIP_AMOUNT = ethers.parseEther("0.01");
+const CHALLENGE_PURPOSE = "faucet";
+
+const store = createStore("faucet", {
+  addresses: {}, // address → { lastDripAt, dripId }
+  ips: {},       // ip → { lastDripAt, dripId }
+  days: {},      // "2025-01-31" → { spent (wei), drips }
+  drips: {},     // dripId → { to, ip, amount, day, at, idempotencyKey, jobId, refunded }
+});
+
+/**
+ * Error carrying the HTTP status the route should answer with.
+ */
+class FaucetError extends Error {
+  constructor(message, status = 400, details) {
+    super(message);
+    this.name = "FaucetError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function utcDay(ms = Date.now()) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function nextUtcMidnight(ms = Date.now()) {
+  const date = new Date(ms);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+function leadingZeroBits(buffer) {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+/**
+ * Check the work, then consume the challenge (single use). Nothing is
+ * stored unless the work is right.
+ */
+function checkProofOfWork(challenge, nonce, address) {
+  if (typeof challenge !== "string" || nonce === undefined || nonce === null) {
+    throw new FaucetError("challenge and nonce are required (GET /faucet/challenge)");
+  }
+
+  if (verifyToken(CHALLENGE_PURPOSE, challenge, { subject: address }) === null) {
+    throw new FaucetError("Unknown or expired challenge, or issued for another address", 403);
+  }
+
+  const digest = crypto.createHash("sha256").update(`${challenge}:${address}:${nonce}`).digest();
+  if (leadingZeroBits(digest) < POW_DIFFICULTY) {
+    throw new FaucetError("Proof of work does not meet the difficulty", 403);
+  }
+
+  if (!redeemToken(CHALLENGE_PURPOSE, challenge, { subject: address })) {
+    throw new FaucetError("Challenge was already used", 403);
+  }
+}
+
+/**
+ * Active devices bound to `address` on CarbonSmartMeter (devices transferred
+ * in count, transferred away don't).
+ */
+async function registeredDevices(address) {
+  const meter = getMeterContract();
+  const devices = [];
+  for (const deviceId of await meter.getWalletDevices(address)) {
+    const device = await meter.getDevice(deviceId);
+    if (device.active) {
+      devices.push(deviceId.toLowerCase());
+    }
+  }
+  return devices;
+}
+
+function cooldownUntil(entry, cooldownMs) {
+  return entry ? entry.lastDripAt + cooldownMs : 0;
+}
+
+/**
+ * Check cooldowns + budget and record the drip in one store update, so two
+ * concurrent requests can't both pass.
+ */
+function reserveDrip({ to, ip, idempotencyKey }) {
+  return store.update((state) => {
+    const now = Date.now();
+    const addressReady = cooldownUntil(state.addresses[to], ADDRESS_COOLDOWN_MS);
+    if (addressReady > now) {
+      throw new FaucetError("Address is cooling down", 429, { retryAt: new Date(addressReady).toISOString() });
+    }
+    const ipReady = cooldownUntil(state.ips[ip], IP_COOLDOWN_MS);
+    if (ipReady > now) {
+      throw new FaucetError("Too many drips from this IP", 429, { retryAt: new Date(ipReady).toISOString() });
+    }
+
+    const day = utcDay(now);
+    const today = state.days[day] || { spent: "0", drips: 0 };
+    if (BigInt(today.spent) + DRIP_AMOUNT > DAILY_BUDGET) {
+      throw new FaucetError("Daily faucet budget spent", 429, { retryAt: new Date(nextUtcMidnight(now)).toISOString() });
+    }
+
+    const id = crypto.randomUUID();
+    state.days[day] = { spent: (BigInt(today.spent) + DRIP_AMOUNT).toString(), drips: today.drips + 1 };
+    state.addresses[to] = { lastDripAt: now, dripId: id };
+    state.ips[ip] = { lastDripAt: now, dripId: id };
+    state.drips[id] = { to, ip, amount: DRIP_AMOUNT.toString(), day, at: now, idempotencyKey, jobId: null, refunded: false };
+    return id;
+  });
+}
+
+/**
+ * Give a drip's budget + cooldowns back (its tx failed or was never sent).
+ */
+function releaseDrip(dripId) {
+  store.update((state) => {
+    const drip = state.drips[dripId];
+    if (!drip || drip.refunded) return;
+    drip.refunded = true;
+
+    const day = state.days[drip.day];
+    if (day) {
+      day.spent = (BigInt(day.spent) - BigInt(drip.amount)).toString();
+      day.drips -= 1;
+    }
+    if (state.addresses[drip.to] && state.addresses[drip.to].dripId === dripId) delete state.addresses[drip.to];
+    if (state.ips[drip.ip] && state.ips[drip.ip].dripId === dripId) delete state.ips[drip.ip];
+  });
+}
+
+const spentGauge = gauge("bcm_faucet_spent_eth", "Faucet ETH reserved for drips today (UTC)");
+const dripsGauge = gauge("bcm_faucet_drips", "Faucet drips today (UTC)");
+const budgetGauge = gauge("bcm_faucet_budget_eth", "Faucet daily budget");
 
+collect(() => {
+  const today = store.read().days[utcDay()] || { spent: "0", drips: 0 };
+  spentGauge.set({}, ethers.formatEther(today.spent));
+  dripsGauge.set({}, today.drips);
+  budgetGauge.set({}, ethers.formatEther(DAILY_BUDGET));
+});
+
+onTxSettled("faucet", (job) => {
+  if (job.status === STATUS.FAILED) {
+    releaseDrip(job.meta.dripId);
+  }
+});
+
+/**
+ * GET /faucet/challenge?address=0x...
+ * → { challenge, difficulty, expiresAt }; solve, then POST /faucet.
+ */
+router.get("/faucet/challenge", (req, res) => {
+  const { address } = req.query;
+  if (!address || !ethers.isAddress(address)) {
+    return res.status(400).json({ error: "Invalid or missing 'address'" });
+  }
+
+  const { token: challenge, expiresAt } = issueToken(CHALLENGE_PURPOSE, {
+    subject: address.toLowerCase(),
+    ttlMs: CHALLENGE_TTL_MS,
+  });
+
+  return res.json({
+    ok: true,
+    challenge,
+    difficulty: POW_DIFFICULTY,
+    expiresAt: new Date(expiresAt).toISOString(),
+    algorithm: "sha256(challenge + ':' + address lowercase + ':' + nonce) with `difficulty` leading zero bits",
+  });
+});
+
+/**
+ * POST /faucet  { to, challenge, nonce }
+ * Queues a drip in the tx outbox (poll GET /tx/:jobId for the hash).
+ */
 router.post("/faucet", async (req, res) => {
-  try {
-    const { to } = req.body || {};
+  const { to, challenge, nonce } = req.body || {};
+  const idempotencyKey = req.get("Idempotency-Key") || null;
 
+  try {
     if (!to || !ethers.isAddress(to)) {
-      return res.status(400).json({ error: "Invalid or missing 'to' address" });
+      throw new FaucetError("Invalid or missing 'to' address");
     }
+    const address = to.toLowerCase();
+    if (address === serverWallet.address.toLowerCase()) {
+      throw new FaucetError("Cannot faucet to server wallet");
+    }
+
+    // A retry of a drip we already queued answers with the same job
+    if (idempotencyKey) {
+      const previous = Object.values(store.read().drips).find(
+        (d) => d.idempotencyKey === idempotencyKey && d.to === address && d.jobId && !d.refunded
+      );
+      if (previous) {
+        return res.status(202).json({ ok: true, jobId: previous.jobId, to: address, amount: previous.amount });
+      }
+    }
+
+    checkProofOfWork(challenge, nonce, address);
 
-    // Basic safety: don't let faucet send to itself
-    if (to.toLowerCase() === serverWallet.address.toLowerCase()) {
-      return res.status(400).json({ error: "Cannot faucet to server wallet" });
+    if ((await registeredDevices(address)).length === 0) {
+      throw new FaucetError("Faucet is for wallets of registered meters: no active device is bound to this address", 403);
     }
 
     const balance = await serverWallet.provider.getBalance(serverWallet.address);
     if (balance < DRIP_AMOUNT) {
-      return res.status(400).json({ error: "Faucet depleted on this wallet" });
+      throw new FaucetError("Faucet depleted on this wallet", 503);
     }
 
-    const tx = await serverWallet.sendTransaction({
-      to,
-      value: DRIP_AMOUNT,
+    const dripId = reserveDrip({ to: address, ip: req.ip, idempotencyKey });
+    let job;
+    try {
+      ({ job } = enqueueTx({ to: address, value: DRIP_AMOUNT, kind: "faucet", meta: { dripId } }));
+    } catch (err) {
+      releaseDrip(dripId);
+      throw err;
+    }
+    store.update((state) => {
+      state.drips[dripId].jobId = job.id;
     });
 
-    const receipt = await tx.wait();
-
-    return res.json({
+    return res.status(202).json({
       ok: true,
-      hash: tx.hash,
-      blockNumber: receipt.blockNumber,
+      jobId: job.id,
+      status: job.status,
       from: serverWallet.address,
-      to,
+      to: address,
       amount: DRIP_AMOUNT.toString(),
     });
   } catch (err) {
-    console.error("Faucet error:", err);
+    if (err instanceof FaucetError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    logger.error("Faucet error", { err });
     return res.status(500).json({ error: "Faucet failed", details: err.message });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * GET /faucet/status?address=0x...
+ * Drip amount, today's budget left, and (with address) when it can drip next.
+ */
+router.get("/faucet/status", async (req, res) => {
+  const { address } = req.query;
+  if (address !== undefined && !ethers.isAddress(address)) {
+    return res.status(400).json({ error: "Invalid address" });
+  }
+
+  try {
+    const state = store.read();
+    const today = state.days[utcDay()] || { spent: "0", drips: 0 };
+    const remaining = DAILY_BUDGET - BigInt(today.spent);
+    const balance = await serverWallet.provider.getBalance(serverWallet.address);
+
+    const status = {
+      ok: true,
+      dripAmount: ethers.formatEther(DRIP_AMOUNT),
+      dailyBudget: ethers.formatEther(DAILY_BUDGET),
+      spentToday: ethers.formatEther(today.spent),
+      remainingToday: ethers.formatEther(remaining > 0n ? remaining : 0n),
+      dripsToday: today.drips,
+      dripsLeftToday: remaining > 0n ? Number(remaining / DRIP_AMOUNT) : 0,
+      budgetResetsAt: new Date(nextUtcMidnight()).toISOString(),
+      walletBalance: ethers.formatEther(balance),
+      cooldownHours: { address: ADDRESS_COOLDOWN_MS / 3_600_000, ip: IP_COOLDOWN_MS / 3_600_000 },
+      powDifficulty: POW_DIFFICULTY,
+    };
+
+    if (address) {
+      const key = address.toLowerCase();
+      const readyAt = cooldownUntil(state.addresses[key], ADDRESS_COOLDOWN_MS);
+      status.address = {
+        address: key,
+        eligible: (await registeredDevices(key)).length > 0,
+        nextDripAt: readyAt > Date.now() ? new Date(readyAt).toISOString() : null,
+      };
+    }
+    return res.json(status);
+  } catch (err) {
+    logger.error("Faucet status error", { err });
+    return res.status(500).json({ error: "Faucet status failed", details: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+// grid-intensity.js
+// Region-aware grid intensity table, read from CarbonSmartMeter.
+
+const express = require("express");
+const { getMeterContract } = require("./server-wallet");
+const { decodeRegion } = require("./regions");
+const { logger } = require("./logger");
+
+const router = express.Router();
+
+/**
+ * GET /grid-intensity
+ * Returns the current on-chain intensity table:
+ *  - fallback: global factor used when a device has no region
+ *  - regions:  factor, citation and effective date for every region
+ */
+router.get("/grid-intensity", async (req, res) => {
+  try {
+    const meter = getMeterContract();
+
+    const [fallback, regionCodes] = await Promise.all([
+      meter.GRID_DENSITY_MICRO_KG_PER_KWH(),
+      meter.getRegionCodes(),
+    ]);
+
+    const regions = await Promise.all(
+      regionCodes.map(async (code) => {
+        const g = await meter.gridIntensities(code);
+        return {
+          region: decodeRegion(code),
+          microKgPerKwh: g.microKgPerKwh.toString(),
+          kgPerKwh: Number(g.microKgPerKwh) / 1e6,
+          source: g.source,
+          effectiveFrom: new Date(Number(g.effectiveFrom) * 1000).toISOString(),
+          updatedAt: new Date(Number(g.updatedAt) * 1000).toISOString(),
+        };
+      })
+    );
+
+    return res.json({
+      ok: true,
+      fallback: {
+        microKgPerKwh: fallback.toString(),
+        kgPerKwh: Number(fallback) / 1e6,
+      },
+      regions,
+    });
+  } catch (err) {
+    logger.error("grid-intensity error", { err });
+    return res.status(500).json({ error: "grid-intensity failed", details: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,200 @@
+// health.js
+// Readiness checks behind GET /readyz and GET /healthz (ops.js), plus the
+// gauges they feed into GET /metrics.
+//
+// Readiness checks (each { ok, detail }):
+//  - startup:   deployment verified and background workers started
+//  - artifacts: contract ABIs load (artifacts/ compiled)
+//  - rpc:       BASE_RPC answers, on the manifest's chain id
+//  - balance:   server wallet holds at least HEALTH_MIN_BALANCE_ETH (0.01)
+//  - minter:    token.minter() is the configured meter
+//  - owner:     meter.owner() is the server wallet (it signs every meter write)
+//
+// Results are cached for HEALTH_CACHE_SECONDS (10), refreshed every
+// HEALTH_CHECK_INTERVAL_MS (60 s) in the background, and a check that starts
+// or stops failing is logged, so a draining wallet shows up in the logs and
+// in bcm_server_wallet_balance_eth before users notice.
+
+const { ethers } = require("ethers");
+const {
+  provider,
+  serverWallet,
+  deployment,
+  addresses,
+  contractAbi,
+  getTokenContract,
+  getMeterContract,
+} = require("./server-wallet");
+const { getIndexerStatus } = require("./chain-indexer");
+const { gauge, collect } = require("./metrics");
+const { logger } = require("./logger");
+
+const MIN_BALANCE = ethers.parseEther(process.env.HEALTH_MIN_BALANCE_ETH || "0.01");
+const CACHE_MS = Number(process.env.HEALTH_CACHE_SECONDS || 10) * 1000;
+const CHECK_INTERVAL_MS = Number(process.env.HEALTH_CHECK_INTERVAL_MS || 60_000);
+const RPC_TIMEOUT_MS = Number(process.env.HEALTH_RPC_TIMEOUT_MS || 3000);
+
+const readyGauge = gauge("bcm_ready", "1 when every readiness check passes");
+const checkGauge = gauge("bcm_readiness_check", "Readiness checks (1 ok, 0 failing)", ["check"]);
+const balanceGauge = gauge("bcm_server_wallet_balance_eth", "ETH balance of the server wallet");
+const indexerLagGauge = gauge("bcm_indexer_lag_blocks", "Blocks between the chain head and the local event index");
+const indexerBlockGauge = gauge("bcm_indexer_last_block", "Last block in the local event index");
+
+let startup = { ok: false, detail: "starting" };
+let cached = null;
+let running = null;
+let timer = null;
+
+// Startup changes are re-checked right away, so /readyz and bcm_ready do
+// not wait for the cache to expire
+function markStarted(detail) {
+  startup = { ok: true, detail };
+  if (timer) readiness({ maxAgeMs: 0 });
+}
+
+function markStartupFailed(err) {
+  startup = { ok: false, detail: err.message };
+  if (timer) readiness({ maxAgeMs: 0 });
+}
+
+function withTimeout(promise, label) {
+  let timeout;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timeout = setTimeout(() => reject(new Error(`${label} timed out after ${RPC_TIMEOUT_MS} ms`)), RPC_TIMEOUT_MS);
+    }),
+  ]).finally(() => clearTimeout(timeout));
+}
+
+const same = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+async function check(fn) {
+  try {
+    return await fn();
+  } catch (err) {
+    return { ok: false, detail: err.shortMessage || err.message };
+  }
+}
+
+async function runChecks() {
+  const checks = { startup };
+
+  checks.artifacts = await check(() => {
+    ["token", "meter", "marketplace"].forEach(contractAbi);
+    return { ok: true, detail: "ABIs loaded" };
+  });
+
+  checks.rpc = await check(async () => {
+    const { chainId } = await withTimeout(provider.getNetwork(), "getNetwork");
+    const expected = deployment.manifest ? deployment.manifest.chainId : null;
+    if (expected !== null && Number(chainId) !== expected) {
+      return { ok: false, detail: `chain ${chainId}, manifest expects ${expected}` };
+    }
+    return { ok: true, detail: `chain ${chainId}` };
+  });
+
+  if (!checks.rpc.ok) {
+    for (const name of ["balance", "minter", "owner"]) {
+      checks[name] = { ok: false, detail: "skipped: RPC not available" };
+    }
+  } else {
+    checks.balance = await check(async () => {
+      const balance = await withTimeout(provider.getBalance(serverWallet.address), "getBalance");
+      balanceGauge.set({}, ethers.formatEther(balance));
+      const detail = `${ethers.formatEther(balance)} ETH (minimum ${ethers.formatEther(MIN_BALANCE)})`;
+      return { ok: balance >= MIN_BALANCE, detail };
+    });
+
+    checks.minter = await check(async () => {
+      const minter = await withTimeout(getTokenContract().minter(), "token.minter()");
+      return { ok: same(minter, addresses.meter), detail: `minter ${minter}, meter ${addresses.meter}` };
+    });
+
+    checks.owner = await check(async () => {
+      const owner = await withTimeout(getMeterContract().owner(), "meter.owner()");
+      return { ok: same(owner, serverWallet.address), detail: `owner ${owner}, server wallet ${serverWallet.address}` };
+    });
+  }
+
+  const result = {
+    ok: Object.values(checks).every((c) => c.ok),
+    checkedAt: new Date().toISOString(),
+    checks,
+  };
+
+  for (const [name, c] of Object.entries(checks)) {
+    checkGauge.set({ check: name }, c.ok ? 1 : 0);
+    const before = cached && cached.checks[name];
+    if (!c.ok && (!before || before.ok)) {
+      logger.warn("readiness check failing", { check: name, detail: c.detail });
+    } else if (c.ok && before && !before.ok) {
+      logger.info("readiness check recovered", { check: name, detail: c.detail });
+    }
+  }
+  readyGauge.set({}, result.ok ? 1 : 0);
+
+  cached = { ...result, at: Date.now() };
+  return result;
+}
+
+/**
+ * Latest readiness (re-checked when older than HEALTH_CACHE_SECONDS).
+ * Concurrent callers share one run.
+ */
+function readiness({ maxAgeMs = CACHE_MS } = {}) {
+  if (cached && Date.now() - cached.at < maxAgeMs) {
+    return Promise.resolve(lastReadiness());
+  }
+  if (!running) {
+    running = runChecks().finally(() => {
+      running = null;
+    });
+  } else if (maxAgeMs === 0) {
+    // a forced re-check must not get a run that started before the change
+    return running.then(() => readiness({ maxAgeMs: 0 }));
+  }
+  return running;
+}
+
+collect(() => readiness());
+collect(async () => {
+  const { lastBlock, lag } = await withTimeout(getIndexerStatus(), "indexer status");
+  if (lastBlock !== null) {
+    indexerBlockGauge.set({}, lastBlock);
+    indexerLagGauge.set({}, lag);
+  }
+});
+
+/**
+ * Last readiness result without re-checking (null before the first run).
+ */
+function lastReadiness() {
+  if (!cached) return null;
+  const { at, ...result } = cached;
+  return result;
+}
+
+/**
+ * Re-check in the background (called once from index.js), so gauges and
+ * failure logs stay current without probes.
+ */
+function startHealthChecks() {
+  if (timer) return;
+  timer = setInterval(() => readiness({ maxAgeMs: 0 }), CHECK_INTERVAL_MS);
+  readiness({ maxAgeMs: 0 });
+}
+
+function stopHealthChecks() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  markStarted,
+  markStartupFailed,
+  readiness,
+  lastReadiness,
+  startHealthChecks,
+  stopHealthChecks,
+};
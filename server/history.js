@@ -0,0 +1,202 @@
+// history.js
+// Paginated history served from the local event index (chain-indexer.js).
+// Device / wallet history is for operators and the wallet it belongs to.
+
+const express = require("express");
+const { ethers } = require("ethers");
+const { queryEvents, aggregateHistory, getIndexerStatus } = require("./chain-indexer");
+const { MARKETPLACE_EVENTS } = require("./event-log");
+const { paginate } = require("./pagination");
+const { requireOwner } = require("./access-control");
+
+const router = express.Router();
+
+const deviceOwner = requireOwner((req) => ({ deviceId: req.params.id }));
+const ownWallet = requireOwner((req) => ({ wallet: req.params.addr }));
+
+/**
+ * ?from=&to= as unix seconds or ISO dates (to is exclusive).
+ */
+function timeRange(query) {
+  const parse = (value) => {
+    if (value === undefined) return undefined;
+    const seconds = /^\d+$/.test(value) ? Number(value) : Math.floor(Date.parse(value) / 1000);
+    if (!Number.isFinite(seconds)) {
+      throw new Error(`Invalid time: ${value}`);
+    }
+    return seconds;
+  };
+  return { from: parse(query.from), to: parse(query.to) };
+}
+
+function checkDeviceId(req, res) {
+  if (!/^0x[0-9a-fA-F]{64}$/.test(req.params.id)) {
+    res.status(400).json({ error: "deviceId must be 32-byte hex string" });
+    return false;
+  }
+  return true;
+}
+
+function checkWallet(req, res) {
+  if (!ethers.isAddress(req.params.addr)) {
+    res.status(400).json({ error: "Invalid wallet address" });
+    return false;
+  }
+  return true;
+}
+
+function checkBucket(req, res) {
+  const { bucket = "day" } = req.query;
+  if (bucket !== "day" && bucket !== "month") {
+    res.status(400).json({ error: "bucket must be 'day' or 'month'" });
+    return null;
+  }
+  return bucket;
+}
+
+/**
+ * Wraps a handler so bad ?from / ?to values answer 400.
+ */
+function withRange(handler) {
+  return (req, res) => {
+    let range;
+    try {
+      range = timeRange(req.query);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    return handler(req, res, range);
+  };
+}
+
+/**
+ * GET /indexer/status
+ */
+router.get("/indexer/status", async (req, res) => {
+  try {
+    return res.json({ ok: true, ...(await getIndexerStatus()) });
+  } catch (err) {
+    return res.status(500).json({ error: "indexer status failed", details: err.message });
+  }
+});
+
+/**
+ * GET /devices/:id/readings?limit=50&offset=0&from=&to=
+ * EnergyRecorded events of a device, newest first.
+ */
+router.get(
+  "/devices/:id/readings",
+  deviceOwner,
+  withRange((req, res, range) => {
+    if (!checkDeviceId(req, res)) return;
+    const items = queryEvents({ event: "EnergyRecorded", filter: { deviceId: req.params.id }, ...range });
+    return res.json(paginate(items, req.query));
+  })
+);
+
+/**
+ * GET /devices/:id/events
+ * Lifecycle (registration, (de)activation, transfers, unbinding) and
+ * readings of a device, newest first.
+ */
+router.get(
+  "/devices/:id/events",
+  deviceOwner,
+  withRange((req, res, range) => {
+    if (!checkDeviceId(req, res)) return;
+    const items = queryEvents({
+      event: [
+        "DeviceRegistered",
+        "DeviceDeactivated",
+        "DeviceReactivated",
+        "DeviceTransferred",
+        "DeviceUnbindRequested",
+        "DeviceUnbindCancelled",
+        "DeviceUnbound",
+        "EnergyRecorded",
+      ],
+      filter: { deviceId: req.params.id },
+      ...range,
+    });
+    return res.json(paginate(items, req.query));
+  })
+);
+
+/**
+ * GET /devices/:id/history?bucket=day|month&from=&to=
+ * Daily / monthly UTC totals (readings, kwhMilli, co2MicroKg).
+ */
+router.get(
+  "/devices/:id/history",
+  deviceOwner,
+  withRange((req, res, range) => {
+    if (!checkDeviceId(req, res)) return;
+    const bucket = checkBucket(req, res);
+    if (!bucket) return;
+    const buckets = aggregateHistory({ filter: { deviceId: req.params.id }, bucket, ...range });
+    return res.json({ ok: true, deviceId: req.params.id, bucket, buckets });
+  })
+);
+
+/**
+ * GET /wallets/:addr/readings?limit=&offset=&from=&to=
+ */
+router.get(
+  "/wallets/:addr/readings",
+  ownWallet,
+  withRange((req, res, range) => {
+    if (!checkWallet(req, res)) return;
+    const items = queryEvents({ event: "EnergyRecorded", filter: { wallet: req.params.addr }, ...range });
+    return res.json(paginate(items, req.query));
+  })
+);
+
+/**
+ * GET /wallets/:addr/mints?limit=&offset=&from=&to=
+ * TokensMinted events (amount in token units, 18 decimals).
+ */
+router.get(
+  "/wallets/:addr/mints",
+  ownWallet,
+  withRange((req, res, range) => {
+    if (!checkWallet(req, res)) return;
+    const items = queryEvents({ event: "TokensMinted", filter: { wallet: req.params.addr }, ...range });
+    return res.json(paginate(items, req.query));
+  })
+);
+
+/**
+ * GET /wallets/:addr/trades?limit=&offset=&from=&to=
+ * Marketplace events where the wallet is seller or buyer.
+ */
+router.get(
+  "/wallets/:addr/trades",
+  ownWallet,
+  withRange((req, res, range) => {
+    if (!checkWallet(req, res)) return;
+    const items = queryEvents({
+      event: MARKETPLACE_EVENTS,
+      anyOf: { seller: req.params.addr, buyer: req.params.addr, account: req.params.addr },
+      ...range,
+    });
+    return res.json(paginate(items, req.query));
+  })
+);
+
+/**
+ * GET /wallets/:addr/history?bucket=day|month&from=&to=
+ * Daily / monthly UTC totals (readings, kwhMilli, co2MicroKg, minted).
+ */
+router.get(
+  "/wallets/:addr/history",
+  ownWallet,
+  withRange((req, res, range) => {
+    if (!checkWallet(req, res)) return;
+    const bucket = checkBucket(req, res);
+    if (!bucket) return;
+    const buckets = aggregateHistory({ filter: { wallet: req.params.addr }, bucket, ...range });
+    return res.json({ ok: true, wallet: req.params.addr, bucket, buckets });
+  })
+);
+
+module.exports = router;
@@ -1,47 +1,162 @@
 require("dotenv").config();
 const express = require("express");
 
-const { serverWallet } = require("./server-wallet");
-const { embeddedWallet } = require("./embedded-wallet");
-const { faucet } = require("./faucet");
+const authRoutes = require("./auth");
+const embeddedWalletRoutes = require("./embedded-wallet");
+const readingRoutes = require("./readings");
+const deviceRoutes = require("./devices");
+const deviceLifecycleRoutes = require("./device-lifecycle");
+const gridIntensityRoutes = require("./grid-intensity");
+const quarantineRoutes = require("./quarantine");
+const aggregateRoutes = require("./aggregates");
+const historyRoutes = require("./history");
+const reportRoutes = require("./reports");
+const marketplaceRoutes = require("./marketplace");
+const retirementRoutes = require("./retirements");
+const credentialRoutes = require("./credentials");
+const valuationRoutes = require("./valuation");
+const txStatusRoutes = require("./tx-status");
+const privacyRoutes = require("./privacy");
+const relayerRoutes = require("./relayer");
+const auditRoutes = require("./audit");
+const webhookRoutes = require("./webhooks");
+const opsRoutes = require("./ops");
+const { startOutbox } = require("./tx-outbox");
+const { startAggregator } = require("./reading-aggregator");
+const { startIndexer } = require("./chain-indexer");
+const { startPrivacyPurger } = require("./privacy-erasure");
+const { startReconciler } = require("./reconciler");
+const { startWebhooks } = require("./webhook-dispatcher");
+const { verifyDeploymentChain } = require("./server-wallet");
+const faucetRoutes = require("./faucet");
+const { authenticate } = require("./access-control");
+const { logger, requestLogger } = require("./logger");
+const { markStarted, markStartupFailed, startHealthChecks } = require("./health");
+
+const STARTUP_RETRY_MS = Number(process.env.STARTUP_RETRY_MS || 30_000);
 
 const app = express();
+
+// Request ids (X-Request-Id), JSON request logs and HTTP metrics
+app.use(requestLogger);
 app.use(express.json());
 
+// API keys (gateways / operators) + SIWE sessions (wallets) → req.auth;
+// each route declares the roles it accepts
+app.use(authenticate);
+
 // Test endpoint
 app.get("/", (req, res) => {
   res.send("Carbon Smart Meter backend is running");
 });
 
-// Use server wallet to call Mint or Meter functions
-app.post("/record-reading", async (req, res) => {
-  try {
-    const result = await serverWallet.recordReading(req.body);
-    res.json({ ok: true, result });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+// Liveness / readiness probes + Prometheus metrics
+app.use(opsRoutes);
+
+// Sign-In with Ethereum sessions for wallet holders
+app.use(authRoutes);
+
+// Device binding + wallet totals
+app.use(embeddedWalletRoutes);
+
+// Device key registry (rotation / revocation), region, profile
+app.use(deviceRoutes);
+
+// Device lifecycle: list per wallet, transfer, (de)activate, unbind
+app.use(deviceLifecycleRoutes);
+
+// Region-aware grid intensity table
+app.use(gridIntensityRoutes);
+
+// Signed meter readings → verified → MRV checks → recordVerifiedReading
+app.use(readingRoutes);
+
+// Readings flagged by the MRV checks, approved / rejected by an operator
+app.use(quarantineRoutes);
+
+// Per-device reading windows recorded in batches (+ Merkle proofs)
+app.use(aggregateRoutes);
+
+// Reading / mint / trade history from the local event index
+app.use(historyRoutes);
 
-// Provide a faucet for testing
-app.get("/faucet/:address", async (req, res) => {
-  try {
-    const tx = await faucet(req.params.address);
-    res.json({ ok: true, tx });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+// MRV reports (JSON / CSV / printable HTML) per wallet or device
+app.use(reportRoutes);
+
+// P2P marketplace: order book + unsigned transactions for user wallets
+app.use(marketplaceRoutes);
+
+// Offset retirement: unsigned retire() txs, retirement records + certificates
+app.use(retirementRoutes);
+
+// Signed verifiable credentials of readings / mints + their verification
+app.use(credentialRoutes);
+
+// Data export / erasure (right to be forgotten) + anonymized regional stats
+app.use(privacyRoutes);
+
+// USD valuation of a wallet's offsets from the on-chain BC/USD feed
+app.use(valuationRoutes);
+
+// Status of queued contract writes (every write goes through the tx outbox)
+app.use(txStatusRoutes);
+
+// Testnet gas faucet for meter owners (proof of work, cooldowns, daily budget)
+app.use(faucetRoutes);
+
+// Gas sponsorship: EIP-712 signed permits / marketplace intents relayed by the server wallet
+app.use(relayerRoutes);
+
+// On-chain vs off-chain reconciliation reports (scheduled + on demand)
+app.use(auditRoutes);
+
+// Webhooks for integrators: signed, retried deliveries of indexed chain events
+app.use(webhookRoutes);
+
+// Anything a route did not answer itself (thrown errors, bad JSON bodies)
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) {
+    logger.error("unhandled route error", { err });
+    return res.status(500).json({ error: "Internal server error", requestId: req.id });
   }
+  return res.status(status).json({ error: err.message, requestId: req.id });
 });
 
-// Embedded wallet calls (optional)
-app.post("/embedded/tx", async (req, res) => {
-  try {
-    const result = await embeddedWallet.sendTx(req.body);
-    res.json(result);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
+process.on("unhandledRejection", (err) => {
+  logger.error("unhandled rejection", { err });
 });
 
 const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
\ No newline at end of file
+app.listen(PORT, () => logger.info("Server running", { port: Number(PORT) }));
+
+// Background workers only run once the provider is on the manifest's chain.
+// Until then GET /readyz answers 503; the check is retried every
+// STARTUP_RETRY_MS instead of exiting, so a late RPC does not crash-loop.
+function start() {
+  verifyDeploymentChain()
+    .then(({ network, source }) => {
+      const contracts = source === "manifest" ? `deployments/${network}.json` : ".env";
+      logger.info("Contracts resolved", { network, source: contracts });
+      startOutbox().catch((err) => {
+        logger.error("tx outbox failed to start", { err });
+        markStartupFailed(err);
+        process.exitCode = 1;
+      });
+      startAggregator();
+      startIndexer();
+      startPrivacyPurger();
+      startReconciler();
+      startWebhooks();
+      markStarted(`${network} (${contracts})`);
+    })
+    .catch((err) => {
+      logger.error("Deployment check failed", { err, retryInMs: STARTUP_RETRY_MS });
+      markStartupFailed(err);
+      setTimeout(start, STARTUP_RETRY_MS);
+    });
+}
+
+start();
+startHealthChecks();
@@ -0,0 +1,96 @@
+// logger.js
+// Structured JSON logging: one line per entry,
+//   {"time":"...","level":"error","msg":"record-reading error","reqId":"...","err":{...}}
+// info / debug go to stdout, warn / error to stderr. LOG_LEVEL (debug | info |
+// warn | error, default info) drops the levels below it.
+//
+// requestLogger gives every request an id (the caller's X-Request-Id if it
+// looks sane, else a new UUID), echoes it in the X-Request-Id response
+// header, and logs the request once it finished. Entries logged while a
+// request is handled carry its reqId without passing it around
+// (AsyncLocalStorage).
+
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+const { observeHttpRequest } = require("./metrics");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+const REQUEST_ID_REGEX = /^[\w.:-]{1,64}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * JSON-safe view of an error (ethers errors keep their code / reason).
+ */
+function serializeError(err) {
+  if (!(err instanceof Error)) return err;
+  const out = { name: err.name, message: err.message };
+  for (const key of ["code", "reason", "shortMessage", "status"]) {
+    if (err[key] !== undefined) out[key] = err[key];
+  }
+  out.stack = err.stack;
+  return out;
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  const entry = { time: new Date().toISOString(), level, msg };
+  const context = requestContext.getStore();
+  if (context) entry.reqId = context.reqId;
+  for (const [key, value] of Object.entries(fields)) {
+    entry[key] = key === "err" ? serializeError(value) : value;
+  }
+
+  const line = JSON.stringify(entry, (key, value) => (typeof value === "bigint" ? value.toString() : value));
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+const logger = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
+
+/**
+ * Route template a request matched ("/devices/:deviceId"), so logs and
+ * metrics group by route instead of by id.
+ */
+function routeOf(req) {
+  return req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+}
+
+/**
+ * App-level middleware (first in the chain).
+ */
+function requestLogger(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  const reqId = incoming && REQUEST_ID_REGEX.test(incoming) ? incoming : crypto.randomUUID();
+  req.id = reqId;
+  res.set("X-Request-Id", reqId);
+
+  const started = process.hrtime.bigint();
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = routeOf(req);
+    observeHttpRequest({ method: req.method, route, status: res.statusCode }, seconds);
+    write(res.statusCode >= 500 ? "warn" : "info", "request", {
+      reqId,
+      method: req.method,
+      route,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      role: req.auth ? req.auth.role : null,
+    });
+  });
+
+  requestContext.run({ reqId }, next);
+}
+
+module.exports = {
+  logger,
+  requestLogger,
+};
@@ -0,0 +1,214 @@
+// marketplace-book.js
+// Listings + offers of CarbonMarketplace rebuilt from the local event index
+// (chain-indexer.js), so the order book never scans logs or loops over
+// listingCounter over RPC.
+//
+// Amounts stay in base units (decimal strings). Prices are in the listing's
+// paymentToken (ETH = address(0), or an ERC-20 such as a USD stablecoin);
+// pricePerBC is payment token base units per whole BC, so listings of
+// different sizes can be compared.
+
+const { ethers } = require("ethers");
+const { queryEvents } = require("./chain-indexer");
+const { MARKETPLACE_EVENTS } = require("./event-log");
+
+const BC_DECIMALS = 18; // BaseCarbonToken.decimals()
+const ONE_BC = 10n ** BigInt(BC_DECIMALS);
+
+// Prices in different payment tokens don't compare: group by token first
+const byToken = (a, b) => a.paymentToken.localeCompare(b.paymentToken);
+
+const SORTS = {
+  price_asc: (a, b) => byToken(a, b) || compareBig(a.pricePerBC, b.pricePerBC) || a.id - b.id,
+  price_desc: (a, b) => byToken(a, b) || compareBig(b.pricePerBC, a.pricePerBC) || a.id - b.id,
+  amount_desc: (a, b) => compareBig(b.remainingBC, a.remainingBC) || a.id - b.id,
+  newest: (a, b) => b.id - a.id,
+};
+
+function compareBig(a, b) {
+  const x = BigInt(a);
+  const y = BigInt(b);
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+function pricePerBC(amountBC, price) {
+  return ((BigInt(price) * ONE_BC) / BigInt(amountBC)).toString();
+}
+
+/**
+ * Same rounding as CarbonMarketplace.quote(): pro-rata, rounded up.
+ */
+function listValue(listing, amountBC) {
+  const remaining = BigInt(listing.remainingBC);
+  return (BigInt(listing.remainingPrice) * BigInt(amountBC) + remaining - 1n) / remaining;
+}
+
+function fill(listing, entry, value) {
+  listing.remainingBC = (BigInt(listing.remainingBC) - BigInt(entry.amountBC)).toString();
+  listing.remainingPrice = (BigInt(listing.remainingPrice) - value).toString();
+  listing.fills.push(entry);
+  if (listing.remainingBC === "0") {
+    listing.status = "sold";
+    listing.closedAt = entry.at;
+  }
+}
+
+/**
+ * Replay marketplace events oldest → newest into listing / offer state.
+ *
+ * Listing status: active | sold | cancelled (amountBC / price as listed,
+ *                 remainingBC / remainingPrice after partial fills)
+ * Offer status:   open | accepted | withdrawn | refundable (the listing
+ *                 closed while it was open: the escrow waits for the buyer
+ *                 to withdraw it)
+ */
+function buildBook() {
+  const listings = new Map();
+  const offers = new Map();
+
+  for (const e of queryEvents({ event: MARKETPLACE_EVENTS }).reverse()) {
+    const a = e.args;
+    const listing = listings.get(a.listingId);
+    const offer = offers.get(a.offerId);
+
+    if (e.event === "ListingCreated") {
+      listings.set(a.listingId, {
+        id: Number(a.listingId),
+        seller: a.seller,
+        paymentToken: a.paymentToken,
+        amountBC: a.amountBC,
+        price: a.price,
+        pricePerBC: pricePerBC(a.amountBC, a.price),
+        remainingBC: a.amountBC,
+        remainingPrice: a.price,
+        status: "active",
+        createdAt: e.timestamp,
+        txHash: e.txHash,
+        fills: [],
+        closedAt: null,
+      });
+    } else if (e.event === "OfferMade") {
+      offers.set(a.offerId, {
+        id: Number(a.offerId),
+        listingId: Number(a.listingId),
+        buyer: a.buyer,
+        paymentToken: listing ? listing.paymentToken : null,
+        amountBC: a.amountBC,
+        price: a.price,
+        pricePerBC: pricePerBC(a.amountBC, a.price),
+        status: "open",
+        createdAt: e.timestamp,
+        txHash: e.txHash,
+      });
+    } else if (e.event === "ListingPurchased" && listing) {
+      const entry = {
+        type: "buy",
+        buyer: a.buyer,
+        amountBC: a.amountBC,
+        price: a.price,
+        txHash: e.txHash,
+        at: e.timestamp,
+      };
+      fill(listing, entry, BigInt(a.price));
+    } else if (e.event === "OfferAccepted" && listing && offer) {
+      offer.status = "accepted";
+      const entry = {
+        type: "offer",
+        offerId: offer.id,
+        buyer: offer.buyer,
+        amountBC: offer.amountBC,
+        price: offer.price,
+        txHash: e.txHash,
+        at: e.timestamp,
+      };
+      fill(listing, entry, listValue(listing, offer.amountBC));
+    } else if (e.event === "ListingCancelled" && listing) {
+      listing.status = "cancelled";
+      listing.closedAt = e.timestamp;
+    } else if (e.event === "OfferWithdrawn" && offer) {
+      offer.status = "withdrawn";
+    }
+  }
+
+  for (const offer of offers.values()) {
+    const listing = listings.get(String(offer.listingId));
+    if (offer.status === "open" && listing && listing.status !== "active") {
+      offer.status = "refundable";
+    }
+  }
+
+  return { listings, offers };
+}
+
+/**
+ * Order book query.
+ *   status:        active (default) | sold | cancelled | all
+ *   seller:        address
+ *   paymentToken:  address (ETH = address(0))
+ *   minAmount:     BC still for sale (human units, e.g. "2.5")
+ *   maxPricePerBC: payment token base units per BC (bigint / decimal string)
+ *   sort:          price_asc (default) | price_desc | amount_desc | newest
+ */
+function getListings({ status = "active", seller, paymentToken, minAmount, maxPricePerBC, sort = "price_asc" } = {}) {
+  if (!SORTS[sort]) {
+    throw new Error(`sort must be one of ${Object.keys(SORTS).join(", ")}`);
+  }
+  if (!["active", "sold", "cancelled", "all"].includes(status)) {
+    throw new Error("status must be active, sold, cancelled or all");
+  }
+  const minBase = minAmount !== undefined ? ethers.parseUnits(String(minAmount), BC_DECIMALS) : null;
+  const maxPrice = maxPricePerBC !== undefined ? BigInt(maxPricePerBC) : null;
+  const sellerLower = seller ? seller.toLowerCase() : null;
+  const tokenLower = paymentToken ? paymentToken.toLowerCase() : null;
+
+  return [...buildBook().listings.values()]
+    .filter((l) => status === "all" || l.status === status)
+    .filter((l) => !sellerLower || l.seller === sellerLower)
+    .filter((l) => !tokenLower || l.paymentToken === tokenLower)
+    .filter((l) => minBase === null || BigInt(l.remainingBC) >= minBase)
+    .filter((l) => maxPrice === null || BigInt(l.pricePerBC) <= maxPrice)
+    .sort(SORTS[sort]);
+}
+
+/**
+ * Listing by id with its offers (newest first), or null.
+ */
+function getListing(id) {
+  const { listings, offers } = buildBook();
+  const listing = listings.get(String(id));
+  if (!listing) return null;
+  return {
+    ...listing,
+    offers: [...offers.values()].filter((o) => o.listingId === listing.id).reverse(),
+  };
+}
+
+/**
+ * Offer by id (with its listing's seller), or null.
+ */
+function getOffer(id) {
+  const { listings, offers } = buildBook();
+  const offer = offers.get(String(id));
+  if (!offer) return null;
+  const listing = listings.get(String(offer.listingId));
+  return { ...offer, seller: listing ? listing.seller : null };
+}
+
+/**
+ * Payment tokens used by any listing so far (ETH included).
+ */
+function getPaymentTokens() {
+  const tokens = new Set([ethers.ZeroAddress]);
+  for (const listing of buildBook().listings.values()) {
+    tokens.add(listing.paymentToken);
+  }
+  return [...tokens];
+}
+
+module.exports = {
+  BC_DECIMALS,
+  getListings,
+  getPaymentTokens,
+  getListing,
+  getOffer,
+};
@@ -0,0 +1,341 @@
+// marketplace-tx.js
+// Unsigned CarbonMarketplace transactions for wallets we don't hold keys for
+// (CDP embedded wallets, browser wallets). The server only checks the call
+// would make sense right now and encodes it; the user's wallet signs + sends.
+//
+// Each builder returns a list of txs to send in order:
+//   { description, from, to, data, value (wei, decimal string), chainId }
+// Listings priced in an ERC-20 get an approve() of the payment token first
+// when the marketplace's allowance is short.
+
+const { ethers } = require("ethers");
+const { provider, getTokenContract, getMarketplaceContract } = require("./server-wallet");
+const { BC_DECIMALS, getListings } = require("./marketplace-book");
+const { ETH, isEth, erc20, paymentTokenInfo } = require("./erc20");
+const { unsignedTx } = require("./unsigned-tx");
+
+class MarketplaceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "MarketplaceError";
+    this.status = status;
+  }
+}
+
+function parsePositive(value, decimals, field) {
+  let parsed;
+  try {
+    parsed = ethers.parseUnits(String(value), decimals);
+  } catch (err) {
+    throw new MarketplaceError(`${field} must be a decimal number`);
+  }
+  if (parsed <= 0n) {
+    throw new MarketplaceError(`${field} must be > 0`);
+  }
+  return parsed;
+}
+
+function parseId(value, field) {
+  if (!/^\d+$/.test(String(value)) || BigInt(value) === 0n) {
+    throw new MarketplaceError(`${field} must be a positive integer`);
+  }
+  return BigInt(value);
+}
+
+function checkFrom(from) {
+  if (!from || !ethers.isAddress(from)) {
+    throw new MarketplaceError("from must be a wallet address");
+  }
+  return ethers.getAddress(from);
+}
+
+async function openOffer(marketplace, offerId) {
+  const offer = await marketplace.offers(offerId);
+  if (offer.id === 0n) {
+    throw new MarketplaceError("Offer not found", 404);
+  }
+  if (!offer.active) {
+    throw new MarketplaceError("Offer is not open", 409);
+  }
+  return offer;
+}
+
+async function activeListing(marketplace, listingId) {
+  const listing = await marketplace.listings(listingId);
+  if (listing.id === 0n) {
+    throw new MarketplaceError("Listing not found", 404);
+  }
+  if (!listing.active) {
+    throw new MarketplaceError("Listing is not active", 409);
+  }
+  return listing;
+}
+
+async function tokenInfo(paymentToken) {
+  try {
+    return await paymentTokenInfo(paymentToken, provider);
+  } catch (err) {
+    throw new MarketplaceError("paymentToken is not an ERC-20 token");
+  }
+}
+
+function formatPrice(amount, info) {
+  return `${ethers.formatUnits(amount, info.decimals)} ${info.symbol}`;
+}
+
+/**
+ * BC the seller's active listings can still pull. Listings don't escrow BC,
+ * they share one allowance, so approvals have to cover all of them.
+ */
+function committedBC(seller, exceptListingId) {
+  return getListings({ status: "active", seller })
+    .filter((l) => l.id !== exceptListingId)
+    .reduce((sum, l) => sum + BigInt(l.remainingBC), 0n);
+}
+
+/**
+ * approve() first when the marketplace can't pull `amount` of `token` from
+ * `owner` yet.
+ */
+async function approvalTxs(token, owner, amount, label) {
+  const marketplace = await getMarketplaceContract().getAddress();
+  const allowance = await token.allowance(owner, marketplace);
+  if (allowance >= amount) return [];
+  return [
+    await unsignedTx(token, "approve", [marketplace, amount], {
+      from: owner,
+      description: `Approve marketplace to transfer ${label}`,
+    }),
+  ];
+}
+
+function bcApprovalTxs(owner, amount) {
+  return approvalTxs(getTokenContract(), owner, amount, `${ethers.formatUnits(amount, BC_DECIMALS)} BC`);
+}
+
+/**
+ * What paying `amount` for a listing takes: msg.value for ETH, or a
+ * balance check + approve() of the ERC-20.
+ */
+async function payment(listing, payer, amount) {
+  const info = await tokenInfo(listing.paymentToken);
+  if (isEth(listing.paymentToken)) {
+    return { value: amount, approvals: [], info };
+  }
+  const token = erc20(listing.paymentToken, provider);
+  if ((await token.balanceOf(payer)) < amount) {
+    throw new MarketplaceError(`Insufficient ${info.symbol} balance`, 409);
+  }
+  const approvals = await approvalTxs(token, payer, amount, formatPrice(amount, info));
+  return { value: 0n, approvals, info };
+}
+
+/**
+ * createListing(amountBC, paymentToken, price) (+ approve when needed).
+ * amountBC / price in human units ("10", "250"); paymentToken defaults to ETH.
+ */
+async function buildCreateListingTxs({ from, amountBC, price, paymentToken = ETH }) {
+  const seller = checkFrom(from);
+  if (!ethers.isAddress(paymentToken)) {
+    throw new MarketplaceError("paymentToken must be an address (omit for ETH)");
+  }
+  const info = await tokenInfo(paymentToken);
+  const amount = parsePositive(amountBC, BC_DECIMALS, "amountBC");
+  const listPrice = parsePositive(price, info.decimals, "price");
+
+  const required = committedBC(seller) + amount;
+  const balance = await getTokenContract().balanceOf(seller);
+  if (balance < required) {
+    throw new MarketplaceError("Insufficient BC balance (including active listings)", 409);
+  }
+
+  return [
+    ...(await bcApprovalTxs(seller, required)),
+    await unsignedTx(getMarketplaceContract(), "createListing", [amount, info.address, listPrice], {
+      from: seller,
+      description: `List ${amountBC} BC for ${formatPrice(listPrice, info)}`,
+    }),
+  ];
+}
+
+/**
+ * buyBC(listingId, amountBC) paying the pro-rata list price, or
+ * buyNow(listingId) for whatever is left when amountBC is omitted.
+ */
+async function buildBuyTxs({ from, listingId, amountBC }) {
+  const buyer = checkFrom(from);
+  const id = parseId(listingId, "listingId");
+  const marketplace = getMarketplaceContract();
+  const listing = await activeListing(marketplace, id);
+
+  if (listing.seller === buyer) {
+    throw new MarketplaceError("Seller can't buy their own listing", 409);
+  }
+
+  const amount = amountBC === undefined ? listing.amountBC : parsePositive(amountBC, BC_DECIMALS, "amountBC");
+  if (amount > listing.amountBC) {
+    throw new MarketplaceError("amountBC exceeds the BC still listed");
+  }
+  const cost = await marketplace.quote(id, amount);
+  if (amount < listing.amountBC && cost >= listing.price) {
+    throw new MarketplaceError("amountBC would leave an unpriced remainder; buy the whole listing");
+  }
+
+  // The purchase would revert: the seller spent or un-approved the listed BC
+  const token = getTokenContract();
+  const [balance, allowance] = await Promise.all([
+    token.balanceOf(listing.seller),
+    token.allowance(listing.seller, await marketplace.getAddress()),
+  ]);
+  if (balance < amount || allowance < amount) {
+    throw new MarketplaceError("Listing is no longer backed by the seller's BC balance / allowance", 409);
+  }
+
+  const pay = await payment(listing, buyer, cost);
+  const whole = amount === listing.amountBC;
+  return [
+    ...pay.approvals,
+    await unsignedTx(marketplace, whole ? "buyNow" : "buyBC", whole ? [id] : [id, amount], {
+      from: buyer,
+      value: pay.value,
+      description: `Buy ${ethers.formatUnits(amount, BC_DECIMALS)} BC from listing #${id} for ${formatPrice(cost, pay.info)}`,
+    }),
+  ];
+}
+
+/**
+ * makeOffer(listingId, amountBC, price) escrowing price in the listing's
+ * payment token.
+ */
+async function buildOfferTxs({ from, listingId, amountBC, price }) {
+  const buyer = checkFrom(from);
+  const id = parseId(listingId, "listingId");
+  const marketplace = getMarketplaceContract();
+  const listing = await activeListing(marketplace, id);
+  const info = await tokenInfo(listing.paymentToken);
+  const amount = parsePositive(amountBC, BC_DECIMALS, "amountBC");
+  const offer = parsePositive(price, info.decimals, "price");
+
+  if (amount > listing.amountBC) {
+    throw new MarketplaceError("amountBC exceeds the BC still listed");
+  }
+
+  const pay = await payment(listing, buyer, offer);
+  return [
+    ...pay.approvals,
+    await unsignedTx(marketplace, "makeOffer", [id, amount, offer], {
+      from: buyer,
+      value: pay.value,
+      description: `Offer ${formatPrice(offer, info)} for ${amountBC} BC on listing #${id}`,
+    }),
+  ];
+}
+
+/**
+ * acceptOffer(offerId) by the listing's seller (+ approve when needed).
+ */
+async function buildAcceptTxs({ from, offerId }) {
+  const seller = checkFrom(from);
+  const id = parseId(offerId, "offerId");
+  const marketplace = getMarketplaceContract();
+  const offer = await openOffer(marketplace, id);
+  const listing = await activeListing(marketplace, offer.listingId);
+
+  if (listing.seller !== seller) {
+    throw new MarketplaceError("Only the listing's seller can accept offers", 403);
+  }
+  if (offer.amountBC > listing.amountBC) {
+    throw new MarketplaceError("Offer is larger than what is left of the listing", 409);
+  }
+
+  const info = await tokenInfo(listing.paymentToken);
+  // The rest of this listing stays for sale, so keep it covered too
+  const required = committedBC(seller, Number(offer.listingId)) + listing.amountBC;
+  return [
+    ...(await bcApprovalTxs(seller, required)),
+    await unsignedTx(marketplace, "acceptOffer", [id], {
+      from: seller,
+      description: `Accept offer #${id}: ${ethers.formatUnits(offer.amountBC, BC_DECIMALS)} BC for ${formatPrice(offer.price, info)}`,
+    }),
+  ];
+}
+
+/**
+ * cancelListing(listingId) by the seller (buyers withdraw their open offers).
+ */
+async function buildCancelListingTxs({ from, listingId }) {
+  const seller = checkFrom(from);
+  const id = parseId(listingId, "listingId");
+  const marketplace = getMarketplaceContract();
+  const listing = await activeListing(marketplace, id);
+
+  if (listing.seller !== seller) {
+    throw new MarketplaceError("Only the listing's seller can cancel it", 403);
+  }
+
+  return [
+    await unsignedTx(marketplace, "cancelListing", [id], {
+      from: seller,
+      description: `Cancel listing #${id} (${ethers.formatUnits(listing.amountBC, BC_DECIMALS)} BC left)`,
+    }),
+  ];
+}
+
+/**
+ * withdrawOffer(offerId) by the buyer, refunding the escrowed payment (also
+ * once the listing has closed).
+ */
+async function buildWithdrawOfferTxs({ from, offerId }) {
+  const buyer = checkFrom(from);
+  const id = parseId(offerId, "offerId");
+  const marketplace = getMarketplaceContract();
+  const offer = await openOffer(marketplace, id);
+
+  if (offer.buyer !== buyer) {
+    throw new MarketplaceError("Only the offer's buyer can withdraw it", 403);
+  }
+
+  const listing = await marketplace.listings(offer.listingId);
+  const info = await tokenInfo(listing.paymentToken);
+  return [
+    await unsignedTx(marketplace, "withdrawOffer", [id], {
+      from: buyer,
+      description: `Withdraw offer #${id} (refund ${formatPrice(offer.price, info)})`,
+    }),
+  ];
+}
+
+/**
+ * withdraw(paymentToken): sale proceeds credited to `from`.
+ */
+async function buildWithdrawTxs({ from, paymentToken = ETH }) {
+  const account = checkFrom(from);
+  if (!ethers.isAddress(paymentToken)) {
+    throw new MarketplaceError("paymentToken must be an address (omit for ETH)");
+  }
+  const marketplace = getMarketplaceContract();
+  const info = await tokenInfo(paymentToken);
+  const amount = await marketplace.withdrawable(account, info.address);
+  if (amount === 0n) {
+    throw new MarketplaceError(`Nothing to withdraw in ${info.symbol}`, 409);
+  }
+
+  return [
+    await unsignedTx(marketplace, "withdraw", [info.address], {
+      from: account,
+      description: `Withdraw ${formatPrice(amount, info)} from the marketplace`,
+    }),
+  ];
+}
+
+module.exports = {
+  MarketplaceError,
+  committedBC,
+  buildCreateListingTxs,
+  buildBuyTxs,
+  buildOfferTxs,
+  buildAcceptTxs,
+  buildCancelListingTxs,
+  buildWithdrawOfferTxs,
+  buildWithdrawTxs,
+};
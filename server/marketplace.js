@@ -0,0 +1,204 @@
+// marketplace.js
+// CarbonMarketplace over HTTP: order book from the event index + unsigned
+// transactions for the user's own wallet to sign (see marketplace-tx.js).
+
+const express = require("express");
+const { ethers } = require("ethers");
+const { provider, getMarketplaceContract } = require("./server-wallet");
+const { MARKETPLACE_EVENTS, decodeReceiptEvents } = require("./event-log");
+const { getListings, getListing, getOffer, getPaymentTokens } = require("./marketplace-book");
+const { ETH, paymentTokenInfo } = require("./erc20");
+const {
+  MarketplaceError,
+  buildCreateListingTxs,
+  buildBuyTxs,
+  buildOfferTxs,
+  buildAcceptTxs,
+  buildCancelListingTxs,
+  buildWithdrawOfferTxs,
+  buildWithdrawTxs,
+} = require("./marketplace-tx");
+const { paginate } = require("./pagination");
+const { logger } = require("./logger");
+
+const router = express.Router();
+
+function checkId(req, res) {
+  if (!/^\d+$/.test(req.params.id)) {
+    res.status(400).json({ error: "id must be a positive integer" });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * GET /marketplace/listings?status=active|sold|cancelled|all&seller=0x...&paymentToken=0x...
+ *     &minAmount=5&maxPricePerBC=25&sort=price_asc|price_desc|amount_desc|newest&limit=&offset=
+ *
+ * minAmount in BC (still for sale). maxPricePerBC is in human units of
+ * paymentToken (required with it; ETH is 0x0000…0000). Amounts in the
+ * response are base units; pricePerBC is payment token base units per BC.
+ * Price sorts group listings by payment token.
+ */
+router.get("/marketplace/listings", async (req, res) => {
+  const { seller, paymentToken, maxPricePerBC } = req.query;
+  if (seller && !ethers.isAddress(seller)) {
+    return res.status(400).json({ error: "Invalid seller address" });
+  }
+  if (paymentToken && !ethers.isAddress(paymentToken)) {
+    return res.status(400).json({ error: "Invalid paymentToken address" });
+  }
+  if (maxPricePerBC !== undefined && !paymentToken) {
+    return res.status(400).json({ error: "maxPricePerBC needs paymentToken" });
+  }
+
+  let items;
+  try {
+    const query = { ...req.query };
+    if (maxPricePerBC !== undefined) {
+      const { decimals } = await paymentTokenInfo(paymentToken, provider);
+      query.maxPricePerBC = ethers.parseUnits(String(maxPricePerBC), decimals);
+    }
+    items = getListings(query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  return res.json(paginate(items, req.query));
+});
+
+/**
+ * GET /marketplace/listings/:id
+ * Listing with its fills (partial buys / accepted offers) and all its offers.
+ */
+router.get("/marketplace/listings/:id", (req, res) => {
+  if (!checkId(req, res)) return;
+  const listing = getListing(req.params.id);
+  if (!listing) {
+    return res.status(404).json({ error: "Listing not found" });
+  }
+  return res.json({ ok: true, listing });
+});
+
+/**
+ * GET /marketplace/offers/:id
+ */
+router.get("/marketplace/offers/:id", (req, res) => {
+  if (!checkId(req, res)) return;
+  const offer = getOffer(req.params.id);
+  if (!offer) {
+    return res.status(404).json({ error: "Offer not found" });
+  }
+  return res.json({ ok: true, offer });
+});
+
+/**
+ * GET /marketplace/withdrawable/:addr
+ * Sale proceeds the wallet can pull, per payment token.
+ */
+router.get("/marketplace/withdrawable/:addr", async (req, res) => {
+  if (!ethers.isAddress(req.params.addr)) {
+    return res.status(400).json({ error: "Invalid wallet address" });
+  }
+
+  try {
+    const marketplace = getMarketplaceContract();
+    const balances = [];
+    for (const token of getPaymentTokens()) {
+      const amount = await marketplace.withdrawable(req.params.addr, token);
+      if (amount === 0n && token !== ETH) continue;
+      const info = await paymentTokenInfo(token, provider);
+      balances.push({
+        paymentToken: info.address,
+        symbol: info.symbol,
+        amount: amount.toString(),
+        formatted: ethers.formatUnits(amount, info.decimals),
+      });
+    }
+    return res.json({ ok: true, wallet: req.params.addr.toLowerCase(), balances });
+  } catch (err) {
+    logger.error("withdrawable lookup error", { err });
+    return res.status(500).json({ error: "Withdrawable lookup failed", details: err.message });
+  }
+});
+
+const BUILDERS = {
+  // body: { from, amountBC, price, paymentToken? } (ETH when omitted)
+  "create-listing": buildCreateListingTxs,
+  // body: { from, listingId, amountBC? } (whole remaining lot when omitted)
+  buy: buildBuyTxs,
+  // body: { from, listingId, amountBC, price } (in the listing's payment token)
+  offer: buildOfferTxs,
+  // body: { from, offerId }
+  accept: buildAcceptTxs,
+  // body: { from, listingId }
+  "cancel-listing": buildCancelListingTxs,
+  // body: { from, offerId }
+  "withdraw-offer": buildWithdrawOfferTxs,
+  // body: { from, paymentToken? } (sale proceeds, ETH when omitted)
+  withdraw: buildWithdrawTxs,
+};
+
+/**
+ * POST /marketplace/tx/create-listing | buy | offer | accept | cancel-listing | withdraw-offer | withdraw
+ *
+ * Returns { txs: [...] } to be signed and sent in order by `from`
+ * (an approve tx comes first when the marketplace needs a BC or payment
+ * token allowance).
+ * After sending, GET /marketplace/tx/:hash gives the new listing / offer id.
+ */
+router.post("/marketplace/tx/:action", async (req, res) => {
+  const build = Object.hasOwn(BUILDERS, req.params.action) ? BUILDERS[req.params.action] : null;
+  if (!build) {
+    return res.status(404).json({ error: `Unknown marketplace action: ${req.params.action}` });
+  }
+
+  try {
+    const txs = await build(req.body || {});
+    return res.json({ ok: true, txs });
+  } catch (err) {
+    if (err instanceof MarketplaceError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error("marketplace tx error", { action: req.params.action, err });
+    return res.status(500).json({ error: "Building transaction failed", details: err.message });
+  }
+});
+
+/**
+ * GET /marketplace/tx/:hash
+ * Outcome of a sent marketplace tx, decoded from its receipt logs (not from
+ * listingCounter / offerCounter, which may have moved on by then).
+ *   → { status: pending | confirmed | failed, events, listingId?, offerId? }
+ */
+router.get("/marketplace/tx/:hash", async (req, res) => {
+  if (!/^0x[0-9a-fA-F]{64}$/.test(req.params.hash)) {
+    return res.status(400).json({ error: "hash must be a 32-byte hex string" });
+  }
+
+  try {
+    const receipt = await provider.getTransactionReceipt(req.params.hash);
+    if (!receipt) {
+      return res.status(202).json({ ok: true, status: "pending" });
+    }
+    if (receipt.status !== 1) {
+      return res.json({ ok: true, status: "failed", blockNumber: receipt.blockNumber });
+    }
+
+    const events = decodeReceiptEvents("marketplace", getMarketplaceContract(), MARKETPLACE_EVENTS, receipt);
+    const created = events.find((e) => e.event === "ListingCreated");
+    const offered = events.find((e) => e.event === "OfferMade");
+    return res.json({
+      ok: true,
+      status: "confirmed",
+      blockNumber: receipt.blockNumber,
+      listingId: created ? Number(created.args.listingId) : undefined,
+      offerId: offered ? Number(offered.args.offerId) : undefined,
+      events,
+    });
+  } catch (err) {
+    logger.error("marketplace tx lookup error", { err });
+    return res.status(500).json({ error: "Transaction lookup failed", details: err.message });
+  }
+});
+
+module.exports = router;
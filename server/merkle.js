@@ -0,0 +1,72 @@
+// merkle.js
+// Merkle tree over raw signed readings, used to anchor an on-chain aggregate
+// (ReadingsAggregated.readingsRoot) to the exact payloads it was built from.
+//
+//  - leaf      = keccak256(signed payload string, utf8)
+//  - node      = keccak256(sorted(left, right))  (OpenZeppelin MerkleProof compatible)
+//  - odd nodes are carried up to the next level unchanged
+
+const { ethers } = require("ethers");
+
+function hashLeaf(payload) {
+  return ethers.keccak256(ethers.toUtf8Bytes(payload));
+}
+
+function hashPair(a, b) {
+  return a < b ? ethers.keccak256(ethers.concat([a, b])) : ethers.keccak256(ethers.concat([b, a]));
+}
+
+function nextLevel(level) {
+  const next = [];
+  for (let i = 0; i < level.length; i += 2) {
+    next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+  }
+  return next;
+}
+
+/**
+ * Root of a list of leaf hashes (lowercase 0x hex).
+ */
+function merkleRoot(leaves) {
+  if (leaves.length === 0) {
+    throw new Error("Cannot build a Merkle root without leaves");
+  }
+  let level = leaves;
+  while (level.length > 1) {
+    level = nextLevel(level);
+  }
+  return level[0];
+}
+
+/**
+ * Sibling hashes proving leaves[index] is part of merkleRoot(leaves).
+ */
+function merkleProof(leaves, index) {
+  if (index < 0 || index >= leaves.length) {
+    throw new Error("Leaf index out of range");
+  }
+
+  const proof = [];
+  let level = leaves;
+  let i = index;
+  while (level.length > 1) {
+    const sibling = i % 2 === 0 ? i + 1 : i - 1;
+    if (sibling < level.length) {
+      proof.push(level[sibling]);
+    }
+    level = nextLevel(level);
+    i = Math.floor(i / 2);
+  }
+  return proof;
+}
+
+function verifyMerkleProof(leaf, proof, root) {
+  return proof.reduce((node, sibling) => hashPair(node, sibling), leaf) === root;
+}
+
+module.exports = {
+  hashLeaf,
+  merkleRoot,
+  merkleProof,
+  verifyMerkleProof,
+};
@@ -0,0 +1,129 @@
+// metrics.js
+// Minimal Prometheus registry for GET /metrics (text exposition format 0.0.4).
+//
+//   const accepted = counter("bcm_readings_total", "Signed readings by outcome", ["result"]);
+//   accepted.inc({ result: "accepted" });
+//   collect(async () => lag.set({}, await indexerLag()));  // refreshed per scrape
+//
+// Counters and histograms live in memory (they restart at zero, as Prometheus
+// expects); gauges that mirror persisted state (faucet spend, indexer lag)
+// are filled by collectors right before rendering.
+
+const metrics = new Map();
+const collectors = [];
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((name) => (labels[name] === undefined ? "" : String(labels[name]))));
+}
+
+function formatLabels(labelNames, values, extra = "") {
+  const parts = labelNames.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function register(name, help, type, labelNames, extra = {}) {
+  if (metrics.has(name)) {
+    throw new Error(`Metric ${name} is already registered`);
+  }
+  const metric = { name, help, type, labelNames, series: new Map(), ...extra };
+  metrics.set(name, metric);
+  return metric;
+}
+
+function counter(name, help, labelNames = []) {
+  const metric = register(name, help, "counter", labelNames);
+  return {
+    inc(labels, value = 1) {
+      const key = labelKey(labelNames, labels);
+      metric.series.set(key, (metric.series.get(key) || 0) + value);
+    },
+  };
+}
+
+function gauge(name, help, labelNames = []) {
+  const metric = register(name, help, "gauge", labelNames);
+  return {
+    set(labels, value) {
+      metric.series.set(labelKey(labelNames, labels), Number(value));
+    },
+    reset() {
+      metric.series.clear();
+    },
+  };
+}
+
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const metric = register(name, help, "histogram", labelNames, { buckets });
+  return {
+    observe(labels, value) {
+      const key = labelKey(labelNames, labels);
+      let series = metric.series.get(key);
+      if (!series) {
+        series = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+        metric.series.set(key, series);
+      }
+      buckets.forEach((le, i) => {
+        if (value <= le) series.counts[i]++;
+      });
+      series.sum += value;
+      series.count++;
+    },
+  };
+}
+
+/**
+ * Run `fn` before every render (to refresh gauges). A failing collector is
+ * skipped: its gauges keep their last values.
+ */
+function collect(fn) {
+  collectors.push(fn);
+}
+
+async function renderMetrics() {
+  await Promise.all(collectors.map((fn) => Promise.resolve().then(fn).catch(() => {})));
+
+  const lines = [];
+  for (const metric of metrics.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    for (const [key, value] of metric.series) {
+      const values = JSON.parse(key);
+      if (metric.type !== "histogram") {
+        lines.push(`${metric.name}${formatLabels(metric.labelNames, values)} ${value}`);
+        continue;
+      }
+      metric.buckets.forEach((le, i) => {
+        lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, values, `le="${le}"`)} ${value.counts[i]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, values, 'le="+Inf"')} ${value.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(metric.labelNames, values)} ${value.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(metric.labelNames, values)} ${value.count}`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+// HTTP traffic, recorded by logger.js requestLogger for every request
+const httpRequests = counter("bcm_http_requests_total", "HTTP requests by route and status", ["method", "route", "status"]);
+const httpDuration = histogram("bcm_http_request_duration_seconds", "HTTP request duration by route", ["method", "route"]);
+
+function observeHttpRequest({ method, route, status }, seconds) {
+  httpRequests.inc({ method, route, status });
+  httpDuration.observe({ method, route }, seconds);
+}
+
+module.exports = {
+  counter,
+  gauge,
+  histogram,
+  collect,
+  renderMetrics,
+  observeHttpRequest,
+};
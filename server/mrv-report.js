@@ -0,0 +1,379 @@
+// mrv-report.js
+// MRV (Measurement, Reporting, Verification) report for a wallet or a device
+// over a date range, built from on-chain state + decoded contract events:
+//
+//  - energy:       every EnergyRecorded entry (kWh, covered period, region,
+//                  grid factor applied, CO₂ avoided, tx hash)
+//  - mints:        TokensMinted (BC) caused by those readings
+//  - transfersOut: BC sold on the CarbonMarketplace (wallet reports)
+//
+// Rendered as JSON, CSV or printable HTML (print → PDF from the browser).
+// Used by GET /reports/mrv (events from the local index) and
+// scripts/mrvReport.js (events fetched from RPC).
+
+const { ethers } = require("ethers");
+const { decodeRegion } = require("./regions");
+const { paymentTokenInfo } = require("./erc20");
+
+const MARKETPLACE_FEE_PERCENT = 5n; // CarbonMarketplace: 95% BC to buyer, 5% to treasury
+
+/**
+ * ISO date/time or unix seconds → unix seconds.
+ */
+function parseReportTime(value) {
+  const seconds = /^\d+$/.test(String(value)) ? Number(value) : Math.floor(Date.parse(value) / 1000);
+  if (!Number.isFinite(seconds)) {
+    throw new Error(`Invalid time: ${value}`);
+  }
+  return seconds;
+}
+
+function isoTime(seconds) {
+  return new Date(seconds * 1000).toISOString();
+}
+
+const kwh = (kwhMilli) => ethers.formatUnits(kwhMilli, 3);
+const kg = (microKg) => ethers.formatUnits(microKg, 6);
+
+function sumOf(items, key) {
+  return items.reduce((sum, item) => sum + BigInt(item[key]), 0n).toString();
+}
+
+/**
+ * TokensMinted entries caused by a device's readings: the mint log follows
+ * the EnergyRecorded that crossed the 2.5 kWh threshold in the same tx.
+ */
+function mintsForDevice(events, deviceId) {
+  return events.filter((mint) => {
+    if (mint.event !== "TokensMinted") return false;
+    const trigger = events
+      .filter((e) => e.event === "EnergyRecorded" && e.txHash === mint.txHash && e.logIndex < mint.logIndex)
+      .pop();
+    return trigger && trigger.args.deviceId === deviceId;
+  });
+}
+
+/**
+ * Listings created by `wallet`: listingId → payment token address.
+ */
+function ownListings(events, wallet) {
+  return new Map(
+    events
+      .filter((e) => e.event === "ListingCreated" && e.args.seller === wallet)
+      .map((e) => [e.args.listingId, e.args.paymentToken])
+  );
+}
+
+/**
+ * tokenInfos: payment token address → { symbol, decimals }
+ */
+function marketplaceTransfersOut(events, wallet, decimals, inRange, tokenInfos) {
+  const listings = ownListings(events, wallet);
+  const offers = new Map(
+    events.filter((e) => e.event === "OfferMade").map((e) => [e.args.offerId, e.args])
+  );
+
+  const transfers = [];
+  for (const e of events.filter(inRange)) {
+    let sale = null;
+    if (e.event === "ListingPurchased" && listings.has(e.args.listingId)) {
+      sale = { kind: "buy-now", buyer: e.args.buyer, amountBC: e.args.amountBC, paid: e.args.price };
+    } else if (e.event === "OfferAccepted" && e.args.seller === wallet && offers.has(e.args.offerId)) {
+      const offer = offers.get(e.args.offerId);
+      sale = { kind: "offer", buyer: e.args.buyer, amountBC: offer.amountBC, paid: offer.price };
+    }
+    if (!sale) continue;
+
+    const payment = tokenInfos.get(listings.get(e.args.listingId));
+    const amount = BigInt(sale.amountBC);
+    const fee = (amount * MARKETPLACE_FEE_PERCENT) / 100n;
+    transfers.push({
+      timestamp: isoTime(e.timestamp),
+      blockNumber: e.blockNumber,
+      txHash: e.txHash,
+      kind: sale.kind,
+      listingId: e.args.listingId,
+      buyer: sale.buyer,
+      amountRaw: amount.toString(),
+      bc: ethers.formatUnits(amount, decimals),
+      toBuyerBC: ethers.formatUnits(amount - fee, decimals),
+      feeBC: ethers.formatUnits(fee, decimals),
+      paid: ethers.formatUnits(sale.paid, payment.decimals),
+      paidIn: payment.symbol,
+    });
+  }
+  return transfers;
+}
+
+/**
+ * Build the report.
+ *  - meter:  CarbonSmartMeter contract (read-only is enough)
+ *  - events: decoded meter + marketplace events (see event-log.js), any order
+ *  - wallet or deviceId, from / to: unix seconds (block time, to exclusive)
+ */
+async function buildMrvReport({ meter, events, wallet, deviceId, from, to, marketplaceAddress = null }) {
+  if (!wallet === !deviceId) {
+    throw new Error("Pass either wallet or deviceId");
+  }
+  if (!(from < to)) {
+    throw new Error("from must be before to");
+  }
+
+  const decimals = Number(await meter.TOKEN_DECIMALS());
+  const sorted = [...events].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  const inRange = (e) => e.timestamp >= from && e.timestamp < to;
+
+  let subject;
+  let lifetime;
+  if (deviceId) {
+    deviceId = deviceId.toLowerCase();
+    const device = await meter.getDevice(deviceId);
+    wallet = device.wallet.toLowerCase();
+    subject = {
+      type: "device",
+      deviceId,
+      wallet,
+      region: decodeRegion(device.region),
+      active: device.active,
+    };
+    lifetime = {
+      kwhMilli: device.totalKwhMilli.toString(),
+      co2MicroKg: device.totalCo2MicroKg.toString(),
+    };
+  } else {
+    wallet = wallet.toLowerCase();
+    const totals = await meter.getWalletTotals(wallet);
+    subject = { type: "wallet", wallet };
+    lifetime = {
+      kwhMilli: totals.kwhMilli.toString(),
+      co2MicroKg: totals.co2MicroKg.toString(),
+      pendingKwhMilli: totals.pending.toString(),
+    };
+  }
+
+  const energy = sorted
+    .filter((e) => e.event === "EnergyRecorded" && inRange(e))
+    .filter((e) => (deviceId ? e.args.deviceId === deviceId : e.args.wallet === wallet))
+    .map((e) => ({
+      timestamp: isoTime(e.timestamp),
+      blockNumber: e.blockNumber,
+      txHash: e.txHash,
+      deviceId: e.args.deviceId,
+      periodStart: isoTime(Number(e.args.periodStart)),
+      periodEnd: isoTime(Number(e.args.periodEnd)),
+      region: decodeRegion(e.args.region),
+      kwhMilli: e.args.kwhMilli,
+      kWh: kwh(e.args.kwhMilli),
+      gridMicroKgPerKwh: e.args.gridMicroKgPerKwh,
+      gridKgPerKwh: kg(e.args.gridMicroKgPerKwh),
+      co2MicroKg: e.args.co2MicroKg,
+      co2Kg: kg(e.args.co2MicroKg),
+    }));
+
+  const mintEvents = deviceId
+    ? mintsForDevice(sorted, deviceId)
+    : sorted.filter((e) => e.event === "TokensMinted" && e.args.wallet === wallet);
+  const mints = mintEvents.filter(inRange).map((e) => ({
+    timestamp: isoTime(e.timestamp),
+    blockNumber: e.blockNumber,
+    txHash: e.txHash,
+    amountRaw: e.args.amount,
+    bc: ethers.formatUnits(e.args.amount, decimals),
+  }));
+
+  // Sales are wallet-level: BC is fungible once minted
+  let transfersOut = [];
+  if (!deviceId) {
+    const tokenInfos = new Map();
+    for (const token of new Set(ownListings(sorted, wallet).values())) {
+      tokenInfos.set(token, await paymentTokenInfo(token, meter.runner));
+    }
+    transfersOut = marketplaceTransfersOut(sorted, wallet, decimals, inRange, tokenInfos);
+  }
+
+  const kwhMilli = sumOf(energy, "kwhMilli");
+  const co2MicroKg = sumOf(energy, "co2MicroKg");
+  const minted = sumOf(mints, "amountRaw");
+  const transferred = sumOf(transfersOut, "amountRaw");
+
+  return {
+    report: "mrv",
+    generatedAt: new Date().toISOString(),
+    subject,
+    period: { from: isoTime(from), to: isoTime(to) },
+    contracts: { meter: meter.target, marketplace: marketplaceAddress },
+    methodology:
+      "CO₂ avoided = verified kWh × grid intensity of the device's region at recording time " +
+      "(global fallback 0.40 kg/kWh when no region is disclosed). 2.5 kWh = 1 BC. " +
+      "Energy is recorded on-chain only after Ed25519 signature, replay and MRV checks.",
+    summary: {
+      readings: energy.length,
+      kwhMilli,
+      kWh: kwh(kwhMilli),
+      co2MicroKg,
+      co2Kg: kg(co2MicroKg),
+      bcMinted: ethers.formatUnits(minted, decimals),
+      bcTransferredOut: ethers.formatUnits(transferred, decimals),
+    },
+    lifetimeTotals: lifetime,
+    energy,
+    mints,
+    transfersOut,
+  };
+}
+
+// ------------------------------------------------------------------------
+// Rendering
+// ------------------------------------------------------------------------
+
+const CSV_COLUMNS = [
+  "type",
+  "timestamp",
+  "blockNumber",
+  "txHash",
+  "deviceId",
+  "periodStart",
+  "periodEnd",
+  "region",
+  "kWh",
+  "gridKgPerKwh",
+  "co2Kg",
+  "bc",
+  "counterparty",
+];
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per energy entry, mint and transfer out.
+ */
+function reportToCsv(report) {
+  const rows = [
+    ...report.energy.map((e) => ({ type: "energy", ...e })),
+    ...report.mints.map((m) => ({ type: "mint", ...m })),
+    ...report.transfersOut.map((t) => ({ type: `transfer-out:${t.kind}`, ...t, counterparty: t.buyer })),
+  ].sort((a, b) => a.blockNumber - b.blockNumber);
+
+  return [CSV_COLUMNS, ...rows.map((row) => CSV_COLUMNS.map((c) => row[c]))]
+    .map((cells) => cells.map(csvCell).join(","))
+    .join("\n")
+    .concat("\n");
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function htmlTable(columns, rows) {
+  if (rows.length === 0) {
+    return "<p class=\"empty\">None in this period.</p>";
+  }
+  const head = columns.map(([, label]) => `<th>${escapeHtml(label)}</th>`).join("");
+  const body = rows
+    .map((row) => `<tr>${columns.map(([key]) => `<td>${escapeHtml(row[key])}</td>`).join("")}</tr>`)
+    .join("\n");
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+/**
+ * Self-contained printable page (use the browser's "Print → Save as PDF").
+ */
+function reportToHtml(report) {
+  const { subject, summary, period } = report;
+  const title = subject.type === "device" ? `Device ${subject.deviceId}` : `Wallet ${subject.wallet}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>MRV report – ${escapeHtml(title)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; font-size: 12px; color: #111; margin: 24px; }
+  h1 { font-size: 20px; margin-bottom: 4px; }
+  h2 { font-size: 15px; margin-top: 24px; border-bottom: 1px solid #ccc; }
+  table { border-collapse: collapse; width: 100%; margin-top: 8px; }
+  th, td { border: 1px solid #ddd; padding: 4px 6px; text-align: left; word-break: break-all; }
+  th { background: #f3f3f3; }
+  .summary td:first-child { font-weight: bold; width: 40%; }
+  .muted, .empty { color: #666; }
+  @media print { body { margin: 0; } h2 { page-break-after: avoid; } tr { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>MRV report – Base Carbon Meter</h1>
+<p>${escapeHtml(title)}<br>
+Period: ${escapeHtml(period.from)} – ${escapeHtml(period.to)}<br>
+<span class="muted">Generated ${escapeHtml(report.generatedAt)} · CarbonSmartMeter ${escapeHtml(report.contracts.meter)}</span></p>
+
+<h2>Summary</h2>
+<table class="summary"><tbody>
+<tr><td>Verified readings</td><td>${summary.readings}</td></tr>
+<tr><td>Energy recorded</td><td>${escapeHtml(summary.kWh)} kWh</td></tr>
+<tr><td>CO₂ avoided</td><td>${escapeHtml(summary.co2Kg)} kg</td></tr>
+<tr><td>BC minted</td><td>${escapeHtml(summary.bcMinted)} BC</td></tr>
+<tr><td>BC transferred out (marketplace)</td><td>${escapeHtml(summary.bcTransferredOut)} BC</td></tr>
+${subject.region !== undefined ? `<tr><td>Region</td><td>${escapeHtml(subject.region || "undisclosed (global fallback)")}</td></tr>` : ""}
+</tbody></table>
+
+<h2>Energy recorded</h2>
+${htmlTable(
+  [
+    ["periodStart", "Period start"],
+    ["periodEnd", "Period end"],
+    ["deviceId", "Device"],
+    ["kWh", "kWh"],
+    ["region", "Region"],
+    ["gridKgPerKwh", "Grid kg CO₂/kWh"],
+    ["co2Kg", "CO₂ avoided (kg)"],
+    ["txHash", "Transaction"],
+  ],
+  report.energy
+)}
+
+<h2>BC minted</h2>
+${htmlTable(
+  [
+    ["timestamp", "Time"],
+    ["bc", "BC"],
+    ["txHash", "Transaction"],
+  ],
+  report.mints
+)}
+
+${subject.type === "wallet" ? `<h2>Marketplace transfers out</h2>
+${htmlTable(
+  [
+    ["timestamp", "Time"],
+    ["kind", "Type"],
+    ["buyer", "Buyer"],
+    ["bc", "BC sold"],
+    ["feeBC", "Protocol fee (BC)"],
+    ["paid", "Paid"],
+    ["paidIn", "Currency"],
+    ["txHash", "Transaction"],
+  ],
+  report.transfersOut
+)}` : ""}
+
+<h2>Methodology</h2>
+<p>${escapeHtml(report.methodology)}</p>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  parseReportTime,
+  buildMrvReport,
+  reportToCsv,
+  reportToHtml,
+  escapeHtml,
+  htmlTable,
+};
@@ -0,0 +1,173 @@
+// mrv-validator.js
+// Off-chain MRV gate in front of recordVerifiedReading.
+//
+// Checks every signature-verified reading for:
+//  - a per-device daily kWh cap derived from installed capacity
+//  - physically impossible output (above capacity, solar generation at night)
+//  - sudden spikes vs. the device's recent average, and flatlines
+//    (identical VIR values repeated)
+//  - one meter reporting for several wallets (its signing key bound to
+//    other devices, or a wallet claim that differs from the binding)
+//
+// Any flag sends the reading to the quarantine queue instead of the chain.
+// Only readings that reach the chain (recordAcceptedEnergy) join the device's
+// recent history, so a flagged spike never skews the baseline for the next one.
+
+const { createStore } = require("./store");
+const { getDeviceProfile } = require("./device-profiles");
+const { findDevicesByKey } = require("./device-keys");
+
+// Hours of full nameplate output a source can deliver per day
+const DAILY_CAP_HOURS = {
+  solar: Number(process.env.MRV_SOLAR_DAILY_HOURS || 10),
+  wind: 24,
+  hydro: 24,
+  other: 24,
+};
+
+const CAPACITY_TOLERANCE = 1.1;     // inverter / sensor headroom above nameplate
+const NIGHT_START_HOUR = 21;        // local time, solar only
+const NIGHT_END_HOUR = 5;
+const NIGHT_POWER_RATIO = 0.01;     // > 1% of capacity at night is impossible for PV
+const SPIKE_FACTOR = Number(process.env.MRV_SPIKE_FACTOR || 5);
+const SPIKE_MIN_HISTORY = 5;
+const FLATLINE_COUNT = Number(process.env.MRV_FLATLINE_COUNT || 6);
+const HISTORY_SIZE = 24;
+const DAYS_KEPT = 7;
+
+const store = createStore("mrv-state", { devices: {} });
+
+function flag(code, message) {
+  return { code, message };
+}
+
+function localDate(timestampSeconds, utcOffsetMinutes) {
+  return new Date((timestampSeconds + utcOffsetMinutes * 60) * 1000);
+}
+
+function dailyCapWh(profile) {
+  return profile.capacityKw * 1000 * DAILY_CAP_HOURS[profile.sourceType];
+}
+
+/**
+ * Run every check for a reading. Returns a (possibly empty) array of
+ * { code, message } flags.
+ *
+ * reading: parsed payload (device_id, vir, interval_s, timestamp, wallet?)
+ * wh:      energy in the reading
+ * publicKey: key the reading was signed with
+ */
+function validateReading({ deviceId, reading, wh, publicKey }) {
+  const flags = [];
+  const profile = getDeviceProfile(deviceId);
+  const powerW = (wh * 3600) / reading.interval_s;
+
+  if (!profile) {
+    flags.push(flag("missing-profile", "No installed capacity recorded for device"));
+  }
+
+  const otherDevices = findDevicesByKey(publicKey).filter((id) => id !== deviceId);
+  if (otherDevices.length > 0) {
+    flags.push(flag("shared-device-key", `Signing key also bound to ${otherDevices.join(", ")}`));
+  }
+
+  const entry = store.read().devices[deviceId] || { days: {}, recent: [] };
+
+  if (profile) {
+    const capacityW = profile.capacityKw * 1000;
+    // Middle of the sampling interval, in the site's local time
+    const local = localDate(reading.timestamp - reading.interval_s / 2, profile.utcOffsetMinutes);
+    const day = local.toISOString().slice(0, 10);
+    const hour = local.getUTCHours();
+    const dayWh = entry.days[day] || 0;
+
+    if (powerW > capacityW * CAPACITY_TOLERANCE) {
+      flags.push(flag("exceeds-capacity", `Average ${powerW.toFixed(0)} W above ${capacityW} W installed`));
+    }
+    if (dayWh + wh > dailyCapWh(profile)) {
+      flags.push(flag("daily-cap", `Daily cap of ${dailyCapWh(profile) / 1000} kWh exceeded for ${day}`));
+    }
+    if (
+      profile.sourceType === "solar" &&
+      (hour >= NIGHT_START_HOUR || hour < NIGHT_END_HOUR) &&
+      powerW > capacityW * NIGHT_POWER_RATIO
+    ) {
+      flags.push(flag("night-generation", `Solar output of ${powerW.toFixed(0)} W at ${hour}:00 local`));
+    }
+    if (reading.wallet && reading.wallet.toLowerCase() !== profile.wallet) {
+      flags.push(flag("wallet-mismatch", `Device bound to ${profile.wallet}, reading claims ${reading.wallet}`));
+    }
+  }
+
+  const recent = entry.recent;
+  if (recent.length >= SPIKE_MIN_HISTORY) {
+    const avg = recent.reduce((sum, r) => sum + r.powerW, 0) / recent.length;
+    if (avg > 0 && powerW > avg * SPIKE_FACTOR) {
+      flags.push(flag("spike", `${powerW.toFixed(0)} W vs. recent average ${avg.toFixed(0)} W`));
+    }
+  }
+
+  const { voltage, current } = reading.vir;
+  const repeats = recent.slice(-(FLATLINE_COUNT - 1));
+  if (
+    powerW > 0 &&
+    repeats.length === FLATLINE_COUNT - 1 &&
+    repeats.every((r) => r.voltage === voltage && r.current === current)
+  ) {
+    flags.push(flag("flatline", `Identical VIR values in ${FLATLINE_COUNT} consecutive readings`));
+  }
+
+  return flags;
+}
+
+/**
+ * Count energy towards the device's daily cap and add the reading to its
+ * recent history once it is actually submitted (directly, or after an
+ * operator approves it from quarantine).
+ */
+function recordAcceptedEnergy({ deviceId, reading, wh }) {
+  const profile = getDeviceProfile(deviceId);
+  const offset = profile ? profile.utcOffsetMinutes : 0;
+  const day = localDate(reading.timestamp - reading.interval_s / 2, offset)
+    .toISOString()
+    .slice(0, 10);
+
+  store.update((state) => {
+    const entry = state.devices[deviceId] || { days: {}, recent: [] };
+    entry.days[day] = (entry.days[day] || 0) + wh;
+
+    // VIR values are gone from readings redacted by a privacy erasure
+    const { voltage = null, current = null } = reading.vir || {};
+    entry.recent.push({ timestamp: reading.timestamp, powerW: (wh * 3600) / reading.interval_s, voltage, current });
+    entry.recent = entry.recent.slice(-HISTORY_SIZE);
+
+    // Late approvals can still land on an older day; keep a short window
+    for (const old of Object.keys(entry.days).sort().slice(0, -DAYS_KEPT)) {
+      delete entry.days[old];
+    }
+    state.devices[deviceId] = entry;
+  });
+}
+
+/**
+ * Privacy erasure: forget the devices' recent power / VIR samples (the spike
+ * and flatline baseline restarts). Daily kWh totals stay for the daily cap.
+ */
+function forgetRecentSamples(deviceIds) {
+  return store.update((state) => {
+    let count = 0;
+    for (const deviceId of deviceIds) {
+      const entry = state.devices[deviceId];
+      if (!entry) continue;
+      count += entry.recent.length;
+      entry.recent = [];
+    }
+    return count;
+  });
+}
+
+module.exports = {
+  validateReading,
+  recordAcceptedEnergy,
+  forgetRecentSamples,
+};
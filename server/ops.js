@@ -0,0 +1,47 @@
+// ops.js
+// Operational endpoints: liveness / readiness probes (checks in health.js)
+// and the Prometheus scrape endpoint (metrics.js).
+
+const express = require("express");
+const { readiness, lastReadiness } = require("./health");
+const { renderMetrics } = require("./metrics");
+const { ROLES, requireRole } = require("./access-control");
+
+const router = express.Router();
+
+const startedAt = Date.now();
+
+/**
+ * GET /healthz
+ * Liveness: 200 while the process serves requests, with the last readiness
+ * result (not re-checked, so a flaky RPC never gets the process restarted).
+ */
+router.get("/healthz", (req, res) => {
+  const last = lastReadiness();
+  return res.json({
+    ok: true,
+    uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+    ready: last ? last.ok : null,
+    readiness: last,
+  });
+});
+
+/**
+ * GET /readyz
+ * 200 when every readiness check passes, else 503; the body lists each
+ * check as { ok, detail }.
+ */
+router.get("/readyz", async (req, res) => {
+  const result = await readiness();
+  return res.status(result.ok ? 200 : 503).json(result);
+});
+
+/**
+ * GET /metrics (operator API key as bearer token)
+ * Prometheus text format.
+ */
+router.get("/metrics", requireRole(ROLES.OPERATOR), async (req, res) => {
+  return res.type("text/plain; version=0.0.4").send(await renderMetrics());
+});
+
+module.exports = router;
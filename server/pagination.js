@@ -0,0 +1,24 @@
+// pagination.js
+// ?limit=&offset= paging shared by the list endpoints.
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/**
+ * Slice `items` by ?limit (default 50, max 500) and ?offset.
+ */
+function paginate(items, query) {
+  const limit = Math.min(Math.max(Number(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const offset = Math.max(Number(query.offset) || 0, 0);
+  return {
+    ok: true,
+    total: items.length,
+    limit,
+    offset,
+    items: items.slice(offset, offset + limit),
+  };
+}
+
+module.exports = {
+  paginate,
+};
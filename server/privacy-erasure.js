@@ -0,0 +1,135 @@
+// privacy-erasure.js
+// Right to be forgotten for off-chain raw readings.
+//
+// An erasure request acts right away on every store that holds the wallet's
+// readings:
+//  - raw-readings: the data keys are destroyed (crypto-shredding), so the
+//    encrypted copies can't be decrypted or exported anymore; the ciphertexts
+//    are purged once PRIVACY_RETENTION_DAYS (30) have passed
+//  - reading-aggregates / quarantine: the signed payloads (and VIR values) are
+//    redacted in place; Merkle leaves, periods and kWh stay for the audit trail
+//  - mrv-state: the devices' recent power samples are dropped
+//
+// Erasure lifecycle:
+//   scheduled -> purged
+//
+// On-chain records (EnergyRecorded, TokensMinted, ...) are public ledger
+// entries and can't be erased; the anonymized stats hold no device data.
+
+const crypto = require("crypto");
+const { destroyDataKeys, purgeRawReadings } = require("./raw-readings");
+const { redactReadings } = require("./reading-aggregator");
+const { redactQuarantine } = require("./quarantine-queue");
+const { forgetRecentSamples } = require("./mrv-validator");
+const { createStore } = require("./store");
+const { logger } = require("./logger");
+
+const RETENTION_MS = Number(process.env.PRIVACY_RETENTION_DAYS || 30) * 86_400_000;
+const PURGE_INTERVAL_MS = Number(process.env.PRIVACY_PURGE_INTERVAL_MS || 3_600_000);
+
+const STATUS = {
+  SCHEDULED: "scheduled",
+  PURGED: "purged",
+};
+
+const store = createStore("privacy-erasures", { erasures: {} });
+
+let timer = null;
+
+function toErasureView({ keyIds, ...erasure }) {
+  return erasure;
+}
+
+/**
+ * Erase the wallet's raw readings (one device's with `deviceId`). Returns the
+ * erasure record, or null if the wallet had nothing stored.
+ */
+function requestErasure({ wallet, deviceId, requestedBy }) {
+  const destroyed = destroyDataKeys({ wallet, deviceId });
+  const devices = [...new Set(destroyed.map((k) => k.deviceId))];
+  if (deviceId && !devices.includes(deviceId.toLowerCase())) {
+    devices.push(deviceId.toLowerCase());
+  }
+
+  const redacted = {
+    aggregateReadings: redactReadings({ wallet, deviceIds: devices }),
+    quarantineItems: redactQuarantine({ wallet, deviceIds: devices }),
+  };
+  if (destroyed.length === 0 && redacted.aggregateReadings === 0 && redacted.quarantineItems === 0) {
+    return null;
+  }
+  redacted.mrvSamples = forgetRecentSamples(devices);
+
+  const now = Date.now();
+  const erasure = {
+    id: crypto.randomUUID(),
+    status: STATUS.SCHEDULED,
+    wallet: wallet.toLowerCase(),
+    deviceId: deviceId ? deviceId.toLowerCase() : null,
+    devices,
+    keyIds: destroyed.map((k) => k.keyId),
+    redacted,
+    requestedBy,
+    requestedAt: now,
+    purgeAfter: now + RETENTION_MS,
+    purgedAt: null,
+    purgedReadings: null,
+  };
+
+  store.update((state) => {
+    state.erasures[erasure.id] = erasure;
+  });
+  return toErasureView(erasure);
+}
+
+/**
+ * A wallet's erasure requests, newest first.
+ */
+function listErasures(wallet) {
+  return Object.values(store.read().erasures)
+    .filter((e) => e.wallet === wallet.toLowerCase())
+    .sort((a, b) => b.requestedAt - a.requestedAt)
+    .map(toErasureView);
+}
+
+/**
+ * Hard-delete every scheduled erasure whose retention window has passed.
+ */
+function purgeDueErasures(now = Date.now()) {
+  const due = Object.values(store.read().erasures).filter(
+    (e) => e.status === STATUS.SCHEDULED && e.purgeAfter <= now
+  );
+
+  for (const erasure of due) {
+    const purgedReadings = purgeRawReadings(erasure.keyIds);
+    store.update((state) => {
+      Object.assign(state.erasures[erasure.id], {
+        status: STATUS.PURGED,
+        purgedAt: Date.now(),
+        purgedReadings,
+      });
+    });
+    logger.info("privacy purged raw readings", { erasureId: erasure.id, purgedReadings });
+  }
+  return due.length;
+}
+
+function startPrivacyPurger() {
+  if (timer) return;
+  timer = setInterval(purgeDueErasures, PURGE_INTERVAL_MS);
+  purgeDueErasures();
+}
+
+function stopPrivacyPurger() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  STATUS,
+  requestErasure,
+  listErasures,
+  purgeDueErasures,
+  startPrivacyPurger,
+  stopPrivacyPurger,
+};
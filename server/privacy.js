@@ -0,0 +1,142 @@
+// privacy.js
+// Data subject routes from docs/Privacy_Policy.md: export a wallet's data,
+// erase its raw readings (shredded / redacted now, purged after the retention window),
+// and the anonymized kWh per region/hour stats.
+
+const express = require("express");
+const { ethers } = require("ethers");
+const { getMeterContract } = require("./server-wallet");
+const { queryEvents } = require("./chain-indexer");
+const { getDeviceProfile } = require("./device-profiles");
+const { rawStoreEnabled, listRawReadings, rawReadingDevices } = require("./raw-readings");
+const { requestErasure, listErasures } = require("./privacy-erasure");
+const { getRegionalStats } = require("./energy-stats");
+const { requireOwner } = require("./access-control");
+const { logger } = require("./logger");
+
+const router = express.Router();
+
+const DEVICE_ID_REGEX = /^0x[0-9a-fA-F]{64}$/;
+
+const ownWallet = requireOwner((req) => ({ wallet: req.query.wallet }));
+const ownBodyWallet = requireOwner((req) => ({ wallet: (req.body || {}).wallet }));
+
+function checkWallet(wallet, res) {
+  if (!wallet || !ethers.isAddress(wallet)) {
+    res.status(400).json({ error: "Invalid wallet address" });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * ?from=&to= as unix seconds or ISO dates → ms (to is exclusive).
+ */
+function parseTime(value) {
+  if (value === undefined) return undefined;
+  const ms = /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value);
+  if (!Number.isFinite(ms)) {
+    throw new Error(`Invalid time: ${value}`);
+  }
+  return ms;
+}
+
+/**
+ * GET /privacy/export?wallet=0x... (operator or that wallet)
+ *
+ * One JSON download with everything kept about the wallet: its devices and
+ * their profiles, the decrypted raw readings (null if the raw store is not
+ * configured), its on-chain readings / mints from the event index and its
+ * erasure requests.
+ */
+router.get("/privacy/export", ownWallet, async (req, res) => {
+  const { wallet } = req.query;
+  if (!checkWallet(wallet, res)) return;
+  const owner = wallet.toLowerCase();
+
+  try {
+    const bound = (await getMeterContract().getWalletDevices(wallet)).map((id) => id.toLowerCase());
+    const deviceIds = [...new Set([...bound, ...rawReadingDevices(owner)])];
+    const devices = deviceIds.map((deviceId) => {
+      const profile = getDeviceProfile(deviceId);
+      return {
+        deviceId,
+        bound: bound.includes(deviceId),
+        profile: profile && profile.wallet === owner ? profile : null,
+      };
+    });
+
+    const bundle = {
+      wallet: owner,
+      exportedAt: new Date().toISOString(),
+      devices,
+      rawReadings: rawStoreEnabled() ? listRawReadings({ wallet: owner }) : null,
+      onChain: queryEvents({ event: ["EnergyRecorded", "TokensMinted", "PendingSettled"], filter: { wallet: owner } }),
+      erasures: listErasures(owner),
+    };
+
+    res.set("Content-Disposition", `attachment; filename="bcm-export-${owner}.json"`);
+    return res.json({ ok: true, ...bundle });
+  } catch (err) {
+    logger.error("privacy export error", { err });
+    return res.status(500).json({ error: "Export failed", details: err.message });
+  }
+});
+
+/**
+ * POST /privacy/erase (operator or that wallet)
+ * body: { wallet: string, deviceId?: string (only this device's readings) }
+ *
+ * Destroys the wallet's data keys right away (its raw readings can no longer
+ * be read or exported), redacts the signed payloads kept with aggregates and
+ * quarantined readings, and schedules the hard purge after the retention
+ * window → 202 + erasure (with the redaction counts). Readings that arrive
+ * later start a new data key. On-chain records are not affected.
+ */
+router.post("/privacy/erase", ownBodyWallet, (req, res) => {
+  const { wallet, deviceId } = req.body || {};
+  if (!checkWallet(wallet, res)) return;
+  if (deviceId !== undefined && !DEVICE_ID_REGEX.test(deviceId)) {
+    return res.status(400).json({ error: "deviceId must be 32-byte hex string" });
+  }
+  if (!rawStoreEnabled()) {
+    return res.status(503).json({ error: "Raw reading storage is not configured (PRIVACY_MASTER_KEY)" });
+  }
+
+  const erasure = requestErasure({ wallet, deviceId, requestedBy: req.auth.role });
+  if (!erasure) {
+    return res.status(404).json({ error: "No raw readings stored for this wallet" });
+  }
+  return res.status(202).json({
+    ok: true,
+    erasure,
+    note: "On-chain records (readings, mints, trades) are public and cannot be erased",
+  });
+});
+
+/**
+ * GET /privacy/erasures?wallet=0x... (operator or that wallet)
+ */
+router.get("/privacy/erasures", ownWallet, (req, res) => {
+  if (!checkWallet(req.query.wallet, res)) return;
+  return res.json({ ok: true, erasures: listErasures(req.query.wallet) });
+});
+
+/**
+ * GET /privacy/stats?region=NZ&from=&to=
+ * Public, anonymized kWh per region per UTC hour. Hours with too few devices
+ * are withheld (counted in `withheld`).
+ */
+router.get("/privacy/stats", (req, res) => {
+  let from;
+  let to;
+  try {
+    from = parseTime(req.query.from);
+    to = parseTime(req.query.to);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  return res.json({ ok: true, ...getRegionalStats({ region: req.query.region, from, to }) });
+});
+
+module.exports = router;
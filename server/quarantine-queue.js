@@ -0,0 +1,124 @@
+// quarantine-queue.js
+// Queue of signed readings the MRV validator flagged. Nothing in here reaches
+// the chain until an operator approves it; rejected readings are kept for audit.
+// A privacy erasure strips the signed payload and VIR values (redactQuarantine);
+// what an approval needs (device, period, kWh) stays.
+//
+// Device periods reach the chain in order, so while a device has a pending
+// item its later readings are parked too, flagged only HELD_FLAG. Once the
+// item is decided, held readings are released in order (quarantine.js).
+
+const crypto = require("crypto");
+const { createStore } = require("./store");
+
+const store = createStore("quarantine", { items: {} });
+
+const STATUS = {
+  PENDING: "pending",
+  SUBMITTING: "submitting",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+};
+
+const HELD_FLAG = "held";
+
+/**
+ * Park a flagged reading. Returns the quarantine item.
+ */
+function quarantineReading({ deviceId, wallet, reading, payload, signature, wh, kwhMilli, flags }) {
+  const item = {
+    id: crypto.randomUUID(),
+    status: STATUS.PENDING,
+    deviceId,
+    wallet: wallet ? wallet.toLowerCase() : null,
+    reading,
+    payload,
+    signature,
+    wh,
+    kwhMilli,
+    flags,
+    createdAt: Date.now(),
+  };
+
+  store.update((state) => {
+    state.items[item.id] = item;
+  });
+  return item;
+}
+
+/**
+ * true while the device has a reading waiting for an operator.
+ */
+function hasPendingItems(deviceId) {
+  const id = deviceId.toLowerCase();
+  return Object.values(store.read().items).some((item) => item.deviceId === id && item.status === STATUS.PENDING);
+}
+
+function getQuarantineItem(id) {
+  return store.read().items[id] || null;
+}
+
+/**
+ * Items filtered by status ("all" for every status) and deviceId, newest first.
+ */
+function listQuarantine({ status = STATUS.PENDING, deviceId } = {}) {
+  return Object.values(store.read().items)
+    .filter((item) => status === "all" || item.status === status)
+    .filter((item) => !deviceId || item.deviceId === deviceId.toLowerCase())
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Move an item from `from` to `to`, or throw if it is not in `from`
+ * (e.g. another operator already decided it). Returns a copy of the item.
+ */
+function transitionQuarantineItem(id, from, to, fields = {}) {
+  return store.update((state) => {
+    const item = state.items[id];
+    if (!item) {
+      throw new Error("Quarantine item not found");
+    }
+    if (item.status !== from) {
+      throw new Error(`Quarantine item is ${item.status}`);
+    }
+    Object.assign(item, fields, { status: to });
+    return { ...item };
+  });
+}
+
+/**
+ * Privacy erasure: redact `wallet`'s items on the given devices (items kept
+ * before wallets were recorded match by device). Returns the number redacted.
+ */
+function redactQuarantine({ wallet, deviceIds }) {
+  const owner = wallet.toLowerCase();
+  const devices = new Set(deviceIds);
+
+  return store.update((state) => {
+    let count = 0;
+    for (const item of Object.values(state.items)) {
+      if (!devices.has(item.deviceId) || item.erasedAt || (item.wallet && item.wallet !== owner)) continue;
+      const { nonce, timestamp, interval_s } = item.reading;
+      Object.assign(item, {
+        reading: { nonce, timestamp, interval_s },
+        payload: null,
+        signature: null,
+        flags: item.flags.map(({ code }) => ({ code })),
+        erasedAt: Date.now(),
+      });
+      count++;
+    }
+    return count;
+  });
+}
+
+module.exports = {
+  STATUS,
+  HELD_FLAG,
+  quarantineReading,
+  hasPendingItems,
+  getQuarantineItem,
+  listQuarantine,
+  transitionQuarantineItem,
+  redactQuarantine,
+};
@@ -0,0 +1,218 @@
+// quarantine.js
+// Operator routes for readings held back by the MRV validator.
+//
+// Deciding a device's pending reading (approved + confirmed, or rejected)
+// releases the readings held behind it, oldest first, through the normal
+// path (aggregator or a direct recordVerifiedReading), up to the next item
+// that carries a real flag.
+
+const express = require("express");
+const { getMeterContract } = require("./server-wallet");
+const { STATUS: TX_STATUS, enqueueContractCall, onTxSettled } = require("./tx-outbox");
+const { recordAcceptedEnergy } = require("./mrv-validator");
+const { recordRegionalEnergy } = require("./energy-stats");
+const { readingPeriod } = require("./reading-verifier");
+const { aggregationEnabled, addReading, hasUnrecordedBefore } = require("./reading-aggregator");
+const {
+  STATUS,
+  HELD_FLAG,
+  getQuarantineItem,
+  listQuarantine,
+  transitionQuarantineItem,
+} = require("./quarantine-queue");
+const { ROLES, requireRole } = require("./access-control");
+const { logger } = require("./logger");
+
+const router = express.Router();
+
+// Every quarantine route is an operator decision / view
+router.use("/quarantine", requireRole(ROLES.OPERATOR));
+
+onTxSettled("quarantine-approve", (job) => {
+  const item = getQuarantineItem(job.meta.quarantineId);
+  if (!item || item.status !== STATUS.SUBMITTING) return;
+
+  if (job.status === TX_STATUS.CONFIRMED) {
+    recordAcceptedEnergy(item);
+    recordRegionalEnergy(item);
+    transitionQuarantineItem(item.id, STATUS.SUBMITTING, STATUS.APPROVED, {
+      txHash: job.txHash,
+      blockNumber: job.blockNumber,
+    });
+    releaseHeld(item.deviceId);
+  } else {
+    // Put it back so the operator can retry
+    transitionQuarantineItem(item.id, STATUS.SUBMITTING, STATUS.PENDING, { lastError: job.error });
+  }
+});
+
+/**
+ * Queue recordVerifiedReading for a pending item ("submitting" until the
+ * outbox job settles). Returns { job, item }.
+ */
+function submitItem(item, fields) {
+  const { periodStart, periodEnd } = readingPeriod(item.reading);
+  let submitting = transitionQuarantineItem(item.id, STATUS.PENDING, STATUS.SUBMITTING, {
+    decidedAt: Date.now(),
+    ...fields,
+  });
+
+  try {
+    const { job } = enqueueContractCall(
+      getMeterContract(),
+      "recordVerifiedReading",
+      [submitting.deviceId, submitting.kwhMilli, periodStart, periodEnd],
+      {
+        kind: "quarantine-approve",
+        idempotencyKey: `reading:${submitting.deviceId}:${submitting.reading.nonce}`,
+        meta: { quarantineId: submitting.id },
+      }
+    );
+    submitting = transitionQuarantineItem(item.id, STATUS.SUBMITTING, STATUS.SUBMITTING, { jobId: job.id });
+    return { job, item: submitting };
+  } catch (err) {
+    transitionQuarantineItem(item.id, STATUS.SUBMITTING, STATUS.PENDING);
+    throw err;
+  }
+}
+
+/**
+ * Release the device's held readings in order, up to the first item with a
+ * real flag (or one that can't be released: it stays pending for an operator).
+ */
+function releaseHeld(deviceId) {
+  const pending = listQuarantine({ deviceId }).sort((a, b) => a.reading.timestamp - b.reading.timestamp);
+
+  for (const item of pending) {
+    if (!item.flags.every((f) => f.code === HELD_FLAG)) return;
+    try {
+      if (!aggregationEnabled()) {
+        submitItem(item, { note: "released" });
+        continue;
+      }
+      if (!item.payload) {
+        throw new Error("Signed payload erased, approve it instead");
+      }
+      const aggregate = addReading(item);
+      recordAcceptedEnergy(item);
+      recordRegionalEnergy(item);
+      transitionQuarantineItem(item.id, STATUS.PENDING, STATUS.APPROVED, {
+        decidedAt: Date.now(),
+        note: "released",
+        aggregateId: aggregate.id,
+      });
+    } catch (err) {
+      logger.warn("held reading not released", { quarantineId: item.id, err });
+      transitionQuarantineItem(item.id, STATUS.PENDING, STATUS.PENDING, { lastError: err.message });
+      return;
+    }
+  }
+}
+
+/**
+ * GET /quarantine?status=pending&deviceId=0x...
+ * Lists quarantined readings, newest first (status=all for every status).
+ */
+router.get("/quarantine", (req, res) => {
+  const { status, deviceId } = req.query;
+  const items = listQuarantine({
+    status: status ? String(status) : undefined,
+    deviceId: deviceId ? String(deviceId) : undefined,
+  });
+  return res.json({ ok: true, count: items.length, items });
+});
+
+/**
+ * GET /quarantine/:id
+ */
+router.get("/quarantine/:id", (req, res) => {
+  const item = getQuarantineItem(req.params.id);
+  if (!item) {
+    return res.status(404).json({ error: "Quarantine item not found" });
+  }
+  return res.json({ ok: true, item });
+});
+
+/**
+ * POST /quarantine/:id/approve
+ * body: { note?: string }
+ *
+ * Operator overrides the flags: backend (owner) queues
+ * recordVerifiedReading(deviceId, kwhMilli, periodStart, periodEnd) for the
+ * parked reading. The item is "submitting" until the outbox job settles, then
+ * "approved" (or back to "pending" if the transaction failed).
+ *
+ * Device periods must be recorded in order, so a reading whose period was
+ * passed by later on-chain readings can no longer be approved (409), and one
+ * behind earlier readings still in an aggregate waits until they are
+ * recorded (409). Later readings of the device are held meanwhile.
+ */
+router.post("/quarantine/:id/approve", async (req, res) => {
+  const { note } = req.body || {};
+
+  const pending = getQuarantineItem(req.params.id);
+  if (!pending) {
+    return res.status(404).json({ error: "Quarantine item not found" });
+  }
+
+  const { periodStart } = readingPeriod(pending.reading);
+  if (hasUnrecordedBefore(pending.deviceId, periodStart)) {
+    return res.status(409).json({
+      error: "Earlier readings of this device are still being aggregated, approve once they are recorded",
+      details: { periodStart },
+    });
+  }
+  try {
+    const lastPeriodEnd = await getMeterContract().lastPeriodEnd(pending.deviceId);
+    if (BigInt(periodStart) < lastPeriodEnd) {
+      return res.status(409).json({
+        error: "Reading period already covered by later on-chain readings",
+        details: { periodStart, lastPeriodEnd: lastPeriodEnd.toString() },
+      });
+    }
+  } catch (err) {
+    logger.error("quarantine approve error", { err });
+    return res.status(500).json({ error: "quarantine approve failed", details: err.message });
+  }
+
+  // Re-read after the chain call: another operator may have decided it meanwhile
+  const current = getQuarantineItem(pending.id);
+  if (current.status !== STATUS.PENDING) {
+    return res.status(409).json({ error: `Quarantine item is ${current.status}` });
+  }
+
+  try {
+    const { job, item } = submitItem(current, { note: note || null });
+    return res.status(202).json({ ok: true, jobId: job.id, item });
+  } catch (err) {
+    logger.error("quarantine approve error", { err });
+    return res.status(500).json({ error: "quarantine approve failed", details: err.message });
+  }
+});
+
+/**
+ * POST /quarantine/:id/reject
+ * body: { note?: string }
+ *
+ * The reading is never recorded on-chain; the item is kept for audit.
+ */
+router.post("/quarantine/:id/reject", (req, res) => {
+  const { note } = req.body || {};
+
+  if (!getQuarantineItem(req.params.id)) {
+    return res.status(404).json({ error: "Quarantine item not found" });
+  }
+
+  try {
+    const item = transitionQuarantineItem(req.params.id, STATUS.PENDING, STATUS.REJECTED, {
+      decidedAt: Date.now(),
+      note: note || null,
+    });
+    releaseHeld(item.deviceId);
+    return res.json({ ok: true, item });
+  } catch (err) {
+    return res.status(409).json({ error: err.message });
+  }
+});
+
+module.exports = router;
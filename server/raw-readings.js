@@ -0,0 +1,208 @@
+// raw-readings.js
+// Local store of raw signed readings, encrypted at rest (AES-256-GCM).
+//
+// Envelope encryption: every (device, wallet) pair gets its own random data
+// key, and only a copy wrapped with PRIVACY_MASTER_KEY is stored ("privacy-keys",
+// a separate file from the ciphertexts in "raw-readings"). Erasing a wallet's
+// data destroys its data keys first (crypto-shredding): the ciphertexts, and
+// any backup of them, can no longer be decrypted even before they are purged.
+// A device that changes hands starts a new data key, so one wallet's erasure
+// never touches the next owner's readings.
+//
+// Without PRIVACY_MASTER_KEY nothing is stored (rawStoreEnabled() is false).
+
+const crypto = require("crypto");
+const { createStore } = require("./store");
+
+const ALGORITHM = "aes-256-gcm";
+const MASTER_KEY_REGEX = /^(0x)?[0-9a-fA-F]{64}$/;
+
+const keyStore = createStore("privacy-keys", {
+  keys: {}, // keyId → { deviceId, wallet, wrapped, createdAt, destroyedAt }
+});
+const readingStore = createStore("raw-readings", {
+  devices: {}, // deviceId → [{ keyId, wallet, receivedAt, iv, tag, data }]
+});
+
+function loadMasterKey() {
+  const hex = process.env.PRIVACY_MASTER_KEY;
+  if (!hex) return null;
+  if (!MASTER_KEY_REGEX.test(hex)) {
+    // Fail at startup rather than lose readings later
+    throw new Error("PRIVACY_MASTER_KEY must be 32 bytes of hex (64 characters)");
+  }
+  return Buffer.from(hex.replace(/^0x/, ""), "hex");
+}
+
+const masterKey = loadMasterKey();
+
+function rawStoreEnabled() {
+  return masterKey !== null;
+}
+
+function encrypt(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return {
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+function decrypt(key, { iv, tag, data }, aad) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, "base64"));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(data, "base64")), decipher.final()]);
+}
+
+/**
+ * Live data key of (deviceId, wallet), created on first use.
+ */
+function dataKeyFor(deviceId, wallet) {
+  const found = Object.entries(keyStore.read().keys).find(
+    ([, k]) => k.deviceId === deviceId && k.wallet === wallet && !k.destroyedAt
+  );
+  if (found) {
+    return { keyId: found[0], key: decrypt(masterKey, found[1].wrapped, found[0]) };
+  }
+
+  const keyId = crypto.randomUUID();
+  const key = crypto.randomBytes(32);
+  keyStore.update((state) => {
+    state.keys[keyId] = {
+      deviceId,
+      wallet,
+      wrapped: encrypt(masterKey, key, keyId),
+      createdAt: Date.now(),
+      destroyedAt: null,
+    };
+  });
+  return { keyId, key };
+}
+
+/**
+ * Encrypt + keep a verified reading. `wallet` is the wallet the device is
+ * bound to when it arrives (null if unknown); `outcome` is "accepted" or
+ * "quarantined".
+ */
+function storeRawReading({ deviceId, wallet, reading, payload, signature, wh, outcome }) {
+  if (!rawStoreEnabled()) return null;
+
+  const id = deviceId.toLowerCase();
+  const owner = wallet ? wallet.toLowerCase() : null;
+  const { keyId, key } = dataKeyFor(id, owner);
+  const plaintext = Buffer.from(JSON.stringify({ reading, payload, signature, wh, outcome }));
+  const entry = {
+    keyId,
+    wallet: owner,
+    receivedAt: Date.now(),
+    ...encrypt(key, plaintext, `${id}:${keyId}`),
+  };
+
+  readingStore.update((state) => {
+    (state.devices[id] = state.devices[id] || []).push(entry);
+  });
+  return entry;
+}
+
+/**
+ * Decrypted readings of a wallet and/or device, oldest first. Readings whose
+ * data key was destroyed are gone for good and are skipped.
+ */
+function listRawReadings({ wallet, deviceId } = {}) {
+  if (!rawStoreEnabled()) return [];
+
+  const owner = wallet ? wallet.toLowerCase() : undefined;
+  const keys = keyStore.read().keys;
+  const unwrapped = new Map();
+  const result = [];
+
+  for (const [id, entries] of Object.entries(readingStore.read().devices)) {
+    if (deviceId && id !== deviceId.toLowerCase()) continue;
+
+    for (const entry of entries) {
+      if (owner !== undefined && entry.wallet !== owner) continue;
+      const keyRecord = keys[entry.keyId];
+      if (!keyRecord || keyRecord.destroyedAt) continue;
+
+      if (!unwrapped.has(entry.keyId)) {
+        unwrapped.set(entry.keyId, decrypt(masterKey, keyRecord.wrapped, entry.keyId));
+      }
+      const plain = JSON.parse(decrypt(unwrapped.get(entry.keyId), entry, `${id}:${entry.keyId}`));
+      result.push({ deviceId: id, wallet: entry.wallet, receivedAt: entry.receivedAt, ...plain });
+    }
+  }
+  return result.sort((a, b) => a.reading.timestamp - b.reading.timestamp);
+}
+
+/**
+ * Devices the wallet has live (not yet erased) raw readings of.
+ */
+function rawReadingDevices(wallet) {
+  const owner = wallet.toLowerCase();
+  const ids = Object.values(keyStore.read().keys)
+    .filter((k) => k.wallet === owner && !k.destroyedAt)
+    .map((k) => k.deviceId);
+  return [...new Set(ids)];
+}
+
+/**
+ * Crypto-shred: destroy the wallet's data keys (optionally one device's).
+ * The wrapped key material is dropped right away; the record stays as a
+ * tombstone until purgeRawReadings. Returns [{ keyId, deviceId }].
+ */
+function destroyDataKeys({ wallet, deviceId }) {
+  const owner = wallet.toLowerCase();
+  const now = Date.now();
+
+  return keyStore.update((state) => {
+    const destroyed = [];
+    for (const [keyId, k] of Object.entries(state.keys)) {
+      if (k.wallet !== owner || k.destroyedAt) continue;
+      if (deviceId && k.deviceId !== deviceId.toLowerCase()) continue;
+      k.wrapped = null;
+      k.destroyedAt = now;
+      destroyed.push({ keyId, deviceId: k.deviceId });
+    }
+    return destroyed;
+  });
+}
+
+/**
+ * Hard delete: the ciphertexts under the given (destroyed) keys and the key
+ * tombstones themselves. Returns the number of readings removed.
+ */
+function purgeRawReadings(keyIds) {
+  const ids = new Set(keyIds);
+
+  const removed = readingStore.update((state) => {
+    let count = 0;
+    for (const [deviceId, entries] of Object.entries(state.devices)) {
+      const kept = entries.filter((e) => !ids.has(e.keyId));
+      count += entries.length - kept.length;
+      if (kept.length > 0) state.devices[deviceId] = kept;
+      else delete state.devices[deviceId];
+    }
+    return count;
+  });
+
+  keyStore.update((state) => {
+    for (const keyId of ids) {
+      if (state.keys[keyId] && state.keys[keyId].destroyedAt) delete state.keys[keyId];
+    }
+  });
+  return removed;
+}
+
+module.exports = {
+  rawStoreEnabled,
+  storeRawReading,
+  listRawReadings,
+  rawReadingDevices,
+  destroyDataKeys,
+  purgeRawReadings,
+};
@@ -0,0 +1,369 @@
+// reading-aggregator.js
+// Accumulates verified readings per device over a fixed window and records
+// closed windows on-chain in batches (CarbonSmartMeter.recordVerifiedBatch),
+// instead of one transaction per reading.
+//
+// Windows are aligned to unix time (3600 = every UTC hour, 86400 = UTC days);
+// a reading belongs to the window its timestamp falls in. A window closes once
+// no fresh reading can still land in it (window end + MAX_READING_AGE_SECONDS).
+// Every aggregate keeps its raw signed payloads and the Merkle root submitted
+// with it, so any on-chain amount can be traced back to the readings behind it.
+// A privacy erasure redacts the payloads (redactReadings); the leaves stay, so
+// the other readings of the window keep their proofs.
+//
+// Aggregate lifecycle:
+//   open -> closed -> submitting -> recorded | failed
+//   open -> skipped (less than 1 Wh in total, nothing to record)
+
+const crypto = require("crypto");
+const { getMeterContract } = require("./server-wallet");
+const { STATUS: TX_STATUS, enqueueContractCall, onTxSettled } = require("./tx-outbox");
+const {
+  ReadingError,
+  MAX_READING_AGE_SECONDS,
+  whToKwhMilli,
+  readingPeriod,
+} = require("./reading-verifier");
+const { hashLeaf, merkleRoot, merkleProof, verifyMerkleProof } = require("./merkle");
+const { createStore } = require("./store");
+const { logger } = require("./logger");
+
+// 0 disables aggregation: every reading is submitted on its own
+const WINDOW_SECONDS = Number(process.env.AGGREGATION_WINDOW_SECONDS ?? 3600);
+const FLUSH_MS = Number(process.env.AGGREGATION_FLUSH_MS || 60_000);
+const MAX_BATCH_SIZE = Number(process.env.AGGREGATION_MAX_BATCH || 50);
+
+const STATUS = {
+  OPEN: "open",
+  CLOSED: "closed",
+  SUBMITTING: "submitting",
+  RECORDED: "recorded",
+  FAILED: "failed",
+  SKIPPED: "skipped",
+};
+
+const store = createStore("reading-aggregates", { aggregates: {}, batches: {} });
+
+let timer = null;
+
+function aggregationEnabled() {
+  return WINDOW_SECONDS > 0;
+}
+
+/**
+ * Aggregate without its raw payloads (those are served per reading with a proof).
+ */
+function toAggregateView(aggregate) {
+  const { readings, ...view } = aggregate;
+  return {
+    ...view,
+    readingCount: readings.length,
+    readings: readings.map(({ nonce, timestamp, interval_s, wh, leaf }) => ({
+      nonce,
+      timestamp,
+      interval_s,
+      wh,
+      leaf,
+    })),
+  };
+}
+
+/**
+ * Add a verified, MRV-accepted reading to its device's open window.
+ */
+function addReading({ deviceId, wallet, reading, payload, signature, wh }) {
+  const windowStart = Math.floor(reading.timestamp / WINDOW_SECONDS) * WINDOW_SECONDS;
+  const id = `${deviceId}:${windowStart}`;
+  const { periodStart, periodEnd } = readingPeriod(reading);
+
+  return store.update((state) => {
+    let aggregate = state.aggregates[id];
+    if (!aggregate) {
+      aggregate = {
+        id,
+        deviceId,
+        status: STATUS.OPEN,
+        windowStart,
+        windowEnd: windowStart + WINDOW_SECONDS,
+        periodStart,
+        periodEnd,
+        wh: 0,
+        kwhMilli: null,
+        readingsRoot: null,
+        batchId: null,
+        jobId: null,
+        readings: [],
+        createdAt: Date.now(),
+      };
+      state.aggregates[id] = aggregate;
+    }
+
+    if (aggregate.status !== STATUS.OPEN) {
+      throw new ReadingError("Aggregation window already closed", 409);
+    }
+
+    aggregate.readings.push({
+      nonce: reading.nonce,
+      timestamp: reading.timestamp,
+      interval_s: reading.interval_s,
+      wh,
+      leaf: hashLeaf(payload),
+      wallet: wallet ? wallet.toLowerCase() : null,
+      payload,
+      signature,
+    });
+    aggregate.wh += wh;
+    // Readings never overlap (see checkAndRecordFreshness), so neither do aggregates
+    aggregate.periodStart = Math.min(aggregate.periodStart, periodStart);
+    aggregate.periodEnd = Math.max(aggregate.periodEnd, periodEnd);
+
+    return toAggregateView(aggregate);
+  });
+}
+
+function closeDueWindows(nowSeconds) {
+  store.update((state) => {
+    for (const aggregate of Object.values(state.aggregates)) {
+      if (aggregate.status !== STATUS.OPEN || aggregate.windowEnd + MAX_READING_AGE_SECONDS > nowSeconds) {
+        continue;
+      }
+
+      // Rounded down once per window, so sub-Wh readings still add up
+      aggregate.kwhMilli = whToKwhMilli(aggregate.wh);
+      aggregate.readingsRoot = merkleRoot(aggregate.readings.map((r) => r.leaf));
+      aggregate.status = aggregate.kwhMilli > 0 ? STATUS.CLOSED : STATUS.SKIPPED;
+      aggregate.closedAt = Date.now();
+    }
+  });
+}
+
+/**
+ * Hand a batch to the tx outbox. Safe to repeat: the idempotency key maps
+ * the batch to a single outbox job.
+ */
+function enqueueBatch(batch) {
+  const { aggregates } = store.read();
+  const items = batch.aggregateIds.map((id) => aggregates[id]);
+
+  const { job } = enqueueContractCall(
+    getMeterContract(),
+    "recordVerifiedBatch",
+    [
+      items.map((a) => a.deviceId),
+      items.map((a) => a.kwhMilli),
+      items.map((a) => a.periodStart),
+      items.map((a) => a.periodEnd),
+      items.map((a) => a.readingsRoot),
+    ],
+    {
+      kind: "reading-batch",
+      idempotencyKey: `reading-batch:${batch.id}`,
+      meta: { batchId: batch.id },
+    }
+  );
+
+  store.update((state) => {
+    state.batches[batch.id].jobId = job.id;
+    for (const id of batch.aggregateIds) {
+      state.aggregates[id].jobId = job.id;
+    }
+  });
+}
+
+function submitClosed() {
+  const closed = Object.values(store.read().aggregates)
+    .filter((a) => a.status === STATUS.CLOSED)
+    .sort((a, b) => a.windowStart - b.windowStart);
+
+  // Aggregates from a failed batch go alone, so one bad device can't block the
+  // rest. Groups keep window order: a device's periods must reach the chain in order.
+  const groups = [];
+  let current = [];
+  for (const aggregate of closed) {
+    if (aggregate.isolate || current.length === MAX_BATCH_SIZE) {
+      if (current.length > 0) groups.push(current);
+      current = [];
+    }
+    current.push(aggregate);
+    if (aggregate.isolate) {
+      groups.push(current);
+      current = [];
+    }
+  }
+  if (current.length > 0) groups.push(current);
+
+  for (const group of groups) {
+    // Persist the batch before enqueueing: a crash in between is resumed by resumeBatches()
+    const batch = store.update((state) => {
+      const created = {
+        id: crypto.randomUUID(),
+        aggregateIds: group.map((a) => a.id),
+        jobId: null,
+        status: "submitting",
+        createdAt: Date.now(),
+      };
+      state.batches[created.id] = created;
+      for (const a of group) {
+        Object.assign(state.aggregates[a.id], { status: STATUS.SUBMITTING, batchId: created.id });
+      }
+      return created;
+    });
+    enqueueBatch(batch);
+  }
+}
+
+function resumeBatches() {
+  for (const batch of Object.values(store.read().batches)) {
+    if (batch.status === "submitting" && !batch.jobId) {
+      enqueueBatch(batch);
+    }
+  }
+}
+
+onTxSettled("reading-batch", (job) => {
+  store.update((state) => {
+    const batch = state.batches[job.meta.batchId];
+    if (!batch || batch.status !== "submitting") return;
+
+    const confirmed = job.status === TX_STATUS.CONFIRMED;
+    batch.status = confirmed ? "confirmed" : "failed";
+
+    for (const id of batch.aggregateIds) {
+      const aggregate = state.aggregates[id];
+      if (confirmed) {
+        Object.assign(aggregate, {
+          status: STATUS.RECORDED,
+          txHash: job.txHash,
+          blockNumber: job.blockNumber,
+        });
+      } else if (batch.aggregateIds.length > 1) {
+        // Retry each aggregate on its own to find the one that reverts
+        Object.assign(aggregate, { status: STATUS.CLOSED, isolate: true, lastError: job.error });
+      } else {
+        Object.assign(aggregate, { status: STATUS.FAILED, lastError: job.error });
+      }
+    }
+  });
+});
+
+/**
+ * Close due windows and submit everything that is ready.
+ */
+function flushAggregates(nowSeconds = Math.floor(Date.now() / 1000)) {
+  try {
+    resumeBatches();
+    closeDueWindows(nowSeconds);
+    submitClosed();
+  } catch (err) {
+    logger.error("aggregation flush error", { err });
+  }
+}
+
+/**
+ * Start the flush loop (called once from index.js). No-op when disabled.
+ */
+function startAggregator() {
+  if (timer || !aggregationEnabled()) return;
+  timer = setInterval(flushAggregates, FLUSH_MS);
+  flushAggregates();
+}
+
+function stopAggregator() {
+  clearInterval(timer);
+  timer = null;
+}
+
+function getAggregate(id) {
+  const aggregate = store.read().aggregates[id];
+  return aggregate ? toAggregateView(aggregate) : null;
+}
+
+/**
+ * Aggregates filtered by deviceId and status ("all" by default), newest window first.
+ */
+function listAggregates({ deviceId, status = "all" } = {}) {
+  return Object.values(store.read().aggregates)
+    .filter((a) => status === "all" || a.status === status)
+    .filter((a) => !deviceId || a.deviceId === deviceId.toLowerCase())
+    .sort((a, b) => b.windowStart - a.windowStart)
+    .map(toAggregateView);
+}
+
+/**
+ * Raw signed reading + Merkle proof of its inclusion in the aggregate's root.
+ * Returns null if the aggregate or reading doesn't exist.
+ */
+function getReadingProof(id, nonce) {
+  const aggregate = store.read().aggregates[id];
+  const index = aggregate ? aggregate.readings.findIndex((r) => r.nonce === nonce) : -1;
+  if (index === -1) {
+    return null;
+  }
+
+  const leaves = aggregate.readings.map((r) => r.leaf);
+  const root = aggregate.readingsRoot;
+  const proof = root ? merkleProof(leaves, index) : null;
+  const { payload, signature, leaf, erasedAt } = aggregate.readings[index];
+
+  return {
+    aggregateId: id,
+    payload,
+    signature,
+    erased: Boolean(erasedAt),
+    leaf,
+    proof,
+    readingsRoot: root,
+    verified: root ? verifyMerkleProof(leaf, proof, root) : false,
+    txHash: aggregate.txHash || null,
+  };
+}
+
+/**
+ * true if the device has readings before `periodStart` still waiting in an
+ * aggregate (open, closed or being submitted): recording a later period now
+ * would make that batch revert.
+ */
+function hasUnrecordedBefore(deviceId, periodStart) {
+  const id = deviceId.toLowerCase();
+  const waiting = [STATUS.OPEN, STATUS.CLOSED, STATUS.SUBMITTING];
+  return Object.values(store.read().aggregates).some(
+    (a) => a.deviceId === id && waiting.includes(a.status) && a.periodStart < periodStart
+  );
+}
+
+/**
+ * Privacy erasure: drop the signed payloads of `wallet`'s readings on the
+ * given devices (readings kept before wallets were recorded match by device).
+ * Returns the number of readings redacted.
+ */
+function redactReadings({ wallet, deviceIds }) {
+  const owner = wallet.toLowerCase();
+  const devices = new Set(deviceIds);
+
+  return store.update((state) => {
+    let count = 0;
+    for (const aggregate of Object.values(state.aggregates)) {
+      if (!devices.has(aggregate.deviceId)) continue;
+      for (const r of aggregate.readings) {
+        if (r.erasedAt || (r.wallet && r.wallet !== owner)) continue;
+        Object.assign(r, { payload: null, signature: null, erasedAt: Date.now() });
+        count++;
+      }
+    }
+    return count;
+  });
+}
+
+module.exports = {
+  STATUS,
+  aggregationEnabled,
+  addReading,
+  flushAggregates,
+  startAggregator,
+  stopAggregator,
+  getAggregate,
+  listAggregates,
+  getReadingProof,
+  hasUnrecordedBefore,
+  redactReadings,
+};
@@ -0,0 +1,187 @@
+// reading-verifier.js
+// Verification helpers for signed meter readings (see docs/Tamper_Proof_Flow.md).
+//
+// The ESP32 signs the exact JSON payload string it uploads with its Ed25519 key:
+//   payload   = '{"device_id":"0x..","vir":{"voltage":..,"current":..,"resistance":..},
+//                 "interval_s":..,"timestamp":..,"nonce":"..","wallet":"0x.." (optional)}'
+//   signature = Ed25519(payload bytes), hex encoded (64 bytes)
+//
+// We verify the signature over the raw payload bytes BEFORE parsing, so no
+// re-serialisation can change what was signed.
+
+const crypto = require("crypto");
+const { createStore } = require("./store");
+
+// Readings older than this (or further in the future than the skew) are rejected
+const MAX_READING_AGE_SECONDS = Number(process.env.MAX_READING_AGE_SECONDS || 300);
+const MAX_CLOCK_SKEW_SECONDS = Number(process.env.MAX_CLOCK_SKEW_SECONDS || 60);
+
+// DER header that wraps a raw 32-byte Ed25519 public key as SPKI
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+
+const replayStore = createStore("reading-replay", { devices: {} });
+
+/**
+ * Error carrying the HTTP status the route should answer with.
+ */
+class ReadingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ReadingError";
+    this.status = status;
+  }
+}
+
+function isNonNegativeNumber(value) {
+  return typeof value === "number" && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Validate the request body shape and parse the signed payload.
+ * Returns { reading, payload, signature } — nothing is trusted yet.
+ */
+function parseSignedReading(body) {
+  const { payload, signature } = body || {};
+
+  if (typeof payload !== "string" || !payload) {
+    throw new ReadingError("payload (signed JSON string) is required");
+  }
+  if (typeof signature !== "string" || !/^(0x)?[0-9a-fA-F]{128}$/.test(signature)) {
+    throw new ReadingError("signature must be a 64-byte hex Ed25519 signature");
+  }
+
+  let reading;
+  try {
+    reading = JSON.parse(payload);
+  } catch (err) {
+    throw new ReadingError("payload is not valid JSON");
+  }
+
+  const { device_id, vir, interval_s, timestamp, nonce, wallet } = reading || {};
+
+  if (typeof device_id !== "string" || !/^0x[0-9a-fA-F]{64}$/.test(device_id)) {
+    throw new ReadingError("device_id must be 32-byte hex string");
+  }
+  if (
+    !vir ||
+    !isNonNegativeNumber(vir.voltage) ||
+    !isNonNegativeNumber(vir.current) ||
+    !isNonNegativeNumber(vir.resistance)
+  ) {
+    throw new ReadingError("vir must contain non-negative voltage, current and resistance");
+  }
+  if (!Number.isInteger(interval_s) || interval_s <= 0) {
+    throw new ReadingError("interval_s must be a positive whole number of seconds");
+  }
+  if (!Number.isInteger(timestamp) || timestamp <= 0) {
+    throw new ReadingError("timestamp must be unix seconds");
+  }
+  if (typeof nonce !== "string" || !nonce || nonce.length > 64) {
+    throw new ReadingError("nonce must be a non-empty string (max 64 chars)");
+  }
+  if (wallet !== undefined && (typeof wallet !== "string" || !/^0x[0-9a-fA-F]{40}$/.test(wallet))) {
+    throw new ReadingError("wallet must be an address when present");
+  }
+
+  return {
+    reading: { ...reading, device_id: device_id.toLowerCase() },
+    payload,
+    signature: signature.replace(/^0x/, ""),
+  };
+}
+
+/**
+ * Ed25519 signature check of the raw payload against a hex public key.
+ */
+function verifySignature(payload, signatureHex, publicKeyHex) {
+  const key = crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKeyHex, "hex")]),
+    format: "der",
+    type: "spki",
+  });
+  return crypto.verify(
+    null,
+    Buffer.from(payload, "utf8"),
+    key,
+    Buffer.from(signatureHex, "hex")
+  );
+}
+
+/**
+ * VIR → Wh
+ * Power (W) = V × I, energy over the sampling interval in watt-hours.
+ * Resistance is signed for tamper evidence but not needed for the energy figure.
+ */
+function virToWh(vir, intervalSeconds) {
+  return (vir.voltage * vir.current * intervalSeconds) / 3600;
+}
+
+/**
+ * Wh → milli-kWh (1 Wh = 0.001 kWh = 1 milli-kWh), rounded down so we
+ * never record more energy than was measured.
+ */
+function whToKwhMilli(wh) {
+  return Math.floor(wh);
+}
+
+/**
+ * The interval a reading covers: [timestamp - interval_s, timestamp].
+ * Recorded on-chain with the energy (CarbonSmartMeter.lastPeriodEnd).
+ */
+function readingPeriod(reading) {
+  return {
+    periodStart: reading.timestamp - reading.interval_s,
+    periodEnd: reading.timestamp,
+  };
+}
+
+/**
+ * Reject stale / future timestamps, out-of-order timestamps, periods that
+ * overlap the previous reading and reused nonces, then remember this reading
+ * so it can't be replayed or counted twice.
+ */
+function checkAndRecordFreshness(reading, nowSeconds = Math.floor(Date.now() / 1000)) {
+  const { device_id, timestamp, nonce } = reading;
+
+  if (timestamp < nowSeconds - MAX_READING_AGE_SECONDS) {
+    throw new ReadingError("Reading is stale");
+  }
+  if (timestamp > nowSeconds + MAX_CLOCK_SKEW_SECONDS) {
+    throw new ReadingError("Reading timestamp is in the future");
+  }
+
+  replayStore.update((state) => {
+    const entry = state.devices[device_id] || { lastTimestamp: 0, nonces: {} };
+
+    if (entry.nonces[nonce] !== undefined) {
+      throw new ReadingError("Nonce already used", 409);
+    }
+    if (timestamp <= entry.lastTimestamp) {
+      throw new ReadingError("Timestamp not newer than last accepted reading", 409);
+    }
+    if (readingPeriod(reading).periodStart < entry.lastTimestamp) {
+      throw new ReadingError("Reading period overlaps the previous reading", 409);
+    }
+
+    // Only nonces inside the freshness window can still be replayed
+    const cutoff = nowSeconds - MAX_READING_AGE_SECONDS - MAX_CLOCK_SKEW_SECONDS;
+    for (const [seen, ts] of Object.entries(entry.nonces)) {
+      if (ts < cutoff) delete entry.nonces[seen];
+    }
+
+    entry.nonces[nonce] = timestamp;
+    entry.lastTimestamp = timestamp;
+    state.devices[device_id] = entry;
+  });
+}
+
+module.exports = {
+  MAX_READING_AGE_SECONDS,
+  ReadingError,
+  parseSignedReading,
+  verifySignature,
+  virToWh,
+  whToKwhMilli,
+  readingPeriod,
+  checkAndRecordFreshness,
+};
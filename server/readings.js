@@ -0,0 +1,198 @@
+// readings.js
+// Ingestion route for signed meter readings.
+// Only readings that pass signature + replay checks AND the MRV validator
+// reach the minting path; flagged readings are parked in quarantine.
+
+const express = require("express");
+const { getMeterContract } = require("./server-wallet");
+const { enqueueContractCall } = require("./tx-outbox");
+const { KEY_STATUS, getDeviceKeyRecord } = require("./device-keys");
+const { getDeviceProfile } = require("./device-profiles");
+const {
+  ReadingError,
+  parseSignedReading,
+  verifySignature,
+  virToWh,
+  whToKwhMilli,
+  readingPeriod,
+  checkAndRecordFreshness,
+} = require("./reading-verifier");
+const { validateReading, recordAcceptedEnergy } = require("./mrv-validator");
+const { HELD_FLAG, quarantineReading, hasPendingItems } = require("./quarantine-queue");
+const { aggregationEnabled, addReading } = require("./reading-aggregator");
+const { storeRawReading } = require("./raw-readings");
+const { recordRegionalEnergy } = require("./energy-stats");
+const { ROLES, requireRole, canSubmitFor } = require("./access-control");
+const { counter } = require("./metrics");
+const { logger } = require("./logger");
+
+const router = express.Router();
+
+const readingsTotal = counter(
+  "bcm_readings_total",
+  "Signed readings by outcome (accepted | quarantined | rejected | error) and HTTP status",
+  ["result", "status"]
+);
+
+/**
+ * Count every submission once its answer is sent.
+ */
+function countReading(req, res, next) {
+  res.on("finish", () => {
+    const status = res.statusCode;
+    const result =
+      status >= 500 ? "error" : status >= 400 ? "rejected" : res.locals.quarantined ? "quarantined" : "accepted";
+    readingsTotal.inc({ result, status });
+  });
+  next();
+}
+
+/**
+ * POST /record-reading (gateway or operator API key)
+ * body: { payload: string (signed JSON), signature: string (hex) }
+ *
+ * Flow:
+ *  0) gateway keys limited to devices only submit for those devices
+ *  1) verify Ed25519 signature against the device's ACTIVE public key
+ *     (superseded / revoked keys are rejected)
+ *  2) reject stale, out-of-order, overlapping or replayed readings
+ *     (timestamp + interval + nonce)
+ *  3) VIR → Wh → milli-kWh
+ *  4) MRV checks (daily cap, impossible output, spikes, flatline, wallets)
+ *     → any flag: 202 + quarantine id, an operator decides later
+ *     a device with a pending quarantine item has its later readings held
+ *     there too (flag "held"), released in order once the item is decided
+ *     either way the raw reading is kept encrypted (raw-readings.js) for
+ *     the wallet's export until it is erased
+ *  5) aggregation on (AGGREGATION_WINDOW_SECONDS > 0): reading joins the
+ *     device's open window → 202 + aggregateId; closed windows are recorded in
+ *     batches via recordVerifiedBatch (see reading-aggregator.js)
+ *     aggregation off: backend (owner) queues recordVerifiedReading(deviceId,
+ *     kwhMilli, periodStart, periodEnd) in the tx outbox → 202 + jobId
+ *     (poll GET /tx/:jobId)
+ */
+router.post("/record-reading", countReading, requireRole(ROLES.GATEWAY, ROLES.OPERATOR), async (req, res) => {
+  try {
+    const { reading, payload, signature } = parseSignedReading(req.body);
+    const deviceId = reading.device_id;
+
+    if (!canSubmitFor(req.auth, deviceId)) {
+      return res.status(403).json({ error: "API key is not allowed to submit readings for this device" });
+    }
+
+    const keyRecord = getDeviceKeyRecord(deviceId);
+    if (!keyRecord) {
+      return res.status(404).json({ error: "No public key registered for device" });
+    }
+
+    const activeKey = keyRecord.keys.find((k) => k.status === KEY_STATUS.ACTIVE);
+    if (!activeKey || !verifySignature(payload, signature, activeKey.publicKey)) {
+      // Tell operators when a retired key is still in use (stale firmware / cloned board)
+      const retiredKey = keyRecord.keys.find(
+        (k) => k.status !== KEY_STATUS.ACTIVE && verifySignature(payload, signature, k.publicKey)
+      );
+      if (retiredKey) {
+        return res.status(403).json({ error: `Reading signed with ${retiredKey.status} key` });
+      }
+      if (!activeKey) {
+        return res.status(403).json({ error: "Device has no active key" });
+      }
+      return res.status(401).json({ error: "Invalid reading signature" });
+    }
+
+    checkAndRecordFreshness(reading);
+
+    const wh = virToWh(reading.vir, reading.interval_s);
+    const kwhMilli = whToKwhMilli(wh);
+    if (kwhMilli === 0) {
+      return res.status(422).json({ error: "Reading below 1 Wh, nothing to record", wh });
+    }
+
+    const flags = validateReading({ deviceId, reading, wh, publicKey: activeKey.publicKey });
+    if (hasPendingItems(deviceId)) {
+      // Recording it now would pass the pending reading's period on-chain
+      flags.push({ code: HELD_FLAG, message: "Earlier reading of this device awaits review" });
+    }
+    const profile = getDeviceProfile(deviceId);
+    storeRawReading({
+      deviceId,
+      wallet: profile && profile.wallet,
+      reading,
+      payload,
+      signature,
+      wh,
+      outcome: flags.length > 0 ? "quarantined" : "accepted",
+    });
+
+    if (flags.length > 0) {
+      const item = quarantineReading({
+        deviceId,
+        wallet: profile && profile.wallet,
+        reading,
+        payload,
+        signature,
+        wh,
+        kwhMilli,
+        flags,
+      });
+      res.locals.quarantined = true;
+      return res.status(202).json({
+        ok: true,
+        quarantined: true,
+        quarantineId: item.id,
+        deviceId,
+        flags,
+      });
+    }
+
+    recordAcceptedEnergy({ deviceId, reading, wh });
+    recordRegionalEnergy({ deviceId, reading, wh });
+
+    if (aggregationEnabled()) {
+      const aggregate = addReading({ deviceId, wallet: profile && profile.wallet, reading, payload, signature, wh });
+      return res.status(202).json({
+        ok: true,
+        aggregated: true,
+        aggregateId: aggregate.id,
+        windowStart: aggregate.windowStart,
+        windowEnd: aggregate.windowEnd,
+        deviceId,
+        timestamp: reading.timestamp,
+        wh,
+      });
+    }
+
+    const { periodStart, periodEnd } = readingPeriod(reading);
+    const meter = getMeterContract();
+    const { job } = enqueueContractCall(
+      meter,
+      "recordVerifiedReading",
+      [deviceId, kwhMilli, periodStart, periodEnd],
+      {
+        kind: "record-reading",
+        // The signed nonce already makes every reading unique
+        idempotencyKey: `reading:${deviceId}:${reading.nonce}`,
+        meta: { deviceId, periodStart, periodEnd, kwhMilli },
+      }
+    );
+
+    return res.status(202).json({
+      ok: true,
+      jobId: job.id,
+      status: job.status,
+      deviceId,
+      periodStart,
+      periodEnd,
+      wh,
+      kwhMilli,
+    });
+  } catch (err) {
+    if (err instanceof ReadingError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error("record-reading error", { err });
+    return res.status(500).json({ error: "record-reading failed", details: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+// reconciler.js
+// Scheduled reconciliation of chain state against the server's submission
+// log (see reconciliation.js for the invariants).
+//
+// Runs every RECONCILE_INTERVAL_MS on the events of the local chain index,
+// with contract views read at the last indexed block, so both sides describe
+// the same block. The latest report and a short run history are kept in the
+// "reconciliation" store; a run with errors is logged loudly. The indexer
+// itself is cross-checked by `npx hardhat bcm reconcile`, which reads events
+// straight from RPC.
+
+const { deployment, getMeterContract, getTokenContract } = require("./server-wallet");
+const { createStore } = require("./store");
+const { queryEvents, getIndexerStatus } = require("./chain-indexer");
+const { listJobs, prunedThroughBlock } = require("./tx-outbox");
+const { SUBMISSION_KINDS, RECONCILE_EVENTS, reconcile } = require("./reconciliation");
+const { gauge } = require("./metrics");
+const { logger } = require("./logger");
+
+const INTERVAL_MS = Number(process.env.RECONCILE_INTERVAL_MS || 3_600_000);
+const HISTORY_SIZE = 48;
+
+const discrepancyGauge = gauge(
+  "bcm_reconciliation_discrepancies",
+  "Discrepancies in the latest reconciliation report, by severity",
+  ["severity"]
+);
+
+const store = createStore("reconciliation", { lastReport: null, runs: [] });
+
+let timer = null;
+let running = null;
+
+async function reconcileIndexed() {
+  const { startBlock, lastBlock } = await getIndexerStatus();
+  if (lastBlock === null) {
+    throw new Error("Chain index is empty: the indexer has not caught up yet");
+  }
+
+  // queryEvents is newest first
+  const events = queryEvents({ event: RECONCILE_EVENTS }).reverse();
+  const report = await reconcile({
+    meter: getMeterContract(),
+    token: getTokenContract(),
+    events,
+    jobs: listJobs(SUBMISSION_KINDS),
+    prunedThroughBlock: prunedThroughBlock(),
+    fromBlock: startBlock,
+    toBlock: lastBlock,
+    deployBlock: deployment.manifest ? deployment.manifest.deployBlock : null,
+  });
+
+  store.update((state) => {
+    state.lastReport = report;
+    state.runs.unshift({
+      at: report.generatedAt,
+      toBlock: report.toBlock,
+      ok: report.ok,
+      errors: report.summary.errors,
+      warnings: report.summary.warnings,
+    });
+    state.runs = state.runs.slice(0, HISTORY_SIZE);
+  });
+
+  discrepancyGauge.set({ severity: "error" }, report.summary.errors);
+  discrepancyGauge.set({ severity: "warning" }, report.summary.warnings);
+  if (!report.ok) {
+    logger.error("reconciliation found discrepancies", { errors: report.summary.errors, toBlock: report.toBlock });
+  }
+  return report;
+}
+
+/**
+ * Reconcile now. Concurrent callers share the run in progress.
+ */
+function runReconciliation() {
+  if (!running) {
+    running = reconcileIndexed().finally(() => {
+      running = null;
+    });
+  }
+  return running;
+}
+
+function getLastReport() {
+  return store.read().lastReport;
+}
+
+function listRuns() {
+  return store.read().runs;
+}
+
+function scheduledRun() {
+  runReconciliation().catch((err) => logger.error("reconciliation error", { err }));
+}
+
+/**
+ * Start the reconciliation loop (called once from index.js). The first run
+ * waits one interval, so the indexer has caught up.
+ */
+function startReconciler() {
+  if (timer) return;
+  timer = setInterval(scheduledRun, INTERVAL_MS);
+}
+
+function stopReconciler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  runReconciliation,
+  getLastReport,
+  listRuns,
+  startReconciler,
+  stopReconciler,
+};
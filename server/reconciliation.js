@@ -0,0 +1,348 @@
+// reconciliation.js
+// On-chain vs off-chain reconciliation: recomputes the accounting invariants
+// of CarbonSmartMeter / BaseCarbonToken from decoded events (event-log.js
+// records) and contract views, and checks them against the server's own
+// submission log (tx outbox jobs).
+//
+// Invariants (views read at `toBlock`, events summed from the deploy block):
+//  - wallet-energy   Σ EnergyRecorded.kwhMilli (wallet)   == totalKwhMilliByWallet
+//  - wallet-co2      Σ EnergyRecorded.co2MicroKg (wallet) == totalCo2MicroKgByWallet
+//  - wallet-minted   Σ TokensMinted.amount (wallet)       == (total - pending) BC,
+//                    i.e. floor((total - pending) / KWH_PER_TOKEN_MILLI) whole BC
+//                    plus the fractional BC of PendingSettled settlements
+//  - wallet-pending  pendingKwhMilli < KWH_PER_TOKEN_MILLI
+//  - device-energy   Σ EnergyRecorded since the device's last DeviceRegistered
+//                    == devices(id).totalKwhMilli / totalCo2MicroKg
+//  - token-supply    totalSupply == Σ TokensMinted - totalRetired
+//  - token-retired   totalRetired == Σ Retired.amount
+//  - submissions     every confirmed record-reading / quarantine-approve /
+//                    reading-batch job emitted exactly the EnergyRecorded
+//                    entries its calldata asked for; energy recorded by
+//                    transactions the server never sent is a warning
+//
+// Report: { ok, fromBlock, toBlock, summary, discrepancies: [{ severity,
+// check, subject, expected, actual, detail }] }, rendered as JSON or text.
+// Used by `npx hardhat bcm reconcile` (events from RPC) and the scheduled
+// server job in reconciler.js (events from the local index).
+//
+// No env or signer needed, so Hardhat tasks can use it too.
+
+const { ethers } = require("ethers");
+
+// Outbox job kinds that record energy
+const SUBMISSION_KINDS = ["record-reading", "quarantine-approve", "reading-batch"];
+
+// Events the invariants are computed from
+const RECONCILE_EVENTS = ["DeviceRegistered", "DeviceUnbound", "EnergyRecorded", "TokensMinted", "Retired"];
+
+const SEVERITY = {
+  ERROR: "error",
+  WARNING: "warning",
+};
+
+// Exit codes of the reconcile command, for alerting
+const EXIT = {
+  CLEAN: 0,
+  DISCREPANCIES: 1,
+  FAILED: 2,
+};
+
+const kwh = (kwhMilli) => ethers.formatUnits(kwhMilli, 3);
+
+function add(map, key, field, value) {
+  const entry = (map[key] = map[key] || {});
+  entry[field] = (entry[field] || 0n) + BigInt(value);
+}
+
+/**
+ * Energy items a submission job asked for: [{ deviceId, kwhMilli }] in
+ * calldata order (null if the calldata isn't a meter recording call).
+ */
+function submittedItems(meter, job) {
+  let call;
+  try {
+    call = meter.interface.parseTransaction({ data: job.data });
+  } catch (err) {
+    return null;
+  }
+  if (!call) return null;
+
+  if (call.name === "recordVerifiedReading") {
+    return [{ deviceId: call.args[0].toLowerCase(), kwhMilli: call.args[1].toString() }];
+  }
+  if (call.name === "recordVerifiedBatch") {
+    return call.args[0].map((deviceId, i) => ({
+      deviceId: deviceId.toLowerCase(),
+      kwhMilli: call.args[1][i].toString(),
+    }));
+  }
+  return null;
+}
+
+function describeItems(items) {
+  return items.map((item) => `${item.deviceId.slice(0, 10)}…:${item.kwhMilli}`).join(", ") || "none";
+}
+
+/**
+ * Compare confirmed submission jobs with the EnergyRecorded events of their
+ * transactions.
+ */
+function checkSubmissions({ meter, energy, jobs, prunedThroughBlock, fromBlock, toBlock, report }) {
+  const meterAddress = String(meter.target).toLowerCase();
+  const byTx = {};
+  for (const e of energy) {
+    (byTx[e.txHash] = byTx[e.txHash] || []).push(e);
+  }
+
+  const stats = { confirmed: 0, checked: 0, inFlight: 0, failed: 0, external: 0, pruned: 0 };
+  const sentTxs = new Set();
+
+  for (const job of jobs) {
+    if (!SUBMISSION_KINDS.includes(job.kind) || String(job.to).toLowerCase() !== meterAddress) continue;
+    if (job.status === "failed") {
+      stats.failed++;
+      continue;
+    }
+    if (job.status !== "confirmed") {
+      stats.inFlight++;
+      continue;
+    }
+
+    stats.confirmed++;
+    const txHash = job.txHash.toLowerCase();
+    sentTxs.add(txHash);
+    if (job.blockNumber < fromBlock || job.blockNumber > toBlock) continue;
+
+    stats.checked++;
+    const expected = submittedItems(meter, job) || [];
+    const actual = (byTx[txHash] || []).map((e) => ({ deviceId: e.args.deviceId, kwhMilli: e.args.kwhMilli }));
+    const matches =
+      expected.length === actual.length &&
+      expected.every((item, i) => item.deviceId === actual[i].deviceId && item.kwhMilli === actual[i].kwhMilli);
+
+    if (!matches) {
+      report(SEVERITY.ERROR, actual.length ? "submission-mismatch" : "submission-missing", `job ${job.id}`, {
+        expected: describeItems(expected),
+        actual: describeItems(actual),
+        detail: `${job.kind} confirmed in ${txHash} (block ${job.blockNumber})`,
+      });
+    }
+  }
+
+  for (const [txHash, events] of Object.entries(byTx)) {
+    if (sentTxs.has(txHash)) continue;
+    if (prunedThroughBlock !== null && events[0].blockNumber <= prunedThroughBlock) {
+      // Older than the outbox retention: the job that sent it may be pruned
+      stats.pruned++;
+      continue;
+    }
+    stats.external++;
+    const total = events.reduce((sum, e) => sum + BigInt(e.args.kwhMilli), 0n);
+    report(SEVERITY.WARNING, "submission-unknown", `tx ${txHash}`, {
+      expected: "a server outbox job",
+      actual: `${events.length} EnergyRecorded, ${kwh(total)} kWh`,
+      detail: `block ${events[0].blockNumber}: not sent by the server (e.g. bcm reading submit)`,
+    });
+  }
+
+  return stats;
+}
+
+/**
+ * Run every check.
+ *
+ *  - meter, token: ethers Contracts (read-only is enough)
+ *  - events:       decoded RECONCILE_EVENTS from fromBlock..toBlock (must
+ *                  start at or before the deploy block, or sums are partial)
+ *  - jobs:         tx outbox jobs (the server's submission log)
+ *  - prunedThroughBlock: newest block of a pruned outbox job; older txs
+ *                  cannot be told apart from external ones and are not flagged
+ *  - deployBlock:  manifest deploy block, to flag a partial scan
+ */
+async function reconcile({
+  meter,
+  token,
+  events,
+  jobs = [],
+  prunedThroughBlock = null,
+  fromBlock,
+  toBlock,
+  deployBlock = null,
+}) {
+  const discrepancies = [];
+  const report = (severity, check, subject, { expected, actual, detail = null }) =>
+    discrepancies.push({ severity, check, subject, expected: String(expected), actual: String(actual), detail });
+
+  if (deployBlock !== null && fromBlock > deployBlock) {
+    report(SEVERITY.WARNING, "partial-history", "events", {
+      expected: `scan from block ${deployBlock}`,
+      actual: `scan from block ${fromBlock}`,
+      detail: "sums miss the first blocks of the deployment; expect false errors",
+    });
+  }
+
+  const scoped = events.filter((e) => e.blockNumber >= fromBlock && e.blockNumber <= toBlock);
+  const overrides = { blockTag: toBlock };
+  const [decimals, kwhPerToken] = await Promise.all([
+    meter.TOKEN_DECIMALS(overrides),
+    meter.KWH_PER_TOKEN_MILLI(overrides),
+  ]);
+  const scale = 10n ** BigInt(decimals);
+
+  // Per wallet / per device sums
+  const wallets = {};
+  const devices = {};
+  let minted = 0n;
+  let retired = 0n;
+  for (const e of scoped) {
+    if (e.event === "EnergyRecorded") {
+      add(wallets, e.args.wallet, "kwhMilli", e.args.kwhMilli);
+      add(wallets, e.args.wallet, "co2MicroKg", e.args.co2MicroKg);
+      add(devices, e.args.deviceId, "kwhMilli", e.args.kwhMilli);
+      add(devices, e.args.deviceId, "co2MicroKg", e.args.co2MicroKg);
+    } else if (e.event === "TokensMinted") {
+      add(wallets, e.args.wallet, "minted", e.args.amount);
+      minted += BigInt(e.args.amount);
+    } else if (e.event === "Retired") {
+      retired += BigInt(e.args.amount);
+    } else if (e.event === "DeviceRegistered" || e.event === "DeviceUnbound") {
+      // A re-registered device starts again from zero totals
+      devices[e.args.deviceId] = { kwhMilli: 0n, co2MicroKg: 0n, unbound: e.event === "DeviceUnbound" };
+    }
+  }
+
+  for (const [wallet, sums] of Object.entries(wallets)) {
+    const [totalKwhMilli, totalCo2MicroKg, pending] = await meter.getWalletTotals(wallet, overrides);
+    const kwhMilli = sums.kwhMilli || 0n;
+    const co2MicroKg = sums.co2MicroKg || 0n;
+    const walletMinted = sums.minted || 0n;
+    const expectedMinted = ((totalKwhMilli - pending) * scale) / kwhPerToken;
+
+    if (kwhMilli !== totalKwhMilli) {
+      report(SEVERITY.ERROR, "wallet-energy", wallet, {
+        expected: `${kwh(kwhMilli)} kWh (Σ EnergyRecorded)`,
+        actual: `${kwh(totalKwhMilli)} kWh (totalKwhMilliByWallet)`,
+      });
+    }
+    if (co2MicroKg !== totalCo2MicroKg) {
+      report(SEVERITY.ERROR, "wallet-co2", wallet, {
+        expected: `${co2MicroKg} µkg (Σ EnergyRecorded)`,
+        actual: `${totalCo2MicroKg} µkg (totalCo2MicroKgByWallet)`,
+      });
+    }
+    if (walletMinted !== expectedMinted) {
+      report(SEVERITY.ERROR, "wallet-minted", wallet, {
+        expected: `${ethers.formatUnits(expectedMinted, decimals)} BC for ${kwh(totalKwhMilli - pending)} kWh`,
+        actual: `${ethers.formatUnits(walletMinted, decimals)} BC (Σ TokensMinted)`,
+      });
+    }
+    if (pending >= kwhPerToken) {
+      report(SEVERITY.ERROR, "wallet-pending", wallet, {
+        expected: `< ${kwh(kwhPerToken)} kWh`,
+        actual: `${kwh(pending)} kWh pending`,
+      });
+    }
+  }
+
+  for (const [deviceId, sums] of Object.entries(devices)) {
+    if (sums.unbound) continue; // record deleted by approveUnbind
+    const device = await meter.devices(deviceId, overrides);
+    if (device.deviceId === ethers.ZeroHash) continue;
+    if (sums.kwhMilli !== device.totalKwhMilli || sums.co2MicroKg !== device.totalCo2MicroKg) {
+      report(SEVERITY.ERROR, "device-energy", deviceId, {
+        expected: `${kwh(sums.kwhMilli)} kWh, ${sums.co2MicroKg} µkg (Σ EnergyRecorded)`,
+        actual: `${kwh(device.totalKwhMilli)} kWh, ${device.totalCo2MicroKg} µkg (devices())`,
+      });
+    }
+  }
+
+  const [totalSupply, totalRetired] = await Promise.all([token.totalSupply(overrides), token.totalRetired(overrides)]);
+  if (totalSupply !== minted - totalRetired) {
+    report(SEVERITY.ERROR, "token-supply", "BaseCarbonToken", {
+      expected: `${ethers.formatUnits(minted - totalRetired, decimals)} BC (Σ TokensMinted - totalRetired)`,
+      actual: `${ethers.formatUnits(totalSupply, decimals)} BC (totalSupply)`,
+      detail: "tokens minted outside the meter, or meter events missing",
+    });
+  }
+  if (totalRetired !== retired) {
+    report(SEVERITY.ERROR, "token-retired", "BaseCarbonToken", {
+      expected: `${ethers.formatUnits(retired, decimals)} BC (Σ Retired)`,
+      actual: `${ethers.formatUnits(totalRetired, decimals)} BC (totalRetired)`,
+    });
+  }
+
+  const energy = scoped.filter((e) => e.event === "EnergyRecorded");
+  const submissions = checkSubmissions({ meter, energy, jobs, prunedThroughBlock, fromBlock, toBlock, report });
+
+  const errors = discrepancies.filter((d) => d.severity === SEVERITY.ERROR).length;
+  return {
+    ok: errors === 0,
+    generatedAt: new Date().toISOString(),
+    fromBlock,
+    toBlock,
+    summary: {
+      wallets: Object.keys(wallets).length,
+      devices: Object.keys(devices).length,
+      readings: energy.length,
+      kwhMilli: energy.reduce((sum, e) => sum + BigInt(e.args.kwhMilli), 0n).toString(),
+      minted: minted.toString(),
+      retired: totalRetired.toString(),
+      totalSupply: totalSupply.toString(),
+      decimals: Number(decimals),
+      submissions,
+      errors,
+      warnings: discrepancies.length - errors,
+    },
+    discrepancies,
+  };
+}
+
+/**
+ * 0 clean, 1 discrepancies (warnings too in strict mode). Runs that throw
+ * exit with EXIT.FAILED.
+ */
+function reportExitCode(report, { strict = false } = {}) {
+  const failing = report.summary.errors + (strict ? report.summary.warnings : 0);
+  return failing ? EXIT.DISCREPANCIES : EXIT.CLEAN;
+}
+
+/**
+ * Human-readable report.
+ */
+function reportToText(report) {
+  const { summary } = report;
+  const bc = (wei) => ethers.formatUnits(wei, summary.decimals);
+  const lines = [
+    `Reconciliation of blocks ${report.fromBlock}..${report.toBlock} (${report.generatedAt})`,
+    `  wallets ${summary.wallets}, devices ${summary.devices}, readings ${summary.readings} (${kwh(summary.kwhMilli)} kWh)`,
+    `  minted ${bc(summary.minted)} BC, retired ${bc(summary.retired)} BC, supply ${bc(summary.totalSupply)} BC`,
+    `  submissions: ${summary.submissions.checked} checked, ${summary.submissions.inFlight} in flight, ` +
+      `${summary.submissions.failed} failed, ${summary.submissions.external} external txs` +
+      (summary.submissions.pruned ? `, ${summary.submissions.pruned} older than the outbox retention` : ""),
+    "",
+  ];
+
+  for (const d of report.discrepancies) {
+    lines.push(`${d.severity === SEVERITY.ERROR ? "ERROR  " : "WARNING"} ${d.check}  ${d.subject}`);
+    lines.push(`        expected ${d.expected}`);
+    lines.push(`        actual   ${d.actual}`);
+    if (d.detail) lines.push(`        ${d.detail}`);
+  }
+
+  lines.push(
+    report.discrepancies.length
+      ? `${summary.errors} error(s), ${summary.warnings} warning(s)`
+      : "No discrepancies: minting matches metered energy"
+  );
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  SUBMISSION_KINDS,
+  RECONCILE_EVENTS,
+  SEVERITY,
+  EXIT,
+  reconcile,
+  reportExitCode,
+  reportToText,
+};
@@ -0,0 +1,29 @@
+// regions.js
+// Region codes ("NZ", "EU", "LATAM", ...) are stored on-chain as bytes32.
+// bytes32(0) means "no region" → global fallback factor (location privacy).
+
+const { ethers } = require("ethers");
+
+const REGION_REGEX = /^[A-Za-z_]{2,16}$/;
+
+/**
+ * "nz" -> bytes32("NZ"). Empty / missing region maps to bytes32(0).
+ */
+function encodeRegion(region) {
+  if (region === undefined || region === null || region === "") {
+    return ethers.ZeroHash;
+  }
+  if (typeof region !== "string" || !REGION_REGEX.test(region)) {
+    throw new Error("region must be a short region code, e.g. NZ");
+  }
+  return ethers.encodeBytes32String(region.toUpperCase());
+}
+
+function decodeRegion(regionBytes) {
+  return regionBytes === ethers.ZeroHash ? null : ethers.decodeBytes32String(regionBytes);
+}
+
+module.exports = {
+  encodeRegion,
+  decodeRegion,
+};
@@ -0,0 +1,611 @@
+// relayer.js
+// Gas sponsorship for wallets without ETH (CDP embedded wallets): the wallet
+// signs EIP-712 typed data, the server checks it and submits it from the
+// server wallet through the tx outbox.
+//
+// Relayed actions:
+//  - permit   BaseCarbonToken.permit (EIP-2612), approving the marketplace only
+//  - list     CarbonMarketplace.createListingBySig (+ an optional permit, so a
+//             first listing needs no approve tx)
+//  - cancel   cancelListingBySig
+//  - accept   acceptOfferBySig
+//
+// GET /relay/typed-data/:action builds the payload to sign (current nonce,
+// deadline); POST /relay/:action submits it. The signature is the
+// authentication: only the signer's own action can be relayed, once.
+//
+// Sponsorship checks, persisted in the "relayer" store so restarts don't
+// reset them:
+//  - eligibility: the signer is the wallet of a device on CarbonSmartMeter
+//  - one relay per wallet in flight (intent nonces are used in order)
+//  - RELAY_WALLET_DAILY_LIMIT relays per wallet per UTC day
+//  - RELAY_DAILY_BUDGET_ETH of gas per UTC day in total (reserved at the
+//    estimate, settled at gasUsed × maxFeePerGas)
+// Relays whose txs were never mined give their quota back.
+
+const crypto = require("crypto");
+const express = require("express");
+const { ethers } = require("ethers");
+const {
+  provider,
+  serverWallet,
+  getTokenContract,
+  getMeterContract,
+  getMarketplaceContract,
+} = require("./server-wallet");
+const { STATUS, enqueueContractCall, onTxSettled } = require("./tx-outbox");
+const { BC_DECIMALS } = require("./marketplace-book");
+const { ETH, paymentTokenInfo } = require("./erc20");
+const { committedBC } = require("./marketplace-tx");
+const { createStore } = require("./store");
+const { gauge, collect } = require("./metrics");
+const { logger } = require("./logger");
+
+const WALLET_DAILY_LIMIT = Number(process.env.RELAY_WALLET_DAILY_LIMIT || 10);
+const DAILY_BUDGET = ethers.parseEther(process.env.RELAY_DAILY_BUDGET_ETH || "0.05");
+const INTENT_TTL_SECONDS = Number(process.env.RELAY_INTENT_TTL_SECONDS || 900);
+const MIN_DEADLINE_SECONDS = 60; // time left for the outbox to get the tx mined
+
+const router = express.Router();
+
+const store = createStore("relayer", {
+  days: {},   // "2025-01-31" → { spent (wei), relays, wallets: { wallet → relays } }
+  relays: {}, // relayId → { wallet, action, day, reserved, cost, status, jobs: { jobId → settled | null }, ... }
+});
+
+const relaySpentGauge = gauge("bcm_relay_spent_eth", "Gas reserved / spent by the relayer today (UTC)");
+const relaysGauge = gauge("bcm_relays", "Relayed actions today (UTC)");
+
+collect(() => {
+  const today = store.read().days[utcDay()] || { spent: "0", relays: 0 };
+  relaySpentGauge.set({}, ethers.formatEther(today.spent));
+  relaysGauge.set({}, today.relays);
+});
+
+const RELAY_STATUS = {
+  PENDING: "pending",
+  CONFIRMED: "confirmed",
+  FAILED: "failed",
+};
+
+const uint = (name) => ({ name, type: "uint256" });
+const address = (name) => ({ name, type: "address" });
+
+// Typed data per action (must match the *_TYPEHASH constants of the contracts)
+const ACTIONS = {
+  permit: {
+    primaryType: "Permit",
+    fields: [address("owner"), address("spender"), uint("value"), uint("nonce"), uint("deadline")],
+    signerField: "owner",
+    contract: getTokenContract,
+    domainName: "BaseCarbon",
+    method: "permit",
+    args: (m, signature) => {
+      const { v, r, s } = ethers.Signature.from(signature);
+      return [m.owner, m.spender, m.value, m.deadline, v, r, s];
+    },
+  },
+  list: {
+    primaryType: "CreateListing",
+    fields: [address("seller"), address("paymentToken"), uint("amountBC"), uint("price"), uint("nonce"), uint("deadline")],
+    signerField: "seller",
+    contract: getMarketplaceContract,
+    domainName: "CarbonMarketplace",
+    method: "createListingBySig",
+    args: (m, signature) => [m.seller, m.amountBC, m.paymentToken, m.price, m.deadline, signature],
+  },
+  cancel: {
+    primaryType: "CancelListing",
+    fields: [address("seller"), uint("listingId"), uint("nonce"), uint("deadline")],
+    signerField: "seller",
+    contract: getMarketplaceContract,
+    domainName: "CarbonMarketplace",
+    method: "cancelListingBySig",
+    args: (m, signature) => [m.seller, m.listingId, m.deadline, signature],
+  },
+  accept: {
+    primaryType: "AcceptOffer",
+    fields: [address("seller"), uint("offerId"), uint("nonce"), uint("deadline")],
+    signerField: "seller",
+    contract: getMarketplaceContract,
+    domainName: "CarbonMarketplace",
+    method: "acceptOfferBySig",
+    args: (m, signature) => [m.seller, m.offerId, m.deadline, signature],
+  },
+};
+
+/**
+ * Error carrying the HTTP status the route should answer with.
+ */
+class RelayError extends Error {
+  constructor(message, status = 400, details) {
+    super(message);
+    this.name = "RelayError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function utcDay(ms = Date.now()) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function nextUtcMidnight(ms = Date.now()) {
+  const date = new Date(ms);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+async function domainFor(spec) {
+  const { chainId } = await provider.getNetwork();
+  return {
+    name: spec.domainName,
+    version: "1",
+    chainId,
+    verifyingContract: await spec.contract().getAddress(),
+  };
+}
+
+/**
+ * { domain, types, primaryType, message } as wallets sign it
+ * (eth_signTypedData_v4); numbers as decimal strings.
+ */
+async function typedData(spec, message) {
+  const domain = await domainFor(spec);
+  return {
+    domain: { ...domain, chainId: domain.chainId.toString() },
+    types: { [spec.primaryType]: spec.fields },
+    primaryType: spec.primaryType,
+    message: Object.fromEntries(Object.entries(message).map(([key, value]) => [key, value.toString()])),
+  };
+}
+
+async function currentNonce(spec, wallet) {
+  return spec.contract().nonces(wallet);
+}
+
+/**
+ * Parse a posted message against the action's fields (addresses checksummed,
+ * uint256 as bigint).
+ */
+function parseMessage(spec, raw) {
+  if (!raw || typeof raw !== "object") {
+    throw new RelayError(`message must be the signed ${spec.primaryType} object`);
+  }
+  const message = {};
+  for (const { name, type } of spec.fields) {
+    const value = raw[name];
+    if (type === "address") {
+      if (typeof value !== "string" || !ethers.isAddress(value)) {
+        throw new RelayError(`message.${name} must be an address`);
+      }
+      message[name] = ethers.getAddress(value);
+    } else {
+      if (!/^\d+$/.test(String(value))) {
+        throw new RelayError(`message.${name} must be a non-negative integer`);
+      }
+      message[name] = BigInt(value);
+    }
+  }
+  return message;
+}
+
+/**
+ * Check one signed payload: signature by the named wallet, deadline far
+ * enough out, nonce the contract expects next, and (permit) that it only
+ * approves the marketplace. Returns the contract call to relay.
+ */
+async function checkSigned(action, body) {
+  const spec = ACTIONS[action];
+  const { message: raw, signature } = body || {};
+  const message = parseMessage(spec, raw);
+  const wallet = message[spec.signerField];
+
+  let signer;
+  try {
+    signer = ethers.verifyTypedData(await domainFor(spec), { [spec.primaryType]: spec.fields }, message, signature);
+  } catch (err) {
+    throw new RelayError("signature must be a 65-byte hex EIP-712 signature");
+  }
+  if (signer !== wallet) {
+    throw new RelayError(`Signature is not from ${spec.signerField} ${wallet}`, 401);
+  }
+
+  const { timestamp } = await provider.getBlock("latest");
+  if (message.deadline < BigInt(timestamp + MIN_DEADLINE_SECONDS)) {
+    throw new RelayError("Deadline passed or too close: sign a fresh payload", 409);
+  }
+
+  const nonce = await currentNonce(spec, wallet);
+  if (message.nonce !== nonce) {
+    throw new RelayError(`Stale nonce: the contract expects ${nonce}`, 409);
+  }
+
+  if (action === "permit" && message.spender !== (await getMarketplaceContract().getAddress())) {
+    throw new RelayError("Only approvals of the marketplace are sponsored");
+  }
+
+  return { spec, wallet, message, contract: spec.contract(), method: spec.method, args: spec.args(message, signature) };
+}
+
+/**
+ * Run the call from the server wallet without sending it: a payload that
+ * would revert (not the seller, listing closed, no allowance...) costs
+ * nothing. Returns its gas estimate.
+ */
+async function preflight({ contract, method, args }) {
+  try {
+    await contract[method].staticCall(...args);
+    return await contract[method].estimateGas(...args);
+  } catch (err) {
+    if (err.code === "CALL_EXCEPTION") {
+      throw new RelayError(`Would revert: ${err.reason || err.shortMessage}`, 409);
+    }
+    throw err;
+  }
+}
+
+async function checkEligible(wallet) {
+  if ((await getMeterContract().getWalletDeviceCount(wallet)) === 0n) {
+    throw new RelayError("Gas is sponsored for wallets of registered meters only: no device is bound to this wallet", 403);
+  }
+}
+
+function pendingRelay(state, wallet) {
+  return Object.entries(state.relays).find(
+    ([, relay]) => relay.wallet === wallet && relay.status === RELAY_STATUS.PENDING
+  );
+}
+
+/**
+ * Check the wallet's in-flight relay, its daily limit and the daily budget,
+ * and record the relay in one store update (no two requests both pass).
+ */
+function reserveRelay({ wallet, action, cost }) {
+  return store.update((state) => {
+    const now = Date.now();
+    const inFlight = pendingRelay(state, wallet);
+    if (inFlight) {
+      throw new RelayError("A relayed action of this wallet is still pending", 409, { relayId: inFlight[0] });
+    }
+
+    const day = utcDay(now);
+    const today = state.days[day] || { spent: "0", relays: 0, wallets: {} };
+    const resetAt = new Date(nextUtcMidnight(now)).toISOString();
+    if ((today.wallets[wallet] || 0) >= WALLET_DAILY_LIMIT) {
+      throw new RelayError("Daily sponsored actions of this wallet used up", 429, { retryAt: resetAt });
+    }
+    if (BigInt(today.spent) + cost > DAILY_BUDGET) {
+      throw new RelayError("Daily gas sponsorship budget spent", 429, { retryAt: resetAt });
+    }
+
+    const id = crypto.randomUUID();
+    today.spent = (BigInt(today.spent) + cost).toString();
+    today.relays += 1;
+    today.wallets[wallet] = (today.wallets[wallet] || 0) + 1;
+    state.days[day] = today;
+    state.relays[id] = {
+      wallet,
+      action,
+      day,
+      reserved: cost.toString(),
+      cost: null,
+      status: RELAY_STATUS.PENDING,
+      jobs: {},
+      createdAt: now,
+      settledAt: null,
+    };
+    return id;
+  });
+}
+
+/**
+ * Give a relay's quota + budget back: none of its txs were queued.
+ */
+function releaseRelay(relayId, error) {
+  store.update((state) => {
+    const relay = state.relays[relayId];
+    if (!relay || relay.status !== RELAY_STATUS.PENDING) return;
+
+    const day = state.days[relay.day];
+    relay.status = RELAY_STATUS.FAILED;
+    relay.cost = "0";
+    relay.error = error;
+    relay.settledAt = Date.now();
+    day.spent = (BigInt(day.spent) - BigInt(relay.reserved)).toString();
+    day.relays -= 1;
+    day.wallets[relay.wallet] -= 1;
+  });
+}
+
+/**
+ * A relay's jobs settled: book what the mined txs cost (upper bound
+ * gasUsed × maxFeePerGas) instead of the estimate; nothing mined → the
+ * wallet's quota is given back.
+ */
+function settleRelay(state, relay) {
+  const jobs = Object.values(relay.jobs);
+  const cost = jobs.reduce((sum, job) => sum + BigInt(job.cost), 0n);
+  const day = state.days[relay.day];
+
+  relay.status =
+    !relay.error && jobs.every((job) => job.status === STATUS.CONFIRMED) ? RELAY_STATUS.CONFIRMED : RELAY_STATUS.FAILED;
+  relay.cost = cost.toString();
+  relay.settledAt = Date.now();
+  day.spent = (BigInt(day.spent) - BigInt(relay.reserved) + cost).toString();
+  if (cost === 0n) {
+    day.relays -= 1;
+    day.wallets[relay.wallet] -= 1;
+  }
+}
+
+onTxSettled("relay", (job) => {
+  store.update((state) => {
+    const relay = state.relays[job.meta.relayId];
+    if (!relay || relay.jobs[job.id] !== null) return;
+
+    relay.jobs[job.id] = {
+      status: job.status,
+      txHash: job.txHash,
+      cost: job.gasUsed ? (BigInt(job.gasUsed) * BigInt(job.maxFeePerGas)).toString() : "0",
+      error: job.error,
+    };
+    if (Object.values(relay.jobs).every((settled) => settled !== null)) {
+      settleRelay(state, relay);
+    }
+  });
+});
+
+function toRelayView(id, relay) {
+  return {
+    relayId: id,
+    wallet: relay.wallet,
+    action: relay.action,
+    status: relay.status,
+    jobs: Object.entries(relay.jobs).map(([jobId, settled]) => ({ jobId, ...(settled || { status: "pending" }) })),
+    reservedWei: relay.reserved,
+    costWei: relay.cost,
+    error: relay.error || null,
+    createdAt: new Date(relay.createdAt).toISOString(),
+    settledAt: relay.settledAt ? new Date(relay.settledAt).toISOString() : null,
+  };
+}
+
+function parseAmount(value, decimals, field) {
+  try {
+    return ethers.parseUnits(String(value), decimals);
+  } catch (err) {
+    throw new RelayError(`${field} must be a decimal number`);
+  }
+}
+
+function checkWallet(wallet) {
+  if (!wallet || !ethers.isAddress(wallet)) {
+    throw new RelayError("wallet must be an address");
+  }
+  return ethers.getAddress(wallet);
+}
+
+/**
+ * Permit typed data approving the marketplace for everything the seller's
+ * active listings (plus `extra` BC) need, or null if the allowance covers it.
+ */
+async function permitFor(wallet, extra, deadline) {
+  const marketplace = await getMarketplaceContract().getAddress();
+  const value = committedBC(wallet) + extra;
+  if ((await getTokenContract().allowance(wallet, marketplace)) >= value) {
+    return null;
+  }
+  const spec = ACTIONS.permit;
+  return typedData(spec, {
+    owner: wallet,
+    spender: marketplace,
+    value,
+    nonce: await currentNonce(spec, wallet),
+    deadline,
+  });
+}
+
+/**
+ * GET /relay/typed-data/:action?wallet=0x...&...
+ *   permit:  &amountBC=        (on top of what active listings need)
+ *   list:    &amountBC=&price=&paymentToken=   (human units, ETH when omitted)
+ *   cancel:  &listingId=
+ *   accept:  &offerId=
+ * → { typedData, permit? } to sign with eth_signTypedData_v4, then POST
+ * /relay/:action { message: typedData.message, signature, permit? }.
+ * list adds a permit payload when the marketplace's BC allowance is short.
+ */
+router.get("/relay/typed-data/:action", async (req, res) => {
+  const spec = Object.hasOwn(ACTIONS, req.params.action) ? ACTIONS[req.params.action] : null;
+  if (!spec) {
+    return res.status(404).json({ error: `Unknown relay action: ${req.params.action}` });
+  }
+
+  try {
+    const { action } = req.params;
+    const wallet = checkWallet(req.query.wallet);
+    const { timestamp } = await provider.getBlock("latest");
+    const deadline = BigInt(timestamp + INTENT_TTL_SECONDS);
+    const amountBC = req.query.amountBC === undefined ? 0n : parseAmount(req.query.amountBC, BC_DECIMALS, "amountBC");
+
+    if (action === "permit") {
+      const permit = await permitFor(wallet, amountBC, deadline);
+      if (!permit) {
+        throw new RelayError("The marketplace allowance already covers this", 409);
+      }
+      return res.json({ ok: true, typedData: permit });
+    }
+
+    const message = { seller: wallet };
+    if (action === "list") {
+      const paymentToken = req.query.paymentToken || ETH;
+      if (!ethers.isAddress(paymentToken)) {
+        throw new RelayError("paymentToken must be an address (omit for ETH)");
+      }
+      const info = await paymentTokenInfo(paymentToken, provider).catch(() => {
+        throw new RelayError("paymentToken is not an ERC-20 token");
+      });
+      if (amountBC <= 0n) {
+        throw new RelayError("amountBC must be > 0");
+      }
+      Object.assign(message, {
+        paymentToken: info.address,
+        amountBC,
+        price: parseAmount(req.query.price, info.decimals, "price"),
+      });
+    } else {
+      const idField = action === "cancel" ? "listingId" : "offerId";
+      if (!/^\d+$/.test(String(req.query[idField]))) {
+        throw new RelayError(`${idField} must be a positive integer`);
+      }
+      message[idField] = BigInt(req.query[idField]);
+    }
+    message.nonce = await currentNonce(spec, wallet);
+    message.deadline = deadline;
+
+    // Field order of the type (some wallets display it as given)
+    const ordered = Object.fromEntries(spec.fields.map(({ name }) => [name, message[name]]));
+    return res.json({
+      ok: true,
+      typedData: await typedData(spec, ordered),
+      permit: action === "list" ? await permitFor(wallet, amountBC, deadline) : undefined,
+    });
+  } catch (err) {
+    if (err instanceof RelayError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    logger.error("relay typed-data error", { err });
+    return res.status(500).json({ error: "Building typed data failed", details: err.message });
+  }
+});
+
+/**
+ * POST /relay/permit | list | cancel | accept
+ * body: { message, signature, permit?: { message, signature } (list only) }
+ *
+ * Checks the signed payload(s), the sponsorship quota, and that the call
+ * would succeed now; then queues it from the server wallet.
+ * → 202 { relayId, jobIds }; poll GET /relay/status/:relayId.
+ */
+router.post("/relay/:action", async (req, res) => {
+  const { action } = req.params;
+  if (!Object.hasOwn(ACTIONS, action)) {
+    return res.status(404).json({ error: `Unknown relay action: ${action}` });
+  }
+
+  try {
+    const calls = [];
+    if (action === "list" && req.body && req.body.permit) {
+      calls.push(await checkSigned("permit", req.body.permit));
+    }
+    calls.push(await checkSigned(action, req.body));
+
+    const { wallet } = calls[calls.length - 1];
+    if (calls.some((call) => call.wallet !== wallet)) {
+      throw new RelayError("permit must be signed by the seller");
+    }
+    await checkEligible(wallet);
+
+    const feeData = await provider.getFeeData();
+    let cost = 0n;
+    for (const call of calls) {
+      cost += (await preflight(call)) * feeData.maxFeePerGas;
+    }
+
+    const relayId = reserveRelay({ wallet: wallet.toLowerCase(), action, cost });
+    const jobIds = [];
+    let enqueueError = null;
+    try {
+      for (const call of calls) {
+        const { job } = enqueueContractCall(call.contract, call.method, call.args, {
+          kind: "relay",
+          meta: { relayId, wallet: wallet.toLowerCase(), action: call.spec.primaryType },
+        });
+        jobIds.push(job.id);
+      }
+    } catch (err) {
+      enqueueError = err;
+    }
+    if (jobIds.length === 0) {
+      releaseRelay(relayId, enqueueError.message);
+      throw enqueueError;
+    }
+    // A permit queued without its listing still settles (and is paid for),
+    // but the relay ends up failed
+    store.update((state) => {
+      const relay = state.relays[relayId];
+      for (const jobId of jobIds) {
+        relay.jobs[jobId] = null;
+      }
+      if (enqueueError) relay.error = enqueueError.message;
+    });
+    if (enqueueError) throw enqueueError;
+
+    return res.status(202).json({
+      ok: true,
+      relayId,
+      jobIds,
+      wallet: wallet.toLowerCase(),
+      relayer: serverWallet.address,
+      reservedWei: cost.toString(),
+    });
+  } catch (err) {
+    if (err instanceof RelayError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    logger.error("relay error", { action, err });
+    return res.status(500).json({ error: "Relay failed", details: err.message });
+  }
+});
+
+/**
+ * GET /relay/status/:relayId
+ * pending -> confirmed | failed, with each job's tx hash once mined.
+ */
+router.get("/relay/status/:relayId", (req, res) => {
+  const relay = store.read().relays[req.params.relayId];
+  if (!relay) {
+    return res.status(404).json({ error: "Relay not found" });
+  }
+  return res.json({ ok: true, relay: toRelayView(req.params.relayId, relay) });
+});
+
+/**
+ * GET /relay/quota/:wallet
+ * Eligibility, sponsored actions left today and the shared daily budget.
+ */
+router.get("/relay/quota/:wallet", async (req, res) => {
+  if (!ethers.isAddress(req.params.wallet)) {
+    return res.status(400).json({ error: "Invalid wallet address" });
+  }
+
+  try {
+    const wallet = req.params.wallet.toLowerCase();
+    const state = store.read();
+    const today = state.days[utcDay()] || { spent: "0", relays: 0, wallets: {} };
+    const used = today.wallets[wallet] || 0;
+    const inFlight = pendingRelay(state, wallet);
+    const remaining = DAILY_BUDGET - BigInt(today.spent);
+
+    return res.json({
+      ok: true,
+      wallet,
+      eligible: (await getMeterContract().getWalletDeviceCount(wallet)) > 0n,
+      usedToday: used,
+      dailyLimit: WALLET_DAILY_LIMIT,
+      remainingToday: Math.max(WALLET_DAILY_LIMIT - used, 0),
+      pendingRelayId: inFlight ? inFlight[0] : null,
+      budget: {
+        daily: ethers.formatEther(DAILY_BUDGET),
+        spentToday: ethers.formatEther(today.spent),
+        remainingToday: ethers.formatEther(remaining > 0n ? remaining : 0n),
+      },
+      resetsAt: new Date(nextUtcMidnight()).toISOString(),
+    });
+  } catch (err) {
+    logger.error("relay quota error", { err });
+    return res.status(500).json({ error: "Relay quota failed", details: err.message });
+  }
+});
+
+module.exports = router;
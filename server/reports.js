@@ -0,0 +1,83 @@
+// reports.js
+// MRV reports for producers to hand to auditors (see mrv-report.js).
+
+const express = require("express");
+const { ethers } = require("ethers");
+const { addresses, getMeterContract } = require("./server-wallet");
+const { queryEvents } = require("./chain-indexer");
+const { parseReportTime, buildMrvReport, reportToCsv, reportToHtml } = require("./mrv-report");
+const { requireOwner } = require("./access-control");
+const { logger } = require("./logger");
+
+const router = express.Router();
+
+const FORMATS = ["json", "csv", "html"];
+
+const reportOwner = requireOwner((req) => ({ wallet: req.query.wallet, deviceId: req.query.deviceId }));
+
+/**
+ * GET /reports/mrv?wallet=0x...|deviceId=0x...&from=2025-01-01&to=2025-02-01&format=json|csv|html
+ *
+ * from / to: ISO dates or unix seconds (block time, `to` exclusive).
+ * Built from the local event index, so it is as fresh as GET /indexer/status.
+ * Operators, or the wallet itself / the wallet the device is bound to.
+ */
+router.get("/reports/mrv", reportOwner, async (req, res) => {
+  const { wallet, deviceId, from, to, format = "json" } = req.query;
+
+  if (!wallet === !deviceId) {
+    return res.status(400).json({ error: "Pass either wallet or deviceId" });
+  }
+  if (wallet && !ethers.isAddress(wallet)) {
+    return res.status(400).json({ error: "Invalid wallet address" });
+  }
+  if (deviceId && !/^0x[0-9a-fA-F]{64}$/.test(deviceId)) {
+    return res.status(400).json({ error: "deviceId must be 32-byte hex string" });
+  }
+  if (!from || !to) {
+    return res.status(400).json({ error: "from and to are required" });
+  }
+  if (!FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of ${FORMATS.join(", ")}` });
+  }
+
+  let range;
+  try {
+    range = { from: parseReportTime(from), to: parseReportTime(to) };
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (range.from >= range.to) {
+    return res.status(400).json({ error: "from must be before to" });
+  }
+
+  let report;
+  try {
+    report = await buildMrvReport({
+      meter: getMeterContract(),
+      events: queryEvents(),
+      wallet,
+      deviceId,
+      marketplaceAddress: addresses.marketplace,
+      ...range,
+    });
+  } catch (err) {
+    if (err.reason === "Not registered") {
+      return res.status(404).json({ error: "Device not registered" });
+    }
+    logger.error("mrv report error", { err });
+    return res.status(500).json({ error: "MRV report failed", details: err.message });
+  }
+
+  const name = `mrv-${(wallet || deviceId).slice(0, 10)}-${from}-${to}`.replace(/[^\w-]/g, "");
+  if (format === "csv") {
+    res.attachment(`${name}.csv`);
+    return res.type("text/csv").send(reportToCsv(report));
+  }
+  if (format === "html") {
+    return res.type("html").send(reportToHtml(report));
+  }
+  return res.json({ ok: true, report });
+});
+
+module.exports = router;
@@ -0,0 +1,378 @@
+// retirement-certificate.js
+// Retirement certificates: proof that BC was retired (burned) for a
+// beneficiary, traced back to the verified energy that produced it.
+//
+// BC is fungible, so provenance follows the indexed flows first-in-first-out:
+//  - an account's BC comes in as lots: its own mints (TokensMinted) and
+//    marketplace purchases (95% of the amount, the rest is the protocol fee)
+//  - it goes out in order: marketplace sales and retirements
+//  - a purchased lot traces into the seller's sale, and so on until mints
+//  - a producer's n-th minted BC is its energy from n × 2.5 kWh on (pending
+//    kWh carries over between readings), which pins every minted range to
+//    the EnergyRecorded entries it came from.
+// Plain ERC-20 transfers aren't indexed: BC that can't be traced through
+// mints and marketplace fills is reported as untraced.
+
+const { ethers } = require("ethers");
+const { decodeRegion } = require("./regions");
+const { escapeHtml, htmlTable } = require("./mrv-report");
+
+const MARKETPLACE_FEE_PERCENT = 5n; // CarbonMarketplace: 95% BC to buyer, 5% to treasury
+
+const isoTime = (seconds) => new Date(Number(seconds) * 1000).toISOString();
+const kwh = (kwhMilli) => ethers.formatUnits(kwhMilli, 3);
+const kg = (microKg) => ethers.formatUnits(microKg, 6);
+
+/**
+ * Retired event → plain retirement record.
+ */
+function retirementRecord(e) {
+  return {
+    retirementId: e.args.retirementId,
+    account: e.args.account,
+    beneficiary: e.args.beneficiary,
+    beneficiaryName: e.args.beneficiaryName,
+    reason: e.args.reason,
+    amountRaw: e.args.amount,
+    bc: ethers.formatUnits(e.args.amount, 18),
+    periodStart: isoTime(e.args.periodStart),
+    periodEnd: isoTime(e.args.periodEnd),
+    retiredAt: isoTime(e.timestamp),
+    blockNumber: e.blockNumber,
+    txHash: e.txHash,
+    logIndex: e.logIndex,
+  };
+}
+
+/**
+ * Marketplace fills as { id, seller, buyer, gross, received }.
+ */
+function marketplaceSales(events) {
+  const sellers = new Map();
+  const offers = new Map();
+  const sales = new Map();
+  for (const e of events) {
+    if (e.event === "ListingCreated") sellers.set(e.args.listingId, e.args.seller);
+    if (e.event === "OfferMade") offers.set(e.args.offerId, e.args.amountBC);
+
+    let sale = null;
+    if (e.event === "ListingPurchased") {
+      sale = { seller: sellers.get(e.args.listingId), buyer: e.args.buyer, gross: BigInt(e.args.amountBC) };
+    } else if (e.event === "OfferAccepted" && offers.has(e.args.offerId)) {
+      sale = { seller: e.args.seller, buyer: e.args.buyer, gross: BigInt(offers.get(e.args.offerId)) };
+    }
+    if (sale && sale.seller) {
+      const fee = (sale.gross * MARKETPLACE_FEE_PERCENT) / 100n;
+      sales.set(e.id, { id: e.id, ...sale, received: sale.gross - fee });
+    }
+  }
+  return sales;
+}
+
+/**
+ * FIFO ledgers of every account that minted, traded or retired BC:
+ * account → Map(outflow id → { amount, segments: [{ lot, from, to }] }).
+ * Segments are ranges of the account's lots, in the order they were used;
+ * whatever the lots couldn't cover is untraced.
+ */
+function buildLedgers(events, sales) {
+  const ledgers = new Map();
+  const mintedSoFar = new Map();
+  const ledger = (account) => {
+    if (!ledgers.has(account)) ledgers.set(account, { lots: [], outflows: new Map() });
+    return ledgers.get(account);
+  };
+
+  const spend = (account, id, amount) => {
+    const { lots, outflows } = ledger(account);
+    const segments = [];
+    let left = amount;
+    for (const lot of lots) {
+      if (left === 0n) break;
+      const available = lot.amount - lot.used;
+      if (available === 0n) continue;
+      const take = available < left ? available : left;
+      segments.push({ lot, from: lot.used, to: lot.used + take });
+      lot.used += take;
+      left -= take;
+    }
+    outflows.set(id, { amount, segments });
+  };
+
+  for (const e of events) {
+    if (e.event === "TokensMinted") {
+      const amount = BigInt(e.args.amount);
+      const offset = mintedSoFar.get(e.args.wallet) || 0n;
+      mintedSoFar.set(e.args.wallet, offset + amount);
+      ledger(e.args.wallet).lots.push({ kind: "mint", wallet: e.args.wallet, txHash: e.txHash, offset, amount, used: 0n });
+    } else if (sales.has(e.id)) {
+      const sale = sales.get(e.id);
+      spend(sale.seller, sale.id, sale.gross);
+      ledger(sale.buyer).lots.push({ kind: "purchase", sale, amount: sale.received, used: 0n });
+    } else if (e.event === "Retired") {
+      spend(e.args.account, e.id, BigInt(e.args.amount));
+    }
+  }
+  return ledgers;
+}
+
+/**
+ * Origins of [from, to) of an outflow: minted ranges of producers
+ * ({ wallet, from, to, txHash } in the producer's minted-BC stream) plus the
+ * untraced amount.
+ */
+function traceOutflow(ledgers, account, outflowId, from, to) {
+  const result = { origins: [], untraced: 0n };
+  const outflow = ledgers.get(account).outflows.get(outflowId);
+
+  let position = 0n;
+  for (const segment of outflow.segments) {
+    const length = segment.to - segment.from;
+    const start = from > position ? from : position;
+    const end = to < position + length ? to : position + length;
+    if (start < end) {
+      const lotFrom = segment.from + (start - position);
+      const lotTo = segment.from + (end - position);
+      const traced = traceLot(ledgers, segment.lot, lotFrom, lotTo);
+      result.origins.push(...traced.origins);
+      result.untraced += traced.untraced;
+    }
+    position += length;
+  }
+
+  // The tail past the last segment had no lots behind it
+  const tailStart = from > position ? from : position;
+  if (tailStart < to) result.untraced += to - tailStart;
+  return result;
+}
+
+function traceLot(ledgers, lot, from, to) {
+  if (lot.kind === "mint") {
+    return {
+      origins: [{ wallet: lot.wallet, from: lot.offset + from, to: lot.offset + to, txHash: lot.txHash }],
+      untraced: 0n,
+    };
+  }
+  // The buyer's `received` is the head of the seller's `gross`, the fee the
+  // tail, so the same energy is never behind both
+  return traceOutflow(ledgers, lot.sale.seller, lot.sale.id, from, to);
+}
+
+/**
+ * EnergyRecorded entries behind minted ranges of one producer, with the
+ * share of each reading's kWh / CO₂ that the ranges account for.
+ * kwhPerTokenMilli / decimals: CarbonSmartMeter's mint rate.
+ */
+function readingsForOrigins(events, wallet, origins, kwhPerTokenMilli, decimals) {
+  const scale = 10n ** BigInt(decimals);
+  // Positions in milli-kWh × 10^decimals, so partial BC don't round away
+  const ranges = origins.map((o) => [o.from * kwhPerTokenMilli, o.to * kwhPerTokenMilli]);
+
+  const readings = [];
+  let cumulative = 0n;
+  for (const e of events) {
+    if (e.event !== "EnergyRecorded" || e.args.wallet !== wallet) continue;
+    const kwhMilli = BigInt(e.args.kwhMilli);
+    const start = cumulative * scale;
+    const end = (cumulative + kwhMilli) * scale;
+    cumulative += kwhMilli;
+
+    let overlap = 0n;
+    for (const [from, to] of ranges) {
+      const a = from > start ? from : start;
+      const b = to < end ? to : end;
+      if (a < b) overlap += b - a;
+    }
+    if (overlap === 0n) continue;
+
+    const attributedKwhMilli = overlap / scale;
+    const attributedCo2MicroKg = (BigInt(e.args.co2MicroKg) * overlap) / (kwhMilli * scale);
+    readings.push({
+      deviceId: e.args.deviceId,
+      region: decodeRegion(e.args.region),
+      periodStart: isoTime(e.args.periodStart),
+      periodEnd: isoTime(e.args.periodEnd),
+      blockNumber: e.blockNumber,
+      txHash: e.txHash,
+      readingKWh: kwh(kwhMilli),
+      kwhMilli: attributedKwhMilli.toString(),
+      kWh: kwh(attributedKwhMilli),
+      co2MicroKg: attributedCo2MicroKg.toString(),
+      co2Kg: kg(attributedCo2MicroKg),
+    });
+  }
+  return readings;
+}
+
+/**
+ * keccak256 of the certificate's canonical JSON (everything except
+ * generatedAt and the verification block), so two parties rebuilding the
+ * certificate from the chain get the same hash.
+ */
+function certificateHash(certificate) {
+  const { generatedAt, verification, ...body } = certificate;
+  return ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(body)));
+}
+
+/**
+ * Build the certificate of one retirement.
+ *  - meter:  CarbonSmartMeter contract (read-only is enough)
+ *  - events: decoded meter + marketplace + token events (see event-log.js)
+ *  - contracts: { token, meter, marketplace } addresses, chainId
+ * Returns null when the retirement isn't in `events`.
+ */
+async function buildRetirementCertificate({ meter, events, retirementId, contracts, chainId }) {
+  const sorted = [...events].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  const retired = sorted.find((e) => e.event === "Retired" && e.args.retirementId === String(retirementId));
+  if (!retired) return null;
+
+  const decimals = Number(await meter.TOKEN_DECIMALS());
+  const kwhPerTokenMilli = await meter.KWH_PER_TOKEN_MILLI();
+
+  const ledgers = buildLedgers(sorted, marketplaceSales(sorted));
+  const amount = BigInt(retired.args.amount);
+  const { origins, untraced } = traceOutflow(ledgers, retired.args.account, retired.id, 0n, amount);
+
+  const byProducer = new Map();
+  for (const origin of origins) {
+    if (!byProducer.has(origin.wallet)) byProducer.set(origin.wallet, []);
+    byProducer.get(origin.wallet).push(origin);
+  }
+
+  const provenance = [...byProducer].map(([wallet, ranges]) => {
+    const readings = readingsForOrigins(sorted, wallet, ranges, kwhPerTokenMilli, decimals);
+    const traced = ranges.reduce((sum, r) => sum + (r.to - r.from), 0n);
+    const kwhMilli = readings.reduce((sum, r) => sum + BigInt(r.kwhMilli), 0n);
+    const co2MicroKg = readings.reduce((sum, r) => sum + BigInt(r.co2MicroKg), 0n);
+    return {
+      producer: wallet,
+      bc: ethers.formatUnits(traced, decimals),
+      kWh: kwh(kwhMilli),
+      co2Kg: kg(co2MicroKg),
+      mints: [...new Set(ranges.map((r) => r.txHash))],
+      readings,
+    };
+  });
+
+  const sum = (key, unit) =>
+    provenance.reduce((total, p) => total + ethers.parseUnits(p[key], unit), 0n);
+
+  const certificate = {
+    certificate: "retirement",
+    version: 1,
+    generatedAt: new Date().toISOString(),
+    retirement: retirementRecord(retired),
+    chain: { chainId: String(chainId), ...contracts },
+    summary: {
+      bcRetired: ethers.formatUnits(amount, decimals),
+      bcTraced: ethers.formatUnits(amount - untraced, decimals),
+      bcUntraced: ethers.formatUnits(untraced, decimals),
+      kWh: kwh(sum("kWh", 3)),
+      co2Kg: kg(sum("co2Kg", 6)),
+      producers: provenance.length,
+      readings: provenance.reduce((total, p) => total + p.readings.length, 0),
+    },
+    provenance,
+    methodology:
+      "Retired BC are burned by BaseCarbonToken.retire() and can't be transferred or retired again. " +
+      "Provenance is traced first-in-first-out through the retiring wallet's mints and CarbonMarketplace " +
+      "purchases back to the producers' mints; a producer's minted BC map to its verified energy at " +
+      "2.5 kWh per BC, and each reading's CO₂ avoided (kWh × regional grid intensity) is attributed pro rata. " +
+      "BC that arrived by plain transfers can't be traced and is reported as untraced.",
+  };
+  certificate.verification = {
+    certificateHash: certificateHash(certificate),
+    instructions:
+      `Look up tx ${retired.txHash} on chain ${chainId}: it must contain the Retired event #${retired.args.retirementId} ` +
+      `of BaseCarbonToken ${contracts.token} with the beneficiary, amount and claim above. ` +
+      "Every reading and mint listed is an EnergyRecorded / TokensMinted log of CarbonSmartMeter in the given tx.",
+  };
+  return certificate;
+}
+
+// ------------------------------------------------------------------------
+// Rendering
+// ------------------------------------------------------------------------
+
+/**
+ * Printable certificate (use the browser's "Print → Save as PDF").
+ */
+function certificateToHtml(certificate) {
+  const { retirement, summary, chain } = certificate;
+  const readings = certificate.provenance.flatMap((p) =>
+    p.readings.map((r) => ({ producer: p.producer, ...r }))
+  );
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Retirement certificate #${escapeHtml(retirement.retirementId)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; font-size: 12px; color: #111; margin: 24px; }
+  h1 { font-size: 20px; margin-bottom: 4px; }
+  h2 { font-size: 15px; margin-top: 24px; border-bottom: 1px solid #ccc; }
+  table { border-collapse: collapse; width: 100%; margin-top: 8px; }
+  th, td { border: 1px solid #ddd; padding: 4px 6px; text-align: left; word-break: break-all; }
+  th { background: #f3f3f3; }
+  .summary td:first-child { font-weight: bold; width: 40%; }
+  .claim { font-size: 14px; margin: 16px 0; }
+  .muted, .empty { color: #666; }
+  @media print { body { margin: 0; } h2 { page-break-after: avoid; } tr { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>Retirement certificate #${escapeHtml(retirement.retirementId)} – Base Carbon Meter</h1>
+<p class="claim">${escapeHtml(summary.bcRetired)} BC (${escapeHtml(summary.co2Kg)} kg CO₂ avoided) retired on behalf of
+<strong>${escapeHtml(retirement.beneficiaryName || retirement.beneficiary)}</strong><br>
+Claim: ${escapeHtml(retirement.reason || "–")}<br>
+Period covered: ${escapeHtml(retirement.periodStart)} – ${escapeHtml(retirement.periodEnd)}</p>
+
+<h2>Retirement</h2>
+<table class="summary"><tbody>
+<tr><td>Retired at</td><td>${escapeHtml(retirement.retiredAt)}</td></tr>
+<tr><td>Retired by</td><td>${escapeHtml(retirement.account)}</td></tr>
+<tr><td>Beneficiary wallet</td><td>${escapeHtml(retirement.beneficiary)}</td></tr>
+<tr><td>Transaction</td><td>${escapeHtml(retirement.txHash)} (block ${escapeHtml(retirement.blockNumber)})</td></tr>
+<tr><td>BaseCarbonToken</td><td>${escapeHtml(chain.token)} (chain ${escapeHtml(chain.chainId)})</td></tr>
+</tbody></table>
+
+<h2>Provenance</h2>
+<table class="summary"><tbody>
+<tr><td>Traced to verified energy</td><td>${escapeHtml(summary.bcTraced)} BC</td></tr>
+<tr><td>Untraced (plain transfers)</td><td>${escapeHtml(summary.bcUntraced)} BC</td></tr>
+<tr><td>Energy</td><td>${escapeHtml(summary.kWh)} kWh from ${summary.readings} readings of ${summary.producers} producer(s)</td></tr>
+<tr><td>CO₂ avoided</td><td>${escapeHtml(summary.co2Kg)} kg</td></tr>
+</tbody></table>
+
+${htmlTable(
+  [
+    ["producer", "Producer"],
+    ["deviceId", "Device"],
+    ["periodStart", "Period start"],
+    ["periodEnd", "Period end"],
+    ["region", "Region"],
+    ["kWh", "kWh attributed"],
+    ["co2Kg", "CO₂ avoided (kg)"],
+    ["txHash", "Transaction"],
+  ],
+  readings
+)}
+
+<h2>Methodology</h2>
+<p>${escapeHtml(certificate.methodology)}</p>
+
+<h2>Verification</h2>
+<p>${escapeHtml(certificate.verification.instructions)}<br>
+<span class="muted">Certificate hash ${escapeHtml(certificate.verification.certificateHash)} · generated ${escapeHtml(certificate.generatedAt)}</span></p>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  retirementRecord,
+  certificateHash,
+  buildRetirementCertificate,
+  certificateToHtml,
+};
@@ -0,0 +1,205 @@
+// retirements.js
+// Offset retirement: unsigned BaseCarbonToken.retire() txs for the holder's
+// own wallet, retirement records from the event index and retirement
+// certificates (see retirement-certificate.js).
+
+const express = require("express");
+const { ethers } = require("ethers");
+const { provider, addresses, getTokenContract, getMeterContract } = require("./server-wallet");
+const { queryEvents } = require("./chain-indexer");
+const { TOKEN_EVENTS, decodeReceiptEvents } = require("./event-log");
+const { parseReportTime } = require("./mrv-report");
+const { unsignedTx } = require("./unsigned-tx");
+const { retirementRecord, buildRetirementCertificate, certificateToHtml } = require("./retirement-certificate");
+const { paginate } = require("./pagination");
+const { logger } = require("./logger");
+
+const router = express.Router();
+
+const MAX_TEXT_BYTES = 512; // BaseCarbonToken.MAX_RETIREMENT_TEXT
+
+function checkId(req, res) {
+  if (!/^\d+$/.test(req.params.id)) {
+    res.status(400).json({ error: "id must be a positive integer" });
+    return false;
+  }
+  return true;
+}
+
+function findRetirement(id) {
+  return queryEvents({ event: "Retired", filter: { retirementId: String(BigInt(id)) } })[0] || null;
+}
+
+/**
+ * POST /retire
+ * body: { from, amountBC, beneficiary?, beneficiaryName?, reason?, periodStart, periodEnd }
+ *
+ * beneficiary defaults to `from`; periodStart / periodEnd (ISO dates or unix
+ * seconds) are the period the offset claim covers, e.g. a CBAM quarter.
+ * Returns { txs: [...] } for `from` to sign + send; GET /retire/tx/:hash
+ * then gives the retirement id.
+ */
+router.post("/retire", async (req, res) => {
+  const { from, amountBC, beneficiary, beneficiaryName = "", reason = "", periodStart, periodEnd } = req.body || {};
+
+  if (!from || !ethers.isAddress(from)) {
+    return res.status(400).json({ error: "from must be a wallet address" });
+  }
+  if (beneficiary !== undefined && !ethers.isAddress(beneficiary)) {
+    return res.status(400).json({ error: "Invalid beneficiary address" });
+  }
+  if (typeof beneficiaryName !== "string" || typeof reason !== "string") {
+    return res.status(400).json({ error: "beneficiaryName and reason must be strings" });
+  }
+  if (Buffer.byteLength(beneficiaryName) > MAX_TEXT_BYTES || Buffer.byteLength(reason) > MAX_TEXT_BYTES) {
+    return res.status(400).json({ error: `beneficiaryName and reason are limited to ${MAX_TEXT_BYTES} bytes` });
+  }
+  if (periodStart === undefined || periodEnd === undefined) {
+    return res.status(400).json({ error: "periodStart and periodEnd are required" });
+  }
+
+  let amount;
+  let period;
+  try {
+    amount = ethers.parseUnits(String(amountBC), 18);
+    period = { start: parseReportTime(periodStart), end: parseReportTime(periodEnd) };
+  } catch (err) {
+    return res.status(400).json({ error: "amountBC must be a decimal number, periods ISO dates or unix seconds" });
+  }
+  if (amount <= 0n) {
+    return res.status(400).json({ error: "amountBC must be > 0" });
+  }
+  if (period.start >= period.end) {
+    return res.status(400).json({ error: "periodStart must be before periodEnd" });
+  }
+
+  try {
+    const token = getTokenContract();
+    const wallet = ethers.getAddress(from);
+    const balance = await token.balanceOf(wallet);
+    if (balance < amount) {
+      return res.status(409).json({
+        error: "Insufficient BC balance",
+        details: `balance ${ethers.formatUnits(balance, 18)} BC`,
+      });
+    }
+
+    const claimant = ethers.getAddress(beneficiary || wallet);
+    const tx = await unsignedTx(
+      token,
+      "retire",
+      [amount, claimant, beneficiaryName, reason, period.start, period.end],
+      {
+        from: wallet,
+        description: `Retire ${ethers.formatUnits(amount, 18)} BC for ${beneficiaryName || claimant}`,
+      }
+    );
+    return res.json({ ok: true, txs: [tx] });
+  } catch (err) {
+    logger.error("retire tx error", { err });
+    return res.status(500).json({ error: "Building transaction failed", details: err.message });
+  }
+});
+
+/**
+ * GET /retire/tx/:hash
+ *   → { status: pending | confirmed | failed, retirementId? }
+ */
+router.get("/retire/tx/:hash", async (req, res) => {
+  if (!/^0x[0-9a-fA-F]{64}$/.test(req.params.hash)) {
+    return res.status(400).json({ error: "hash must be a 32-byte hex string" });
+  }
+
+  try {
+    const receipt = await provider.getTransactionReceipt(req.params.hash);
+    if (!receipt) {
+      return res.status(202).json({ ok: true, status: "pending" });
+    }
+    if (receipt.status !== 1) {
+      return res.json({ ok: true, status: "failed", blockNumber: receipt.blockNumber });
+    }
+
+    const [retired] = decodeReceiptEvents("token", getTokenContract(), TOKEN_EVENTS, receipt);
+    return res.json({
+      ok: true,
+      status: "confirmed",
+      blockNumber: receipt.blockNumber,
+      retirementId: retired ? Number(retired.args.retirementId) : undefined,
+    });
+  } catch (err) {
+    logger.error("retire tx lookup error", { err });
+    return res.status(500).json({ error: "Transaction lookup failed", details: err.message });
+  }
+});
+
+/**
+ * GET /retirements?account=0x...&beneficiary=0x...&limit=&offset=
+ * Retirements from the event index, newest first.
+ */
+router.get("/retirements", (req, res) => {
+  const filter = {};
+  for (const key of ["account", "beneficiary"]) {
+    if (req.query[key] === undefined) continue;
+    if (!ethers.isAddress(req.query[key])) {
+      return res.status(400).json({ error: `Invalid ${key} address` });
+    }
+    filter[key] = req.query[key];
+  }
+  const items = queryEvents({ event: "Retired", filter }).map(retirementRecord);
+  return res.json(paginate(items, req.query));
+});
+
+/**
+ * GET /retirements/:id
+ */
+router.get("/retirements/:id", (req, res) => {
+  if (!checkId(req, res)) return;
+  const retired = findRetirement(req.params.id);
+  if (!retired) {
+    return res.status(404).json({ error: "Retirement not found (or not indexed yet)" });
+  }
+  return res.json({ ok: true, retirement: retirementRecord(retired) });
+});
+
+/**
+ * GET /retirements/:id/certificate?format=json|html
+ *
+ * Retirement certificate: the claim plus the EnergyRecorded entries the
+ * retired BC trace back to. HTML is printable (print → PDF).
+ */
+router.get("/retirements/:id/certificate", async (req, res) => {
+  if (!checkId(req, res)) return;
+  const { format = "json" } = req.query;
+  if (format !== "json" && format !== "html") {
+    return res.status(400).json({ error: "format must be one of json, html" });
+  }
+
+  let certificate;
+  try {
+    const { chainId } = await provider.getNetwork();
+    certificate = await buildRetirementCertificate({
+      meter: getMeterContract(),
+      events: queryEvents(),
+      retirementId: BigInt(req.params.id),
+      contracts: {
+        token: addresses.token.toLowerCase(),
+        meter: addresses.meter.toLowerCase(),
+        marketplace: addresses.marketplace ? addresses.marketplace.toLowerCase() : null,
+      },
+      chainId,
+    });
+  } catch (err) {
+    logger.error("retirement certificate error", { err });
+    return res.status(500).json({ error: "Retirement certificate failed", details: err.message });
+  }
+  if (!certificate) {
+    return res.status(404).json({ error: "Retirement not found (or not indexed yet)" });
+  }
+
+  if (format === "html") {
+    return res.type("html").send(certificateToHtml(certificate));
+  }
+  return res.json({ ok: true, certificate });
+});
+
+module.exports = router;
@@ -1,17 +1,16 @@
 // server-wallet.js
 // Shared provider + signer + contract helpers for the Base Carbon Meter backend
+//
+// Contract addresses come from deployments/<DEPLOYMENT_NETWORK>.json (default
+// "base", the Hardhat network BASE_RPC belongs to), see deployment.js.
 
 require("dotenv").config();
 const { ethers } = require("ethers");
 const path = require("path");
+const { resolveDeployment } = require("./deployment");
 
 // Load env
-const {
-  BASE_RPC,
-  PRIVATE_KEY,
-  TOKEN_ADDRESS,
-  METER_ADDRESS,
-} = process.env;
+const { BASE_RPC, PRIVATE_KEY, DEPLOYMENT_NETWORK = "base" } = process.env;
 
 if (!BASE_RPC) {
   throw new Error("Missing BASE_RPC in .env");
@@ -20,45 +19,74 @@ if (!PRIVATE_KEY) {
   throw new Error("Missing PRIVATE_KEY in .env");
 }
 
-const provider = new ethers.JsonRpcProvider(BASE_RPC);
+// No request cache: ethers answers a repeated call within 250ms from the first
+// one, which hides the outbox's receipt re-check and the indexer's hash checks
+const provider = new ethers.JsonRpcProvider(BASE_RPC, undefined, { cacheTimeout: -1 });
 const serverWallet = new ethers.Wallet(PRIVATE_KEY, provider);
 
-// Load ABIs from Hardhat artifacts
-const tokenArtifact = require(path.join(
-  __dirname,
-  "..",
-  "artifacts",
-  "contracts",
-  "Token.sol",          // <- file name
-  "BaseCarbonToken.json" // <- contract name
-));
+const deployment = resolveDeployment(DEPLOYMENT_NETWORK);
+const { addresses } = deployment;
 
-const meterArtifact = require(path.join(
-  __dirname,
-  "..",
-  "artifacts",
-  "contracts",
-  "CarbonSmartMeter.sol",
-  "CarbonSmartMeter.json"
-));
+// ABIs from Hardhat artifacts, loaded on first use: a missing artifacts/
+// (contracts not compiled) fails the calls and GET /readyz, not the import
+const ARTIFACTS = {
+  token: ["Token.sol", "BaseCarbonToken"],
+  meter: ["CarbonSmartMeter.sol", "CarbonSmartMeter"],
+  marketplace: ["CarbonMarketplace.sol", "CarbonMarketplace"],
+};
+const abis = {};
 
-function getTokenContract() {
-  if (!TOKEN_ADDRESS) {
-    throw new Error("Missing TOKEN_ADDRESS in .env");
+function contractAbi(key) {
+  if (!abis[key]) {
+    const [file, name] = ARTIFACTS[key];
+    const artifact = path.join(__dirname, "..", "artifacts", "contracts", file, `${name}.json`);
+    try {
+      abis[key] = require(artifact).abi;
+    } catch (err) {
+      if (err.code !== "MODULE_NOT_FOUND") throw err;
+      throw new Error(`Missing ${path.relative(process.cwd(), artifact)}: run npx hardhat compile`);
+    }
   }
-  return new ethers.Contract(TOKEN_ADDRESS, tokenArtifact.abi, serverWallet);
+  return abis[key];
 }
 
-function getMeterContract() {
-  if (!METER_ADDRESS) {
-    throw new Error("Missing METER_ADDRESS in .env");
+function requireAddress(key) {
+  if (!addresses[key]) {
+    throw new Error(`No ${key} address: deploy to "${DEPLOYMENT_NETWORK}" (deployments/) or set it in .env`);
   }
-  return new ethers.Contract(METER_ADDRESS, meterArtifact.abi, serverWallet);
+  return addresses[key];
+}
+
+/**
+ * Refuse to run against another chain than the manifest was deployed to
+ * (e.g. BASE_RPC switched from Base Sepolia to mainnet).
+ */
+async function verifyDeploymentChain() {
+  const { chainId } = await provider.getNetwork();
+  resolveDeployment(DEPLOYMENT_NETWORK, { chainId });
+  return deployment;
+}
+
+function getTokenContract() {
+  return new ethers.Contract(requireAddress("token"), contractAbi("token"), serverWallet);
+}
+
+function getMeterContract() {
+  return new ethers.Contract(requireAddress("meter"), contractAbi("meter"), serverWallet);
+}
+
+function getMarketplaceContract() {
+  return new ethers.Contract(requireAddress("marketplace"), contractAbi("marketplace"), serverWallet);
 }
 
 module.exports = {
   provider,
   serverWallet,
+  deployment,
+  addresses,
+  verifyDeploymentChain,
+  contractAbi,
   getTokenContract,
   getMeterContract,
+  getMarketplaceContract,
 };
\ No newline at end of file
@@ -0,0 +1,137 @@
+// siwe.js
+// Sign-In with Ethereum (EIP-4361) messages: parse the plain-text message a
+// wallet signs and check it for a sign-in to this backend.
+//
+//   <domain> wants you to sign in with your Ethereum account:
+//   <address>
+//
+//   <statement>                      (optional)
+//
+//   URI: <uri>
+//   Version: 1
+//   Chain ID: <chainId>
+//   Nonce: <nonce>
+//   Issued At: <ISO 8601>
+//   Expiration Time: <ISO 8601>      (optional)
+//   Not Before: <ISO 8601>           (optional)
+//   Request ID: <id>                 (optional)
+//   Resources:                       (optional)
+//   - <uri>
+
+const { ethers } = require("ethers");
+
+const HEADER_SUFFIX = " wants you to sign in with your Ethereum account:";
+const FIELDS = [
+  ["URI", "uri", true],
+  ["Version", "version", true],
+  ["Chain ID", "chainId", true],
+  ["Nonce", "nonce", true],
+  ["Issued At", "issuedAt", true],
+  ["Expiration Time", "expirationTime", false],
+  ["Not Before", "notBefore", false],
+  ["Request ID", "requestId", false],
+];
+const CLOCK_SKEW_MS = 5 * 60_000;
+
+/**
+ * Parse an EIP-4361 message. Throws on anything that isn't one.
+ */
+function parseSiweMessage(message) {
+  if (typeof message !== "string") {
+    throw new Error("message must be a string");
+  }
+  const lines = message.split("\n");
+  let i = 0;
+  const next = () => lines[i++];
+
+  const header = next();
+  if (!header || !header.endsWith(HEADER_SUFFIX)) {
+    throw new Error("Not a Sign-In with Ethereum message");
+  }
+  const parsed = { domain: header.slice(0, -HEADER_SUFFIX.length) };
+
+  parsed.address = next();
+  if (!/^0x[0-9a-fA-F]{40}$/.test(parsed.address || "")) {
+    throw new Error("Invalid address line");
+  }
+  if (ethers.getAddress(parsed.address) !== parsed.address) {
+    throw new Error("Address must be EIP-55 checksummed");
+  }
+
+  if (next() !== "") throw new Error("Expected an empty line after the address");
+  if (lines[i] !== undefined && !lines[i].startsWith("URI: ")) {
+    parsed.statement = next();
+    if (next() !== "") throw new Error("Expected an empty line after the statement");
+  }
+
+  for (const [label, key, required] of FIELDS) {
+    if (lines[i] !== undefined && lines[i].startsWith(`${label}: `)) {
+      parsed[key] = next().slice(label.length + 2);
+    } else if (required) {
+      throw new Error(`Missing "${label}"`);
+    }
+  }
+  if (lines[i] === "Resources:") {
+    next();
+    parsed.resources = [];
+    while (lines[i] !== undefined && lines[i].startsWith("- ")) {
+      parsed.resources.push(next().slice(2));
+    }
+  }
+  if (i < lines.length) {
+    throw new Error(`Unexpected line: ${lines[i]}`);
+  }
+
+  if (parsed.version !== "1") throw new Error("Version must be 1");
+  if (!/^\d+$/.test(parsed.chainId)) throw new Error("Invalid Chain ID");
+  if (!/^[A-Za-z0-9]{8,}$/.test(parsed.nonce)) throw new Error("Nonce must be at least 8 alphanumeric characters");
+  for (const key of ["issuedAt", "expirationTime", "notBefore"]) {
+    if (parsed[key] !== undefined && !Number.isFinite(Date.parse(parsed[key]))) {
+      throw new Error(`Invalid ${key} timestamp`);
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Parse + check a signed sign-in message for this backend.
+ *  - domain / chainId: what the message must name
+ *  - now:              ms timestamp (tests)
+ * Returns the parsed message (address checksummed). The caller still has to
+ * consume the nonce.
+ */
+function verifySiweMessage(message, signature, { domain, chainId, now = Date.now() }) {
+  const parsed = parseSiweMessage(message);
+
+  if (parsed.domain !== domain) {
+    throw new Error(`Message is for ${parsed.domain}, not ${domain}`);
+  }
+  if (parsed.chainId !== String(chainId)) {
+    throw new Error(`Message is for chain ${parsed.chainId}, not ${chainId}`);
+  }
+  if (Date.parse(parsed.issuedAt) > now + CLOCK_SKEW_MS) {
+    throw new Error("Message is issued in the future");
+  }
+  if (parsed.expirationTime && Date.parse(parsed.expirationTime) <= now) {
+    throw new Error("Message has expired");
+  }
+  if (parsed.notBefore && Date.parse(parsed.notBefore) > now) {
+    throw new Error("Message is not valid yet");
+  }
+
+  let signer;
+  try {
+    signer = ethers.verifyMessage(message, signature);
+  } catch (err) {
+    throw new Error("signature is not a valid signature");
+  }
+  if (signer !== parsed.address) {
+    throw new Error("Signature was not made by the message's address");
+  }
+  return parsed;
+}
+
+module.exports = {
+  parseSiweMessage,
+  verifySiweMessage,
+};
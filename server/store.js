@@ -0,0 +1,72 @@
+// store.js
+// Tiny JSON-file store for backend state (device keys, replay guards, ...).
+// Each store is a single JSON file under DATA_DIR (defaults to data/private,
+// which is gitignored). Writes are synchronous + atomic (tmp file + rename),
+// so concurrent requests in the same process never interleave.
+
+const fs = require("fs");
+const path = require("path");
+
+const DATA_DIR =
+  process.env.DATA_DIR || path.join(__dirname, "..", "data", "private");
+
+function modifiedAt(file) {
+  try {
+    return fs.statSync(file).mtimeMs;
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    return null;
+  }
+}
+
+/**
+ * createStore("device-keys", { devices: {} })
+ *
+ * Returns { read, update }:
+ *  - read()      -> current state (do not mutate directly)
+ *  - update(fn)  -> runs fn(state), persists, returns fn's result
+ *
+ * { shared: true }: the file is also written by another process (e.g. an
+ * admin CLI), so it is re-read whenever it changed on disk.
+ */
+function createStore(name, defaults = {}, { shared = false } = {}) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+  let state;
+  let loadedAt = null;
+
+  function load() {
+    if (state && (!shared || modifiedAt(file) === loadedAt)) return state;
+    try {
+      state = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      state = structuredClone(defaults);
+    }
+    loadedAt = modifiedAt(file);
+    return state;
+  }
+
+  function save() {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, file);
+    loadedAt = modifiedAt(file);
+  }
+
+  return {
+    read() {
+      return load();
+    },
+    update(fn) {
+      const result = fn(load());
+      save();
+      return result;
+    },
+  };
+}
+
+module.exports = {
+  DATA_DIR,
+  createStore,
+};
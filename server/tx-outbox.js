@@ -0,0 +1,463 @@
+// tx-outbox.js
+// Durable outbox for every contract write made by the server wallet.
+//
+// Routes enqueue a job and return its id right away; a single worker loop
+// owns the nonce, signs, broadcasts, watches for receipts and replaces stuck
+// transactions with higher fees. Jobs (including the signed raw tx) are
+// persisted BEFORE broadcasting, so a crash or dropped RPC connection never
+// loses a transaction: on restart the worker rebroadcasts / re-checks them.
+//
+// Job lifecycle: queued -> pending (nonce assigned, broadcast) -> confirmed | failed
+//
+// Settled jobs (and their idempotency keys) are pruned after
+// OUTBOX_RETENTION_DAYS (30), so the file the worker rewrites on every state
+// change stays small. `prunedThroughBlock` remembers the newest block of a
+// pruned job: reconciliation cannot match transactions up to it.
+
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const { provider, serverWallet } = require("./server-wallet");
+const { createStore } = require("./store");
+const { counter, histogram } = require("./metrics");
+const { logger } = require("./logger");
+
+const POLL_MS = Number(process.env.OUTBOX_POLL_MS || 2000);
+const MAX_IN_FLIGHT = Number(process.env.OUTBOX_MAX_IN_FLIGHT || 4);
+const STUCK_AFTER_MS = Number(process.env.OUTBOX_STUCK_AFTER_MS || 60_000);
+const MAX_FEE_BUMPS = Number(process.env.OUTBOX_MAX_FEE_BUMPS || 5);
+const FEE_BUMP_PERCENT = 125n; // replacements must beat the old fee by >= 10% on most nodes
+const GAS_LIMIT_PERCENT = 120n;
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 60_000;
+const RETENTION_MS = Number(process.env.OUTBOX_RETENTION_DAYS || 30) * 86_400_000;
+const PRUNE_EVERY_MS = 3_600_000;
+
+const STATUS = {
+  QUEUED: "queued",
+  PENDING: "pending",
+  CONFIRMED: "confirmed",
+  FAILED: "failed",
+};
+
+const jobsSettled = counter("bcm_tx_jobs_total", "Outbox transactions settled, by kind and status", ["kind", "status"]);
+const confirmSeconds = histogram(
+  "bcm_tx_confirmation_seconds",
+  "Outbox latency from enqueue to confirmed receipt, by kind",
+  ["kind"],
+  [1, 2, 5, 10, 30, 60, 120, 300, 600, 1800]
+);
+
+const store = createStore("tx-outbox", { nextNonce: null, jobs: {}, idempotency: {}, prunedThroughBlock: null });
+
+const settledHandlers = {};
+let timer = null;
+let ticking = false;
+let prunedAt = 0;
+
+function now() {
+  return Date.now();
+}
+
+function backoff(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** attempts, RETRY_MAX_MS);
+}
+
+function updateJob(id, fields) {
+  return store.update((state) => Object.assign(state.jobs[id], fields, { updatedAt: now() }));
+}
+
+/**
+ * Public view of a job (no raw signed tx).
+ */
+function toJobView(job) {
+  const { rawTx, ...view } = job;
+  return view;
+}
+
+/**
+ * Queue a transaction from the server wallet.
+ *
+ *  - to / data / value: the call (value in wei, bigint or string)
+ *  - kind:              label used for settle handlers + status pages
+ *  - idempotencyKey:    same key → same job (no duplicate transaction);
+ *                       a key whose job FAILED may be reused for a retry
+ *  - meta:              JSON data handed back to settle handlers
+ *
+ * Returns { job, created }.
+ */
+function enqueueTx({ to, data = "0x", value = 0n, kind, idempotencyKey, meta = {} }) {
+  if (!ethers.isAddress(to)) {
+    throw new Error("Outbox job needs a valid 'to' address");
+  }
+
+  return store.update((state) => {
+    const existing = idempotencyKey && state.jobs[state.idempotency[idempotencyKey]];
+    if (existing && existing.status !== STATUS.FAILED) {
+      return { job: existing, created: false };
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      kind,
+      idempotencyKey: idempotencyKey || null,
+      status: STATUS.QUEUED,
+      to,
+      data,
+      value: value.toString(),
+      meta,
+      nonce: null,
+      txHashes: [],
+      txHash: null,
+      attempts: 0,
+      feeBumps: 0,
+      nextAttemptAt: 0,
+      error: null,
+      handled: false,
+      createdAt: now(),
+      updatedAt: now(),
+    };
+
+    state.jobs[job.id] = job;
+    if (idempotencyKey) {
+      state.idempotency[idempotencyKey] = job.id;
+    }
+    return { job, created: true };
+  });
+}
+
+/**
+ * enqueueTx for a contract method: enqueueContractCall(meter, "registerDevice", [id, wallet], opts)
+ */
+function enqueueContractCall(contract, method, args, opts = {}) {
+  return enqueueTx({
+    ...opts,
+    to: contract.target,
+    data: contract.interface.encodeFunctionData(method, args),
+    kind: opts.kind || method,
+  });
+}
+
+function getJob(id) {
+  return store.read().jobs[id] || null;
+}
+
+/**
+ * Jobs of the given kinds (all jobs without kinds), oldest first.
+ */
+function listJobs(kinds) {
+  return Object.values(store.read().jobs)
+    .filter((job) => !kinds || kinds.includes(job.kind))
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Newest block of a pruned job (null if nothing was pruned yet).
+ */
+function prunedThroughBlock() {
+  return store.read().prunedThroughBlock || null;
+}
+
+/**
+ * Register a handler called once a job of `kind` is confirmed or failed.
+ * Handlers must be idempotent: after a crash they may run again.
+ */
+function onTxSettled(kind, handler) {
+  settledHandlers[kind] = handler;
+}
+
+async function runSettledHandler(job) {
+  const handler = settledHandlers[job.kind];
+  try {
+    if (handler) {
+      await handler(job);
+    }
+    updateJob(job.id, { handled: true });
+  } catch (err) {
+    logger.error("outbox settle handler error", { kind: job.kind, jobId: job.id, err });
+  }
+}
+
+function settle(job, fields) {
+  const settled = updateJob(job.id, fields);
+  jobsSettled.inc({ kind: job.kind, status: settled.status });
+  if (settled.status === STATUS.CONFIRMED) {
+    confirmSeconds.observe({ kind: job.kind }, (settled.confirmedAt - settled.createdAt) / 1000);
+  }
+  return runSettledHandler(settled);
+}
+
+// ------------------------------------------------------------------------
+// Nonce management
+// ------------------------------------------------------------------------
+
+async function syncNonce() {
+  const chainNonce = await provider.getTransactionCount(serverWallet.address, "pending");
+  store.update((state) => {
+    if (state.nextNonce === null || state.nextNonce < chainNonce) {
+      state.nextNonce = chainNonce;
+    }
+  });
+}
+
+function takeNonce() {
+  return store.update((state) => state.nextNonce++);
+}
+
+// ------------------------------------------------------------------------
+// Sending
+// ------------------------------------------------------------------------
+
+async function signAndBroadcast(job, tx) {
+  const rawTx = await serverWallet.signTransaction(tx);
+  const txHash = ethers.keccak256(rawTx);
+
+  // Persist first: if broadcasting fails we still know what we signed
+  updateJob(job.id, {
+    status: STATUS.PENDING,
+    rawTx,
+    txHash,
+    txHashes: [...job.txHashes, txHash],
+    maxFeePerGas: tx.maxFeePerGas.toString(),
+    maxPriorityFeePerGas: tx.maxPriorityFeePerGas.toString(),
+    gasLimit: tx.gasLimit.toString(),
+    sentAt: now(),
+  });
+
+  await broadcast(getJob(job.id));
+}
+
+async function broadcast(job) {
+  try {
+    await provider.broadcastTransaction(job.rawTx);
+    updateJob(job.id, { broadcastError: null });
+  } catch (err) {
+    const message = String(err.message || err);
+    if (/already known|known transaction/i.test(message)) {
+      updateJob(job.id, { broadcastError: null });
+      return;
+    }
+    // Network / RPC trouble: keep the signed tx and rebroadcast later.
+    // ("nonce too low" means the nonce was used elsewhere — unless one of our
+    // hashes mined, checkPending() requeues the job with a fresh nonce.)
+    updateJob(job.id, {
+      broadcastError: message,
+      attempts: job.attempts + 1,
+      nextAttemptAt: now() + backoff(job.attempts),
+    });
+  }
+}
+
+async function sendQueued(job) {
+  const request = {
+    from: serverWallet.address,
+    to: job.to,
+    data: job.data,
+    value: BigInt(job.value),
+  };
+
+  let gasEstimate;
+  let feeData;
+  try {
+    gasEstimate = await provider.estimateGas(request);
+    feeData = await provider.getFeeData();
+  } catch (err) {
+    if (err.code === "CALL_EXCEPTION") {
+      // Would revert: fail now, without burning a nonce
+      return settle(job, { status: STATUS.FAILED, error: err.shortMessage || err.message });
+    }
+    updateJob(job.id, {
+      error: err.message,
+      attempts: job.attempts + 1,
+      nextAttemptAt: now() + backoff(job.attempts),
+    });
+    return;
+  }
+
+  const { chainId } = await provider.getNetwork();
+  // Reuse a nonce assigned before a crash, otherwise it would leave a gap
+  const nonce = job.nonce !== null ? job.nonce : takeNonce();
+  updateJob(job.id, { nonce });
+
+  await signAndBroadcast(getJob(job.id), {
+    ...request,
+    type: 2,
+    chainId,
+    nonce,
+    gasLimit: (gasEstimate * GAS_LIMIT_PERCENT) / 100n,
+    maxFeePerGas: feeData.maxFeePerGas,
+    maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
+  });
+}
+
+/**
+ * Same nonce, higher fees: replaces a transaction stuck in the mempool.
+ */
+async function bumpFees(job) {
+  const feeData = await provider.getFeeData();
+  const bump = (old, current) => {
+    const bumped = (BigInt(old) * FEE_BUMP_PERCENT) / 100n;
+    return bumped > current ? bumped : current;
+  };
+
+  const { chainId } = await provider.getNetwork();
+  await signAndBroadcast({ ...job, feeBumps: job.feeBumps + 1 }, {
+    from: serverWallet.address,
+    to: job.to,
+    data: job.data,
+    value: BigInt(job.value),
+    type: 2,
+    chainId,
+    nonce: job.nonce,
+    gasLimit: BigInt(job.gasLimit),
+    maxFeePerGas: bump(job.maxFeePerGas, feeData.maxFeePerGas),
+    maxPriorityFeePerGas: bump(job.maxPriorityFeePerGas, feeData.maxPriorityFeePerGas),
+  });
+  updateJob(job.id, { feeBumps: job.feeBumps + 1 });
+}
+
+/**
+ * Receipt of whichever of our (original or replacement) transactions mined.
+ */
+async function findReceipt(job) {
+  for (const hash of [...job.txHashes].reverse()) {
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (receipt) return receipt;
+  }
+  return null;
+}
+
+function settleMined(job, receipt) {
+  return settle(job, {
+    status: receipt.status === 1 ? STATUS.CONFIRMED : STATUS.FAILED,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString(),
+    error: receipt.status === 1 ? null : "Transaction reverted",
+    confirmedAt: now(),
+  });
+}
+
+async function checkPending(job) {
+  const receipt = await findReceipt(job);
+  if (receipt) {
+    return settleMined(job, receipt);
+  }
+
+  const minedNonce = await provider.getTransactionCount(serverWallet.address, "latest");
+  if (minedNonce > job.nonce) {
+    // Our tx may have mined between the receipt lookups and the nonce read:
+    // look again before concluding the nonce went to someone else
+    const late = await findReceipt(job);
+    if (late) {
+      return settleMined(job, late);
+    }
+    // Nonce used by a transaction that isn't ours: requeue with a fresh nonce
+    updateJob(job.id, {
+      status: STATUS.QUEUED,
+      nonce: null,
+      rawTx: null,
+      broadcastError: null,
+      error: "Nonce consumed by another transaction, requeued",
+    });
+    await syncNonce();
+    return;
+  }
+
+  if (job.broadcastError && job.nextAttemptAt <= now()) {
+    return broadcast(job);
+  }
+
+  if (now() - job.sentAt > STUCK_AFTER_MS && job.feeBumps < MAX_FEE_BUMPS) {
+    return bumpFees(job);
+  }
+}
+
+/**
+ * Drop settled, handled jobs older than OUTBOX_RETENTION_DAYS.
+ */
+function pruneSettled() {
+  const cutoff = now() - RETENTION_MS;
+  const expired = Object.values(store.read().jobs).filter(
+    (j) => (j.status === STATUS.CONFIRMED || j.status === STATUS.FAILED) && j.handled && j.updatedAt < cutoff
+  );
+  if (!expired.length) return 0;
+
+  store.update((state) => {
+    for (const job of expired) {
+      delete state.jobs[job.id];
+      if (job.idempotencyKey && state.idempotency[job.idempotencyKey] === job.id) {
+        delete state.idempotency[job.idempotencyKey];
+      }
+      if (job.blockNumber && job.blockNumber > (state.prunedThroughBlock || 0)) {
+        state.prunedThroughBlock = job.blockNumber;
+      }
+    }
+  });
+  return expired.length;
+}
+
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    const jobs = Object.values(store.read().jobs);
+
+    for (const job of jobs.filter((j) => j.status === STATUS.PENDING)) {
+      await checkPending(job);
+    }
+
+    // Crash between "settled" and its handler: run the handler again
+    for (const job of jobs.filter((j) => (j.status === STATUS.CONFIRMED || j.status === STATUS.FAILED) && !j.handled)) {
+      await runSettledHandler(job);
+    }
+
+    const queued = Object.values(store.read().jobs)
+      .filter((j) => j.status === STATUS.QUEUED && j.nextAttemptAt <= now())
+      .sort((a, b) => a.createdAt - b.createdAt);
+    let inFlight = Object.values(store.read().jobs).filter((j) => j.status === STATUS.PENDING).length;
+
+    for (const job of queued) {
+      if (inFlight >= MAX_IN_FLIGHT) break;
+      await sendQueued(job);
+      inFlight++;
+    }
+
+    if (now() - prunedAt >= PRUNE_EVERY_MS) {
+      prunedAt = now();
+      pruneSettled();
+    }
+  } catch (err) {
+    logger.error("outbox tick error", { err });
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start the worker loop (called once from index.js).
+ */
+async function startOutbox() {
+  if (timer) return;
+  await syncNonce();
+  timer = setInterval(tick, POLL_MS);
+  tick();
+}
+
+function stopOutbox() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  STATUS,
+  enqueueTx,
+  enqueueContractCall,
+  getJob,
+  listJobs,
+  prunedThroughBlock,
+  toJobView,
+  onTxSettled,
+  startOutbox,
+  stopOutbox,
+};
@@ -0,0 +1,35 @@
+// tx-status.js
+// Status of transactions queued in the server wallet outbox.
+
+const express = require("express");
+const { getJob, toJobView } = require("./tx-outbox");
+const { ROLES, requireRole, canSubmitFor } = require("./access-control");
+
+const router = express.Router();
+
+/**
+ * Operators see every job; gateways the readings they may submit; wallets
+ * the jobs paying or binding them (faucet drips, device binding).
+ */
+function canSeeJob(auth, job) {
+  if (auth.role === ROLES.OPERATOR) return true;
+  if (auth.role === ROLES.GATEWAY) {
+    return job.kind === "record-reading" && canSubmitFor(auth, job.meta.deviceId);
+  }
+  const wallet = job.meta.wallet || job.to;
+  return String(wallet).toLowerCase() === auth.wallet;
+}
+
+/**
+ * GET /tx/:jobId
+ * queued -> pending (broadcast, maybe fee-bumped) -> confirmed | failed
+ */
+router.get("/tx/:jobId", requireRole(ROLES.OPERATOR, ROLES.GATEWAY, ROLES.WALLET), (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job || !canSeeJob(req.auth, job)) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  return res.json({ ok: true, job: toJobView(job) });
+});
+
+module.exports = router;
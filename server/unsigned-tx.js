@@ -0,0 +1,22 @@
+// unsigned-tx.js
+// Contract calls encoded as unsigned transactions, for wallets we don't hold
+// keys for (CDP embedded wallets, browser wallets) to sign + send:
+//   { description, from, to, data, value (wei, decimal string), chainId }
+
+const { provider } = require("./server-wallet");
+
+async function unsignedTx(contract, method, args, { from, value = 0n, description }) {
+  const { chainId } = await provider.getNetwork();
+  return {
+    description,
+    from,
+    to: await contract.getAddress(),
+    data: contract.interface.encodeFunctionData(method, args),
+    value: value.toString(),
+    chainId: chainId.toString(),
+  };
+}
+
+module.exports = {
+  unsignedTx,
+};
@@ -0,0 +1,71 @@
+// valuation.js
+// USD valuation of a wallet's verified offsets, priced by the BC/USD feed
+// CarbonSmartMeter is configured with (OracleConsumer). The contract refuses
+// stale or non-positive prices, so no value is ever made up here.
+
+const express = require("express");
+const { ethers } = require("ethers");
+const { provider, getMeterContract } = require("./server-wallet");
+const { requireOwner } = require("./access-control");
+const { logger } = require("./logger");
+
+const router = express.Router();
+
+const ownWallet = requireOwner((req) => ({ wallet: req.params.wallet }));
+
+// Reverts of OracleConsumer.getLatestRoundData(): no usable price right now
+const PRICE_ERRORS = ["No price feed", "Invalid price", "Incomplete round", "Stale price"];
+
+/**
+ * GET /valuation/:wallet (operator or that wallet)
+ *
+ * → { usdValue, kwhMilli, price: { usd, answer, decimals, feed, roundId,
+ *     updatedAt, ageSeconds, maxAgeSeconds } }
+ * usdValue is the BC earned from verified energy (1 BC per 2.5 kWh) at the
+ * feed price of the reported round. 503 while the feed has no valid price.
+ */
+router.get("/valuation/:wallet", ownWallet, async (req, res) => {
+  const { wallet } = req.params;
+  if (!ethers.isAddress(wallet)) {
+    return res.status(400).json({ error: "Invalid wallet address" });
+  }
+
+  try {
+    const meter = getMeterContract();
+    const [valuation, [, priceDecimals], tokenDecimals, maxPriceAge, [kwhMilli], block] = await Promise.all([
+      meter.getWalletOffsetValueUSD(wallet),
+      meter.getLatestPrice(),
+      meter.TOKEN_DECIMALS(),
+      meter.maxPriceAge(),
+      meter.getWalletTotals(wallet),
+      provider.getBlock("latest"),
+    ]);
+    const { usdValue, price, feed, roundId, updatedAt } = valuation;
+
+    return res.json({
+      ok: true,
+      wallet: wallet.toLowerCase(),
+      kwhMilli: kwhMilli.toString(),
+      usdValue: ethers.formatUnits(usdValue, tokenDecimals),
+      usdValueRaw: usdValue.toString(),
+      price: {
+        usd: ethers.formatUnits(price, priceDecimals),
+        answer: price.toString(),
+        decimals: Number(priceDecimals),
+        feed: feed.toLowerCase(),
+        roundId: roundId.toString(),
+        updatedAt: new Date(Number(updatedAt) * 1000).toISOString(),
+        ageSeconds: block.timestamp - Number(updatedAt),
+        maxAgeSeconds: Number(maxPriceAge),
+      },
+    });
+  } catch (err) {
+    if (PRICE_ERRORS.includes(err.reason)) {
+      return res.status(503).json({ error: "No valid price available", details: err.reason });
+    }
+    logger.error("valuation error", { err });
+    return res.status(500).json({ error: "Valuation failed", details: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,243 @@
+// verifiable-credential.js
+// W3C Verifiable Credential style attestations of verified energy: one
+// "EnergyOffsetCredential" per EnergyRecorded event (plus the TokensMinted it
+// triggered, if any), signed by the server's issuer key.
+//
+//   issuer   did:pkh:eip155:<chainId>:<issuer address>
+//   proof    EcdsaSecp256k1RecoverySignature2020: an EIP-191 personal_sign
+//            signature over the canonical JSON (sorted keys) of the
+//            credential without its proof
+//
+// Checking a credential needs no trust in our backend: recover the signer
+// and rebuild the subject from the logs of the tx it points to.
+// No env or signer needed here, so scripts/verifyCredential.js uses it too.
+
+const { ethers } = require("ethers");
+const { decodeEventLog } = require("./event-log");
+const { decodeRegion } = require("./regions");
+
+const CREDENTIAL_TYPE = "EnergyOffsetCredential";
+const PROOF_TYPE = "EcdsaSecp256k1RecoverySignature2020";
+
+const isoTime = (seconds) => new Date(Number(seconds) * 1000).toISOString();
+
+/**
+ * JSON with object keys sorted at every level: the exact bytes we sign.
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function didPkh(chainId, address) {
+  return `did:pkh:eip155:${chainId}:${address.toLowerCase()}`;
+}
+
+function credentialId(chainId, txHash, logIndex) {
+  return `urn:bcm:energy:${chainId}:${txHash.toLowerCase()}:${logIndex}`;
+}
+
+/**
+ * The TokensMinted a reading triggered: the meter emits it right after the
+ * EnergyRecorded that crossed the 2.5 kWh threshold, in the same tx.
+ * `events`: decoded logs of that tx (any order).
+ */
+function mintForReading(events, reading) {
+  const later = events
+    .filter((e) => e.txHash === reading.txHash && e.logIndex > reading.logIndex)
+    .sort((a, b) => a.logIndex - b.logIndex);
+  for (const e of later) {
+    if (e.event === "EnergyRecorded") return null;
+    if (e.event === "TokensMinted") return e;
+  }
+  return null;
+}
+
+/**
+ * The EnergyRecorded that triggered a TokensMinted (same tx, just before).
+ */
+function readingForMint(events, mint) {
+  return (
+    events
+      .filter((e) => e.event === "EnergyRecorded" && e.txHash === mint.txHash && e.logIndex < mint.logIndex)
+      .sort((a, b) => a.logIndex - b.logIndex)
+      .pop() || null
+  );
+}
+
+function evidenceOf(chainId, meterAddress, e) {
+  return {
+    type: "EthereumEventLog",
+    chainId: String(chainId),
+    contract: meterAddress.toLowerCase(),
+    event: e.event,
+    txHash: e.txHash,
+    blockNumber: e.blockNumber,
+    blockHash: e.blockHash,
+    logIndex: e.logIndex,
+  };
+}
+
+/**
+ * credentialSubject + evidence of a reading, from decoded event records
+ * (see event-log.js). Used to issue and, from chain logs, to verify.
+ */
+function energyClaims({ reading, mint, chainId, meterAddress }) {
+  const { args } = reading;
+  const subject = {
+    id: didPkh(chainId, args.wallet),
+    wallet: args.wallet,
+    deviceId: args.deviceId,
+    region: decodeRegion(args.region),
+    periodStart: isoTime(args.periodStart),
+    periodEnd: isoTime(args.periodEnd),
+    energy: { kwhMilli: args.kwhMilli, kWh: ethers.formatUnits(args.kwhMilli, 3) },
+    gridFactor: {
+      microKgPerKwh: args.gridMicroKgPerKwh,
+      kgPerKwh: ethers.formatUnits(args.gridMicroKgPerKwh, 6),
+    },
+    co2Avoided: { microKg: args.co2MicroKg, kg: ethers.formatUnits(args.co2MicroKg, 6) },
+    minted: mint ? { amount: mint.args.amount, bc: ethers.formatUnits(mint.args.amount, 18) } : null,
+  };
+  const evidence = [evidenceOf(chainId, meterAddress, reading)];
+  if (mint) evidence.push(evidenceOf(chainId, meterAddress, mint));
+  return { credentialSubject: subject, evidence };
+}
+
+/**
+ * Sign a new credential for `reading` (+ `mint`) with `issuer` (ethers
+ * Wallet / Signer).
+ */
+async function issueEnergyCredential({ issuer, reading, mint, chainId, meterAddress, issuanceDate = new Date() }) {
+  const issuerAddress = await issuer.getAddress();
+  const credential = {
+    "@context": ["https://www.w3.org/2018/credentials/v1"],
+    id: credentialId(chainId, reading.txHash, reading.logIndex),
+    type: ["VerifiableCredential", CREDENTIAL_TYPE],
+    issuer: didPkh(chainId, issuerAddress),
+    issuanceDate: issuanceDate.toISOString(),
+    ...energyClaims({ reading, mint, chainId, meterAddress }),
+  };
+
+  const proofValue = await issuer.signMessage(canonicalJson(credential));
+  credential.proof = {
+    type: PROOF_TYPE,
+    created: credential.issuanceDate,
+    proofPurpose: "assertionMethod",
+    verificationMethod: `${credential.issuer}#blockchainAccountId`,
+    proofValue,
+  };
+  return credential;
+}
+
+/**
+ * Signature check. Returns { valid, signer, errors }: the recovered signer
+ * must be the credential's issuer (and `expectedIssuer`, when given).
+ */
+function verifyCredentialSignature(credential, { expectedIssuer } = {}) {
+  const errors = [];
+  const { proof, ...unsigned } = credential || {};
+  if (!proof || proof.type !== PROOF_TYPE || typeof proof.proofValue !== "string") {
+    return { valid: false, signer: null, errors: [`proof must be a ${PROOF_TYPE}`] };
+  }
+
+  let signer;
+  try {
+    signer = ethers.verifyMessage(canonicalJson(unsigned), proof.proofValue).toLowerCase();
+  } catch (err) {
+    return { valid: false, signer: null, errors: ["proofValue is not a valid signature"] };
+  }
+
+  const issuerAddress = String(credential.issuer || "").split(":").pop().toLowerCase();
+  if (signer !== issuerAddress) {
+    errors.push("signature was not made by the credential's issuer");
+  }
+  if (proof.verificationMethod !== `${credential.issuer}#blockchainAccountId`) {
+    errors.push("verificationMethod does not match the issuer");
+  }
+  if (expectedIssuer && signer !== expectedIssuer.toLowerCase()) {
+    errors.push(`issuer is not the expected ${expectedIssuer.toLowerCase()}`);
+  }
+  return { valid: errors.length === 0, signer, errors };
+}
+
+function mismatches(path, expected, actual, out) {
+  if (canonicalJson(expected) === canonicalJson(actual)) return out;
+  if (expected && actual && typeof expected === "object" && typeof actual === "object") {
+    for (const key of new Set([...Object.keys(expected), ...Object.keys(actual)])) {
+      mismatches(`${path}.${key}`, expected[key], actual[key], out);
+    }
+    return out;
+  }
+  out.push({ field: path, onChain: expected === undefined ? null : expected, credential: actual === undefined ? null : actual });
+  return out;
+}
+
+/**
+ * Rebuild the claims from the tx the credential points to and compare.
+ *  - provider: any RPC (the auditor's own node works)
+ *  - meter:    CarbonSmartMeter contract at the address to trust
+ * Returns { valid, errors, mismatches: [{ field, onChain, credential }] }.
+ */
+async function verifyCredentialOnChain(credential, { provider, meter }) {
+  const errors = [];
+  const [readingEvidence] = (credential && credential.evidence) || [];
+  if (!readingEvidence || readingEvidence.event !== "EnergyRecorded" || !readingEvidence.txHash) {
+    return { valid: false, errors: ["evidence[0] must point to an EnergyRecorded log"], mismatches: [] };
+  }
+
+  const meterAddress = String(meter.target).toLowerCase();
+  const { chainId } = await provider.getNetwork();
+  if (String(readingEvidence.chainId) !== chainId.toString()) {
+    errors.push(`credential is for chain ${readingEvidence.chainId}, provider is on chain ${chainId}`);
+  }
+  if (readingEvidence.contract !== meterAddress) {
+    errors.push(`credential points to contract ${readingEvidence.contract}, not the meter ${meterAddress}`);
+  }
+
+  const receipt = await provider.getTransactionReceipt(readingEvidence.txHash);
+  if (!receipt || receipt.status !== 1) {
+    errors.push("transaction not found or failed");
+    return { valid: false, errors, mismatches: [] };
+  }
+
+  const events = receipt.logs
+    .filter((log) => log.address.toLowerCase() === meterAddress)
+    .map((log) => decodeEventLog("meter", meter, ["EnergyRecorded", "TokensMinted"], log))
+    .filter(Boolean);
+  const reading = events.find((e) => e.event === "EnergyRecorded" && e.logIndex === readingEvidence.logIndex);
+  if (!reading) {
+    errors.push(`no EnergyRecorded log #${readingEvidence.logIndex} from the meter in that tx`);
+    return { valid: false, errors, mismatches: [] };
+  }
+
+  const expected = energyClaims({ reading, mint: mintForReading(events, reading), chainId, meterAddress });
+  const found = [];
+  mismatches("credentialSubject", expected.credentialSubject, credential.credentialSubject, found);
+  mismatches("evidence", expected.evidence, credential.evidence, found);
+  if (credential.id !== credentialId(chainId, reading.txHash, reading.logIndex)) {
+    found.push({ field: "id", onChain: credentialId(chainId, reading.txHash, reading.logIndex), credential: credential.id });
+  }
+
+  return { valid: errors.length === 0 && found.length === 0, errors, mismatches: found };
+}
+
+module.exports = {
+  CREDENTIAL_TYPE,
+  canonicalJson,
+  didPkh,
+  mintForReading,
+  readingForMint,
+  issueEnergyCredential,
+  verifyCredentialSignature,
+  verifyCredentialOnChain,
+};
@@ -0,0 +1,564 @@
+// webhook-dispatcher.js
+// Webhook subscriptions and deliveries for integrators (installer portals,
+// ESG platforms) who want to be told about chain events instead of polling.
+//
+// Events come from the local chain index (chain-indexer.js): every tick the
+// dispatcher picks up the events indexed since its cursor, at least
+// WEBHOOK_CONFIRMATIONS blocks deep, and queues one delivery per matching
+// subscription. A subscription only receives events after it was created.
+// A reorg deeper than that rewinds the cursor: pending deliveries of the
+// dropped blocks are discarded and the re-indexed events dispatched again
+// (an event already delivered is not sent twice).
+//
+// Deliveries are POSTed as JSON, signed with the subscription's secret:
+//   X-BCM-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<body>")>
+//   X-BCM-Event: <event type>, X-BCM-Delivery: <delivery id>
+// Any 2xx is a success; anything else is retried with exponential backoff
+// (WEBHOOK_RETRY_BASE_SECONDS doubling, capped at an hour) until
+// WEBHOOK_MAX_ATTEMPTS, then the delivery is failed. Every attempt is logged
+// on the delivery and a delivery can be replayed.
+//
+// Delivery lifecycle: pending -> delivered | failed (replay: -> pending)
+
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const { provider } = require("./server-wallet");
+const { createStore } = require("./store");
+const { queryEvents, getIndexerStatus, onReorg } = require("./chain-indexer");
+const { logger } = require("./logger");
+
+const EVENT_TYPES = [
+  "EnergyRecorded",
+  "TokensMinted",
+  "DeviceDeactivated",
+  "ListingPurchased",
+  "OfferMade",
+  "OfferAccepted",
+];
+
+const POLL_MS = Number(process.env.WEBHOOK_POLL_MS || 5000);
+const CONFIRMATIONS = Number(process.env.WEBHOOK_CONFIRMATIONS ?? 3);
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS || 10) * 1000;
+const RETRY_MAX_MS = 3_600_000;
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 5000);
+const RETENTION_MS = Number(process.env.WEBHOOK_RETENTION_DAYS || 7) * 86_400_000;
+const MAX_PER_TICK = 20;
+
+const STATUS = {
+  PENDING: "pending",
+  DELIVERED: "delivered",
+  FAILED: "failed",
+};
+
+const store = createStore("webhooks", {
+  cursor: null,      // last block dispatched
+  subscriptions: {}, // id → { id, url, secret, filters, active, fromBlock, ... }
+  deliveries: {},    // id → { id, subscriptionId, eventId, event, payload, status, attempts, ... }
+});
+
+let timer = null;
+let ticking = false;
+let chainId = null;
+
+/**
+ * Error carrying the HTTP status the route should answer with.
+ */
+class WebhookError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "WebhookError";
+    this.status = status;
+  }
+}
+
+function backoff(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Subscription without its secret.
+ */
+function toSubscriptionView({ secret, ...subscription }) {
+  return subscription;
+}
+
+function toDeliveryView({ payload, ...delivery }) {
+  return delivery;
+}
+
+// ------------------------------------------------------------------------
+// Subscriptions
+// ------------------------------------------------------------------------
+
+/**
+ * https anywhere; plain http only for a local receiver.
+ */
+function checkUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    throw new WebhookError("url must be an absolute http(s) URL");
+  }
+  const local = ["localhost", "127.0.0.1", "[::1]"].includes(parsed.hostname);
+  if (parsed.protocol !== "https:" && !(parsed.protocol === "http:" && local)) {
+    throw new WebhookError("url must use https (http only for localhost)");
+  }
+  return parsed.toString();
+}
+
+function checkList(value, name, check) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    throw new WebhookError(`${name} must be an array`);
+  }
+  return [...new Set(value.map((item) => check(String(item))))];
+}
+
+/**
+ * { events?, wallets?, devices? }: each an allow list, empty = any. A wallet
+ * or device filter matches the wallets / devices an event concerns.
+ */
+function parseFilters({ events, wallets, devices } = {}) {
+  return {
+    events: checkList(events, "events", (e) => {
+      if (!EVENT_TYPES.includes(e)) {
+        throw new WebhookError(`Unknown event "${e}" (${EVENT_TYPES.join(", ")})`);
+      }
+      return e;
+    }),
+    wallets: checkList(wallets, "wallets", (w) => {
+      if (!ethers.isAddress(w)) throw new WebhookError(`Invalid wallet address: ${w}`);
+      return w.toLowerCase();
+    }),
+    devices: checkList(devices, "devices", (d) => {
+      if (!/^0x[0-9a-fA-F]{64}$/.test(d)) throw new WebhookError(`deviceId must be 32-byte hex: ${d}`);
+      return d.toLowerCase();
+    }),
+  };
+}
+
+/**
+ * Register a subscriber URL. Returns the subscription including its signing
+ * secret, the only time the secret is shown.
+ */
+function createSubscription({ url, description, filters, createdBy }) {
+  const subscription = {
+    id: crypto.randomUUID(),
+    url: checkUrl(url),
+    description: description ? String(description) : null,
+    secret: `whsec_${crypto.randomBytes(24).toString("hex")}`,
+    filters: parseFilters(filters),
+    active: true,
+    createdBy,
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+    fromBlock: null, // set on the next tick: events after it are delivered
+  };
+
+  store.update((state) => {
+    subscription.fromBlock = state.cursor;
+    state.subscriptions[subscription.id] = subscription;
+  });
+  return subscription;
+}
+
+function getSubscription(id) {
+  const subscription = store.read().subscriptions[id];
+  if (!subscription) {
+    throw new WebhookError("Webhook not found", 404);
+  }
+  return subscription;
+}
+
+function listSubscriptions() {
+  return Object.values(store.read().subscriptions)
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map(toSubscriptionView);
+}
+
+/**
+ * Change url / description / filters, pause (active: false) or resume.
+ */
+function updateSubscription(id, { url, description, filters, active }) {
+  getSubscription(id);
+  const changes = {};
+  if (url !== undefined) changes.url = checkUrl(url);
+  if (description !== undefined) changes.description = description ? String(description) : null;
+  if (filters !== undefined) changes.filters = parseFilters(filters);
+  if (active !== undefined) changes.active = Boolean(active);
+
+  return toSubscriptionView(
+    store.update((state) => Object.assign(state.subscriptions[id], changes, { updatedAt: Date.now() }))
+  );
+}
+
+/**
+ * Remove a subscription and its delivery log.
+ */
+function deleteSubscription(id) {
+  getSubscription(id);
+  store.update((state) => {
+    delete state.subscriptions[id];
+    for (const [deliveryId, delivery] of Object.entries(state.deliveries)) {
+      if (delivery.subscriptionId === id) delete state.deliveries[deliveryId];
+    }
+  });
+}
+
+// ------------------------------------------------------------------------
+// Deliveries
+// ------------------------------------------------------------------------
+
+function newDelivery(subscription, event, payload) {
+  return {
+    id: crypto.randomUUID(),
+    subscriptionId: subscription.id,
+    eventId: payload.id,
+    event,
+    payload,
+    status: STATUS.PENDING,
+    attempts: [],
+    nextAttemptAt: Date.now(),
+    replays: 0,
+    createdAt: Date.now(),
+    deliveredAt: null,
+  };
+}
+
+/**
+ * Deliveries of a subscription, newest first (optionally by status).
+ */
+function listDeliveries(subscriptionId, { status } = {}) {
+  getSubscription(subscriptionId);
+  return Object.values(store.read().deliveries)
+    .filter((d) => d.subscriptionId === subscriptionId && (!status || d.status === status))
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(toDeliveryView);
+}
+
+/**
+ * One delivery with its payload and attempt log.
+ */
+function getDelivery(id) {
+  const delivery = store.read().deliveries[id];
+  if (!delivery) {
+    throw new WebhookError("Delivery not found", 404);
+  }
+  return delivery;
+}
+
+/**
+ * Send a delivery again (delivered or failed), with a fresh attempt budget.
+ */
+function replayDelivery(id) {
+  const delivery = getDelivery(id);
+  if (delivery.status === STATUS.PENDING) {
+    throw new WebhookError("Delivery is still being retried", 409);
+  }
+  return store.update((state) =>
+    Object.assign(state.deliveries[id], {
+      status: STATUS.PENDING,
+      nextAttemptAt: Date.now(),
+      attemptsBeforeReplay: delivery.attempts.length,
+      replays: delivery.replays + 1,
+    })
+  );
+}
+
+/**
+ * Queue a "ping" delivery to check a receiver and its signature handling.
+ */
+function pingSubscription(id) {
+  const subscription = getSubscription(id);
+  const payload = {
+    id: `ping:${crypto.randomUUID()}`,
+    type: "ping",
+    chainId,
+    createdAt: new Date().toISOString(),
+  };
+  const delivery = newDelivery(subscription, "ping", payload);
+  store.update((state) => {
+    state.deliveries[delivery.id] = delivery;
+  });
+  return delivery;
+}
+
+/**
+ * X-BCM-Signature value for `body` sent at `timestamp` (unix seconds).
+ */
+function signPayload(secret, timestamp, body) {
+  const mac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${mac}`;
+}
+
+async function attemptDelivery(delivery) {
+  // Paused subscriptions keep their deliveries pending until resumed
+  const subscription = store.read().subscriptions[delivery.subscriptionId];
+  if (!subscription || !subscription.active) return;
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const attempt = { at: started, url: subscription.url, status: null, error: null, durationMs: null };
+
+  try {
+    const res = await fetch(subscription.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "bcm-webhooks/1",
+        "X-BCM-Event": delivery.event,
+        "X-BCM-Delivery": delivery.id,
+        "X-BCM-Signature": signPayload(subscription.secret, timestamp, body),
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+    attempt.status = res.status;
+    if (!res.ok) attempt.error = `HTTP ${res.status}`;
+  } catch (err) {
+    if (err.name === "TimeoutError") {
+      attempt.error = `Timed out after ${TIMEOUT_MS} ms`;
+    } else {
+      // fetch hides the network error (ECONNREFUSED, ENOTFOUND, ...) in its cause
+      attempt.error = err.cause && err.cause.code ? `${err.message} (${err.cause.code})` : err.message;
+    }
+  }
+  attempt.durationMs = Date.now() - started;
+
+  store.update((state) => {
+    const current = state.deliveries[delivery.id];
+    if (!current) return;
+    current.attempts.push(attempt);
+    const tries = current.attempts.length - (current.attemptsBeforeReplay || 0);
+    if (!attempt.error) {
+      Object.assign(current, { status: STATUS.DELIVERED, deliveredAt: Date.now(), nextAttemptAt: null });
+    } else if (tries >= MAX_ATTEMPTS) {
+      Object.assign(current, { status: STATUS.FAILED, nextAttemptAt: null });
+    } else {
+      current.nextAttemptAt = Date.now() + backoff(tries);
+    }
+  });
+}
+
+// ------------------------------------------------------------------------
+// Dispatch
+// ------------------------------------------------------------------------
+
+/**
+ * Who an event concerns, for wallet / device filters:
+ * { wallets: [...], devices: [...] }
+ */
+function eventParties(event, context) {
+  const a = event.args;
+  switch (event.event) {
+    case "EnergyRecorded":
+      return { wallets: [a.wallet], devices: [a.deviceId] };
+    case "TokensMinted":
+      // The reading that crossed the threshold in the same tx (none for a settlement)
+      return { wallets: [a.wallet], devices: context.mintDevices.get(event.id) || [] };
+    case "DeviceDeactivated":
+      return { wallets: [context.deviceWallet(a.deviceId, event)].filter(Boolean), devices: [a.deviceId] };
+    case "ListingPurchased":
+      return { wallets: [a.buyer, context.sellers.get(a.listingId)].filter(Boolean), devices: [] };
+    case "OfferMade":
+      return { wallets: [a.buyer, context.sellers.get(a.listingId)].filter(Boolean), devices: [] };
+    case "OfferAccepted":
+      return { wallets: [a.seller, a.buyer], devices: [] };
+    default:
+      return { wallets: [], devices: [] };
+  }
+}
+
+/**
+ * Lookups over the whole index the parties of a batch of events need.
+ */
+function dispatchContext(events) {
+  const sellers = new Map(
+    queryEvents({ event: "ListingCreated" }).map((e) => [e.args.listingId, e.args.seller])
+  );
+
+  const mintDevices = new Map();
+  for (const mint of events.filter((e) => e.event === "TokensMinted")) {
+    const trigger = events
+      .filter((e) => e.event === "EnergyRecorded" && e.txHash === mint.txHash && e.logIndex < mint.logIndex)
+      .pop();
+    if (trigger) mintDevices.set(mint.id, [trigger.args.deviceId]);
+  }
+
+  // Wallet a device was bound to when the event happened
+  const deviceWallet = (deviceId, event) => {
+    const binding = queryEvents({ event: ["DeviceRegistered", "DeviceTransferred"], filter: { deviceId } }).find(
+      (e) => e.blockNumber < event.blockNumber || (e.blockNumber === event.blockNumber && e.logIndex < event.logIndex)
+    );
+    if (!binding) return null;
+    return binding.event === "DeviceRegistered" ? binding.args.wallet : binding.args.to;
+  };
+
+  return { sellers, mintDevices, deviceWallet };
+}
+
+function matches(subscription, event, parties) {
+  const { events, wallets, devices } = subscription.filters;
+  if (events.length && !events.includes(event.event)) return false;
+  if (wallets.length && !parties.wallets.some((w) => wallets.includes(w))) return false;
+  if (devices.length && !parties.devices.some((d) => devices.includes(d))) return false;
+  return true;
+}
+
+/**
+ * Queue deliveries for the events indexed since the cursor.
+ */
+async function dispatchNewEvents() {
+  const { lastBlock } = await getIndexerStatus();
+  if (lastBlock === null) return 0;
+  const safeBlock = lastBlock - CONFIRMATIONS;
+
+  const { cursor } = store.read();
+  if (cursor === null) {
+    // First run: start from here instead of replaying the chain's history
+    store.update((state) => {
+      state.cursor = safeBlock;
+      for (const subscription of Object.values(state.subscriptions)) {
+        if (subscription.fromBlock === null) subscription.fromBlock = safeBlock;
+      }
+    });
+    return 0;
+  }
+  if (safeBlock <= cursor) return 0;
+
+  const events = queryEvents({ event: EVENT_TYPES })
+    .filter((e) => e.blockNumber > cursor && e.blockNumber <= safeBlock)
+    .reverse();
+  const context = dispatchContext(events);
+
+  return store.update((state) => {
+    // After a rewind, events that survived the reorg may already have one
+    const queuedFor = new Set(
+      Object.values(state.deliveries)
+        .filter((d) => d.payload.blockNumber > cursor)
+        .map((d) => `${d.subscriptionId}:${d.eventId}`)
+    );
+    let queued = 0;
+    for (const event of events) {
+      const parties = eventParties(event, context);
+      const payload = {
+        id: event.id,
+        type: event.event,
+        chainId,
+        contract: event.contract,
+        blockNumber: event.blockNumber,
+        txHash: event.txHash,
+        logIndex: event.logIndex,
+        timestamp: event.timestamp,
+        args: event.args,
+        wallets: parties.wallets,
+        devices: parties.devices,
+      };
+      for (const subscription of Object.values(state.subscriptions)) {
+        const after = subscription.fromBlock === null ? cursor : subscription.fromBlock;
+        if (!subscription.active || event.blockNumber <= after) continue;
+        if (!matches(subscription, event, parties)) continue;
+        if (queuedFor.has(`${subscription.id}:${event.id}`)) continue;
+        const delivery = newDelivery(subscription, event.event, payload);
+        state.deliveries[delivery.id] = delivery;
+        queued++;
+      }
+    }
+    state.cursor = safeBlock;
+    return queued;
+  });
+}
+
+/**
+ * Blocks after `blockNumber` were reorged out of the index: dispatch them
+ * again and drop what is still pending for them.
+ */
+function rewindTo(blockNumber) {
+  const { cursor } = store.read();
+  if (cursor === null || cursor <= blockNumber) return;
+
+  store.update((state) => {
+    state.cursor = blockNumber;
+    for (const [id, delivery] of Object.entries(state.deliveries)) {
+      if (delivery.status === STATUS.PENDING && delivery.payload.blockNumber > blockNumber) {
+        delete state.deliveries[id];
+      }
+    }
+  });
+  logger.warn("webhook cursor rewound after reorg", { from: cursor, to: blockNumber });
+}
+
+onReorg(rewindTo);
+
+function pruneDeliveries(now = Date.now()) {
+  const expired = Object.values(store.read().deliveries).filter(
+    (d) => d.status !== STATUS.PENDING && d.createdAt + RETENTION_MS < now
+  );
+  if (!expired.length) return;
+  store.update((state) => {
+    for (const delivery of expired) delete state.deliveries[delivery.id];
+  });
+}
+
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    if (chainId === null) {
+      chainId = Number((await provider.getNetwork()).chainId);
+    }
+    await dispatchNewEvents();
+
+    const due = Object.values(store.read().deliveries)
+      .filter((d) => d.status === STATUS.PENDING && d.nextAttemptAt <= Date.now())
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+      .slice(0, MAX_PER_TICK);
+    for (const delivery of due) {
+      await attemptDelivery(delivery);
+    }
+
+    pruneDeliveries();
+  } catch (err) {
+    logger.error("webhook tick error", { err });
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start the dispatch / delivery loop (called once from index.js).
+ */
+function startWebhooks() {
+  if (timer) return;
+  timer = setInterval(tick, POLL_MS);
+  tick();
+}
+
+function stopWebhooks() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  STATUS,
+  WebhookError,
+  toSubscriptionView,
+  createSubscription,
+  getSubscription,
+  listSubscriptions,
+  updateSubscription,
+  deleteSubscription,
+  listDeliveries,
+  getDelivery,
+  replayDelivery,
+  pingSubscription,
+  signPayload,
+  startWebhooks,
+  stopWebhooks,
+};
@@ -0,0 +1,171 @@
+// webhooks.js
+// Operator routes for webhook subscriptions (webhook-dispatcher.js):
+// register / change / remove subscriber URLs, inspect the delivery log and
+// replay deliveries. Receivers verify X-BCM-Signature with the secret
+// returned once on registration (see scripts/webhookReceiver.js).
+
+const express = require("express");
+const {
+  EVENT_TYPES,
+  STATUS,
+  WebhookError,
+  toSubscriptionView,
+  createSubscription,
+  getSubscription,
+  listSubscriptions,
+  updateSubscription,
+  deleteSubscription,
+  listDeliveries,
+  getDelivery,
+  replayDelivery,
+  pingSubscription,
+} = require("./webhook-dispatcher");
+const { ROLES, requireRole } = require("./access-control");
+const { logger } = require("./logger");
+
+const router = express.Router();
+
+// Every webhook route is operator-only
+router.use("/webhooks", requireRole(ROLES.OPERATOR));
+
+/**
+ * Wrap a handler: WebhookErrors answer with their status, anything else 500.
+ */
+function handle(label, handler) {
+  return (req, res) => {
+    try {
+      return handler(req, res);
+    } catch (err) {
+      if (err instanceof WebhookError) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      logger.error(`${label} error`, { err });
+      return res.status(500).json({ error: `${label} failed`, details: err.message });
+    }
+  };
+}
+
+/**
+ * POST /webhooks (operator)
+ * Body: {
+ *   url: "https://partner.example/bcm" (http only for localhost),
+ *   description?: string,
+ *   filters?: {
+ *     events?:  ["EnergyRecorded", "TokensMinted", "DeviceDeactivated",
+ *                "ListingPurchased", "OfferMade", "OfferAccepted"],
+ *     wallets?: ["0x..."],   // events concerning these wallets
+ *     devices?: ["0x<32-byte id>"]
+ *   }
+ * }
+ * → 201 with the subscription and its signing `secret` (shown only here).
+ * Events indexed after registration are delivered.
+ */
+router.post(
+  "/webhooks",
+  handle("webhook create", (req, res) => {
+    const { url, description, filters } = req.body || {};
+    if (!url) {
+      return res.status(400).json({ error: "url is required" });
+    }
+    const subscription = createSubscription({ url, description, filters, createdBy: req.auth.name || req.auth.keyId });
+    return res.status(201).json({
+      ok: true,
+      webhook: { ...toSubscriptionView(subscription), secret: subscription.secret },
+    });
+  })
+);
+
+/**
+ * GET /webhooks (operator)
+ * Subscriptions (without secrets) + the event types they can filter on.
+ */
+router.get("/webhooks", (req, res) => {
+  return res.json({ ok: true, events: EVENT_TYPES, webhooks: listSubscriptions() });
+});
+
+/**
+ * GET /webhooks/:id (operator)
+ */
+router.get(
+  "/webhooks/:id",
+  handle("webhook lookup", (req, res) => {
+    return res.json({ ok: true, webhook: toSubscriptionView(getSubscription(req.params.id)) });
+  })
+);
+
+/**
+ * PATCH /webhooks/:id (operator)
+ * Body: any of { url, description, filters, active }. active: false pauses
+ * deliveries (they stay pending) until set back to true.
+ */
+router.patch(
+  "/webhooks/:id",
+  handle("webhook update", (req, res) => {
+    return res.json({ ok: true, webhook: updateSubscription(req.params.id, req.body || {}) });
+  })
+);
+
+/**
+ * DELETE /webhooks/:id (operator)
+ * Removes the subscription and its delivery log.
+ */
+router.delete(
+  "/webhooks/:id",
+  handle("webhook delete", (req, res) => {
+    deleteSubscription(req.params.id);
+    return res.json({ ok: true });
+  })
+);
+
+/**
+ * POST /webhooks/:id/ping (operator)
+ * Queues a signed { type: "ping" } delivery to test the receiver → 202.
+ */
+router.post(
+  "/webhooks/:id/ping",
+  handle("webhook ping", (req, res) => {
+    const delivery = pingSubscription(req.params.id);
+    return res.status(202).json({ ok: true, deliveryId: delivery.id });
+  })
+);
+
+/**
+ * GET /webhooks/:id/deliveries?status=pending|delivered|failed (operator)
+ * Delivery log, newest first, with every attempt (HTTP status / error, time).
+ */
+router.get(
+  "/webhooks/:id/deliveries",
+  handle("webhook deliveries", (req, res) => {
+    const { status } = req.query;
+    if (status && !Object.values(STATUS).includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${Object.values(STATUS).join(", ")}` });
+    }
+    return res.json({ ok: true, deliveries: listDeliveries(req.params.id, { status }) });
+  })
+);
+
+/**
+ * GET /webhooks/deliveries/:deliveryId (operator)
+ * One delivery with its payload and attempts.
+ */
+router.get(
+  "/webhooks/deliveries/:deliveryId",
+  handle("webhook delivery lookup", (req, res) => {
+    return res.json({ ok: true, delivery: getDelivery(req.params.deliveryId) });
+  })
+);
+
+/**
+ * POST /webhooks/deliveries/:deliveryId/replay (operator)
+ * Sends a delivered or failed delivery again (same payload and delivery id,
+ * fresh retry budget) → 202.
+ */
+router.post(
+  "/webhooks/deliveries/:deliveryId/replay",
+  handle("webhook replay", (req, res) => {
+    const delivery = replayDelivery(req.params.deliveryId);
+    return res.status(202).json({ ok: true, deliveryId: delivery.id, status: delivery.status });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,357 @@
+// tasks/bcm.js
+const fs = require("fs");
+const path = require("path");
+const { scope } = require("hardhat/config");
+const { abiHash, hardhatDeployment, requireDeployed } = require("../server/deployment");
+const { paymentTokenInfo } = require("../server/erc20");
+const { DATA_DIR } = require("../server/store");
+const { fetchEventLogs } = require("../server/event-log");
+const { RECONCILE_EVENTS, EXIT, reconcile, reportExitCode, reportToText } = require("../server/reconciliation");
+
+/**
+ * bcm.js
+ *
+ * One command for the everyday contract calls, against the contracts in
+ * deployments/<network>.json (written by scripts/deploy.js), so nobody
+ * pastes addresses around. The signer is the network's first account
+ * (PRIVATE_KEY on base).
+ *
+ * Usage:
+ *   npx hardhat bcm device register --device 0x<32-byte id> --wallet 0x... [--region NZ] --network base
+ *   npx hardhat bcm device info --device 0x... --network base
+ *   npx hardhat bcm reading submit --device 0x... --kwh 5 [--start <unix>] [--end <unix>] --network base
+ *   npx hardhat bcm listing create --amount 10 --price 0.1 [--payment-token 0x...] --network base
+ *   npx hardhat bcm listing cancel --id 3 --network base
+ *   npx hardhat bcm offer accept --id 7 --network base
+ *   npx hardhat bcm totals [--wallet 0x...] --network base
+ *   npx hardhat bcm verify-wiring --network base
+ *   npx hardhat bcm reconcile [--json] [--strict] [--out report.json] [--outbox data/private/tx-outbox.json] --network base
+ *
+ * Device and reading writes are owner-only; `reading submit`
+ * records straight on-chain, skipping the backend's signature and MRV checks
+ * (operator corrections and demos only).
+ *
+ * `reconcile` recomputes the meter / token invariants from events and views
+ * and checks them against the server's submission log (server/reconciliation.js).
+ * Exit code for alerting: 0 clean, 1 discrepancies (warnings too with
+ * --strict), 2 the run itself failed.
+ */
+
+const bcm = scope("bcm", "Contract calls against the deployment manifest");
+
+const KWH = (milli) => `${(Number(milli) / 1000).toFixed(3)} kWh`;
+
+async function contracts(hre) {
+  const [signer] = await hre.ethers.getSigners();
+  const addresses = await requireDeployed(hre, "token", "meter", "marketplace");
+  return {
+    signer,
+    addresses,
+    token: await hre.ethers.getContractAt("BaseCarbonToken", addresses.token, signer),
+    meter: await hre.ethers.getContractAt("CarbonSmartMeter", addresses.meter, signer),
+    marketplace: await hre.ethers.getContractAt("CarbonMarketplace", addresses.marketplace, signer),
+  };
+}
+
+function checkAction(action, actions) {
+  if (!actions.includes(action)) {
+    throw new Error(`Unknown action "${action}" (${actions.join(" | ")})`);
+  }
+}
+
+function checkDeviceId(hre, deviceId) {
+  if (!hre.ethers.isHexString(deviceId, 32)) {
+    throw new Error("--device must be a 32-byte hex device id");
+  }
+  return deviceId;
+}
+
+function required(value, flag) {
+  if (value === undefined || value === "") {
+    throw new Error(`${flag} is required`);
+  }
+  return value;
+}
+
+async function send(label, txPromise) {
+  const tx = await txPromise;
+  console.log(`${label}: ${tx.hash}`);
+  const receipt = await tx.wait();
+  console.log(`Confirmed in block ${receipt.blockNumber}`);
+  return receipt;
+}
+
+/**
+ * Argument of our own `eventName` log in `receipt` (e.g. the listingId of
+ * ListingCreated).
+ */
+function eventArg(contract, receipt, eventName, argName) {
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== String(contract.target).toLowerCase()) continue;
+    const parsed = contract.interface.parseLog(log);
+    if (parsed && parsed.name === eventName) {
+      return parsed.args[argName];
+    }
+  }
+  throw new Error(`${eventName} not found in tx ${receipt.hash}`);
+}
+
+bcm
+  .task("device", "register | info a device on CarbonSmartMeter")
+  .addPositionalParam("action", "register | info")
+  .addOptionalParam("device", "Device id (32-byte hex)")
+  .addOptionalParam("wallet", "Wallet to bind (register)")
+  .addOptionalParam("region", "Grid region code, e.g. NZ (register)")
+  .setAction(async ({ action, device, wallet, region }, hre) => {
+    checkAction(action, ["register", "info"]);
+    const { meter } = await contracts(hre);
+    const id = checkDeviceId(hre, required(device, "--device"));
+
+    if (action === "register") {
+      required(wallet, "--wallet");
+      if (region) {
+        await send("registerDeviceInRegion", meter.registerDeviceInRegion(id, wallet, hre.ethers.encodeBytes32String(region)));
+      } else {
+        await send("registerDevice", meter.registerDevice(id, wallet));
+      }
+      return;
+    }
+
+    const info = await meter.getDevice(id);
+    const lastPeriodEnd = Number(await meter.lastPeriodEnd(id));
+    console.log(`${info.deviceId}`);
+    console.log(`   wallet:  ${info.wallet}`);
+    console.log(`   active:  ${info.active}`);
+    console.log(`   region:  ${info.region === hre.ethers.ZeroHash ? "-" : hre.ethers.decodeBytes32String(info.region)}`);
+    console.log(`   energy:  ${KWH(info.totalKwhMilli)}, CO2 ${Number(info.totalCo2MicroKg) / 1e6} kg`);
+    console.log(`   last period end: ${lastPeriodEnd ? new Date(lastPeriodEnd * 1000).toISOString() : "-"}`);
+  });
+
+bcm
+  .task("reading", "submit a verified reading straight on-chain (owner; skips backend MRV)")
+  .addPositionalParam("action", "submit")
+  .addOptionalParam("device", "Device id (32-byte hex)")
+  .addOptionalParam("kwh", "Energy in kWh (e.g. 5 or 0.25)")
+  .addOptionalParam("start", "Period start, unix seconds (default: end - 1h)")
+  .addOptionalParam("end", "Period end, unix seconds (default: now)")
+  .setAction(async ({ action, device, kwh, start, end }, hre) => {
+    checkAction(action, ["submit"]);
+    const { meter } = await contracts(hre);
+    const id = checkDeviceId(hre, required(device, "--device"));
+    const kwhMilli = hre.ethers.parseUnits(required(kwh, "--kwh"), 3);
+    const periodEnd = end ? Number(end) : Math.floor(Date.now() / 1000);
+    const periodStart = start ? Number(start) : periodEnd - 3600;
+
+    console.log("⚠️  Direct on-chain reading: no device signature or MRV checks");
+    console.log(`${id}: ${KWH(kwhMilli)} for ${new Date(periodStart * 1000).toISOString()} – ${new Date(periodEnd * 1000).toISOString()}`);
+    await send("recordVerifiedReading", meter.recordVerifiedReading(id, kwhMilli, periodStart, periodEnd));
+  });
+
+bcm
+  .task("listing", "create | cancel a marketplace listing (signer is the seller)")
+  .addPositionalParam("action", "create | cancel")
+  .addOptionalParam("amount", "BC to list (create)")
+  .addOptionalParam("price", "Total lot price in the payment token (create)")
+  .addOptionalParam("paymentToken", "ERC-20 to be paid in (create, default ETH)")
+  .addOptionalParam("id", "Listing id (cancel)")
+  .setAction(async ({ action, amount, price, paymentToken, id }, hre) => {
+    checkAction(action, ["create", "cancel"]);
+    const { signer, addresses, token, marketplace } = await contracts(hre);
+
+    if (action === "cancel") {
+      await send("cancelListing", marketplace.cancelListing(required(id, "--id")));
+      return;
+    }
+
+    const payment = await paymentTokenInfo(paymentToken, signer);
+    const amountBC = hre.ethers.parseUnits(required(amount, "--amount"), await token.decimals());
+    const lotPrice = hre.ethers.parseUnits(required(price, "--price"), payment.decimals);
+
+    // Listings share one allowance: add to what earlier listings rely on
+    const allowance = await token.allowance(signer.address, addresses.marketplace);
+    await send("approve", token.approve(addresses.marketplace, allowance + amountBC));
+    const receipt = await send("createListing", marketplace.createListing(amountBC, payment.address, lotPrice));
+    const listingId = eventArg(marketplace, receipt, "ListingCreated", "listingId");
+    console.log(`Listing ${listingId}: ${amount} BC for ${price} ${payment.symbol}`);
+  });
+
+bcm
+  .task("offer", "accept an offer on one of the signer's listings")
+  .addPositionalParam("action", "accept")
+  .addOptionalParam("id", "Offer id")
+  .setAction(async ({ action, id }, hre) => {
+    checkAction(action, ["accept"]);
+    const { signer, marketplace } = await contracts(hre);
+    const offer = await marketplace.offers(required(id, "--id"));
+    if (!offer.active) {
+      throw new Error(`Offer ${id} is not open`);
+    }
+    const listing = await marketplace.listings(offer.listingId);
+    if (listing.seller.toLowerCase() !== signer.address.toLowerCase()) {
+      throw new Error(`Listing ${offer.listingId} belongs to ${listing.seller}, not ${signer.address}`);
+    }
+
+    const payment = await paymentTokenInfo(listing.paymentToken, signer);
+    console.log(
+      `Offer ${id} on listing ${offer.listingId}: ${hre.ethers.formatUnits(offer.amountBC, 18)} BC ` +
+        `for ${hre.ethers.formatUnits(offer.price, payment.decimals)} ${payment.symbol} from ${offer.buyer}`
+    );
+    await send("acceptOffer", marketplace.acceptOffer(id));
+    console.log("Proceeds are withdrawable via withdrawProceeds.js");
+  });
+
+bcm
+  .task("totals", "Verified energy, CO2, BC balance and USD value of a wallet")
+  .addOptionalParam("wallet", "Wallet (default: the signer)")
+  .setAction(async ({ wallet }, hre) => {
+    const { signer, token, meter } = await contracts(hre);
+    const who = wallet || signer.address;
+    const [[kwhMilli, co2MicroKg, pending], balance, devices] = await Promise.all([
+      meter.getWalletTotals(who),
+      token.balanceOf(who),
+      meter.getWalletDeviceCount(who),
+    ]);
+
+    console.log(who);
+    console.log(`   devices:  ${devices}`);
+    console.log(`   energy:   ${KWH(kwhMilli)} (pending ${KWH(pending)})`);
+    console.log(`   CO2:      ${Number(co2MicroKg) / 1e6} kg avoided`);
+    console.log(`   balance:  ${hre.ethers.formatUnits(balance, 18)} BC`);
+    try {
+      const [, decimals] = await meter.getLatestPrice();
+      const { usdValue, price } = await meter.getWalletOffsetValueUSD(who);
+      console.log(`   value:    ${hre.ethers.formatUnits(usdValue, 18)} USD at ${hre.ethers.formatUnits(price, decimals)} USD/BC`);
+    } catch (err) {
+      console.log(`   value:    - (${err.reason || err.message})`);
+    }
+  });
+
+bcm
+  .task("verify-wiring", "Check the deployed contracts point at each other (exit 1 on a mismatch)")
+  .setAction(async (_, hre) => {
+    const deployment = await hardhatDeployment(hre);
+    const { addresses, manifest } = deployment;
+    let failed = 0;
+    const check = (ok, label, detail = "") => {
+      console.log(`${ok ? "✅" : "❌"} ${label}${detail ? `  (${detail})` : ""}`);
+      if (!ok) failed++;
+    };
+    const same = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+    console.log(`Network ${hre.network.name}, chain ${deployment.chainId}, addresses from ${deployment.source}\n`);
+    if (!manifest) {
+      console.log("⚠️  No manifest: run scripts/deploy.js to get one (ABI hashes are not checked)\n");
+    }
+
+    for (const key of ["token", "meter", "marketplace"]) {
+      const code = addresses[key] ? await hre.ethers.provider.getCode(addresses[key]) : "0x";
+      check(code !== "0x", `${key} has code`, addresses[key] || "no address");
+    }
+    if (failed) {
+      process.exitCode = 1;
+      return;
+    }
+
+    const { token, meter, marketplace } = await contracts(hre);
+    const [minter, meterToken, marketplaceToken, treasury, feed, maxPriceAge] = await Promise.all([
+      token.minter(),
+      meter.baseCarbonToken(),
+      marketplace.bcToken(),
+      marketplace.treasury(),
+      meter.priceFeed(),
+      meter.maxPriceAge(),
+    ]);
+
+    check(same(minter, addresses.meter), "token.minter() == meter", minter);
+    check(same(meterToken, addresses.token), "meter.baseCarbonToken() == token", meterToken);
+    check(same(marketplaceToken, addresses.token), "marketplace.bcToken() == token", marketplaceToken);
+    if (addresses.treasury) {
+      check(same(treasury, addresses.treasury), "marketplace.treasury() == manifest treasury", treasury);
+    }
+
+    if (addresses.oracle) {
+      check(same(feed, addresses.oracle), "meter.priceFeed() == oracle", feed);
+    } else {
+      check(feed !== hre.ethers.ZeroAddress, "meter.priceFeed() is set", feed);
+    }
+    try {
+      const [roundId, , , updatedAt] = await meter.getLatestRoundData();
+      check(true, "price feed has a valid price", `round ${roundId}, updated ${new Date(Number(updatedAt) * 1000).toISOString()}`);
+    } catch (err) {
+      check(false, "price feed has a valid price", err.reason || err.message);
+    }
+    if (manifest && manifest.contracts.oracle && manifest.contracts.oracle.maxPriceAge !== undefined) {
+      check(Number(maxPriceAge) === manifest.contracts.oracle.maxPriceAge, "meter.maxPriceAge() == manifest", `${maxPriceAge}s`);
+    }
+
+    if (manifest) {
+      for (const [key, entry] of Object.entries(manifest.contracts)) {
+        if (!entry.abiHash) continue;
+        const artifact = await hre.artifacts.readArtifact(entry.name);
+        check(abiHash(artifact.abi) === entry.abiHash, `${key} ABI matches artifacts/${entry.name}`);
+      }
+    }
+
+    console.log(failed ? `\n${failed} check(s) failed` : "\nAll wired up");
+    if (failed) process.exitCode = 1;
+  });
+
+/**
+ * Jobs of the server's tx outbox file (its submission log) and the newest
+ * block it pruned; empty when the file isn't there (e.g. run away from the
+ * server's DATA_DIR).
+ */
+function readOutbox(file) {
+  try {
+    const state = JSON.parse(fs.readFileSync(file, "utf8"));
+    return { jobs: Object.values(state.jobs), prunedThroughBlock: state.prunedThroughBlock || null };
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    console.warn(`⚠️  No submission log at ${file}: every reading will show as external\n`);
+    return { jobs: [], prunedThroughBlock: null };
+  }
+}
+
+bcm
+  .task("reconcile", "Check minting against metered energy and the server's submission log (exit 0 clean, 1 discrepancies, 2 failed)")
+  .addOptionalParam("fromBlock", "First block to scan (default: the manifest's deploy block, else 0)")
+  .addOptionalParam("outbox", "Server tx outbox file (default: <DATA_DIR>/tx-outbox.json)")
+  .addOptionalParam("out", "Also write the JSON report to this file")
+  .addFlag("json", "Print the JSON report instead of text")
+  .addFlag("strict", "Warnings fail too")
+  .setAction(async ({ fromBlock, outbox, out, json, strict }, hre) => {
+    try {
+      const { manifest } = await hardhatDeployment(hre);
+      const { meter, token } = await contracts(hre);
+      const deployBlock = manifest ? manifest.deployBlock : null;
+      const from = Number(fromBlock ?? deployBlock ?? 0);
+      const toBlock = await hre.ethers.provider.getBlockNumber();
+
+      const events = await fetchEventLogs(
+        hre.ethers.provider,
+        [
+          { name: "meter", contract: meter, events: RECONCILE_EVENTS },
+          { name: "token", contract: token, events: RECONCILE_EVENTS },
+        ],
+        { fromBlock: from, toBlock }
+      );
+      const report = await reconcile({
+        meter,
+        token,
+        events,
+        ...readOutbox(outbox || path.join(DATA_DIR, "tx-outbox.json")),
+        fromBlock: from,
+        toBlock,
+        deployBlock,
+      });
+
+      if (out) {
+        fs.writeFileSync(out, `${JSON.stringify(report, null, 2)}\n`);
+      }
+      process.stdout.write(json ? `${JSON.stringify(report, null, 2)}\n` : reportToText(report));
+      process.exitCode = reportExitCode(report, { strict });
+    } catch (err) {
+      console.error(`Reconciliation failed: ${err.message}`);
+      process.exitCode = EXIT.FAILED;
+    }
+  });
@@ -0,0 +1,127 @@
+// tasks/devices.js
+const { scope } = require("hardhat/config");
+const { requireDeployed } = require("../server/deployment");
+
+/**
+ * devices.js
+ *
+ * Operator tasks for the device lifecycle on CarbonSmartMeter (the same
+ * calls the backend's /devices routes queue). Writes are owner-only, so run
+ * them with the owner key on the network.
+ *
+ * Usage (meter from deployments/<network>.json, or --meter):
+ *   npx hardhat devices list --wallet 0x... --network base
+ *   npx hardhat devices info --device 0x<32-byte id> --network base
+ *   npx hardhat devices transfer --device 0x... --to 0x<new wallet> --network base
+ *   npx hardhat devices deactivate --device 0x... --network base
+ *   npx hardhat devices reactivate --device 0x... --network base
+ *   npx hardhat devices approve-unbind --device 0x... --network base
+ *     (the device wallet must have called requestUnbind first)
+ */
+
+const devices = scope("devices", "Device lifecycle on CarbonSmartMeter (operators)");
+
+const KWH = (milli) => `${(Number(milli) / 1000).toFixed(3)} kWh`;
+
+async function getMeter(hre, address) {
+  const meterAddress = address || (await requireDeployed(hre, "meter")).meter;
+  return hre.ethers.getContractAt("CarbonSmartMeter", meterAddress);
+}
+
+function checkDeviceId(hre, deviceId) {
+  if (!hre.ethers.isHexString(deviceId, 32)) {
+    throw new Error("--device must be a 32-byte hex device id");
+  }
+  return deviceId;
+}
+
+function printDevice(hre, device, unbindRequested) {
+  const region = device.region === hre.ethers.ZeroHash ? "-" : hre.ethers.decodeBytes32String(device.region);
+  console.log(`${device.deviceId}`);
+  console.log(`   wallet:  ${device.wallet}`);
+  console.log(`   active:  ${device.active}${unbindRequested ? " (unbind requested)" : ""}`);
+  console.log(`   region:  ${region}`);
+  console.log(`   energy:  ${KWH(device.totalKwhMilli)}, CO2 ${Number(device.totalCo2MicroKg) / 1e6} kg`);
+}
+
+async function send(label, txPromise) {
+  const tx = await txPromise;
+  console.log(`${label}: ${tx.hash}`);
+  const receipt = await tx.wait();
+  console.log(`Confirmed in block ${receipt.blockNumber}`);
+  return receipt;
+}
+
+devices
+  .task("list", "Devices bound to a wallet")
+  .addParam("wallet", "Wallet address")
+  .addOptionalParam("meter", "CarbonSmartMeter address (default: the deployment manifest)")
+  .setAction(async ({ wallet, meter: meterAddress }, hre) => {
+    const meter = await getMeter(hre, meterAddress);
+    const ids = await meter.getWalletDevices(wallet);
+    const [, , pending] = await meter.getWalletTotals(wallet);
+
+    console.log(`${ids.length} device(s) bound to ${wallet}, pending ${KWH(pending)}\n`);
+    for (const id of ids) {
+      printDevice(hre, await meter.getDevice(id), await meter.unbindRequested(id));
+    }
+  });
+
+devices
+  .task("info", "On-chain state of a device")
+  .addParam("device", "Device id (32-byte hex)")
+  .addOptionalParam("meter", "CarbonSmartMeter address (default: the deployment manifest)")
+  .setAction(async ({ device, meter: meterAddress }, hre) => {
+    const meter = await getMeter(hre, meterAddress);
+    const id = checkDeviceId(hre, device);
+    printDevice(hre, await meter.getDevice(id), await meter.unbindRequested(id));
+    const lastPeriodEnd = Number(await meter.lastPeriodEnd(id));
+    console.log(`   last period end: ${lastPeriodEnd ? new Date(lastPeriodEnd * 1000).toISOString() : "-"}`);
+  });
+
+devices
+  .task("transfer", "Move a device to a new wallet (settles the old wallet's pending energy)")
+  .addParam("device", "Device id (32-byte hex)")
+  .addParam("to", "New wallet address")
+  .addOptionalParam("meter", "CarbonSmartMeter address (default: the deployment manifest)")
+  .setAction(async ({ device, to, meter: meterAddress }, hre) => {
+    const meter = await getMeter(hre, meterAddress);
+    const id = checkDeviceId(hre, device);
+    const current = await meter.getDevice(id);
+    const [, , pending] = await meter.getWalletTotals(current.wallet);
+
+    console.log(`Transferring ${id}: ${current.wallet} → ${to}`);
+    console.log(`Old wallet's pending ${KWH(pending)} is settled to it as fractional BC`);
+    await send("transferDevice", meter.transferDevice(id, to));
+  });
+
+devices
+  .task("deactivate", "Stop accepting readings from a device")
+  .addParam("device", "Device id (32-byte hex)")
+  .addOptionalParam("meter", "CarbonSmartMeter address (default: the deployment manifest)")
+  .setAction(async ({ device, meter: meterAddress }, hre) => {
+    const meter = await getMeter(hre, meterAddress);
+    await send("deactivateDevice", meter.deactivateDevice(checkDeviceId(hre, device)));
+  });
+
+devices
+  .task("reactivate", "Accept readings from a deactivated device again")
+  .addParam("device", "Device id (32-byte hex)")
+  .addOptionalParam("meter", "CarbonSmartMeter address (default: the deployment manifest)")
+  .setAction(async ({ device, meter: meterAddress }, hre) => {
+    const meter = await getMeter(hre, meterAddress);
+    await send("reactivateDevice", meter.reactivateDevice(checkDeviceId(hre, device)));
+  });
+
+devices
+  .task("approve-unbind", "Approve the device wallet's unbind request")
+  .addParam("device", "Device id (32-byte hex)")
+  .addOptionalParam("meter", "CarbonSmartMeter address (default: the deployment manifest)")
+  .setAction(async ({ device, meter: meterAddress }, hre) => {
+    const meter = await getMeter(hre, meterAddress);
+    const id = checkDeviceId(hre, device);
+    if (!(await meter.unbindRequested(id))) {
+      throw new Error("The device wallet has not requested unbinding (requestUnbind)");
+    }
+    await send("approveUnbind", meter.approveUnbind(id));
+  });
@@ -0,0 +1,872 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("CarbonSmartMeter + OracleConsumer Integration", function () {
+  
+  let deployer, user;
+  let token, meter, mockOracle;
+
+  beforeEach(async function () {
+    [deployer, user] = await ethers.getSigners();
+
+    //
+    // 1. Deploy a MOCK Oracle Aggregator (Chainlink-compatible)
+    //
+    const MockOracle = await ethers.getContractFactory("MockV3Aggregator");
+    // 8 decimals, initial answer = 100 * 1e8
+    mockOracle = await MockOracle.deploy(8, "10000000000");
+    await mockOracle.waitForDeployment();
+
+    //
+    // 2. Deploy BaseCarbonToken
+    //
+    const Token = await ethers.getContractFactory("BaseCarbonToken");
+    token = await Token.deploy();
+    await token.waitForDeployment();
+
+    //
+    // 3. Deploy CarbonSmartMeter with overridden oracle address
+    //
+    const Meter = await ethers.getContractFactory("CarbonSmartMeterTestable");
+    meter = await Meter.deploy(token.getAddress(), mockOracle.getAddress());
+    await meter.waitForDeployment();
+
+    //
+    // 4. Set minter
+    //
+    await token.setMinter(await meter.getAddress());
+  });
+
+  it("registers devices correctly", async function () {
+    const deviceId = ethers.encodeBytes32String("DEVICE_001");
+
+    await meter.registerDevice(deviceId, user.address);
+    const d = await meter.getDevice(deviceId);
+
+    expect(d.wallet).to.equal(user.address);
+    expect(d.active).to.equal(true);
+  });
+
+  it("records verified energy and updates CO2 accounting", async function () {
+    const deviceId = ethers.encodeBytes32String("DEVICE_002");
+
+    await meter.registerDevice(deviceId, user.address);
+
+    // 1000 milli-kWh = 1 kWh
+    await meter.recordVerifiedReading(deviceId, 1000, 1700000000, 1700003600);
+
+    const totals = await meter.getWalletTotals(user.address);
+
+    expect(totals.kwhMilli).to.equal(1000);
+    expect(totals.co2MicroKg).to.equal((1000n * 400000n) / 1000n); // = 400,000 µg
+  });
+
+  it("mints tokens at 2.5 kWh per BC", async function () {
+    const deviceId = ethers.encodeBytes32String("DEVICE_003");
+
+    await meter.registerDevice(deviceId, user.address);
+
+    // Record 2.5 kWh = 2,500 milli-kWh → should mint 1 BC
+    await meter.recordVerifiedReading(deviceId, 2500, 1700000000, 1700003600);
+
+    const bal = await token.balanceOf(user.address);
+    expect(bal).to.equal(ethers.parseUnits("1", 18));
+  });
+
+  it("returns correct USD value using mock oracle", async function () {
+    const deviceId = ethers.encodeBytes32String("DEVICE_004");
+
+    await meter.registerDevice(deviceId, user.address);
+
+    // Add 5 kWh = 5000 milli-kWh → 2 BC tokens
+    await meter.recordVerifiedReading(deviceId, 5000, 1700000000, 1700003600);
+
+    const { usdValue, price, feed, roundId } = await meter.getWalletOffsetValueUSD(user.address);
+
+    // BC balance = 2 * 1e18 = 2e18
+    // Price = 100 USD (8 decimals) → 100e8
+    //
+    // USD Value = (2e18 * 100e8) / 1e8 = 200e18
+    //
+    expect(usdValue).to.equal(ethers.parseUnits("200", 18));
+    expect(price).to.equal(10000000000n);
+    expect(feed).to.equal(await mockOracle.getAddress());
+    expect(roundId).to.equal(await mockOracle.latestRound());
+  });
+
+  it("rejects stale and non-positive prices", async function () {
+    const latest = await ethers.provider.getBlock("latest");
+    const maxAge = await meter.maxPriceAge();
+
+    await mockOracle.updateRoundData(2, "10000000000", latest.timestamp - Number(maxAge) - 1, latest.timestamp);
+    await expect(meter.getWalletOffsetValueUSD(user.address)).to.be.revertedWith("Stale price");
+
+    await mockOracle.updateAnswer(0);
+    await expect(meter.getLatestPrice()).to.be.revertedWith("Invalid price");
+
+    await mockOracle.updateAnswer(-1);
+    await expect(meter.getWalletOffsetValueUSD(user.address)).to.be.revertedWith("Invalid price");
+  });
+
+  it("lets only the owner swap the price feed", async function () {
+    const MockOracle = await ethers.getContractFactory("MockV3Aggregator");
+    const newFeed = await MockOracle.deploy(18, ethers.parseUnits("12.5", 18));
+    await newFeed.waitForDeployment();
+
+    await expect(meter.connect(user).setPriceFeed(await newFeed.getAddress(), 600)).to.be.revertedWith("Not owner");
+    await expect(meter.setPriceFeed(ethers.ZeroAddress, 600)).to.be.revertedWith("Zero feed address");
+
+    await expect(meter.setPriceFeed(await newFeed.getAddress(), 600))
+      .to.emit(meter, "PriceFeedUpdated")
+      .withArgs(await newFeed.getAddress(), 600);
+
+    const [price, decimals] = await meter.getLatestPrice();
+    expect(price).to.equal(ethers.parseUnits("12.5", 18));
+    expect(decimals).to.equal(18);
+  });
+
+});
+
+describe("CarbonSmartMeter regional grid intensity", function () {
+
+  let deployer, user;
+  let token, meter;
+
+  const NZ = ethers.encodeBytes32String("NZ");
+  const IN = ethers.encodeBytes32String("IN");
+
+  beforeEach(async function () {
+    [deployer, user] = await ethers.getSigners();
+
+    const Token = await ethers.getContractFactory("BaseCarbonToken");
+    token = await Token.deploy();
+    await token.waitForDeployment();
+
+    const Meter = await ethers.getContractFactory("CarbonSmartMeter");
+    meter = await Meter.deploy(await token.getAddress());
+    await meter.waitForDeployment();
+
+    await token.setMinter(await meter.getAddress());
+
+    // 0.110 kg/kWh (MBIE NZ 2024), 0.710 kg/kWh (CEA India 2024)
+    await meter.setGridIntensity(NZ, 110000, "MBIE NZ 2024", 1704067200);
+    await meter.setGridIntensity(IN, 710000, "CEA India 2024", 1704067200);
+  });
+
+  it("uses the device's regional factor for CO2 accounting", async function () {
+    const nzDevice = ethers.encodeBytes32String("DEVICE_NZ");
+    const inDevice = ethers.encodeBytes32String("DEVICE_IN");
+
+    await meter.registerDeviceInRegion(nzDevice, user.address, NZ);
+    await meter.registerDeviceInRegion(inDevice, deployer.address, IN);
+
+    await expect(meter.recordVerifiedReading(nzDevice, 1000, 1700000000, 1700003600))
+      .to.emit(meter, "EnergyRecorded")
+      .withArgs(nzDevice, user.address, 1000, 110000, NZ, 110000, 1700000000, 1700003600);
+    await meter.recordVerifiedReading(inDevice, 1000, 1700000000, 1700003600);
+
+    expect((await meter.getWalletTotals(user.address)).co2MicroKg).to.equal(110000);
+    expect((await meter.getWalletTotals(deployer.address)).co2MicroKg).to.equal(710000);
+  });
+
+  it("falls back to the global 0.40 kg/kWh for devices without a region", async function () {
+    const deviceId = ethers.encodeBytes32String("DEVICE_PRIVATE");
+
+    await meter.registerDevice(deviceId, user.address);
+    await meter.recordVerifiedReading(deviceId, 1000, 1700000000, 1700003600);
+
+    expect((await meter.getWalletTotals(user.address)).co2MicroKg).to.equal(400000);
+  });
+
+  it("applies updated factors and device region changes to later readings", async function () {
+    const deviceId = ethers.encodeBytes32String("DEVICE_MOVED");
+
+    await meter.registerDevice(deviceId, user.address);
+    await meter.setDeviceRegion(deviceId, NZ);
+    await meter.setGridIntensity(NZ, 100000, "MBIE NZ 2025", 1735689600);
+
+    await meter.recordVerifiedReading(deviceId, 1000, 1700000000, 1700003600);
+
+    expect((await meter.getWalletTotals(user.address)).co2MicroKg).to.equal(100000);
+    expect(await meter.getRegionCodes()).to.deep.equal([NZ, IN]);
+    expect((await meter.gridIntensities(NZ)).source).to.equal("MBIE NZ 2025");
+  });
+
+  it("rejects unknown regions and non-owner table updates", async function () {
+    const deviceId = ethers.encodeBytes32String("DEVICE_XX");
+
+    await expect(
+      meter.registerDeviceInRegion(deviceId, user.address, ethers.encodeBytes32String("XX"))
+    ).to.be.revertedWith("Unknown region");
+
+    await expect(
+      meter.connect(user).setGridIntensity(NZ, 1, "fake", 0)
+    ).to.be.revertedWith("Not owner");
+  });
+
+});
+
+describe("CarbonSmartMeter batched readings", function () {
+
+  let deployer, user;
+  let token, meter;
+
+  const DEVICE_A = ethers.encodeBytes32String("DEVICE_A");
+  const DEVICE_B = ethers.encodeBytes32String("DEVICE_B");
+  const ROOT = ethers.keccak256(ethers.toUtf8Bytes("readings"));
+
+  beforeEach(async function () {
+    [deployer, user] = await ethers.getSigners();
+
+    const Token = await ethers.getContractFactory("BaseCarbonToken");
+    token = await Token.deploy();
+    await token.waitForDeployment();
+
+    const Meter = await ethers.getContractFactory("CarbonSmartMeter");
+    meter = await Meter.deploy(await token.getAddress());
+    await meter.waitForDeployment();
+
+    await token.setMinter(await meter.getAddress());
+
+    await meter.registerDevice(DEVICE_A, user.address);
+    await meter.registerDevice(DEVICE_B, user.address);
+  });
+
+  it("carries pending energy over between batch items like single readings", async function () {
+    // 1.5 kWh + 1.5 kWh for the same wallet → 1 BC minted, 0.5 kWh pending
+    await expect(
+      meter.recordVerifiedBatch(
+        [DEVICE_A, DEVICE_B],
+        [1500, 1500],
+        [1700000000, 1700000000],
+        [1700003600, 1700003600],
+        [ROOT, ROOT]
+      )
+    )
+      .to.emit(meter, "TokensMinted")
+      .withArgs(user.address, ethers.parseUnits("1", 18));
+
+    const totals = await meter.getWalletTotals(user.address);
+    expect(totals.kwhMilli).to.equal(3000);
+    expect(totals.pending).to.equal(500);
+    expect(await token.balanceOf(user.address)).to.equal(ethers.parseUnits("1", 18));
+  });
+
+  it("emits the aggregate period and readings root for every item", async function () {
+    await expect(
+      meter.recordVerifiedBatch([DEVICE_A], [1000], [1700000000], [1700003600], [ROOT])
+    )
+      .to.emit(meter, "ReadingsAggregated")
+      .withArgs(DEVICE_A, 1700000000, 1700003600, 1000, ROOT)
+      .and.to.emit(meter, "EnergyRecorded")
+      .withArgs(DEVICE_A, user.address, 1000, 400000, ethers.ZeroHash, 400000, 1700000000, 1700003600);
+  });
+
+  it("rejects malformed batches and non-owner callers", async function () {
+    await expect(
+      meter.recordVerifiedBatch([DEVICE_A, DEVICE_B], [1000], [0], [1], [ROOT])
+    ).to.be.revertedWith("Length mismatch");
+
+    await expect(
+      meter.recordVerifiedBatch([DEVICE_A], [1000], [1700003600], [1700000000], [ROOT])
+    ).to.be.revertedWith("Invalid period");
+
+    await expect(
+      meter.recordVerifiedBatch([DEVICE_A], [1000], [1700000000], [1700003600], [ethers.ZeroHash])
+    ).to.be.revertedWith("Missing readings root");
+
+    await expect(
+      meter.connect(user).recordVerifiedBatch([DEVICE_A], [1000], [1700000000], [1700003600], [ROOT])
+    ).to.be.revertedWith("Not owner");
+  });
+
+});
+
+describe("CarbonSmartMeter reading periods", function () {
+
+  let deployer, user;
+  let token, meter;
+
+  const DEVICE = ethers.encodeBytes32String("DEVICE_PERIODS");
+  const ROOT = ethers.keccak256(ethers.toUtf8Bytes("readings"));
+
+  beforeEach(async function () {
+    [deployer, user] = await ethers.getSigners();
+
+    const Token = await ethers.getContractFactory("BaseCarbonToken");
+    token = await Token.deploy();
+    await token.waitForDeployment();
+
+    const Meter = await ethers.getContractFactory("CarbonSmartMeter");
+    meter = await Meter.deploy(await token.getAddress());
+    await meter.waitForDeployment();
+
+    await token.setMinter(await meter.getAddress());
+    await meter.registerDevice(DEVICE, user.address);
+  });
+
+  it("tracks the last covered timestamp per device", async function () {
+    await meter.recordVerifiedReading(DEVICE, 1000, 1700000000, 1700003600);
+    // Contiguous periods are fine
+    await meter.recordVerifiedReading(DEVICE, 1000, 1700003600, 1700007200);
+
+    expect(await meter.lastPeriodEnd(DEVICE)).to.equal(1700007200);
+    expect((await meter.getWalletTotals(user.address)).kwhMilli).to.equal(2000);
+  });
+
+  it("rejects overlapping, repeated and out-of-order periods", async function () {
+    await meter.recordVerifiedReading(DEVICE, 1000, 1700003600, 1700007200);
+
+    await expect(
+      meter.recordVerifiedReading(DEVICE, 1000, 1700003600, 1700007200)
+    ).to.be.revertedWith("Overlapping period");
+    await expect(
+      meter.recordVerifiedReading(DEVICE, 1000, 1700007000, 1700010800)
+    ).to.be.revertedWith("Overlapping period");
+    await expect(
+      meter.recordVerifiedReading(DEVICE, 1000, 1700000000, 1700003600)
+    ).to.be.revertedWith("Overlapping period");
+    await expect(
+      meter.recordVerifiedReading(DEVICE, 1000, 1700010800, 1700010800)
+    ).to.be.revertedWith("Invalid period");
+  });
+
+  it("applies the same rule across batch items and single readings", async function () {
+    await expect(
+      meter.recordVerifiedBatch(
+        [DEVICE, DEVICE],
+        [1000, 1000],
+        [1700000000, 1700001800],
+        [1700003600, 1700007200],
+        [ROOT, ROOT]
+      )
+    ).to.be.revertedWith("Overlapping period");
+
+    await meter.recordVerifiedBatch([DEVICE], [1000], [1700000000], [1700003600], [ROOT]);
+    await expect(
+      meter.recordVerifiedReading(DEVICE, 1000, 1700000000, 1700003600)
+    ).to.be.revertedWith("Overlapping period");
+  });
+
+});
+
+describe("CarbonMarketplace partial fills and offers", function () {
+
+  let deployer, seller, buyer, rival, treasury;
+  let token, market;
+
+  const BC = (n) => ethers.parseUnits(String(n), 18);
+  const ETH = (n) => ethers.parseEther(String(n));
+
+  beforeEach(async function () {
+    [deployer, seller, buyer, rival, treasury] = await ethers.getSigners();
+
+    const Token = await ethers.getContractFactory("BaseCarbonToken");
+    token = await Token.deploy();
+    await token.waitForDeployment();
+
+    const Market = await ethers.getContractFactory("CarbonMarketplace");
+    market = await Market.deploy(await token.getAddress(), treasury.address);
+    await market.waitForDeployment();
+
+    // Deployer mints directly so the marketplace can be tested on its own
+    await token.setMinter(deployer.address);
+    await token.mint(seller.address, BC(500));
+    await token.connect(seller).approve(await market.getAddress(), BC(500));
+
+    // Listing #1: 500 BC for 5 ETH
+    await market.connect(seller).createListing(BC(500), ethers.ZeroAddress, ETH(5));
+  });
+
+  it("sells part of a listing pro-rata and shrinks what is left", async function () {
+    expect(await market.quote(1, BC(40))).to.equal(ETH("0.4"));
+
+    await expect(market.connect(buyer).buyBC(1, BC(40), { value: ETH("0.3") }))
+      .to.be.revertedWith("Incorrect ETH");
+    await expect(market.connect(buyer).buyBC(1, BC(40), { value: ETH("0.4") }))
+      .to.emit(market, "ListingPurchased")
+      .withArgs(1, buyer.address, BC(40), ETH("0.4"));
+
+    const listing = await market.listings(1);
+    expect(listing.amountBC).to.equal(BC(460));
+    expect(listing.price).to.equal(ETH("4.6"));
+    expect(listing.active).to.equal(true);
+    expect(await token.balanceOf(buyer.address)).to.equal(BC(38));
+    expect(await token.balanceOf(treasury.address)).to.equal(BC(2));
+
+    await expect(market.connect(buyer).buyBC(1, BC(461), { value: ETH(5) }))
+      .to.be.revertedWith("Invalid amount");
+  });
+
+  it("closes a sold-out listing and leaves competing offers to withdraw", async function () {
+    await market.connect(rival).makeOffer(1, BC(100), ETH("0.8"), { value: ETH("0.8") });
+    const offer = await market.offers(1);
+    expect(offer.buyer).to.equal(rival.address);
+    expect(offer.active).to.equal(true);
+    expect(await market.openOfferCount(1)).to.equal(1);
+
+    await market.connect(buyer).buyNow(1, { value: ETH(5) });
+    expect((await market.listings(1)).active).to.equal(false);
+    await expect(market.connect(seller).acceptOffer(1)).to.be.revertedWith("Listing inactive");
+
+    // The escrow stays with the offer until its buyer pulls it
+    await expect(market.connect(rival).withdrawOffer(1)).to.changeEtherBalance(rival, ETH("0.8"));
+    expect((await market.offers(1)).active).to.equal(false);
+    expect(await market.openOfferCount(1)).to.equal(0);
+  });
+
+  it("accepts an offer for part of the lot and keeps the rest listed", async function () {
+    await market.connect(buyer).makeOffer(1, BC(100), ETH("0.8"), { value: ETH("0.8") });
+
+    await expect(market.connect(buyer).acceptOffer(1)).to.be.revertedWith("Not seller");
+    await expect(market.connect(seller).acceptOffer(1))
+      .to.emit(market, "OfferAccepted")
+      .withArgs(1, 1, seller.address, buyer.address);
+
+    const listing = await market.listings(1);
+    expect(listing.amountBC).to.equal(BC(400));
+    expect(listing.price).to.equal(ETH(4));
+    expect(await token.balanceOf(buyer.address)).to.equal(BC(95));
+  });
+
+  it("lets the seller cancel and the buyer withdraw, refunding escrow", async function () {
+    await market.connect(buyer).makeOffer(1, BC(10), ETH("0.05"), { value: ETH("0.05") });
+    await market.connect(rival).makeOffer(1, BC(20), ETH("0.1"), { value: ETH("0.1") });
+
+    await expect(market.connect(rival).withdrawOffer(1)).to.be.revertedWith("Not buyer");
+    await expect(market.connect(buyer).withdrawOffer(1))
+      .to.emit(market, "OfferWithdrawn")
+      .withArgs(1, 1, buyer.address, ETH("0.05"));
+    await expect(market.connect(buyer).withdrawOffer(1)).to.be.revertedWith("Offer inactive");
+
+    await expect(market.connect(buyer).cancelListing(1)).to.be.revertedWith("Not seller");
+    await expect(market.connect(seller).cancelListing(1))
+      .to.emit(market, "ListingCancelled")
+      .withArgs(1, seller.address);
+
+    await expect(market.connect(buyer).buyNow(1, { value: ETH(5) }))
+      .to.be.revertedWith("Listing inactive");
+    await expect(market.connect(rival).withdrawOffer(2))
+      .to.emit(market, "OfferWithdrawn")
+      .withArgs(2, 1, rival.address, ETH("0.1"));
+    expect(await ethers.provider.getBalance(await market.getAddress())).to.equal(0);
+  });
+
+  it("lets a real offer in however many dust offers a listing holds", async function () {
+    for (let i = 0; i < 60; i++) {
+      await market.connect(rival).makeOffer(1, 1, 1, { value: 1 });
+    }
+    expect(await market.openOfferCount(1)).to.equal(60);
+
+    await market.connect(buyer).makeOffer(1, BC(100), ETH("0.8"), { value: ETH("0.8") });
+    const offerId = await market.offerCounter();
+    await expect(market.connect(seller).acceptOffer(offerId))
+      .to.emit(market, "OfferAccepted")
+      .withArgs(offerId, 1, seller.address, buyer.address);
+
+    // Closing the listing does not touch the open offers, however many
+    const receipt = await (await market.connect(seller).cancelListing(1)).wait();
+    expect(receipt.gasUsed).to.be.lessThan(60_000n);
+    await expect(market.connect(rival).withdrawOffer(1)).to.changeEtherBalance(rival, 1);
+    expect(await market.openOfferCount(1)).to.equal(59);
+  });
+
+});
+
+describe("CarbonMarketplace stablecoin settlement", function () {
+
+  let deployer, seller, buyer, treasury;
+  let token, usd, market;
+
+  const BC = (n) => ethers.parseUnits(String(n), 18);
+  const USD = (n) => ethers.parseUnits(String(n), 6);
+
+  beforeEach(async function () {
+    [deployer, seller, buyer, treasury] = await ethers.getSigners();
+
+    const Token = await ethers.getContractFactory("BaseCarbonToken");
+    token = await Token.deploy();
+    await token.waitForDeployment();
+
+    const Mock = await ethers.getContractFactory("MockERC20");
+    usd = await Mock.deploy("Mock USD", "mUSD", 6);
+    await usd.waitForDeployment();
+
+    const Market = await ethers.getContractFactory("CarbonMarketplace");
+    market = await Market.deploy(await token.getAddress(), treasury.address);
+    await market.waitForDeployment();
+
+    await token.setMinter(deployer.address);
+    await token.mint(seller.address, BC(100));
+    await token.connect(seller).approve(await market.getAddress(), BC(100));
+    await usd.mint(buyer.address, USD(10000));
+    await usd.connect(buyer).approve(await market.getAddress(), USD(10000));
+
+    // Listing #1: 100 BC for 2,500 mUSD
+    await market.connect(seller).createListing(BC(100), await usd.getAddress(), USD(2500));
+  });
+
+  it("settles purchases in the payment token and credits the seller", async function () {
+    await expect(market.connect(buyer).buyBC(1, BC(40), { value: 1 }))
+      .to.be.revertedWith("ETH not accepted");
+
+    await market.connect(buyer).buyBC(1, BC(40));
+
+    expect(await usd.balanceOf(buyer.address)).to.equal(USD(9000));
+    expect(await token.balanceOf(buyer.address)).to.equal(BC(38));
+    expect(await token.balanceOf(treasury.address)).to.equal(BC(2));
+    expect(await market.withdrawable(seller.address, await usd.getAddress())).to.equal(USD(1000));
+
+    await expect(market.connect(seller).withdraw(await usd.getAddress()))
+      .to.emit(market, "Withdrawn")
+      .withArgs(seller.address, await usd.getAddress(), USD(1000));
+    expect(await usd.balanceOf(seller.address)).to.equal(USD(1000));
+    await expect(market.connect(seller).withdraw(await usd.getAddress()))
+      .to.be.revertedWith("Nothing to withdraw");
+  });
+
+  it("escrows token offers and returns them on withdrawal", async function () {
+    await market.connect(buyer).makeOffer(1, BC(50), USD(1100));
+    expect(await usd.balanceOf(await market.getAddress())).to.equal(USD(1100));
+
+    await market.connect(buyer).withdrawOffer(1);
+    expect(await usd.balanceOf(buyer.address)).to.equal(USD(10000));
+
+    await market.connect(buyer).makeOffer(1, BC(50), USD(1100));
+    await market.connect(seller).acceptOffer(2);
+    expect(await market.withdrawable(seller.address, await usd.getAddress())).to.equal(USD(1100));
+    expect((await market.listings(1)).price).to.equal(USD(1250));
+  });
+
+  it("rejects payment tokens that aren't contracts", async function () {
+    await expect(
+      market.connect(seller).createListing(BC(1), buyer.address, USD(1))
+    ).to.be.revertedWith("Bad payment token");
+  });
+
+});
+
+describe("BaseCarbonToken retirement", function () {
+
+  let deployer, holder, beneficiary;
+  let token;
+
+  const BC = (n) => ethers.parseUnits(String(n), 18);
+  const Q1_START = 1735689600; // 2025-01-01
+  const Q1_END = 1743465600;   // 2025-04-01
+
+  beforeEach(async function () {
+    [deployer, holder, beneficiary] = await ethers.getSigners();
+
+    const Token = await ethers.getContractFactory("BaseCarbonToken");
+    token = await Token.deploy();
+    await token.waitForDeployment();
+
+    await token.setMinter(deployer.address);
+    await token.mint(holder.address, BC(100));
+  });
+
+  it("burns the BC and records the claim", async function () {
+    await expect(
+      token.connect(holder).retire(BC(40), beneficiary.address, "Acme Steel GmbH", "CBAM 2025 Q1", Q1_START, Q1_END)
+    )
+      .to.emit(token, "Retired")
+      .withArgs(1, holder.address, beneficiary.address, BC(40), "Acme Steel GmbH", "CBAM 2025 Q1", Q1_START, Q1_END)
+      .and.to.emit(token, "Transfer")
+      .withArgs(holder.address, ethers.ZeroAddress, BC(40));
+
+    expect(await token.balanceOf(holder.address)).to.equal(BC(60));
+    expect(await token.totalSupply()).to.equal(BC(60));
+    expect(await token.totalRetired()).to.equal(BC(40));
+
+    const retirement = await token.retirements(1);
+    expect(retirement.account).to.equal(holder.address);
+    expect(retirement.beneficiary).to.equal(beneficiary.address);
+    expect(retirement.reason).to.equal("CBAM 2025 Q1");
+    expect(retirement.retiredAt).to.be.greaterThan(0);
+  });
+
+  it("rejects empty, unfunded and malformed retirements", async function () {
+    const retire = (amount, to, start, end, reason = "") =>
+      token.connect(holder).retire(amount, to, "", reason, start, end);
+
+    await expect(retire(0, beneficiary.address, Q1_START, Q1_END)).to.be.revertedWith("Zero retirement");
+    await expect(retire(BC(101), beneficiary.address, Q1_START, Q1_END)).to.be.revertedWith("Insufficient balance");
+    await expect(retire(BC(1), ethers.ZeroAddress, Q1_START, Q1_END)).to.be.revertedWith("Zero address");
+    await expect(retire(BC(1), beneficiary.address, Q1_END, Q1_START)).to.be.revertedWith("Invalid period");
+    await expect(retire(BC(1), beneficiary.address, Q1_START, Q1_END, "x".repeat(513))).to.be.revertedWith(
+      "Text too long"
+    );
+  });
+
+});
+
+describe("Gasless permit and marketplace intents", function () {
+
+  let deployer, seller, buyer, relayer, treasury;
+  let token, market;
+
+  const BC = (n) => ethers.parseUnits(String(n), 18);
+  const ETH = (n) => ethers.parseEther(String(n));
+  const HOUR = 3600;
+
+  async function deadline(seconds = HOUR) {
+    return (await ethers.provider.getBlock("latest")).timestamp + seconds;
+  }
+
+  async function domain(contract, name) {
+    const { chainId } = await ethers.provider.getNetwork();
+    return { name, version: "1", chainId, verifyingContract: await contract.getAddress() };
+  }
+
+  async function signPermit(owner, spender, value, expiry) {
+    const types = {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+    };
+    const message = { owner: owner.address, spender, value, nonce: await token.nonces(owner.address), deadline: expiry };
+    return ethers.Signature.from(await owner.signTypedData(await domain(token, "BaseCarbon"), types, message));
+  }
+
+  const INTENT_TYPES = {
+    CreateListing: [
+      { name: "seller", type: "address" },
+      { name: "paymentToken", type: "address" },
+      { name: "amountBC", type: "uint256" },
+      { name: "price", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+    CancelListing: [
+      { name: "seller", type: "address" },
+      { name: "listingId", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+    AcceptOffer: [
+      { name: "seller", type: "address" },
+      { name: "offerId", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  };
+
+  async function signIntent(signer, type, fields) {
+    const message = { seller: signer.address, ...fields, nonce: await market.nonces(signer.address) };
+    return signer.signTypedData(await domain(market, "CarbonMarketplace"), { [type]: INTENT_TYPES[type] }, message);
+  }
+
+  beforeEach(async function () {
+    [deployer, seller, buyer, relayer, treasury] = await ethers.getSigners();
+
+    const Token = await ethers.getContractFactory("BaseCarbonToken");
+    token = await Token.deploy();
+    await token.waitForDeployment();
+
+    const Market = await ethers.getContractFactory("CarbonMarketplace");
+    market = await Market.deploy(await token.getAddress(), treasury.address);
+    await market.waitForDeployment();
+
+    await token.setMinter(deployer.address);
+    await token.mint(seller.address, BC(100));
+  });
+
+  it("approves through a relayed EIP-2612 permit, once", async function () {
+    const spender = await market.getAddress();
+    const expiry = await deadline();
+    const { v, r, s } = await signPermit(seller, spender, BC(100), expiry);
+
+    await expect(token.connect(relayer).permit(seller.address, spender, BC(100), expiry, v, r, s))
+      .to.emit(token, "Approval")
+      .withArgs(seller.address, spender, BC(100));
+    expect(await token.allowance(seller.address, spender)).to.equal(BC(100));
+    expect(await token.nonces(seller.address)).to.equal(1);
+
+    await expect(token.connect(relayer).permit(seller.address, spender, BC(100), expiry, v, r, s))
+      .to.be.revertedWith("Invalid signature");
+
+    const late = await signPermit(seller, spender, BC(1), (await deadline()) - HOUR - 1);
+    await expect(
+      token.permit(seller.address, spender, BC(1), (await deadline()) - HOUR - 1, late.v, late.r, late.s)
+    ).to.be.revertedWith("Permit expired");
+
+    const forged = await signPermit(buyer, spender, BC(1), expiry);
+    await expect(token.permit(seller.address, spender, BC(1), expiry, forged.v, forged.r, forged.s))
+      .to.be.revertedWith("Invalid signature");
+  });
+
+  it("lists, accepts an offer and cancels from signed intents", async function () {
+    const expiry = await deadline();
+    const permit = await signPermit(seller, await market.getAddress(), BC(100), expiry);
+    await token.connect(relayer).permit(seller.address, await market.getAddress(), BC(100), expiry, permit.v, permit.r, permit.s);
+
+    const listing = { paymentToken: ethers.ZeroAddress, amountBC: BC(100), price: ETH(1), deadline: expiry };
+    const listSig = await signIntent(seller, "CreateListing", listing);
+    await expect(
+      market.connect(relayer).createListingBySig(seller.address, BC(100), ethers.ZeroAddress, ETH(1), expiry, listSig)
+    )
+      .to.emit(market, "ListingCreated")
+      .withArgs(1, seller.address, ethers.ZeroAddress, BC(100), ETH(1));
+    await expect(
+      market.connect(relayer).createListingBySig(seller.address, BC(100), ethers.ZeroAddress, ETH(1), expiry, listSig)
+    ).to.be.revertedWith("Invalid signature");
+
+    await market.connect(buyer).makeOffer(1, BC(20), ETH("0.15"), { value: ETH("0.15") });
+    const acceptSig = await signIntent(seller, "AcceptOffer", { offerId: 1, deadline: expiry });
+    await expect(market.connect(relayer).acceptOfferBySig(seller.address, 1, expiry, acceptSig))
+      .to.emit(market, "OfferAccepted")
+      .withArgs(1, 1, seller.address, buyer.address);
+    expect(await token.balanceOf(buyer.address)).to.equal(BC(19));
+    expect(await market.withdrawable(seller.address, ethers.ZeroAddress)).to.equal(ETH("0.15"));
+
+    const cancelSig = await signIntent(seller, "CancelListing", { listingId: 1, deadline: expiry });
+    await expect(market.connect(relayer).cancelListingBySig(seller.address, 1, expiry, cancelSig))
+      .to.emit(market, "ListingCancelled")
+      .withArgs(1, seller.address);
+    expect(await market.nonces(seller.address)).to.equal(3);
+  });
+
+  it("rejects intents that are expired, out of order or signed by someone else", async function () {
+    await token.connect(seller).approve(await market.getAddress(), BC(100));
+    await market.connect(seller).createListing(BC(100), ethers.ZeroAddress, ETH(1));
+
+    const past = (await deadline()) - HOUR - 1;
+    const expired = await signIntent(seller, "CancelListing", { listingId: 1, deadline: past });
+    await expect(market.cancelListingBySig(seller.address, 1, past, expired)).to.be.revertedWith("Intent expired");
+
+    const expiry = await deadline();
+    const byBuyer = await signIntent(buyer, "CancelListing", { listingId: 1, deadline: expiry });
+    await expect(market.cancelListingBySig(seller.address, 1, expiry, byBuyer)).to.be.revertedWith("Invalid signature");
+    await expect(market.cancelListingBySig(buyer.address, 1, expiry, byBuyer)).to.be.revertedWith("Not seller");
+
+    // Signed for nonce 1 while the contract expects 0
+    const ahead = await seller.signTypedData(
+      await domain(market, "CarbonMarketplace"),
+      { CancelListing: INTENT_TYPES.CancelListing },
+      { seller: seller.address, listingId: 1, nonce: 1, deadline: expiry }
+    );
+    await expect(market.cancelListingBySig(seller.address, 1, expiry, ahead)).to.be.revertedWith("Invalid signature");
+    await expect(market.cancelListingBySig(seller.address, 1, expiry, "0x1234")).to.be.revertedWith("Invalid signature");
+  });
+
+});
+
+describe("CarbonSmartMeter device lifecycle", function () {
+
+  let deployer, seller, buyer;
+  let token, meter;
+
+  const DEVICE = ethers.encodeBytes32String("DEVICE_FARM");
+  const OTHER = ethers.encodeBytes32String("DEVICE_SHED");
+
+  beforeEach(async function () {
+    [deployer, seller, buyer] = await ethers.getSigners();
+
+    const Token = await ethers.getContractFactory("BaseCarbonToken");
+    token = await Token.deploy();
+    await token.waitForDeployment();
+
+    const Meter = await ethers.getContractFactory("CarbonSmartMeter");
+    meter = await Meter.deploy(await token.getAddress());
+    await meter.waitForDeployment();
+
+    await token.setMinter(await meter.getAddress());
+    await meter.registerDevice(DEVICE, seller.address);
+    await meter.registerDevice(OTHER, seller.address);
+  });
+
+  it("transfers a device, settling the old wallet's pending energy", async function () {
+    // 3.5 kWh → 1 BC minted, 1 kWh pending for the seller
+    await meter.recordVerifiedReading(DEVICE, 3500, 1700000000, 1700003600);
+
+    await expect(meter.transferDevice(DEVICE, buyer.address))
+      .to.emit(meter, "PendingSettled")
+      .withArgs(seller.address, 1000, ethers.parseUnits("0.4", 18))
+      .and.to.emit(meter, "DeviceTransferred")
+      .withArgs(DEVICE, seller.address, buyer.address);
+
+    expect(await token.balanceOf(seller.address)).to.equal(ethers.parseUnits("1.4", 18));
+    expect(await meter.pendingKwhMilli(seller.address)).to.equal(0);
+    expect(await meter.getWalletDevices(seller.address)).to.deep.equal([OTHER]);
+    expect(await meter.getWalletDevices(buyer.address)).to.deep.equal([DEVICE]);
+
+    // Same device history and period guard, later energy goes to the buyer
+    await expect(
+      meter.recordVerifiedReading(DEVICE, 2500, 1700000000, 1700003600)
+    ).to.be.revertedWith("Overlapping period");
+    await meter.recordVerifiedReading(DEVICE, 2500, 1700003600, 1700007200);
+
+    expect((await meter.getDevice(DEVICE)).totalKwhMilli).to.equal(6000);
+    expect((await meter.getWalletTotals(buyer.address)).kwhMilli).to.equal(2500);
+    expect(await token.balanceOf(buyer.address)).to.equal(ethers.parseUnits("1", 18));
+
+    await expect(meter.transferDevice(DEVICE, buyer.address)).to.be.revertedWith("Same wallet");
+    await expect(meter.connect(buyer).transferDevice(DEVICE, seller.address)).to.be.revertedWith("Not owner");
+  });
+
+  it("settles the wallet's whole pending pool on transfer, other devices' energy included", async function () {
+    // 1 kWh from the device the seller keeps, 0.5 kWh from the one it sells
+    await meter.recordVerifiedReading(OTHER, 1000, 1700000000, 1700003600);
+    await meter.recordVerifiedReading(DEVICE, 500, 1700000000, 1700003600);
+
+    await expect(meter.transferDevice(DEVICE, buyer.address))
+      .to.emit(meter, "PendingSettled")
+      .withArgs(seller.address, 1500, ethers.parseUnits("0.6", 18));
+    expect(await token.balanceOf(buyer.address)).to.equal(0);
+    expect(await meter.pendingKwhMilli(buyer.address)).to.equal(0);
+
+    // The kept device starts a fresh pool: nothing of its 1 kWh is counted twice
+    expect(await meter.pendingKwhMilli(seller.address)).to.equal(0);
+    await meter.recordVerifiedReading(OTHER, 2000, 1700003600, 1700007200);
+    expect(await meter.pendingKwhMilli(seller.address)).to.equal(2000);
+    expect(await token.balanceOf(seller.address)).to.equal(ethers.parseUnits("0.6", 18));
+  });
+
+  it("reactivates a deactivated device", async function () {
+    await meter.deactivateDevice(DEVICE);
+    await expect(
+      meter.recordVerifiedReading(DEVICE, 1000, 1700000000, 1700003600)
+    ).to.be.revertedWith("Inactive");
+
+    await expect(meter.reactivateDevice(DEVICE)).to.emit(meter, "DeviceReactivated").withArgs(DEVICE);
+    await meter.recordVerifiedReading(DEVICE, 1000, 1700000000, 1700003600);
+
+    await expect(meter.reactivateDevice(DEVICE)).to.be.revertedWith("Active");
+    await expect(meter.connect(seller).deactivateDevice(DEVICE)).to.be.revertedWith("Not owner");
+  });
+
+  it("unbinds only on the wallet's request and the owner's approval", async function () {
+    await meter.recordVerifiedReading(DEVICE, 1000, 1700000000, 1700003600);
+
+    await expect(meter.approveUnbind(DEVICE)).to.be.revertedWith("No unbind request");
+    await expect(meter.connect(buyer).requestUnbind(DEVICE)).to.be.revertedWith("Not device wallet");
+
+    await expect(meter.connect(seller).requestUnbind(DEVICE))
+      .to.emit(meter, "DeviceUnbindRequested")
+      .withArgs(DEVICE, seller.address);
+    await meter.connect(seller).cancelUnbind(DEVICE);
+    await expect(meter.approveUnbind(DEVICE)).to.be.revertedWith("No unbind request");
+
+    await meter.connect(seller).requestUnbind(DEVICE);
+    await expect(meter.connect(seller).approveUnbind(DEVICE)).to.be.revertedWith("Not owner");
+    await expect(meter.approveUnbind(DEVICE))
+      .to.emit(meter, "DeviceUnbound")
+      .withArgs(DEVICE, seller.address);
+
+    await expect(meter.getDevice(DEVICE)).to.be.revertedWith("Not registered");
+    expect(await meter.getWalletDevices(seller.address)).to.deep.equal([OTHER]);
+    expect(await token.balanceOf(seller.address)).to.equal(ethers.parseUnits("0.4", 18));
+
+    // The id can be bound again, but recorded periods stay recorded
+    await meter.registerDevice(DEVICE, buyer.address);
+    await expect(
+      meter.recordVerifiedReading(DEVICE, 1000, 1700000000, 1700003600)
+    ).to.be.revertedWith("Overlapping period");
+  });
+
+});
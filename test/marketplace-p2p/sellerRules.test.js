@@ -0,0 +1,91 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const {
+  parseRules,
+  evaluateOffer,
+  checkDeliverable,
+  decisionChanged,
+} = require("../../marketplace-p2p/scripts/sellerRules");
+
+describe("seller agent rules", function () {
+  const bc = (amount) => ethers.parseUnits(amount, 18);
+  const eth = (amount) => ethers.parseEther(amount);
+  const buyer = ethers.Wallet.createRandom().address;
+  const listing = { active: true, amountBC: bc("1000"), paymentToken: ethers.ZeroAddress };
+
+  const rulesWith = (extra = {}) =>
+    parseRules({
+      prices: { ETH: { minPricePerBC: "0.01", volumeTiers: [{ minBC: "100", discountPct: 5 }] } },
+      dailySellLimitBC: "10",
+      ...extra,
+    });
+  const evaluate = (amountBC, price, { rules = rulesWith(), soldTodayBC } = {}) =>
+    evaluateOffer({
+      rules,
+      offer: { active: true, buyer, amountBC, price },
+      listing,
+      decimals: 18,
+      soldTodayBC,
+    });
+
+  describe("price floor", function () {
+    it("accepts an offer exactly at the floor and counters one wei below", function () {
+      expect(evaluate(bc("5"), eth("0.05")).action).to.equal("accept");
+
+      const low = evaluate(bc("5"), eth("0.05") - 1n);
+      expect(low.action).to.equal("counter");
+      expect(low.counterPrice).to.equal(eth("0.05"));
+    });
+
+    it("rounds a counter up so it never lands below the floor", function () {
+      const amountBC = bc("1") / 3n;
+      const { action, counterPrice, floorPerBC } = evaluate(amountBC, 1n);
+      expect(action).to.equal("counter");
+      expect((counterPrice * bc("1")) / amountBC).to.be.at.least(floorPerBC);
+      expect(((counterPrice - 1n) * bc("1")) / amountBC).to.be.below(floorPerBC);
+    });
+
+    it("rejects instead of countering when counterBelowFloor is off", function () {
+      const low = evaluate(bc("5"), eth("0.05") - 1n, { rules: rulesWith({ counterBelowFloor: false }) });
+      expect(low.action).to.equal("reject");
+    });
+
+    it("applies a volume discount from the tier's exact amount", function () {
+      const discounted = eth("0.0095") * 100n;
+      const atTier = evaluate(bc("100"), discounted, { rules: rulesWith({ dailySellLimitBC: undefined }) });
+      expect(atTier).to.include({ action: "accept", discountBps: 500n });
+
+      const belowTier = evaluate(bc("100") - 1n, discounted, { rules: rulesWith({ dailySellLimitBC: undefined }) });
+      expect(belowTier).to.include({ action: "counter", discountBps: 0n });
+    });
+  });
+
+  describe("daily sell limit", function () {
+    it("accepts up to the limit and defers one wei over it", function () {
+      expect(evaluate(bc("5"), eth("0.05"), { soldTodayBC: bc("5") }).action).to.equal("accept");
+      expect(evaluate(bc("5"), eth("0.05"), { soldTodayBC: bc("5") + 1n }).action).to.equal("defer");
+    });
+  });
+
+  describe("BC on hand", function () {
+    it("delivers when balance and allowance cover the offer exactly", function () {
+      expect(checkDeliverable({ amountBC: bc("5"), balance: bc("5"), allowance: bc("5") })).to.equal(null);
+    });
+
+    it("defers when the balance or the allowance is one wei short", function () {
+      const short = { action: "defer", reason: "BC balance or marketplace allowance too low" };
+      expect(checkDeliverable({ amountBC: bc("5"), balance: bc("5") - 1n, allowance: bc("5") })).to.deep.equal(short);
+      expect(checkDeliverable({ amountBC: bc("5"), balance: bc("5"), allowance: bc("5") - 1n })).to.deep.equal(short);
+    });
+  });
+
+  describe("repeated decisions", function () {
+    it("logs a deferred offer again only when its decision changes", function () {
+      const deferred = { action: "defer", reason: "daily sell limit reached" };
+      expect(decisionChanged(undefined, deferred)).to.equal(true);
+      expect(decisionChanged({ ...deferred, at: "earlier" }, deferred)).to.equal(false);
+      expect(decisionChanged(deferred, { action: "defer", reason: "BC balance or marketplace allowance too low" })).to.equal(true);
+      expect(decisionChanged(deferred, { action: "accept", reason: "price at or above floor" })).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const crypto = require("crypto");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { setupServer, startApp, request } = require("./helpers");
+
+describe("authentication and roles", function () {
+  const deviceId = ethers.id("auth-test-device");
+  let app, holder, other, operatorKey, gatewayKey;
+
+  /**
+   * EIP-4361 message for a nonce from GET /auth/siwe/nonce.
+   */
+  async function signIn(wallet, { signer = wallet, nonce } = {}) {
+    const issued = (await request(`${app.url}/auth/siwe/nonce`)).body;
+    const message = [
+      `${issued.domain} wants you to sign in with your Ethereum account:`,
+      wallet.address,
+      "",
+      `URI: http://${issued.domain}`,
+      "Version: 1",
+      `Chain ID: ${issued.chainId}`,
+      `Nonce: ${nonce || issued.nonce}`,
+      `Issued At: ${new Date().toISOString()}`,
+    ].join("\n");
+    const body = { message, signature: await signer.signMessage(message) };
+    return { body, res: await request(`${app.url}/auth/siwe/verify`, { method: "POST", body }) };
+  }
+
+  before(async function () {
+    const { meter, wallets } = await setupServer();
+    [, , , holder, other] = wallets;
+    await (await meter.registerDevice(deviceId, holder.address)).wait();
+
+    const { createApiKey } = require("../../server/api-keys");
+    operatorKey = createApiKey({ role: "operator", name: "test operator" }).key;
+    gatewayKey = createApiKey({ role: "gateway", name: "test gateway" }).key;
+    app = await startApp(require("../../server/auth"), require("../../server/devices"));
+  });
+
+  after(async function () {
+    await app.close();
+  });
+
+  it("signs a wallet in once per nonce", async function () {
+    const { body, res } = await signIn(holder);
+    expect(res.status).to.equal(200);
+    expect(res.body.wallet).to.equal(holder.address.toLowerCase());
+
+    const session = await request(`${app.url}/auth/session`, { token: res.body.token });
+    expect(session.body).to.include({ role: "wallet", wallet: holder.address.toLowerCase() });
+
+    const replay = await request(`${app.url}/auth/siwe/verify`, { method: "POST", body });
+    expect(replay.status).to.equal(401);
+    expect(replay.body.details).to.equal("Unknown, used or expired nonce");
+  });
+
+  it("refuses a message signed by another key", async function () {
+    const { res } = await signIn(holder, { signer: other });
+    expect(res.status).to.equal(401);
+  });
+
+  it("refuses a nonce it did not issue", async function () {
+    const { res } = await signIn(holder, { nonce: crypto.randomBytes(28).toString("hex") });
+    expect(res.status).to.equal(401);
+    expect(res.body.details).to.equal("Unknown, used or expired nonce");
+  });
+
+  it("keeps operator routes to operator keys", async function () {
+    const url = `${app.url}/devices/${deviceId}/keys`;
+    const body = { publicKey: crypto.randomBytes(32).toString("hex") };
+    const session = (await signIn(holder)).res.body.token;
+
+    expect((await request(url, { method: "POST", body })).status).to.equal(401);
+    expect((await request(url, { method: "POST", token: "bcm_not-a-key", body })).status).to.equal(401);
+    expect((await request(url, { method: "POST", token: gatewayKey, body })).status).to.equal(403);
+    const asWallet = await request(url, { method: "POST", token: session, body });
+    expect(asWallet.status).to.equal(403);
+    expect(asWallet.body.error).to.equal("Requires role: operator");
+
+    const added = await request(url, { method: "POST", token: operatorKey, body });
+    expect(added.status).to.equal(201);
+    expect(added.body.activeKey).to.equal(body.publicKey);
+
+    const again = await request(url, { method: "POST", token: operatorKey, body });
+    expect(again.status).to.equal(409);
+  });
+
+  it("shows device data only to the wallet it is bound to", async function () {
+    const url = `${app.url}/devices/${deviceId}/keys`;
+
+    const own = await request(url, { token: (await signIn(holder)).res.body.token });
+    expect(own.status).to.equal(200);
+
+    const foreign = await request(url, { token: (await signIn(other)).res.body.token });
+    expect(foreign.status).to.equal(403);
+    expect(foreign.body.error).to.equal("Not your wallet or device");
+  });
+});
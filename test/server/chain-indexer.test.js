@@ -0,0 +1,103 @@
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { setupServer, waitFor } = require("./helpers");
+
+describe("chain indexer", function () {
+  let indexer, meter, wallet;
+  const reorgs = [];
+
+  const indexedDevice = (deviceId) => indexer.queryEvents({ event: "DeviceRegistered", filter: { deviceId } });
+  const caughtUp = async () => {
+    const status = await indexer.getIndexerStatus();
+    return status.lag === 0 ? status : null;
+  };
+  const logLines = () =>
+    fs
+      .readFileSync(path.join(process.env.DATA_DIR, "chain-events.jsonl"), "utf8")
+      .split("\n")
+      .filter(Boolean);
+
+  before(async function () {
+    ({ meter, wallets: [wallet] } = await setupServer());
+    indexer = require("../../server/chain-indexer");
+    indexer.onReorg((blockNumber) => reorgs.push(blockNumber));
+    indexer.startIndexer();
+  });
+
+  after(async function () {
+    indexer.stopIndexer();
+    // let a tick already running finish before the RPC bridge goes away
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  });
+
+  it("indexes each event once across ticks", async function () {
+    const deviceId = ethers.id("indexer-test-device");
+    await (await meter.registerDevice(deviceId, wallet.address)).wait();
+    await waitFor(() => indexedDevice(deviceId).length > 0);
+
+    // More ticks (and blocks) re-read nothing already indexed
+    await network.provider.send("evm_mine", []);
+    await waitFor(caughtUp);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    expect(indexedDevice(deviceId)).to.have.length(1);
+    const lines = logLines();
+    const ids = lines.map((line) => JSON.parse(line).id);
+    expect(new Set(ids).size).to.equal(ids.length);
+    expect((await indexer.getIndexerStatus()).events).to.equal(lines.length);
+  });
+
+  it("drops events of blocks that were reorged out", async function () {
+    await waitFor(caughtUp);
+    const forkPoint = await ethers.provider.getBlockNumber();
+    const snapshot = await network.provider.send("evm_snapshot", []);
+
+    const deviceId = ethers.id("indexer-reorged-device");
+    await (await meter.registerDevice(deviceId, wallet.address)).wait();
+    await waitFor(() => indexedDevice(deviceId).length > 0);
+    await waitFor(caughtUp);
+
+    // Replace the block with two others
+    await network.provider.send("evm_revert", [snapshot]);
+    await network.provider.send("hardhat_mine", ["0x2"]);
+
+    await waitFor(() => reorgs.length > 0);
+    await waitFor(caughtUp);
+    expect(reorgs[0]).to.equal(forkPoint);
+    expect(indexedDevice(deviceId)).to.have.length(0);
+    expect(logLines().some((line) => JSON.parse(line).args.deviceId === deviceId.toLowerCase())).to.equal(false);
+  });
+
+  it("does not store events of a block reorged out while the range was fetched", async function () {
+    await waitFor(caughtUp);
+    indexer.stopIndexer();
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    const forkPoint = await ethers.provider.getBlockNumber();
+    const snapshot = await network.provider.send("evm_snapshot", []);
+
+    const deviceId = ethers.id("indexer-mid-range-device");
+    await (await meter.registerDevice(deviceId, wallet.address)).wait();
+
+    // The chain reorgs right after the indexer read the range's first logs
+    const { provider } = require("../../server/server-wallet");
+    const getLogs = provider.getLogs;
+    provider.getLogs = async function (filter) {
+      provider.getLogs = getLogs;
+      const logs = await getLogs.call(provider, filter);
+      await network.provider.send("evm_revert", [snapshot]);
+      await network.provider.send("hardhat_mine", ["0x2"]);
+      return logs;
+    };
+    const reorgsBefore = reorgs.length;
+    indexer.startIndexer();
+
+    await waitFor(async () => (await ethers.provider.getBlockNumber()) === forkPoint + 2 && caughtUp());
+    expect(provider.getLogs).to.equal(getLogs);
+    expect(indexedDevice(deviceId)).to.have.length(0);
+    expect(logLines().some((line) => JSON.parse(line).args.deviceId === deviceId.toLowerCase())).to.equal(false);
+    // Nothing orphaned was stored, so there was nothing to roll back
+    expect(reorgs).to.have.length(reorgsBefore);
+  });
+});
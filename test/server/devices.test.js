@@ -0,0 +1,46 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { setupServer, startApp, request } = require("./helpers");
+
+describe("device region", function () {
+  const deviceId = ethers.id("region-test-device");
+  let app, operatorKey;
+
+  before(async function () {
+    const { meter } = await setupServer();
+    // The queued jobs run once a later suite starts the outbox
+    await (await meter.registerDevice(deviceId, ethers.Wallet.createRandom().address)).wait();
+    operatorKey = require("../../server/api-keys").createApiKey({ role: "operator", name: "test operator" }).key;
+    app = await startApp(require("../../server/devices"));
+  });
+
+  after(async function () {
+    await app.close();
+  });
+
+  const setRegion = (body) =>
+    request(`${app.url}/devices/${deviceId}/region`, { method: "POST", token: operatorKey, body });
+
+  it("queues a region, upper-cased", async function () {
+    const res = await setRegion({ region: "nz" });
+    expect(res.status).to.equal(202);
+    expect(res.body).to.include({ ok: true, region: "NZ" });
+  });
+
+  it("clears the region when the request has no body", async function () {
+    // No Content-Type either (e.g. `curl -X POST`), so express leaves req.body unset
+    const res = await fetch(`${app.url}/devices/${deviceId}/region`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${operatorKey}` },
+    });
+    expect(res.status).to.equal(202);
+    const body = await res.json();
+    expect(body).to.include({ ok: true, region: null });
+    expect(body.jobId).to.be.a("string");
+  });
+
+  it("refuses a region that is not a short code", async function () {
+    const res = await setRegion({ region: "not a region" });
+    expect(res.status).to.equal(400);
+  });
+});
@@ -0,0 +1,89 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { setupServer, startApp, request } = require("./helpers");
+
+/**
+ * First nonce whose proof of work passes (or fails, with `valid` false).
+ */
+function solve(challenge, address, difficulty, { valid = true } = {}) {
+  for (let nonce = 0; ; nonce++) {
+    const digest = crypto.createHash("sha256").update(`${challenge}:${address}:${nonce}`).digest();
+    const zeroBits = digest.readUInt32BE(0) === 0 ? 32 : Math.clz32(digest.readUInt32BE(0));
+    if (zeroBits >= difficulty === valid) return nonce;
+  }
+}
+
+describe("faucet proof of work", function () {
+  let app, meterOwner, stranger;
+
+  const challengeFor = async (address) => (await request(`${app.url}/faucet/challenge?address=${address}`)).body;
+  const drip = (body) => request(`${app.url}/faucet`, { method: "POST", body });
+
+  before(async function () {
+    const { meter, wallets } = await setupServer();
+    [, meterOwner, stranger] = wallets;
+    await (await meter.registerDevice(ethers.id("faucet-test-device"), meterOwner.address)).wait();
+    app = await startApp(require("../../server/faucet"));
+  });
+
+  after(async function () {
+    await app.close();
+  });
+
+  it("hands out challenges without storing them", async function () {
+    const usedFile = path.join(process.env.DATA_DIR, "challenge-tokens.json");
+    const before = fs.existsSync(usedFile) ? fs.readFileSync(usedFile, "utf8") : null;
+
+    const { challenge, difficulty } = await challengeFor(meterOwner.address);
+    expect(challenge).to.match(/^[0-9a-f]{56}$/);
+    expect(difficulty).to.equal(8);
+    expect(fs.existsSync(usedFile) ? fs.readFileSync(usedFile, "utf8") : null).to.equal(before);
+  });
+
+  it("refuses a challenge issued for another address or changed", async function () {
+    const { challenge, difficulty } = await challengeFor(stranger.address);
+    const to = meterOwner.address.toLowerCase();
+
+    const foreign = await drip({ to, challenge, nonce: solve(challenge, to, difficulty) });
+    expect(foreign.status).to.equal(403);
+    expect(foreign.body.error).to.match(/Unknown or expired challenge/);
+
+    const own = (await challengeFor(to)).challenge;
+    const tampered = own.slice(0, 8) + (own[8] === "0" ? "1" : "0") + own.slice(9);
+    const changed = await drip({ to, challenge: tampered, nonce: solve(tampered, to, difficulty) });
+    expect(changed.status).to.equal(403);
+  });
+
+  it("refuses work below the difficulty", async function () {
+    const to = meterOwner.address.toLowerCase();
+    const { challenge, difficulty } = await challengeFor(to);
+    const res = await drip({ to, challenge, nonce: solve(challenge, to, difficulty, { valid: false }) });
+    expect(res.status).to.equal(403);
+    expect(res.body.error).to.equal("Proof of work does not meet the difficulty");
+  });
+
+  it("drips once per solved challenge", async function () {
+    const to = meterOwner.address.toLowerCase();
+    const { challenge, difficulty } = await challengeFor(to);
+    const nonce = solve(challenge, to, difficulty);
+
+    const first = await drip({ to, challenge, nonce });
+    expect(first.status).to.equal(202);
+    expect(first.body.jobId).to.be.a("string");
+
+    const replay = await drip({ to, challenge, nonce });
+    expect(replay.status).to.equal(403);
+    expect(replay.body.error).to.equal("Challenge was already used");
+  });
+
+  it("only pays wallets of registered meters", async function () {
+    const to = stranger.address.toLowerCase();
+    const { challenge, difficulty } = await challengeFor(to);
+    const res = await drip({ to, challenge, nonce: solve(challenge, to, difficulty) });
+    expect(res.status).to.equal(403);
+    expect(res.body.error).to.match(/registered meters/);
+  });
+});
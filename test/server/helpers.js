@@ -0,0 +1,205 @@
+// test/server/helpers.js
+// Shared setup for the backend (server/) tests.
+//
+// The server modules talk JSON-RPC to BASE_RPC and read their config from the
+// env when first required, so:
+//  - this file points the env at a fresh DATA_DIR and the Hardhat account #0
+//    key (the server wallet) as soon as it is loaded
+//  - setupServer() serves the in-process Hardhat network over HTTP, deploys
+//    the contracts and sets BASE_RPC + the *_ADDRESS vars; require server
+//    modules only after it resolved (in a before hook)
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const crypto = require("crypto");
+const express = require("express");
+const hre = require("hardhat");
+
+// hardhat.config.js loads the bcm tasks, and with them server/store.js, before
+// any test file: drop it so the server modules get one bound to DATA_DIR below
+delete require.cache[require.resolve("../../server/store")];
+
+// Hardhat's well-known account #0, the deployer + meter owner
+const SERVER_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+Object.assign(process.env, {
+  DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), "bcm-server-test-")),
+  PRIVATE_KEY: SERVER_KEY,
+  PRIVACY_MASTER_KEY: crypto.randomBytes(32).toString("hex"),
+  DEPLOYMENT_NETWORK: "hardhat",
+  LOG_LEVEL: "error",
+  AGGREGATION_WINDOW_SECONDS: "0",
+  FAUCET_POW_DIFFICULTY: "8",
+  OUTBOX_POLL_MS: "50",
+  INDEXER_POLL_MS: "50",
+  WEBHOOK_POLL_MS: "50",
+  WEBHOOK_CONFIRMATIONS: "0",
+});
+
+let rpcServer = null;
+let ready = null;
+
+/**
+ * JSON-RPC over HTTP for the in-process Hardhat network (single + batch).
+ */
+function startRpcBridge() {
+  const call = async ({ id, method, params }) => {
+    try {
+      return { jsonrpc: "2.0", id, result: await hre.network.provider.request({ method, params }) };
+    } catch (err) {
+      return { jsonrpc: "2.0", id, error: { code: err.code || -32603, message: err.message, data: err.data } };
+    }
+  };
+
+  rpcServer = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", async () => {
+      const body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+      const answer = Array.isArray(body) ? await Promise.all(body.map(call)) : await call(body);
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(answer));
+    });
+  });
+
+  return new Promise((resolve) => {
+    rpcServer.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${rpcServer.address().port}`));
+  });
+}
+
+async function deploy() {
+  process.env.BASE_RPC = await startRpcBridge();
+
+  const [owner, ...wallets] = await hre.ethers.getSigners();
+  const token = await (await hre.ethers.getContractFactory("BaseCarbonToken")).deploy();
+  const meter = await (await hre.ethers.getContractFactory("CarbonSmartMeter")).deploy(await token.getAddress());
+  await (await token.setMinter(await meter.getAddress())).wait();
+  const marketplace = await (await hre.ethers.getContractFactory("CarbonMarketplace")).deploy(
+    await token.getAddress(),
+    owner.address
+  );
+
+  Object.assign(process.env, {
+    TOKEN_ADDRESS: await token.getAddress(),
+    METER_ADDRESS: await meter.getAddress(),
+    MARKETPLACE_ADDRESS: await marketplace.getAddress(),
+  });
+  return { owner, wallets, token, meter, marketplace };
+}
+
+/**
+ * Deploys once per test run: { owner, wallets, token, meter, marketplace }.
+ */
+function setupServer() {
+  if (!ready) ready = deploy();
+  return ready;
+}
+
+/**
+ * Serve `routers` the way server/index.js does (JSON body, authenticate).
+ * Returns { url, close }.
+ */
+async function startApp(...routers) {
+  const { authenticate } = require("../../server/access-control");
+  const app = express();
+  app.use(express.json());
+  app.use(authenticate);
+  for (const router of routers) app.use(router);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+/**
+ * fetch + parsed JSON body: { status, body }.
+ */
+async function request(url, { method = "GET", token, body } = {}) {
+  const headers = { "Content-Type": "application/json" };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const res = await fetch(url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+  return { status: res.status, body: await res.json() };
+}
+
+/**
+ * Meter signing key: { publicKey (raw hex), sign(payload) → hex }.
+ */
+function meterKey() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+  return {
+    publicKey: publicKey.export({ format: "der", type: "spki" }).subarray(-32).toString("hex"),
+    sign: (payload) => crypto.sign(null, Buffer.from(payload), privateKey).toString("hex"),
+  };
+}
+
+/**
+ * { payload, signature } for POST /record-reading (230 V × 2 A over 60 s by
+ * default). `wallet` is only put in the payload when given.
+ */
+function signedReading(
+  key,
+  deviceId,
+  {
+    timestamp = Math.floor(Date.now() / 1000),
+    nonce = crypto.randomUUID(),
+    vir = { voltage: 230, current: 2, resistance: 115 },
+    interval_s = 60,
+    wallet,
+  } = {}
+) {
+  const payload = JSON.stringify({ device_id: deviceId, vir, interval_s, timestamp, nonce, wallet });
+  return { payload, signature: key.sign(payload) };
+}
+
+/**
+ * A device ready to submit readings: registered on-chain to a fresh wallet,
+ * with a signing key and an installation `profile`. Returns { deviceId, key, wallet }.
+ */
+async function installMeter(name, profile) {
+  const { meter } = await setupServer();
+  const deviceId = hre.ethers.id(name);
+  const wallet = hre.ethers.Wallet.createRandom().address;
+  const key = meterKey();
+  await (await meter.registerDevice(deviceId, wallet)).wait();
+  require("../../server/device-keys").registerDeviceKey(deviceId, key.publicKey);
+  require("../../server/device-profiles").setDeviceProfile(deviceId, wallet, profile);
+  return { deviceId, key, wallet };
+}
+
+/**
+ * Poll `check` until it returns something truthy (background workers).
+ */
+async function waitFor(check, { timeoutMs = 10_000, intervalMs = 50 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error("waitFor: timed out");
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+}
+
+after(function () {
+  // close() lets calls still in flight from a stopped worker finish
+  if (rpcServer) rpcServer.close();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+module.exports = {
+  setupServer,
+  startApp,
+  request,
+  waitFor,
+  meterKey,
+  signedReading,
+  installMeter,
+};
@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const { setupServer, startApp, request, signedReading, installMeter } = require("./helpers");
+
+/**
+ * utcOffsetMinutes that puts the site's clock at `hour`:00 right now.
+ */
+function offsetForLocalHour(hour) {
+  const now = new Date();
+  let offset = hour * 60 - (now.getUTCHours() * 60 + now.getUTCMinutes());
+  if (offset < -720) offset += 1440;
+  if (offset > 840) offset -= 1440;
+  return offset;
+}
+
+describe("MRV checks on signed readings", function () {
+  const now = Math.floor(Date.now() / 1000);
+  const vir = (voltage, current) => ({ voltage, current, resistance: voltage / current });
+  let app, gatewayKey, recordAcceptedEnergy;
+
+  /**
+   * POST reading number `step` of the device (a minute each, from now - 120).
+   */
+  async function submit(device, step, options = {}) {
+    const reading = signedReading(device.key, device.deviceId, { timestamp: now - 120 + 60 * step, ...options });
+    const res = await request(`${app.url}/record-reading`, { method: "POST", token: gatewayKey, body: reading });
+    expect(res.status).to.equal(202);
+    return res.body;
+  }
+
+  /**
+   * Earlier accepted readings of the device, straight into the MRV history.
+   */
+  function history(device, count, { wh = 460 / 60 } = {}) {
+    for (let i = count; i > 0; i--) {
+      const reading = { timestamp: now - 600 - 60 * i, interval_s: 60, vir: vir(230, 2) };
+      recordAcceptedEnergy({ deviceId: device.deviceId, reading, wh });
+    }
+  }
+
+  const flagCodes = (body) => body.flags.map((f) => f.code);
+
+  before(async function () {
+    await setupServer();
+    ({ recordAcceptedEnergy } = require("../../server/mrv-validator"));
+    gatewayKey = require("../../server/api-keys").createApiKey({ role: "gateway", name: "mrv gateway" }).key;
+    app = await startApp(require("../../server/readings"));
+  });
+
+  after(async function () {
+    await app.close();
+  });
+
+  it("quarantines the reading that takes a device over its daily cap", async function () {
+    // 1 kW of solar: 10 kWh a day
+    const device = await installMeter("mrv-daily-cap", { capacityKw: 1, utcOffsetMinutes: offsetForLocalHour(12) });
+    history(device, 1, { wh: 9990 });
+
+    const accepted = await submit(device, 0);
+    expect(accepted.jobId).to.be.a("string");
+
+    const flagged = await submit(device, 1);
+    expect(flagged.quarantined).to.equal(true);
+    expect(flagCodes(flagged)).to.deep.equal(["daily-cap"]);
+  });
+
+  it("quarantines solar output above 1% of capacity at night", async function () {
+    const device = await installMeter("mrv-night", { capacityKw: 100, utcOffsetMinutes: offsetForLocalHour(1) });
+
+    // 460 W is under 1% of a 100 kW site, 1150 W is over
+    const accepted = await submit(device, 0);
+    expect(accepted.jobId).to.be.a("string");
+
+    const flagged = await submit(device, 1, { vir: vir(230, 5) });
+    expect(flagCodes(flagged)).to.deep.equal(["night-generation"]);
+  });
+
+  it("quarantines a spike against the recent average", async function () {
+    const device = await installMeter("mrv-spike", { capacityKw: 10, utcOffsetMinutes: offsetForLocalHour(12) });
+    history(device, 5);
+
+    // 2070 W is under 5× the 460 W average
+    const accepted = await submit(device, 0, { vir: vir(230, 9) });
+    expect(accepted.jobId).to.be.a("string");
+
+    // The accepted reading lifted the average to 728 W: 4600 W is over 5×
+    const flagged = await submit(device, 1, { vir: vir(230, 20) });
+    expect(flagCodes(flagged)).to.deep.equal(["spike"]);
+  });
+
+  it("quarantines the sixth identical VIR sample in a row", async function () {
+    const device = await installMeter("mrv-flatline", { capacityKw: 1, utcOffsetMinutes: offsetForLocalHour(12) });
+    history(device, 4);
+
+    const accepted = await submit(device, 0, { vir: vir(230, 2) });
+    expect(accepted.jobId).to.be.a("string");
+
+    const flagged = await submit(device, 1, { vir: vir(230, 2) });
+    expect(flagCodes(flagged)).to.deep.equal(["flatline"]);
+  });
+
+  it("quarantines a reading claiming another wallet than the device's", async function () {
+    const device = await installMeter("mrv-wallet", { capacityKw: 1, utcOffsetMinutes: offsetForLocalHour(12) });
+
+    const accepted = await submit(device, 0, { wallet: device.wallet });
+    expect(accepted.jobId).to.be.a("string");
+
+    const flagged = await submit(device, 1, { wallet: "0x000000000000000000000000000000000000dEaD" });
+    expect(flagCodes(flagged)).to.deep.equal(["wallet-mismatch"]);
+  });
+});
@@ -0,0 +1,87 @@
+const { expect } = require("chai");
+const { setupServer, startApp, request } = require("./helpers");
+
+// Read when health.js loads: a hung collector must not hold a scrape for long
+process.env.HEALTH_RPC_TIMEOUT_MS = "500";
+
+describe("probes and metrics", function () {
+  let app, health, metrics, operatorKey;
+
+  const scrape = async () => {
+    const res = await fetch(`${app.url}/metrics`, { headers: { Authorization: `Bearer ${operatorKey}` } });
+    expect(res.status).to.equal(200);
+    expect(res.headers.get("content-type")).to.match(/^text\/plain;.*version=0\.0\.4/);
+    return (await res.text()).split("\n");
+  };
+
+  before(async function () {
+    await setupServer();
+    health = require("../../server/health");
+    metrics = require("../../server/metrics");
+    operatorKey = require("../../server/api-keys").createApiKey({ role: "operator", name: "ops scraper" }).key;
+    app = await startApp(require("../../server/ops"));
+  });
+
+  after(async function () {
+    await app.close();
+  });
+
+  it("is ready once started, and a failing check flips bcm_ready to 0", async function () {
+    health.markStarted("test workers started");
+    await health.readiness({ maxAgeMs: 0 });
+
+    const ready = await request(`${app.url}/readyz`);
+    expect(ready.status).to.equal(200);
+    expect(Object.values(ready.body.checks).every((c) => c.ok)).to.equal(true);
+    expect(await scrape()).to.include.members(["bcm_ready 1", 'bcm_readiness_check{check="startup"} 1']);
+
+    health.markStartupFailed(new Error("deployment check failed"));
+    await health.readiness({ maxAgeMs: 0 });
+
+    const failing = await request(`${app.url}/readyz`);
+    expect(failing.status).to.equal(503);
+    expect(failing.body.checks.startup).to.deep.equal({ ok: false, detail: "deployment check failed" });
+    expect(await scrape()).to.include.members(["bcm_ready 0", 'bcm_readiness_check{check="startup"} 0']);
+
+    // Liveness only reports it
+    const live = await request(`${app.url}/healthz`);
+    expect(live.status).to.equal(200);
+    expect(live.body.ready).to.equal(false);
+  });
+
+  it("keeps /metrics to operator keys", async function () {
+    expect((await request(`${app.url}/metrics`)).status).to.equal(401);
+  });
+
+  it("escapes label values and renders cumulative histogram buckets", async function () {
+    metrics.counter("bcm_test_labels_total", "Label escaping", ["value"]).inc({ value: 'a"b\\c\nd' });
+    const duration = metrics.histogram("bcm_test_duration_seconds", "Buckets", ["route"], [0.1, 1]);
+    for (const seconds of [0.05, 0.1, 0.5, 5]) duration.observe({ route: "/x" }, seconds);
+
+    const lines = await scrape();
+    expect(lines).to.include.members([
+      "# HELP bcm_test_labels_total Label escaping",
+      "# TYPE bcm_test_labels_total counter",
+      'bcm_test_labels_total{value="a\\"b\\\\c\\nd"} 1',
+      "# TYPE bcm_test_duration_seconds histogram",
+      'bcm_test_duration_seconds_bucket{route="/x",le="0.1"} 2',
+      'bcm_test_duration_seconds_bucket{route="/x",le="1"} 3',
+      'bcm_test_duration_seconds_bucket{route="/x",le="+Inf"} 4',
+      'bcm_test_duration_seconds_sum{route="/x"} 5.65',
+      'bcm_test_duration_seconds_count{route="/x"} 4',
+    ]);
+  });
+
+  it("answers a scrape while the indexer status hangs", async function () {
+    const { provider } = require("../../server/server-wallet");
+    const getBlockNumber = provider.getBlockNumber;
+    provider.getBlockNumber = () => new Promise(() => {});
+    try {
+      const started = Date.now();
+      expect(await scrape()).to.include("bcm_ready 0");
+      expect(Date.now() - started).to.be.below(2000);
+    } finally {
+      provider.getBlockNumber = getBlockNumber;
+    }
+  });
+});
@@ -0,0 +1,93 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { setupServer, startApp, request } = require("./helpers");
+
+describe("privacy erasure", function () {
+  const wallet = ethers.Wallet.createRandom().address.toLowerCase();
+  const neighbour = ethers.Wallet.createRandom().address.toLowerCase();
+  const deviceId = ethers.id("erasure-test-device").toLowerCase();
+  const neighbourDevice = ethers.id("erasure-neighbour-device").toLowerCase();
+  let app, rawReadings, quarantine, erasures, quarantined;
+
+  function keep(device, owner, timestamp) {
+    const reading = { device_id: device, timestamp, interval_s: 60, nonce: crypto.randomUUID() };
+    const payload = JSON.stringify(reading);
+    rawReadings.storeRawReading({
+      deviceId: device,
+      wallet: owner,
+      reading,
+      payload,
+      signature: "aa",
+      wh: 7,
+      outcome: "accepted",
+    });
+    return { reading, payload };
+  }
+
+  before(async function () {
+    await setupServer();
+    rawReadings = require("../../server/raw-readings");
+    quarantine = require("../../server/quarantine-queue");
+    erasures = require("../../server/privacy-erasure");
+
+    keep(deviceId, wallet, 1_700_000_000);
+    const flagged = keep(deviceId, wallet, 1_700_000_060);
+    quarantined = quarantine.quarantineReading({
+      deviceId,
+      wallet,
+      ...flagged,
+      signature: "aa",
+      wh: 7,
+      kwhMilli: 7,
+      flags: [{ code: "spike", detail: "7 Wh" }],
+    });
+    keep(neighbourDevice, neighbour, 1_700_000_000);
+
+    app = await startApp(require("../../server/privacy"));
+  });
+
+  after(async function () {
+    await app.close();
+  });
+
+  const sessionOf = (owner) => require("../../server/access-control").createSession(owner).token;
+  const erase = (token, body) => request(`${app.url}/privacy/erase`, { method: "POST", token, body });
+
+  it("only lets a wallet erase its own readings", async function () {
+    const res = await erase(sessionOf(neighbour), { wallet });
+    expect(res.status).to.equal(403);
+    expect(rawReadings.listRawReadings({ wallet })).to.have.length(2);
+  });
+
+  it("shreds raw readings and redacts quarantined payloads right away", async function () {
+    const res = await erase(sessionOf(wallet), { wallet });
+    expect(res.status).to.equal(202);
+    expect(res.body.erasure.redacted.quarantineItems).to.equal(1);
+
+    expect(rawReadings.listRawReadings({ wallet })).to.deep.equal([]);
+    const item = quarantine.getQuarantineItem(quarantined.id);
+    expect(item).to.include({ payload: null, signature: null });
+    expect(item.reading).to.have.all.keys("nonce", "timestamp", "interval_s");
+    expect(item.flags).to.deep.equal([{ code: "spike" }]);
+
+    // Other wallets' readings are untouched
+    expect(rawReadings.listRawReadings({ wallet: neighbour })).to.have.length(1);
+  });
+
+  it("purges the ciphertexts once the retention window has passed", async function () {
+    const rawFile = path.join(process.env.DATA_DIR, "raw-readings.json");
+    const storedFor = (device) => JSON.parse(fs.readFileSync(rawFile, "utf8")).devices[device] || [];
+    expect(storedFor(deviceId)).to.have.length(2);
+
+    expect(erasures.purgeDueErasures()).to.equal(0);
+    expect(erasures.purgeDueErasures(Date.now() + 31 * 86_400_000)).to.equal(1);
+
+    expect(storedFor(deviceId)).to.deep.equal([]);
+    expect(storedFor(neighbourDevice)).to.have.length(1);
+    const [erasure] = erasures.listErasures(wallet);
+    expect(erasure).to.include({ status: erasures.STATUS.PURGED, purgedReadings: 2 });
+  });
+});
@@ -0,0 +1,89 @@
+const { expect } = require("chai");
+const { setupServer, startApp, request, waitFor, signedReading, installMeter } = require("./helpers");
+
+describe("quarantine decisions", function () {
+  const now = Math.floor(Date.now() / 1000);
+  const stranger = "0x000000000000000000000000000000000000dEaD";
+  let app, outbox, operatorKey, gatewayKey;
+  let held, approved, flaggedId, heldId;
+
+  /**
+   * POST reading number `step` of the device (a minute each, from now - 120).
+   */
+  async function submit(device, step, options = {}) {
+    const reading = signedReading(device.key, device.deviceId, { timestamp: now - 120 + 60 * step, ...options });
+    const res = await request(`${app.url}/record-reading`, { method: "POST", token: gatewayKey, body: reading });
+    expect(res.status).to.equal(202);
+    return res.body;
+  }
+
+  const decide = (id, decision, token = operatorKey) =>
+    request(`${app.url}/quarantine/${id}/${decision}`, { method: "POST", token, body: { note: "checked on site" } });
+  const itemOf = async (id) => (await request(`${app.url}/quarantine/${id}`, { token: operatorKey })).body.item;
+
+  before(async function () {
+    await setupServer();
+    const { createApiKey } = require("../../server/api-keys");
+    operatorKey = createApiKey({ role: "operator", name: "quarantine operator" }).key;
+    gatewayKey = createApiKey({ role: "gateway", name: "quarantine gateway" }).key;
+    // Wind: no day / night check, whatever time the suite runs
+    held = await installMeter("quarantine-held", { capacityKw: 1, sourceType: "wind" });
+    approved = await installMeter("quarantine-approved", { capacityKw: 1, sourceType: "wind" });
+    outbox = require("../../server/tx-outbox");
+    app = await startApp(require("../../server/readings"), require("../../server/quarantine"));
+  });
+
+  after(async function () {
+    outbox.stopOutbox();
+    // let a tick already running finish before the RPC bridge goes away
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    await app.close();
+  });
+
+  it("holds a device's later readings behind its pending one", async function () {
+    const flagged = await submit(held, 0, { wallet: stranger });
+    const next = await submit(held, 1);
+
+    expect(next.quarantined).to.equal(true);
+    expect(next.flags.map((f) => f.code)).to.deep.equal(["held"]);
+    flaggedId = flagged.quarantineId;
+    heldId = next.quarantineId;
+  });
+
+  it("leaves decisions to operators", async function () {
+    const res = await decide(flaggedId, "reject", gatewayKey);
+    expect(res.status).to.equal(403);
+    expect((await itemOf(flaggedId)).status).to.equal("pending");
+  });
+
+  it("rejects a reading and releases the ones held behind it", async function () {
+    const res = await decide(flaggedId, "reject");
+    expect(res.status).to.equal(200);
+    expect(res.body.item).to.include({ status: "rejected", note: "checked on site" });
+
+    const released = await itemOf(heldId);
+    expect(released).to.include({ status: "submitting", note: "released" });
+    expect(released.jobId).to.be.a("string");
+
+    expect((await decide(flaggedId, "approve")).status).to.equal(409);
+  });
+
+  it("approves a reading and records it once its transaction confirms", async function () {
+    const { quarantineId } = await submit(approved, 0, { wallet: stranger });
+
+    const res = await decide(quarantineId, "approve");
+    expect(res.status).to.equal(202);
+    expect(res.body.item.status).to.equal("submitting");
+
+    const again = await decide(quarantineId, "approve");
+    expect(again.status).to.equal(409);
+    expect(again.body.error).to.equal("Quarantine item is submitting");
+
+    await outbox.startOutbox();
+    const item = await waitFor(async () => {
+      const current = await itemOf(quarantineId);
+      return current.status === "approved" ? current : null;
+    });
+    expect(item.txHash).to.equal(outbox.getJob(res.body.jobId).txHash);
+  });
+});
@@ -0,0 +1,118 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { setupServer, waitFor } = require("./helpers");
+
+/**
+ * reading-aggregator.js reads its window from the env when loaded, and the
+ * other suites run with aggregation off: load a second copy with hourly
+ * windows and batches of 2, on a store of its own.
+ */
+function loadHourlyAggregator(dataDir) {
+  const modules = ["../../server/store", "../../server/reading-aggregator"].map((m) => require.resolve(m));
+  const cached = modules.map((m) => require.cache[m]);
+  const env = { ...process.env };
+  try {
+    modules.forEach((m) => delete require.cache[m]);
+    Object.assign(process.env, { DATA_DIR: dataDir, AGGREGATION_WINDOW_SECONDS: "3600", AGGREGATION_MAX_BATCH: "2" });
+    return require("../../server/reading-aggregator");
+  } finally {
+    modules.forEach((m, i) => (require.cache[m] = cached[i]));
+    Object.assign(process.env, env);
+  }
+}
+
+describe("reading aggregation", function () {
+  const windowStart = Math.floor(1_700_000_000 / 3600) * 3600;
+  const [first, second, unregistered, tiny] = ["agg-first", "agg-second", "agg-unregistered", "agg-tiny"].map((name) =>
+    ethers.id(name)
+  );
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "bcm-aggregator-test-"));
+  let aggregator, outbox, meter, maxAge, hashLeaf, verifyMerkleProof;
+
+  function add(deviceId, minute, wh) {
+    const reading = { device_id: deviceId, nonce: crypto.randomUUID(), timestamp: windowStart + 60 * minute, interval_s: 60 };
+    return aggregator.addReading({ deviceId, reading, payload: JSON.stringify(reading), signature: "aa", wh });
+  }
+
+  const aggregateOf = (deviceId) => aggregator.getAggregate(`${deviceId}:${windowStart}`);
+  const settled = (deviceId) =>
+    waitFor(() => {
+      const aggregate = aggregateOf(deviceId);
+      return ["recorded", "failed"].includes(aggregate.status) ? aggregate : null;
+    });
+
+  before(async function () {
+    ({ meter } = await setupServer());
+    await (await meter.registerDevice(first, ethers.Wallet.createRandom().address)).wait();
+    await (await meter.registerDevice(second, ethers.Wallet.createRandom().address)).wait();
+
+    aggregator = loadHourlyAggregator(dataDir);
+    ({ MAX_READING_AGE_SECONDS: maxAge } = require("../../server/reading-verifier"));
+    ({ hashLeaf, verifyMerkleProof } = require("../../server/merkle"));
+    outbox = require("../../server/tx-outbox");
+    await outbox.startOutbox();
+  });
+
+  after(async function () {
+    outbox.stopOutbox();
+    // let a tick already running finish before the RPC bridge goes away
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("keeps a window open while fresh readings can still land in it", function () {
+    // The unregistered device's aggregate shares the first batch
+    add(first, 1, 600);
+    add(unregistered, 1, 600);
+    add(second, 1, 600);
+    add(tiny, 1, 0.4);
+    add(first, 2, 600);
+
+    aggregator.flushAggregates(windowStart + 3600 + maxAge - 1);
+    expect(aggregateOf(first)).to.include({ status: "open", readingsRoot: null, readingCount: 2 });
+    expect(aggregator.getReadingProof(`${first}:${windowStart}`, aggregateOf(first).readings[0].nonce)).to.include({
+      proof: null,
+      verified: false,
+    });
+  });
+
+  it("closes due windows, skips those under 1 Wh and isolates the aggregates of a failed batch", async function () {
+    add(first, 3, 600);
+    aggregator.flushAggregates(windowStart + 3600 + maxAge);
+
+    expect(aggregateOf(tiny)).to.include({ status: "skipped", kwhMilli: 0 });
+    const [firstBatch, sharedBatch, secondBatch] = [first, unregistered, second].map((d) => aggregateOf(d).batchId);
+    expect(sharedBatch).to.equal(firstBatch);
+    expect(secondBatch).to.not.equal(firstBatch);
+
+    // The batch with the unregistered device reverts: its aggregates are closed again, to go alone
+    await waitFor(() => aggregateOf(first).isolate);
+    expect(aggregateOf(first).status).to.equal("closed");
+    expect((await settled(second)).status).to.equal("recorded");
+
+    aggregator.flushAggregates(windowStart + 3600 + maxAge);
+    expect(aggregateOf(first).batchId).to.not.equal(aggregateOf(unregistered).batchId);
+    const recorded = await settled(first);
+    expect(recorded).to.include({ status: "recorded", kwhMilli: 1800 });
+    expect((await settled(unregistered)).status).to.equal("failed");
+  });
+
+  it("proves each reading against the root recorded on-chain", async function () {
+    const aggregate = aggregateOf(first);
+    const [event] = await meter.queryFilter(meter.filters.ReadingsAggregated(first), aggregate.blockNumber);
+    expect(event.args.readingsRoot).to.equal(aggregate.readingsRoot);
+
+    for (const { nonce } of aggregate.readings) {
+      const proof = aggregator.getReadingProof(aggregate.id, nonce);
+      expect(proof).to.include({ verified: true, readingsRoot: aggregate.readingsRoot, txHash: aggregate.txHash });
+      expect(proof.leaf).to.equal(hashLeaf(proof.payload));
+
+      const forged = proof.payload.replace(`"nonce":"${nonce}"`, `"nonce":"${crypto.randomUUID()}"`);
+      expect(verifyMerkleProof(hashLeaf(forged), proof.proof, proof.readingsRoot)).to.equal(false);
+    }
+  });
+});
@@ -0,0 +1,69 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { setupServer, startApp, request, meterKey, signedReading } = require("./helpers");
+
+describe("POST /record-reading (signed readings)", function () {
+  const deviceId = ethers.id("readings-test-device");
+  const key = meterKey();
+  let app, gatewayKey, otherGatewayKey;
+
+  before(async function () {
+    await setupServer();
+    const { registerDeviceKey } = require("../../server/device-keys");
+    const { createApiKey } = require("../../server/api-keys");
+
+    registerDeviceKey(deviceId, key.publicKey);
+    gatewayKey = createApiKey({ role: "gateway", name: "test gateway", devices: [deviceId] }).key;
+    otherGatewayKey = createApiKey({ role: "gateway", name: "other gateway", devices: [ethers.id("other")] }).key;
+    app = await startApp(require("../../server/readings"));
+  });
+
+  after(async function () {
+    await app.close();
+  });
+
+  it("rejects a reading signed with another key", async function () {
+    const reading = signedReading(meterKey(), deviceId);
+    const res = await request(`${app.url}/record-reading`, { method: "POST", token: gatewayKey, body: reading });
+    expect(res.status).to.equal(401);
+    expect(res.body.error).to.equal("Invalid reading signature");
+  });
+
+  it("rejects a payload changed after signing", async function () {
+    const reading = signedReading(key, deviceId);
+    reading.payload = reading.payload.replace('"current":2', '"current":20');
+    const res = await request(`${app.url}/record-reading`, { method: "POST", token: gatewayKey, body: reading });
+    expect(res.status).to.equal(401);
+  });
+
+  it("accepts a signed reading once and refuses its replay", async function () {
+    const reading = signedReading(key, deviceId);
+    const first = await request(`${app.url}/record-reading`, { method: "POST", token: gatewayKey, body: reading });
+    expect(first.status).to.equal(202);
+
+    const replay = await request(`${app.url}/record-reading`, { method: "POST", token: gatewayKey, body: reading });
+    expect(replay.status).to.equal(409);
+    expect(replay.body.error).to.equal("Nonce already used");
+  });
+
+  it("refuses stale readings", async function () {
+    const reading = signedReading(key, deviceId, { timestamp: Math.floor(Date.now() / 1000) - 3600 });
+    const res = await request(`${app.url}/record-reading`, { method: "POST", token: gatewayKey, body: reading });
+    expect(res.status).to.equal(400);
+    expect(res.body.error).to.equal("Reading is stale");
+  });
+
+  it("refuses callers without a gateway key for the device", async function () {
+    const reading = signedReading(key, deviceId);
+
+    const anonymous = await request(`${app.url}/record-reading`, { method: "POST", body: reading });
+    expect(anonymous.status).to.equal(401);
+
+    const otherGateway = await request(`${app.url}/record-reading`, {
+      method: "POST",
+      token: otherGatewayKey,
+      body: reading,
+    });
+    expect(otherGateway.status).to.equal(403);
+  });
+});
@@ -0,0 +1,91 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { setupServer } = require("./helpers");
+
+describe("reconciliation", function () {
+  const deviceId = ethers.id("reconcile-test-device");
+  let owner, meter, token, reconciliation, fetchEventLogs;
+  let fromBlock, serverJob, externalBlock;
+
+  /**
+   * A confirmed outbox job for a recording the server sent itself.
+   */
+  async function sendAsServer(kwhMilli, periodStart) {
+    const data = meter.interface.encodeFunctionData("recordVerifiedReading", [
+      deviceId,
+      kwhMilli,
+      periodStart,
+      periodStart + 3600,
+    ]);
+    const tx = await owner.sendTransaction({ to: meter.target, data });
+    const receipt = await tx.wait();
+    return {
+      id: `job-${periodStart}`,
+      kind: "record-reading",
+      to: meter.target,
+      data,
+      status: "confirmed",
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    };
+  }
+
+  async function run(options) {
+    const { RECONCILE_EVENTS, reconcile } = reconciliation;
+    const toBlock = await ethers.provider.getBlockNumber();
+    const events = await fetchEventLogs(
+      ethers.provider,
+      [
+        { name: "meter", contract: meter, events: RECONCILE_EVENTS },
+        { name: "token", contract: token, events: RECONCILE_EVENTS },
+      ],
+      { fromBlock, toBlock }
+    );
+    return reconcile({ meter, token, events, fromBlock, toBlock, ...options });
+  }
+
+  before(async function () {
+    const { wallets, ...deployed } = await setupServer();
+    ({ owner, meter, token } = deployed);
+    reconciliation = require("../../server/reconciliation");
+    ({ fetchEventLogs } = require("../../server/event-log"));
+
+    // Only this suite's blocks: earlier suites recorded energy of their own
+    fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+    await (await meter.registerDevice(deviceId, wallets[8].address)).wait();
+    serverJob = await sendAsServer(1500, 1_700_000_000);
+    // Recorded outside the server (e.g. `bcm reading submit`)
+    const receipt = await (await meter.recordVerifiedReading(deviceId, 700, 1_700_010_000, 1_700_013_600)).wait();
+    externalBlock = receipt.blockNumber;
+  });
+
+  it("matches the server's submissions and flags energy it never sent", async function () {
+    const report = await run({ jobs: [serverJob] });
+
+    expect(report.ok).to.equal(true);
+    expect(report.summary.submissions).to.include({ confirmed: 1, checked: 1, external: 1, pruned: 0 });
+    const unknown = report.discrepancies.filter((d) => d.check === "submission-unknown");
+    expect(unknown).to.have.length(1);
+    expect(unknown[0].severity).to.equal("warning");
+    expect(unknown[0].actual).to.equal("1 EnergyRecorded, 0.7 kWh");
+  });
+
+  it("reports a confirmed job whose transaction recorded something else", async function () {
+    const forged = {
+      ...serverJob,
+      data: meter.interface.encodeFunctionData("recordVerifiedReading", [deviceId, 9999, 1_700_000_000, 1_700_003_600]),
+    };
+    const report = await run({ jobs: [forged] });
+
+    expect(report.ok).to.equal(false);
+    const [mismatch] = report.discrepancies.filter((d) => d.check === "submission-mismatch");
+    expect(mismatch).to.include({ severity: "error", subject: `job ${serverJob.id}` });
+  });
+
+  it("does not flag transactions older than the pruned outbox jobs", async function () {
+    const report = await run({ jobs: [serverJob], prunedThroughBlock: externalBlock });
+
+    expect(report.summary.submissions).to.include({ external: 0, pruned: 1 });
+    expect(report.discrepancies.filter((d) => d.check === "submission-unknown")).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,82 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { setupServer, startApp, request } = require("./helpers");
+
+describe("relayer (sponsored permits)", function () {
+  let app, seller, stranger;
+
+  /**
+   * Permit typed data from the server, with `changes` applied to the message
+   * before `signer` signs it.
+   */
+  async function signedPermit({ signer = seller, changes = {} } = {}) {
+    const res = await request(`${app.url}/relay/typed-data/permit?wallet=${seller.address}&amountBC=1`);
+    expect(res.status).to.equal(200);
+    const { domain, types, message } = res.body.typedData;
+    const signed = { ...message, ...changes };
+    return { message: signed, signature: await signer.signTypedData(domain, types, signed) };
+  }
+
+  const relay = (body) => request(`${app.url}/relay/permit`, { method: "POST", body });
+
+  before(async function () {
+    const { meter, wallets } = await setupServer();
+    [, , , , , seller, stranger] = wallets;
+    await (await meter.registerDevice(ethers.id("relayer-test-device"), seller.address)).wait();
+    app = await startApp(require("../../server/relayer"));
+  });
+
+  after(async function () {
+    await app.close();
+  });
+
+  it("refuses a payload signed by someone else", async function () {
+    const res = await relay(await signedPermit({ signer: stranger }));
+    expect(res.status).to.equal(401);
+    expect(res.body.error).to.equal(`Signature is not from owner ${seller.address}`);
+  });
+
+  it("refuses a payload changed after signing", async function () {
+    const permit = await signedPermit();
+    permit.message.value = (BigInt(permit.message.value) * 1000n).toString();
+    const res = await relay(permit);
+    expect(res.status).to.equal(401);
+  });
+
+  it("refuses an expired deadline", async function () {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    const res = await relay(await signedPermit({ changes: { deadline: String(timestamp - 1) } }));
+    expect(res.status).to.equal(409);
+    expect(res.body.error).to.equal("Deadline passed or too close: sign a fresh payload");
+  });
+
+  it("only sponsors approvals of the marketplace", async function () {
+    const res = await relay(await signedPermit({ changes: { spender: stranger.address } }));
+    expect(res.status).to.equal(400);
+    expect(res.body.error).to.equal("Only approvals of the marketplace are sponsored");
+  });
+
+  it("refuses a nonce the token does not expect", async function () {
+    const res = await relay(await signedPermit({ changes: { nonce: "7" } }));
+    expect(res.status).to.equal(409);
+    expect(res.body.error).to.match(/^Stale nonce/);
+  });
+
+  it("queues a valid permit once", async function () {
+    const permit = await signedPermit();
+    const first = await relay(permit);
+    expect(first.status).to.equal(202);
+    expect(first.body.wallet).to.equal(seller.address.toLowerCase());
+
+    const replay = await relay(permit);
+    expect(replay.status).to.equal(409);
+    expect(replay.body.relayId).to.equal(first.body.relayId);
+  });
+
+  it("only sponsors wallets of registered meters", async function () {
+    const typed = (await request(`${app.url}/relay/typed-data/permit?wallet=${stranger.address}&amountBC=1`)).body;
+    const { domain, types, message } = typed.typedData;
+    const res = await relay({ message, signature: await stranger.signTypedData(domain, types, message) });
+    expect(res.status).to.equal(403);
+  });
+});
@@ -0,0 +1,87 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { setupServer, waitFor } = require("./helpers");
+
+describe("tx outbox", function () {
+  let outbox, owner, recipient;
+  const settled = [];
+
+  before(async function () {
+    ({ owner, wallets: [recipient] } = await setupServer());
+    outbox = require("../../server/tx-outbox");
+    outbox.onTxSettled("outbox-test", (job) => settled.push(job));
+    await outbox.startOutbox();
+  });
+
+  after(async function () {
+    outbox.stopOutbox();
+    await network.provider.send("evm_setAutomine", [true]);
+  });
+
+  const settledJob = (id) =>
+    waitFor(() => {
+      const job = outbox.getJob(id);
+      return job && job.handled ? job : null;
+    });
+
+  it("sends a job, settles it from its receipt and runs the handler once", async function () {
+    const { job } = outbox.enqueueTx({ to: recipient.address, value: 1n, kind: "outbox-test" });
+
+    const done = await settledJob(job.id);
+    expect(done.status).to.equal(outbox.STATUS.CONFIRMED);
+    const receipt = await ethers.provider.getTransactionReceipt(done.txHash);
+    expect(receipt.status).to.equal(1);
+    expect(done.blockNumber).to.equal(receipt.blockNumber);
+    expect(settled.filter((j) => j.id === job.id)).to.have.length(1);
+  });
+
+  it("answers a retried enqueue with the same job", async function () {
+    const first = outbox.enqueueTx({ to: recipient.address, value: 1n, kind: "outbox-test", idempotencyKey: "retry-1" });
+    const again = outbox.enqueueTx({ to: recipient.address, value: 1n, kind: "outbox-test", idempotencyKey: "retry-1" });
+    expect(again.created).to.equal(false);
+    expect(again.job.id).to.equal(first.job.id);
+    await settledJob(first.job.id);
+  });
+
+  it("requeues a job whose nonce was taken by another transaction", async function () {
+    await network.provider.send("evm_setAutomine", [false]);
+    const { job } = outbox.enqueueTx({ to: recipient.address, value: 2n, kind: "outbox-test" });
+
+    // Broadcast but not mined (PENDING is stored before the broadcast, so wait
+    // for the node to know it); then dropped and its nonce used elsewhere
+    const pending = await waitFor(async () => {
+      const current = outbox.getJob(job.id);
+      if (current.status !== outbox.STATUS.PENDING) return null;
+      return (await ethers.provider.getTransaction(current.txHash)) ? { ...current } : null;
+    });
+    await network.provider.send("hardhat_dropTransaction", [pending.txHash]);
+    await owner.sendTransaction({ to: owner.address, nonce: pending.nonce });
+    await network.provider.send("evm_mine", []);
+    await network.provider.send("evm_setAutomine", [true]);
+
+    const done = await settledJob(job.id);
+    expect(done.status).to.equal(outbox.STATUS.CONFIRMED);
+    expect(done.nonce).to.be.greaterThan(pending.nonce);
+    expect(done.txHashes).to.deep.equal([pending.txHash, done.txHash]);
+    expect(await ethers.provider.getTransactionReceipt(pending.txHash)).to.equal(null);
+  });
+
+  it("keeps a broadcast job pending until it is mined", async function () {
+    await network.provider.send("evm_setAutomine", [false]);
+    const { job } = outbox.enqueueTx({ to: recipient.address, value: 3n, kind: "outbox-test" });
+    const pending = await waitFor(() => {
+      const current = outbox.getJob(job.id);
+      return current.status === outbox.STATUS.PENDING ? { ...current } : null;
+    });
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    expect(outbox.getJob(job.id)).to.include({ status: outbox.STATUS.PENDING, nonce: pending.nonce });
+
+    await network.provider.send("evm_mine", []);
+    await network.provider.send("evm_setAutomine", [true]);
+
+    const done = await settledJob(job.id);
+    expect(done.status).to.equal(outbox.STATUS.CONFIRMED);
+    expect(done.txHash).to.equal(pending.txHash);
+    expect(done.txHashes).to.have.length(1);
+  });
+});
@@ -0,0 +1,104 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { setupServer } = require("./helpers");
+
+describe("energy credentials", function () {
+  const deviceId = ethers.id("credential-test-device");
+  const wallet = ethers.Wallet.createRandom().address;
+  let owner, stranger, meter, chainId, vc, decodeReceiptEvents;
+  let periodStart = 1_700_100_000;
+
+  /**
+   * Record `kwhMilli` on `contract` and issue a credential for it, signed by `issuer`.
+   */
+  async function recordAndIssue(kwhMilli, { contract = meter, issuer = owner } = {}) {
+    const receipt = await (await contract.recordVerifiedReading(deviceId, kwhMilli, periodStart, periodStart + 3600)).wait();
+    periodStart += 3600;
+    const events = decodeReceiptEvents("meter", contract, ["EnergyRecorded", "TokensMinted"], receipt);
+    const reading = events.find((e) => e.event === "EnergyRecorded");
+    return vc.issueEnergyCredential({
+      issuer,
+      reading,
+      mint: vc.mintForReading(events, reading),
+      chainId,
+      meterAddress: contract.target,
+    });
+  }
+
+  const onChain = (credential) => vc.verifyCredentialOnChain(credential, { provider: ethers.provider, meter });
+  const copy = (credential) => JSON.parse(JSON.stringify(credential));
+
+  before(async function () {
+    let wallets;
+    ({ owner, wallets, meter } = await setupServer());
+    stranger = wallets[9];
+    ({ chainId } = await ethers.provider.getNetwork());
+    vc = require("../../server/verifiable-credential");
+    ({ decodeReceiptEvents } = require("../../server/event-log"));
+    await (await meter.registerDevice(deviceId, wallet)).wait();
+  });
+
+  it("reports the tokens a reading minted", async function () {
+    const small = await recordAndIssue(1000);
+    expect(small.credentialSubject.minted).to.equal(null);
+
+    // 1 + 2 kWh crosses the 2.5 kWh threshold
+    const minting = await recordAndIssue(2000);
+    expect(minting.credentialSubject.minted.bc).to.equal("1.0");
+    expect(minting.evidence.map((e) => e.event)).to.deep.equal(["EnergyRecorded", "TokensMinted"]);
+
+    expect(vc.verifyCredentialSignature(minting, { expectedIssuer: owner.address }).valid).to.equal(true);
+    expect(await onChain(minting)).to.deep.equal({ valid: true, errors: [], mismatches: [] });
+  });
+
+  it("reports a credentialSubject changed after issuing", async function () {
+    const tampered = copy(await recordAndIssue(500));
+    tampered.credentialSubject.energy.kwhMilli = "5000";
+
+    expect(vc.verifyCredentialSignature(tampered).valid).to.equal(false);
+    const result = await onChain(tampered);
+    expect(result.valid).to.equal(false);
+    expect(result.mismatches).to.deep.equal([
+      { field: "credentialSubject.energy.kwhMilli", onChain: "500", credential: "5000" },
+    ]);
+  });
+
+  it("refuses a credential not signed by the issuer", async function () {
+    const foreign = await recordAndIssue(500, { issuer: stranger });
+    const check = vc.verifyCredentialSignature(foreign, { expectedIssuer: owner.address });
+    expect(check.valid).to.equal(false);
+    expect(check.errors).to.deep.equal([`issuer is not the expected ${owner.address.toLowerCase()}`]);
+
+    // Claims our DID, signed with another key
+    const { proof, ...unsigned } = copy(foreign);
+    unsigned.issuer = vc.didPkh(chainId, owner.address);
+    const forged = {
+      ...unsigned,
+      proof: {
+        ...proof,
+        verificationMethod: `${unsigned.issuer}#blockchainAccountId`,
+        proofValue: await stranger.signMessage(vc.canonicalJson(unsigned)),
+      },
+    };
+    const forgedCheck = vc.verifyCredentialSignature(forged, { expectedIssuer: owner.address });
+    expect(forgedCheck.valid).to.equal(false);
+    expect(forgedCheck.signer).to.equal(stranger.address.toLowerCase());
+    expect(forgedCheck.errors).to.include("signature was not made by the credential's issuer");
+  });
+
+  it("refuses evidence from a contract other than the meter", async function () {
+    // Same code, deployed by someone else: its owner can record anything
+    const rogue = await (await ethers.getContractFactory("CarbonSmartMeter", stranger)).deploy(
+      await meter.baseCarbonToken()
+    );
+    await (await rogue.registerDevice(deviceId, wallet)).wait();
+    const credential = await recordAndIssue(500, { contract: rogue, issuer: owner });
+
+    expect(vc.verifyCredentialSignature(credential).valid).to.equal(true);
+    const result = await onChain(credential);
+    expect(result.valid).to.equal(false);
+    expect(result.errors).to.include(
+      `credential points to contract ${String(rogue.target).toLowerCase()}, not the meter ${String(meter.target).toLowerCase()}`
+    );
+  });
+});
@@ -0,0 +1,85 @@
+const http = require("http");
+const crypto = require("crypto");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { setupServer, waitFor } = require("./helpers");
+
+/**
+ * The check an integrator runs on X-BCM-Signature (see scripts/webhookReceiver.js).
+ */
+function verifySignature(header, body, secret) {
+  const { t, v1 } = Object.fromEntries(header.split(",").map((part) => part.split("=", 2)));
+  const expected = crypto.createHmac("sha256", secret).update(`${t}.${body}`).digest();
+  const given = Buffer.from(v1, "hex");
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+describe("webhook deliveries", function () {
+  const deviceId = ethers.id("webhook-test-device");
+  const received = [];
+  let receiver, indexer, webhooks, subscription, meter, wallet;
+
+  before(async function () {
+    ({ meter, wallets: [, , , , , , , wallet] } = await setupServer());
+    await (await meter.registerDevice(deviceId, wallet.address)).wait();
+
+    receiver = http.createServer((req, res) => {
+      const chunks = [];
+      req.on("data", (chunk) => chunks.push(chunk));
+      req.on("end", () => {
+        received.push({ headers: req.headers, body: Buffer.concat(chunks).toString("utf8") });
+        res.writeHead(204).end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+
+    indexer = require("../../server/chain-indexer");
+    webhooks = require("../../server/webhook-dispatcher");
+    subscription = webhooks.createSubscription({
+      url: `http://127.0.0.1:${receiver.address().port}/bcm`,
+      filters: { devices: [deviceId] },
+      createdBy: "test",
+    });
+    indexer.startIndexer();
+    webhooks.startWebhooks();
+  });
+
+  after(async function () {
+    webhooks.stopWebhooks();
+    indexer.stopIndexer();
+    // let ticks already running finish before the RPC bridge goes away
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    await new Promise((resolve) => receiver.close(resolve));
+  });
+
+  const deliveryOf = (type) => waitFor(() => received.find((r) => r.headers["x-bcm-event"] === type));
+
+  it("signs a ping with the subscription secret", async function () {
+    const ping = webhooks.pingSubscription(subscription.id);
+    const { headers, body } = await deliveryOf("ping");
+
+    expect(headers["x-bcm-delivery"]).to.equal(ping.id);
+    expect(verifySignature(headers["x-bcm-signature"], body, subscription.secret)).to.equal(true);
+    expect(verifySignature(headers["x-bcm-signature"], body, `whsec_${"0".repeat(48)}`)).to.equal(false);
+    expect(verifySignature(headers["x-bcm-signature"], body.replace("ping", "pong"), subscription.secret)).to.equal(false);
+    await waitFor(() => webhooks.getDelivery(ping.id).status === webhooks.STATUS.DELIVERED);
+  });
+
+  it("delivers a matching chain event once, signed", async function () {
+    // A tick has delivered something, so the dispatch cursor is set: the
+    // first tick starts from the head and would skip an earlier event
+    await waitFor(() =>
+      webhooks.listDeliveries(subscription.id).some((d) => d.status === webhooks.STATUS.DELIVERED)
+    );
+    await (await meter.deactivateDevice(deviceId)).wait();
+
+    const { headers, body } = await deliveryOf("DeviceDeactivated");
+    expect(verifySignature(headers["x-bcm-signature"], body, subscription.secret)).to.equal(true);
+    const payload = JSON.parse(body);
+    expect(payload.args.deviceId).to.equal(deviceId.toLowerCase());
+    expect(payload.wallets).to.deep.equal([wallet.address.toLowerCase()]);
+
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    expect(received.filter((r) => r.headers["x-bcm-event"] === "DeviceDeactivated")).to.have.length(1);
+  });
+});